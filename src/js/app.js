@@ -118,17 +118,27 @@ window.Promise.config({warnings: false});
     page('/l/:lid/roster', views.roster.get);
     page('/l/:lid/roster/:abbrev', views.roster.get);
     page('/l/:lid/roster/:abbrev/:season', views.roster.get);
+    page('/l/:lid/depth', views.depth.get);
     page('/l/:lid/schedule', views.schedule.get);
     page('/l/:lid/schedule/:abbrev', views.schedule.get);
     page('/l/:lid/team_finances', views.teamFinances.get);
     page('/l/:lid/team_finances/:abbrev', views.teamFinances.get);
     page('/l/:lid/team_finances/:abbrev/:show', views.teamFinances.get);
+    page('/l/:lid/cap_planner', views.capPlanner.get);
+    page('/l/:lid/cap_planner/:abbrev', views.capPlanner.get);
     page('/l/:lid/team_history', views.teamHistory.get);
     page('/l/:lid/team_history/:abbrev', views.teamHistory.get);
+    page('/l/:lid/team_lineups', views.teamLineups.get);
+    page('/l/:lid/team_lineups/:abbrev', views.teamLineups.get);
+    page('/l/:lid/team_lineups/:abbrev/:season', views.teamLineups.get);
+    page('/l/:lid/team_lineups/:abbrev/:season/:playoffs', views.teamLineups.get);
     page('/l/:lid/free_agents', views.freeAgents.get);
     page('/l/:lid/trade', views.trade.get);
+    page('/l/:lid/trade_summary/:trid', views.tradeSummary.get);
     page('/l/:lid/trading_block', views.tradingBlock.get);
     page('/l/:lid/draft', views.draft.get);
+    page('/l/:lid/draft_lottery', views.draftLottery.get);
+    page('/l/:lid/draft_lottery/:season', views.draftLottery.get);
     page('/l/:lid/draft_summary', views.draftSummary.get);
     page('/l/:lid/draft_summary/:season', views.draftSummary.get);
     page('/l/:lid/game_log', views.gameLog.get);
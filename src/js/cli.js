@@ -0,0 +1,186 @@
+// @flow
+
+import _ from 'underscore';
+import g from './globals';
+import {fileStorage, memoryStorage} from './cliStorage';
+import * as league from './core/league';
+import {connectMeta} from './db';
+import * as helpers from './util/helpers';
+import * as random from './util/random';
+
+const usage = `Usage: bbgm-sim <command> [options]
+
+Commands:
+  new    Create a new league with random players and simulate it
+  sim    Load a league from a League File and continue simulating it
+
+Options:
+  --teams <n>      Number of teams in a new league, 2-30 (default: 30)
+  --seasons <n>    Number of seasons to simulate (default: 1)
+  --seed <seed>    Seed for the random number generator, for reproducible results
+  --in <file>      League File to load, required for sim
+  --out <file>     Where to save the League File after simulating
+  --box-scores     Include box scores in the output, which makes it much larger
+`;
+
+type Options = {
+    boxScores: boolean,
+    in?: string,
+    out?: string,
+    seasons: number,
+    seed?: string,
+    teams: number,
+};
+
+// All object stores that are exported, in the same groups as the Export League page
+const exportStores = ["players", "releasedPlayers", "awards", "playerStats", "teams", "teamSeasons", "teamStats", "schedule", "playoffSeries", "draftPicks", "draftLotteryResults", "trade", "negotiations", "gameAttributes", "draftOrder", "messages", "events", "trades", "playerFeats", "playerShots"];
+
+function parseArgs(args: string[]): [string, Options] {
+    const command = args[0];
+    const options: Options = {
+        boxScores: false,
+        seasons: 1,
+        teams: 30,
+    };
+
+    for (let i = 1; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--box-scores") {
+            options.boxScores = true;
+        } else if (arg === "--in" || arg === "--out" || arg === "--seed") {
+            if (i + 1 >= args.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options[arg.slice(2)] = args[i + 1];
+            i += 1;
+        } else if (arg === "--seasons" || arg === "--teams") {
+            const value = parseInt(args[i + 1], 10);
+            if (Number.isNaN(value) || value < 0) {
+                throw new Error(`Invalid value for ${arg}`);
+            }
+            options[arg.slice(2)] = value;
+            i += 1;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return [command, options];
+}
+
+/**
+ * Create a League File with numTeams of the default teams and as many playoff rounds as their conferences allow.
+ *
+ * Teams are picked one from each division in turn, alternating conferences, so the conferences are as even as possible and each division gets a team before any gets a second.
+ *
+ * @param {number} numTeams Number of teams.
+ * @return {Object} League File.
+ */
+function genLeagueFile(numTeams: number) {
+    if (numTeams < 2 || numTeams > 30) {
+        throw new Error("--teams must be between 2 and 30");
+    }
+
+    const teamsDefault = helpers.getTeamsDefault();
+    const dids = _.flatten(_.zip(...[0, 1].map(cid => _.uniq(teamsDefault.filter(t => t.cid === cid).map(t => t.did)))));
+    const teamsByDiv = dids.map(did => teamsDefault.filter(t => t.did === did));
+    const teams = _.flatten(_.zip(...teamsByDiv))
+        .slice(0, numTeams)
+        .map((t, tid) => Object.assign({}, t, {tid}));
+
+    // Playoffs are split by conference, so each conference needs enough teams to fill its half of the bracket
+    const minTeamsPerConf = Math.min(...[0, 1].map(cid => teams.filter(t => t.cid === cid).length));
+    let numPlayoffRounds = 4;
+    while (numPlayoffRounds > 1 && 2 ** (numPlayoffRounds - 1) > minTeamsPerConf) {
+        numPlayoffRounds -= 1;
+    }
+
+    return {
+        teams,
+        gameAttributes: [{key: "numPlayoffRounds", value: numPlayoffRounds}],
+    };
+}
+
+// Resolves when there is nothing left for the simulation to do. Auto play is a chain of phase changes and game days with no single promise for the whole thing, but when it stops, the event loop will be empty.
+function untilIdle(): Promise<void> {
+    return new Promise(resolve => {
+        process.once('beforeExit', () => resolve());
+    });
+}
+
+/**
+ * Run the command line interface.
+ *
+ * The league is simulated one season at a time, each in a new database loaded from a League File of the previous season, so memory use doesn't grow with every game played.
+ *
+ * @param {Array.<string>} args Command line arguments, not including the node executable and the script.
+ * @param {Function} createIndexedDB Returns a new, empty IndexedDB implementation to simulate the league in.
+ * @return {Promise}
+ */
+async function run(args: string[], createIndexedDB: () => {indexedDB: Object, IDBKeyRange: Object}) {
+    let command;
+    let options;
+    try {
+        [command, options] = parseArgs(args);
+        if (command !== "new" && command !== "sim") {
+            throw new Error(command === undefined ? "No command specified" : `Unknown command: ${command}`);
+        }
+        if (command === "sim" && options.in === undefined) {
+            throw new Error("--in is required for sim");
+        }
+    } catch (err) {
+        console.error(`${err.message}\n\n${usage}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const storage = options.in !== undefined || options.out !== undefined ? fileStorage(createIndexedDB, command === "sim" ? options.in : undefined, options.out) : memoryStorage(createIndexedDB);
+
+    let leagueFile = storage.load();
+    if (leagueFile === undefined) {
+        leagueFile = genLeagueFile(options.teams);
+    }
+
+    // Log phase changes, so there is some indication of progress
+    g.emitter.on('updateTopMenu', ({phaseText}) => {
+        if (phaseText !== undefined) {
+            console.log(phaseText);
+        }
+    });
+
+    const stores = options.boxScores ? exportStores.concat(["games"]) : exportStores;
+    let seed = options.seed;
+    let userTid = -1;
+    let rngState;
+    for (let i = 0; i < Math.max(options.seasons, 1); i++) {
+        storage.reset();
+        await connectMeta();
+        const startingSeason = leagueFile.startingSeason !== undefined ? leagueFile.startingSeason : 2016;
+        await league.create("Headless League", userTid, leagueFile, startingSeason, false, seed);
+        if (rngState === undefined) {
+            console.log(`Created league with random seed ${g.randomSeed}`);
+            seed = g.randomSeed;
+            userTid = g.userTid;
+        } else {
+            // Pick up where the random number generator left off, rather than starting over from the seed
+            random.setState(rngState);
+        }
+
+        if (options.seasons > 0) {
+            const idle = untilIdle();
+            await league.setGameAttributesComplete({autoPlaySeasons: 1});
+            league.autoPlay();
+            await idle;
+        }
+
+        rngState = random.getState();
+        leagueFile = await league.exportLeague(stores);
+    }
+
+    storage.save(leagueFile);
+    if (options.out !== undefined) {
+        console.log(`Saved league to ${options.out}`);
+    }
+}
+
+export default run;
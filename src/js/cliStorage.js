@@ -0,0 +1,73 @@
+// @flow
+
+import fs from 'fs';
+import g from './globals';
+
+// An IndexedDB implementation for Backboard to use, like fake-indexeddb
+type IndexedDBImplementation = {
+    indexedDB: Object,
+    IDBKeyRange: Object,
+};
+
+// Where the command line interface gets League Files from and saves them to, and the database it simulates them in
+export type Storage = {
+    load(): Object | void, // League File to start from, or undefined for a new league
+    reset(): void, // Close the current database and replace it with an empty one
+    save(leagueFile: Object): void,
+};
+
+/**
+ * In-memory storage, which is the default. Nothing is written to disk, and save just keeps the League File for the next load.
+ *
+ * Every reset gets a new IndexedDB implementation, rather than deleting the league from the old one. In-memory implementations keep data from finished transactions around, so the only way to free that memory is to throw out the whole thing.
+ *
+ * @param {Function} createIndexedDB Returns a new, empty IndexedDB implementation.
+ * @return {Object} Storage.
+ */
+function memoryStorage(createIndexedDB: () => IndexedDBImplementation): Storage {
+    let saved;
+
+    return {
+        load: () => saved,
+        reset: () => {
+            if (g.dbl !== undefined) {
+                g.dbl.close();
+            }
+            if (g.dbm !== undefined) {
+                g.dbm.close();
+            }
+
+            // Backboard uses whatever IndexedDB implementation is global when it opens a database
+            const {indexedDB, IDBKeyRange} = createIndexedDB();
+            global.indexedDB = indexedDB;
+            global.IDBKeyRange = IDBKeyRange;
+        },
+        save: (leagueFile) => {
+            saved = leagueFile;
+        },
+    };
+}
+
+/**
+ * File storage, for the --in and --out options. Leagues are still simulated in memory, but they are loaded from and saved to League Files.
+ *
+ * @param {Function} createIndexedDB Returns a new, empty IndexedDB implementation.
+ * @param {string=} inFile League File to load, or undefined for a new league.
+ * @param {string=} outFile Where to save the League File, or undefined to not save it.
+ * @return {Object} Storage.
+ */
+function fileStorage(createIndexedDB: () => IndexedDBImplementation, inFile?: string, outFile?: string): Storage {
+    return Object.assign({}, memoryStorage(createIndexedDB), {
+        load: () => (inFile !== undefined ? JSON.parse(fs.readFileSync(inFile, "utf8")) : undefined),
+        save: (leagueFile) => {
+            if (outFile !== undefined) {
+                fs.writeFileSync(outFile, JSON.stringify(leagueFile));
+            }
+        },
+    });
+}
+
+export {
+    fileStorage,
+    memoryStorage,
+};
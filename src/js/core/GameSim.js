@@ -3,14 +3,29 @@
 import g from '../globals';
 import * as helpers from '../util/helpers';
 import * as random from '../util/random';
-import type {PlayerSkill} from '../util/types';
+import type {LineupStats, PlayerSkill, Shot, TeamTactics} from '../util/types';
 
-type PlayType = 'ast' | 'blkAtRim' | 'blkLowPost' | 'blkMidRange' | 'blkTp' | 'drb' | 'fgAtRim' | 'fgAtRimAndOne' | 'fgLowPost' | 'fgLowPostAndOne' | 'fgMidRange' | 'fgMidRangeAndOne' | 'foulOut' | 'ft' | 'injury' | 'missAtRim' | 'missFt' | 'missLowPost' | 'missMidRange' | 'missTp' | 'orb' | 'overtime' | 'pf' | 'quarter' | 'stl' | 'sub' | 'tov' | 'tp' | 'tpAndOne';
+type PlayType = 'ast' | 'blkAtRim' | 'blkLowPost' | 'blkMidRange' | 'blkTp' | 'drb' | 'fgAtRim' | 'fgAtRimAndOne' | 'fgLowPost' | 'fgLowPostAndOne' | 'fgMidRange' | 'fgMidRangeAndOne' | 'foulOut' | 'ft' | 'injury' | 'missAtRim' | 'missFt' | 'missLowPost' | 'missMidRange' | 'missTp' | 'orb' | 'overtime' | 'pf' | 'pfIntentional' | 'quarter' | 'runOutClock' | 'shotClock' | 'stl' | 'sub' | 'timeout' | 'tov' | 'tp' | 'tpAndOne';
 type ShotType = 'atRim' | 'ft' | 'lowPost' | 'midRange' | 'threePointer';
+type LineupStat = 'min' | 'oppPoss' | 'oppPts' | 'poss' | 'pts';
 type Stat = 'ast' | 'ba' | 'benchTime' | 'blk' | 'courtTime' | 'drb' | 'energy' | 'fg' | 'fgAtRim' | 'fgLowPost' | 'fgMidRange' | 'fga' | 'fgaAtRim' | 'fgaLowPost' | 'fgaMidRange' | 'ft' | 'fta' | 'gs' | 'min' | 'orb' | 'pf' | 'pts' | 'stl' | 'tov' | 'tp' | 'tpa';
 type PlayerNumOnCourt = 0 | 1 | 2 | 3 | 4;
 type TeamNum = 0 | 1;
-type CompositeRating = 'blocking' | 'fouling' | 'passing' | 'rebounding' | 'stealing' | 'turnovers' | 'usage';
+type CompositeRating = 'blocking' | 'fouling' | 'passing' | 'rebounding' | 'shootingFT' | 'shootingThreePointer' | 'stealing' | 'turnovers' | 'usage';
+type ShotSelection = 'any' | 'none' | 'threePointer' | 'two';
+type ShotLocation = {
+    x: number, // Feet from the center of the basket toward the right sideline, negative toward the left sideline
+    y: number, // Feet from the center of the basket toward half court, negative toward the baseline
+};
+type PlayDetails = {
+    shot?: ShotLocation,
+    teamFouls?: string,
+};
+type LateGameStrategy = {
+    foul: boolean, // Defense fouls to stop the clock
+    possessionTime: number, // Minutes
+    shotSelection: ShotSelection,
+};
 
 type PlayerGameSim = {
     id: number,
@@ -18,16 +33,20 @@ type PlayerGameSim = {
     pos: string,
     valueNoPot: number,
     stat: Object,
+    shots: Shot[],
     compositeRating: Object,
     skills: PlayerSkill[],
     injured: boolean,
     ptModifier: number,
+    targetMin: null | number, // Minutes per 48 minute game set in the depth chart, or null to let the coach decide
+    closer: boolean, // In the closing lineup for clutch minutes
 };
 type TeamGameSim = {
     id: number,
     defense: number, // overall team defensive rating
     pace: number, // mean number of possessions the team likes to have in a game
     stat: Object,
+    lineups: {[key: string]: LineupStats}, // Keys are the sorted player IDs of the five players on the court
     compositeRating: Object,
     player: PlayerGameSim[],
     compositeRating: Object,
@@ -36,6 +55,7 @@ type TeamGameSim = {
         off: number,
         reb: number,
     },
+    tactics: TeamTactics,
 };
 
 // x is value, a controls sharpness, b controls center
@@ -43,6 +63,11 @@ const sigmoid = (x: number, a: number, b: number): number => {
     return 1 / (1 + Math.exp(-(a * (x - b))));
 };
 
+const LATE_GAME_MIN = 2; // Late game strategy starts with this many minutes left in the last period of regulation or overtime
+const LATE_GAME_TIMEOUTS = 2; // Timeouts each team can use in the last 2 minutes of regulation and in each overtime period
+const LAST_SHOT_MIN = 24 / 60; // A tied or trailing team plays for the last shot with this many minutes left
+const ORB_SHOT_CLOCK = 14; // Seconds on the shot clock after an offensive rebound, unless the full shot clock is shorter
+
 /**
  * Pick a player to do something.
  *
@@ -54,7 +79,7 @@ const pickPlayer = (ratios: [number, number, number, number, number], exempt?: P
         ratios[exempt] = 0;
     }
 
-    const rand = Math.random() * (ratios[0] + ratios[1] + ratios[2] + ratios[3] + ratios[4]);
+    const rand = random.random() * (ratios[0] + ratios[1] + ratios[2] + ratios[3] + ratios[4]);
 
     let pick;
     if (rand < ratios[0]) {
@@ -72,6 +97,42 @@ const pickPlayer = (ratios: [number, number, number, number, number], exempt?: P
     return pick;
 };
 
+/**
+ * Pick a spot on the court for a shot.
+ *
+ * Distances are drawn from a distribution that depends on the type of shot and the three point line in g.threePointDistance, and the angle is random. Two pointers stay out of the corners, where the three point line is closest to the basket.
+ *
+ * @param {string} type Type of shot.
+ * @return {Object} Location of the shot, in feet from the center of the basket.
+ */
+const getShotLocation = (type: ShotType): ShotLocation => {
+    let distance;
+    let maxAngle;
+    if (type === "atRim") {
+        distance = Math.min(Math.abs(random.realGauss(0, 1.5)), 4);
+        maxAngle = Math.PI / 2;
+    } else if (type === "lowPost") {
+        distance = random.uniform(4, 14);
+        maxAngle = 1.3;
+    } else if (type === "midRange") {
+        distance = random.uniform(10, g.threePointDistance - 1);
+        maxAngle = 1.4;
+    } else {
+        distance = g.threePointDistance + 0.1 + Math.abs(random.realGauss(0, 1.5)); // 0.1 so it's still a three after rounding
+        maxAngle = 1.45;
+    }
+
+    const angle = random.uniform(-maxAngle, maxAngle);
+    const maxX = type === "threePointer" ? 24.5 : 21.5;
+    const x = helpers.bound(distance * Math.sin(angle), -maxX, maxX);
+    const y = distance * Math.cos(angle);
+
+    return {
+        x: Math.round(x * 10) / 10,
+        y: Math.round(y * 10) / 10,
+    };
+};
+
 /**
  * Convert energy into fatigue, which can be multiplied by a rating to get a fatigue-adjusted value.
  *
@@ -91,6 +152,11 @@ class GameSim {
     id: number;
     team: [TeamGameSim, TeamGameSim];
     dt: number;
+    pace: [number, number];
+    shotClock: number;
+    shotClockRemaining: number;
+    ballInFrontcourt: boolean;
+    foulsLastTwoMin: [number, number];
     playersOnCourt: [[number, number, number, number, number], [number, number, number, number, number]];
     startersRecorded: boolean;
     subsEveryN: number;
@@ -119,6 +185,7 @@ class GameSim {
     o: TeamNum;
     d: TeamNum;
     playByPlay: Object[];
+    timeouts: [number, number];
 
     /**
      * Initialize the two teams that are playing this game.
@@ -132,8 +199,20 @@ class GameSim {
 
         this.id = gid;
         this.team = [team1, team2]; // If a team plays twice in a day, this needs to be a deep copy
-        const numPossessions = Math.round((this.team[0].pace + this.team[1].pace) / 2 * random.uniform(0.9, 1.1));
-        this.dt = 48 / (2 * numPossessions); // Time elapsed per possession
+        // Each step of the pace tactic is worth about 4% more or fewer possessions
+        this.pace = [
+            this.team[0].pace * (1 + 0.04 * this.team[0].tactics.pace),
+            this.team[1].pace * (1 + 0.04 * this.team[1].tactics.pace),
+        ];
+
+        // Pace ratings are for a 24 second shot clock, and a longer one slows the game down. With no shot clock, teams play at their normal pace.
+        this.shotClock = g.shotClock > 0 ? g.shotClock / 60 : Infinity; // Minutes
+        this.shotClockRemaining = this.shotClock;
+        this.ballInFrontcourt = false;
+        const shotClockFactor = g.shotClock > 0 ? Math.sqrt(24 / g.shotClock) : 1;
+
+        const numPossessions = Math.round((this.pace[0] + this.pace[1]) / 2 * shotClockFactor * random.uniform(0.9, 1.1));
+        this.dt = 48 / (2 * numPossessions); // Average time elapsed per possession
 
         // Starting lineups, which will be reset by updatePlayersOnCourt. This must be done because of injured players in the top 5.
         this.playersOnCourt = [[0, 1, 2, 3, 4], [0, 1, 2, 3, 4]];
@@ -145,6 +224,8 @@ class GameSim {
         this.overtimes = 0; // Number of overtime periods that have taken place
 
         this.t = g.quarterLength; // Game clock, in minutes
+        this.timeouts = [LATE_GAME_TIMEOUTS, LATE_GAME_TIMEOUTS];
+        this.foulsLastTwoMin = [0, 0]; // Team fouls in the last 2 minutes of the current period, for the bonus
 
         // Parameters
         this.synergyFactor = 0.1; // How important is synergy?
@@ -221,10 +302,13 @@ class GameSim {
         for (let t = 0; t < 2; t++) {
             delete this.team[t].compositeRating;
             delete this.team[t].pace;
+            delete this.team[t].tactics;
             for (let p = 0; p < this.team[t].player.length; p++) {
                 delete this.team[t].player[p].valueNoPot;
                 delete this.team[t].player[p].compositeRating;
                 delete this.team[t].player[p].ptModifier;
+                delete this.team[t].player[p].targetMin;
+                delete this.team[t].player[p].closer;
             }
         }
 
@@ -259,25 +343,37 @@ class GameSim {
             }
             quarter += 1;
 
-            if (quarter === 5) {
+            if (quarter > g.numPeriods) {
                 break;
             }
             this.team[0].stat.ptsQtrs.push(0);
             this.team[1].stat.ptsQtrs.push(0);
+            this.team[0].stat.pfQtrs.push(0);
+            this.team[1].stat.pfQtrs.push(0);
             this.t = g.quarterLength;
+            this.shotClockRemaining = this.shotClock;
+            this.ballInFrontcourt = false;
+            this.timeouts = [LATE_GAME_TIMEOUTS, LATE_GAME_TIMEOUTS];
+            this.foulsLastTwoMin = [0, 0];
             this.lastScoringPlay = [];
             this.recordPlay("quarter");
         }
     }
 
     simOvertime() {
-        this.t = Math.ceil(0.4 * g.quarterLength); // 5 minutes by default, but scales
+        this.t = g.overtimeLength;
+        this.shotClockRemaining = this.shotClock;
+        this.ballInFrontcourt = false;
+        this.timeouts = [LATE_GAME_TIMEOUTS, LATE_GAME_TIMEOUTS];
+        this.foulsLastTwoMin = [0, 0];
         this.lastScoringPlay = [];
         this.overtimes += 1;
         this.team[0].stat.ptsQtrs.push(0);
         this.team[1].stat.ptsQtrs.push(0);
+        this.team[0].stat.pfQtrs.push(0);
+        this.team[1].stat.pfQtrs.push(0);
         this.recordPlay("overtime");
-        this.o = Math.random() < 0.5 ? 0 : 1;
+        this.o = random.random() < 0.5 ? 0 : 1;
         this.d = this.o === 0 ? 1 : 0;
         while (this.t > 0) {
             this.simPossession();
@@ -285,24 +381,62 @@ class GameSim {
     }
 
     simPossession() {
+        // Possession change
+        this.o = (this.o === 1) ? 0 : 1;
+        this.d = (this.o === 1) ? 0 : 1;
+
+        // After an offensive rebound or a non-shooting foul, it's still the same possession
+        if (!this.ballInFrontcourt) {
+            this.recordLineupStat(this.o, "poss");
+            this.recordLineupStat(this.d, "oppPoss");
+        }
+
+        this.updateTeamCompositeRatings();
+
+        const lateGame = this.lateGameStrategy();
+
         // Clock
-        this.t -= this.dt;
-        let possessionTime = this.dt;
+        let possessionTime;
+        let shotClockViolation = false;
+        if (lateGame) {
+            possessionTime = Math.min(lateGame.possessionTime, this.shotClockRemaining);
+
+            // A trailing team in a hurry calls timeout to advance the ball
+            if (!lateGame.foul && this.t <= LAST_SHOT_MIN && this.team[this.o].stat.pts < this.team[this.d].stat.pts && this.timeouts[this.o] > 0) {
+                this.timeouts[this.o] -= 1;
+                this.recordPlay("timeout", this.o);
+                possessionTime = Math.max(possessionTime - random.uniform(0.05, 0.1), 0.01);
+            }
+        } else {
+            possessionTime = this.drawPossessionTime();
+
+            // Only a violation if the game clock doesn't run out first
+            if (possessionTime > this.shotClockRemaining && this.shotClockRemaining < this.t) {
+                possessionTime = this.shotClockRemaining;
+                shotClockViolation = true;
+            }
+        }
+        this.t -= possessionTime;
         if (this.t < 0) {
             possessionTime += this.t;
             this.t = 0;
         }
 
-        // Possession change
-        this.o = (this.o === 1) ? 0 : 1;
-        this.d = (this.o === 1) ? 0 : 1;
-
-        this.updateTeamCompositeRatings();
+        let outcome;
+        if (shotClockViolation) {
+            outcome = this.doShotClockViolation();
+        } else if (lateGame && lateGame.foul) {
+            outcome = this.doIntentionalFoul();
+        } else {
+            outcome = this.getPossessionOutcome(lateGame ? lateGame.shotSelection : 'any');
+        }
 
-        const outcome = this.getPossessionOutcome();
+        // After an offensive rebound or a non-shooting foul, the shot clock is reset to less than the full amount
+        this.ballInFrontcourt = outcome === "orb" || outcome === "nonShootingFoul";
+        this.shotClockRemaining = this.ballInFrontcourt && g.shotClock > 0 ? Math.min(this.shotClock, ORB_SHOT_CLOCK / 60) : this.shotClock;
 
         // Swap o and d so that o will get another possession when they are swapped again at the beginning of the loop.
-        if (outcome === "orb") {
+        if (outcome === "orb" || outcome === "nonShootingFoul") {
             this.o = (this.o === 1) ? 0 : 1;
             this.d = (this.o === 1) ? 0 : 1;
         }
@@ -311,7 +445,8 @@ class GameSim {
 
         this.injuries();
 
-        if (random.randInt(1, this.subsEveryN) === 1) {
+        // In clutch time, check every possession so the closing lineup gets in right away
+        if (random.randInt(1, this.subsEveryN) === 1 || this.isClutch()) {
             const substitutions = this.updatePlayersOnCourt();
             if (substitutions) {
                 this.updateSynergy();
@@ -319,6 +454,78 @@ class GameSim {
         }
     }
 
+    /**
+     * Time elapsed before the offense shoots or turns the ball over, in minutes.
+     *
+     * Faster paced teams have shorter possessions. After an offensive rebound or a non-shooting foul, the ball is already in the frontcourt, so the possession is about half as long, and other possessions are a little longer than this.dt to make up for that. This can be longer than the shot clock, which means a shot clock violation.
+     *
+     * @return {number}
+     */
+    drawPossessionTime(): number {
+        let mean = this.dt * (this.pace[0] + this.pace[1]) / (2 * this.pace[this.o]);
+        mean *= this.ballInFrontcourt ? 0.5 : 1.05;
+
+        return Math.max(random.realGauss(mean, 0.25 * mean), 0.02);
+    }
+
+    /**
+     * Is it clutch time? That's the last 5 minutes of regulation or overtime (scaled by game length) with the score within 5 points.
+     *
+     * @return {boolean}
+     */
+    isClutch(): boolean {
+        return this.team[0].stat.ptsQtrs.length >= g.numPeriods && this.t <= 5 * g.numPeriods * g.quarterLength / 48 && Math.abs(this.team[0].stat.pts - this.team[1].stat.pts) <= 5;
+    }
+
+    /**
+     * Adjust a player's value for substitutions based on the target minutes from the depth chart.
+     *
+     * This looks at the share of the remaining minutes in regulation that a player needs to play to hit his target. Players who need to play more than half of the remaining minutes get a boost and players who need less get a penalty, so someone with a target of 24 minutes who is on pace is treated like a player without a target.
+     *
+     * @param {number} t Team (0 or 1).
+     * @param {number} p Integer index of the player in this.team[t].player.
+     * @return {number} Factor to multiply the player's value by.
+     */
+    minutesFactor(t: TeamNum, p: number): number {
+        const targetMin = this.team[t].player[p].targetMin;
+        if (targetMin === null || targetMin === undefined) {
+            return 1;
+        }
+        if (targetMin <= 0) {
+            return 0;
+        }
+
+        // Target minutes are for a 48 minute game, so scale to the actual game length
+        const regulationMin = g.numPeriods * g.quarterLength;
+        const elapsedMin = Math.min(this.team[t].stat.min / 5, regulationMin);
+        const neededMin = targetMin * regulationMin / 48 - this.team[t].player[p].stat.min;
+        const neededShare = neededMin / Math.max(regulationMin - elapsedMin, 1);
+
+        return helpers.bound(Math.exp(10 * (neededShare - 0.5)), 0.001, 1000);
+    }
+
+    /**
+     * Is a player in foul trouble?
+     *
+     * Coaches sit players who are picking up fouls faster than they can afford to, like 2 fouls in the 1st quarter or 3 in the 2nd quarter with NBA rules. In the last period of regulation, a player one foul away from fouling out sits until the second half of the period. There's no foul trouble in overtime, since there's no point in saving anyone.
+     *
+     * @param {number} t Team (0 or 1).
+     * @param {number} p Integer index of the player in this.team[t].player.
+     * @return {boolean} true if the player should sit because of foul trouble, false otherwise.
+     */
+    inFoulTrouble(t: TeamNum, p: number): boolean {
+        const period = this.team[0].stat.ptsQtrs.length;
+        const pf = this.team[t].player[p].stat.pf;
+        if (period > g.numPeriods) {
+            return false;
+        }
+        if (period === g.numPeriods) {
+            return pf >= g.foulsNeededToFoulOut - 1 && this.t > g.quarterLength / 2;
+        }
+
+        return pf > period / g.numPeriods * (g.foulsNeededToFoulOut - 1);
+    }
+
     /**
      * Perform appropriate substitutions.
      *
@@ -328,16 +535,32 @@ class GameSim {
      */
     updatePlayersOnCourt() {
         let substitutions = false;
+        const clutch = this.isClutch();
 
         for (let t = 0; t < 2; t++) {
+            const useClosers = clutch && this.team[t].player.some(p => p.closer);
+
             // Overall values scaled by fatigue
             const ovrs = [];
             for (let p = 0; p < this.team[t].player.length; p++) {
                 // Injured or fouled out players can't play
-                if (this.team[t].player[p].injured || this.team[t].player[p].stat.pf >= 6) {
+                if (this.team[t].player[p].injured || this.team[t].player[p].stat.pf >= g.foulsNeededToFoulOut) {
                     ovrs[p] = -Infinity;
                 } else {
                     ovrs[p] = this.team[t].player[p].valueNoPot * fatigue(this.team[t].player[p].stat.energy) * this.team[t].player[p].ptModifier * random.uniform(0.9, 1.1);
+
+                    // The closing lineup replaces target minutes in clutch time, unless a closer is exhausted
+                    if (useClosers) {
+                        if (this.team[t].player[p].closer && fatigue(this.team[t].player[p].stat.energy) > 0.5) {
+                            ovrs[p] *= 100;
+                        }
+                    } else {
+                        ovrs[p] *= this.minutesFactor(t, p);
+                    }
+
+                    if (this.inFoulTrouble(t, p)) {
+                        ovrs[p] *= 0.5;
+                    }
                 }
             }
 
@@ -348,7 +571,11 @@ class GameSim {
                 this.playersOnCourt[t][i] = p;
                 // Loop through bench players (in order of current roster position) to see if any should be subbed in)
                 for (let b = 0; b < this.team[t].player.length; b++) {
-                    if (!this.playersOnCourt[t].includes(b) && ((this.team[t].player[p].stat.courtTime > 3 && this.team[t].player[b].stat.benchTime > 3 && ovrs[b] > ovrs[p]) || ((this.team[t].player[p].injured || this.team[t].player[p].stat.pf >= 6) && (!this.team[t].player[b].injured && this.team[t].player[b].stat.pf < 6)))) {
+                    // Closers check in right away, without waiting for the normal rotation
+                    const closerIn = useClosers && this.team[t].player[b].closer && !this.team[t].player[p].closer && ovrs[b] > ovrs[p];
+                    // Same for getting a player in foul trouble off the court
+                    const foulTroubleOut = this.inFoulTrouble(t, p) && ovrs[b] > ovrs[p];
+                    if (!this.playersOnCourt[t].includes(b) && ((this.team[t].player[p].stat.courtTime > 3 && this.team[t].player[b].stat.benchTime > 3 && ovrs[b] > ovrs[p]) || closerIn || foulTroubleOut || ((this.team[t].player[p].injured || this.team[t].player[p].stat.pf >= g.foulsNeededToFoulOut) && (!this.team[t].player[b].injured && this.team[t].player[b].stat.pf < g.foulsNeededToFoulOut)))) {
                         // Check if position of substitute makes for a valid lineup
                         const pos = [];
                         for (let j = 0; j < this.playersOnCourt[t].length; j++) {
@@ -376,7 +603,8 @@ class GameSim {
                                 numC += 1;
                             }
                         }
-                        if ((numG < 2 && numPG === 0) || (numF < 2 && numC === 0)) {
+                        // The user picked the closing lineup, so don't second guess its positions
+                        if (!closerIn && ((numG < 2 && numPG === 0) || (numF < 2 && numC === 0))) {
                             if (fatigue(this.team[t].player[p].stat.energy) > 0.7) {
                                 // Exception for ridiculously tired players, so really unbalanced teams won't play starters whole game
                                 continue;
@@ -405,7 +633,7 @@ class GameSim {
 
                         // It's only a "substitution" if it's not the starting lineup
                         if (this.startersRecorded) {
-                            this.recordPlay("sub", t, [this.team[t].player[b].name, this.team[t].player[p].name]);
+                            this.recordPlay("sub", t, [this.team[t].player[b], this.team[t].player[p]]);
                         }
                         break;
                     }
@@ -496,7 +724,7 @@ class GameSim {
      */
     updateTeamCompositeRatings() {
         // Only update ones that are actually used
-        const toUpdate = ["dribbling", "passing", "rebounding", "defense", "defensePerimeter", "blocking"];
+        const toUpdate = ["dribbling", "passing", "rebounding", "defense", "defensePerimeter", "blocking", "fouling"];
 
         for (let t = 0; t < 2; t++) {
             for (let j = 0; j < toUpdate.length; j++) {
@@ -520,6 +748,19 @@ class GameSim {
         }
     }
 
+    /**
+     * Extra fatigue from tactics.
+     *
+     * Playing fast, pressing, and crashing the boards all wear players down, and the opposite settings let them save energy.
+     *
+     * @param {number} t Team (0 or 1).
+     * @return {number} Factor to multiply energy lost on the court by.
+     */
+    tacticsFatigue(t: TeamNum): number {
+        const tactics = this.team[t].tactics;
+        return 1 + 0.05 * (tactics.pace + tactics.pressure + tactics.crashBoards);
+    }
+
     /**
      * Update playing time stats.
      *
@@ -527,13 +768,15 @@ class GameSim {
      */
     updatePlayingTime(possessionTime: number) {
         for (let t = 0; t < 2; t++) {
+            this.recordLineupStat(t, "min", possessionTime);
+
             // Update minutes (overall, court, and bench)
             for (let p = 0; p < this.team[t].player.length; p++) {
                 if (this.playersOnCourt[t].includes(p)) {
                     this.recordStat(t, p, "min", possessionTime);
                     this.recordStat(t, p, "courtTime", possessionTime);
                     // This used to be 0.04. Increase more to lower PT
-                    this.recordStat(t, p, "energy", -possessionTime * 0.06 * (1 - this.team[t].player[p].compositeRating.endurance));
+                    this.recordStat(t, p, "energy", -possessionTime * 0.06 * (1 - this.team[t].player[p].compositeRating.endurance) * this.tacticsFatigue(t));
                     if (this.team[t].player[p].stat.energy < 0) {
                         this.team[t].player[p].stat.energy = 0;
                     }
@@ -565,10 +808,10 @@ class GameSim {
                 // Only players on the court can be injured
                 if (this.playersOnCourt[t].includes(p)) {
                     // According to data/injuries.ods, 0.25 injuries occur every game. Divided over 10 players and ~200 possessions, that means each player on the court has P = 0.25 / 10 / 200 = 0.000125 probability of being injured this play.
-                    if (Math.random() < 0.000125) {
+                    if (random.random() < 0.000125) {
                         this.team[t].player[p].injured = true;
                         newInjury = true;
-                        this.recordPlay("injury", t, [this.team[t].player[p].name]);
+                        this.recordPlay("injury", t, [this.team[t].player[p]]);
                     }
                 }
             }
@@ -580,22 +823,190 @@ class GameSim {
         }
     }
 
+    /**
+     * Late game strategy for the current possession, in the last 2 minutes of regulation or overtime.
+     *
+     * A trailing defense fouls to stop the clock when it's running out of time. A leading offense milks the shot clock, or dribbles out the game clock if it's below the shot clock (or if there is no shot clock). A tied offense holds for the last shot, and a trailing offense hurries, looking for a quick two when it's close and a three when it's down 3 or more with little time left.
+     *
+     * @return {?Object} Strategy for this possession, or null if the possession should be played normally.
+     */
+    lateGameStrategy(): LateGameStrategy | null {
+        if (this.team[0].stat.ptsQtrs.length < g.numPeriods || this.t > LATE_GAME_MIN) {
+            return null;
+        }
+
+        const margin = this.team[this.o].stat.pts - this.team[this.d].stat.pts;
+        const canRunOutClock = this.t <= this.shotClockRemaining;
+        const lastShot = this.t <= LAST_SHOT_MIN;
+
+        if (margin > 0) {
+            // With a bigger deficit, start fouling earlier, but only if there's enough time left to make it up
+            if ((margin <= 3 && canRunOutClock) || (margin > 3 && this.t <= 0.1 * margin && margin <= 4 + 10 * this.t)) {
+                return {
+                    foul: true,
+                    possessionTime: random.uniform(0.02, 0.08),
+                    shotSelection: 'any',
+                };
+            }
+
+            if (canRunOutClock) {
+                return {
+                    foul: false,
+                    possessionTime: this.t,
+                    shotSelection: 'none',
+                };
+            }
+
+            return {
+                foul: false,
+                possessionTime: Math.max(this.shotClockRemaining - random.uniform(0.02, 0.07), 0.01),
+                shotSelection: 'any',
+            };
+        }
+
+        // Leading by 3 at the end, so foul to prevent a game tying three (not every coach does this)
+        if (margin === -3 && this.t <= 0.1 && random.random() < 0.5) {
+            return {
+                foul: true,
+                possessionTime: random.uniform(0.01, 0.03),
+                shotSelection: 'any',
+            };
+        }
+
+        if (lastShot) {
+            if (margin === 0) {
+                // Hold for the last shot
+                return {
+                    foul: false,
+                    possessionTime: Math.max(this.t - random.uniform(0, 0.05), 0.01),
+                    shotSelection: 'any',
+                };
+            }
+
+            if (margin >= -2 || (margin === -3 && this.t > 0.15)) {
+                // Leave a few seconds for a rebound or a foul
+                return {
+                    foul: false,
+                    possessionTime: Math.max(this.t - random.uniform(0.05, 0.15), 0.01),
+                    shotSelection: 'two',
+                };
+            }
+
+            return {
+                foul: false,
+                possessionTime: random.uniform(0.08, 0.15),
+                shotSelection: 'threePointer',
+            };
+        }
+
+        if (margin < 0) {
+            return {
+                foul: false,
+                possessionTime: random.uniform(0.1, 0.2),
+                shotSelection: margin < -3 && this.t <= 1 ? 'threePointer' : 'two',
+            };
+        }
+
+        return null;
+    }
+
     /**
      * Simulate a single possession.
      *
-     * @return {string} Outcome of the possession, such as "tov", "drb", "orb", "fg", etc.
+     * @param {string} shotSelection Type of shot the offense is looking for, from this.lateGameStrategy. "none" means the offense runs out the clock without shooting.
+     * @return {string} Outcome of the possession, such as "tov", "drb", "orb", "fg", "nonShootingFoul", etc.
      */
-    getPossessionOutcome() {
+    getPossessionOutcome(shotSelection?: ShotSelection = 'any') {
+        if (shotSelection === 'none') {
+            this.recordPlay("runOutClock", this.o);
+            return null;
+        }
+
         // Turnover?
-        if (this.probTov() > Math.random()) {
+        if (this.probTov() > random.random()) {
             return this.doTov(); // tov
         }
 
-        // Shot if there is no turnover
+        if (this.probNonShootingFoul() > random.random()) {
+            return this.doNonShootingFoul(); // nonShootingFoul, fg, orb, or drb
+        }
+
+        // Shot if there is no turnover or foul. When a three is needed, the ball goes to the best shooters.
+        const ratios = shotSelection === 'threePointer' ? this.ratingArray("shootingThreePointer", this.o, 2) : this.ratingArray("usage", this.o);
+        const shooter = pickPlayer(ratios);
+
+        return this.doShot(shooter, shotSelection); // fg, orb, or drb
+    }
+
+    /**
+     * Intentional foul to stop the clock.
+     *
+     * The offense tries to get the ball to its best free throw shooters. If the defense isn't in the penalty yet, it's just a foul to give.
+     *
+     * @return {string} Output of this.doPenaltyFt.
+     */
+    doIntentionalFoul() {
+        const ratios = this.ratingArray("shootingFT", this.o, 2);
+        const shooter = pickPlayer(ratios);
+
+        this.doPf(this.d, true);
+        return this.doPenaltyFt(shooter); // nonShootingFoul, fg, orb, or drb
+    }
+
+    /**
+     * Probability of a non-shooting foul on the defense in the current possession, like a reach in or a foul away from the ball.
+     *
+     * @return {number} Probability from 0 to 1.
+     */
+    probNonShootingFoul() {
+        return 0.12 * this.team[this.d].compositeRating.fouling * (1 + 0.1 * this.team[this.d].tactics.pressure);
+    }
+
+    /**
+     * Non-shooting foul.
+     *
+     * @return {string} Output of this.doPenaltyFt.
+     */
+    doNonShootingFoul() {
         const ratios = this.ratingArray("usage", this.o);
         const shooter = pickPlayer(ratios);
 
-        return this.doShot(shooter); // fg, orb, or drb
+        this.doPf(this.d);
+        return this.doPenaltyFt(shooter); // nonShootingFoul, fg, orb, or drb
+    }
+
+    /**
+     * Number of free throws for a non-shooting foul, based on the defense's team fouls and g.foulsUntilBonus. Call this after the foul is recorded.
+     *
+     * @return {number} 0 if the defense isn't in the penalty, 1 for a 1-and-1, or 2.
+     */
+    penaltyFreeThrows(): 0 | 1 | 2 {
+        const [oneAndOne, two, twoLastTwoMin] = g.foulsUntilBonus;
+        const pfQtrs = this.team[this.d].stat.pfQtrs;
+        const fouls = pfQtrs[pfQtrs.length - 1];
+
+        if (fouls >= two || (this.t <= 2 && this.foulsLastTwoMin[this.d] >= twoLastTwoMin)) {
+            return 2;
+        }
+        if (fouls >= oneAndOne) {
+            return 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Free throws after a non-shooting foul, if the defense is in the penalty.
+     *
+     * @param {number} shooter Integer from 0 to 4 representing the index of this.playersOnCourt[this.o] for the fouled player.
+     * @return {string} "nonShootingFoul" if the offense just keeps the ball, otherwise output of this.doFt.
+     */
+    doPenaltyFt(shooter: PlayerNumOnCourt) {
+        const numFt = this.penaltyFreeThrows();
+        if (numFt === 0) {
+            return "nonShootingFoul";
+        }
+
+        return this.doFt(shooter, 2, numFt === 1); // fg, orb, or drb
     }
 
     /**
@@ -604,7 +1015,7 @@ class GameSim {
      * @return {number} Probability from 0 to 1.
      */
     probTov() {
-        return 0.13 * (1 + this.team[this.d].compositeRating.defense) / (1 + 0.5 * (this.team[this.o].compositeRating.dribbling + this.team[this.o].compositeRating.passing));
+        return 0.13 * (1 + this.team[this.d].compositeRating.defense) * (1 + 0.05 * this.team[this.d].tactics.pressure) / (1 + 0.5 * (this.team[this.o].compositeRating.dribbling + this.team[this.o].compositeRating.passing));
     }
 
     /**
@@ -616,11 +1027,25 @@ class GameSim {
         const ratios = this.ratingArray("turnovers", this.o, 0.5);
         const p = this.playersOnCourt[this.o][pickPlayer(ratios)];
         this.recordStat(this.o, p, "tov");
-        if (this.probStl() > Math.random()) {
+        if (this.probStl() > random.random()) {
             return this.doStl(p); // "stl"
         }
 
-        this.recordPlay("tov", this.o, [this.team[this.o].player[p].name]);
+        this.recordPlay("tov", this.o, [this.team[this.o].player[p]]);
+
+        return "tov";
+    }
+
+    /**
+     * Shot clock violation, which is a turnover charged to the player with the ball.
+     *
+     * @return {string} "tov"
+     */
+    doShotClockViolation() {
+        const ratios = this.ratingArray("usage", this.o);
+        const p = this.playersOnCourt[this.o][pickPlayer(ratios)];
+        this.recordStat(this.o, p, "tov");
+        this.recordPlay("shotClock", this.o, [this.team[this.o].player[p]]);
 
         return "tov";
     }
@@ -632,7 +1057,7 @@ class GameSim {
      * @return {number} Probability from 0 to 1.
      */
     probStl() {
-        return 0.55 * this.team[this.d].compositeRating.defensePerimeter / (0.5 * (this.team[this.o].compositeRating.dribbling + this.team[this.o].compositeRating.passing));
+        return 0.55 * this.team[this.d].compositeRating.defensePerimeter * (1 + 0.15 * this.team[this.d].tactics.pressure) / (0.5 * (this.team[this.o].compositeRating.dribbling + this.team[this.o].compositeRating.passing));
     }
 
     /**
@@ -644,7 +1069,7 @@ class GameSim {
         const ratios = this.ratingArray("stealing", this.d);
         const p = this.playersOnCourt[this.d][pickPlayer(ratios)];
         this.recordStat(this.d, p, "stl");
-        this.recordPlay("stl", this.d, [this.team[this.d].player[p].name, this.team[this.o].player[pStoleFrom].name]);
+        this.recordPlay("stl", this.d, [this.team[this.d].player[p], this.team[this.o].player[pStoleFrom]]);
 
         return "stl";
     }
@@ -653,16 +1078,17 @@ class GameSim {
      * Shot.
      *
      * @param {number} shooter Integer from 0 to 4 representing the index of this.playersOnCourt[this.o] for the shooting player.
+     * @param {string} shotSelection "threePointer" to force a three pointer, "two" to never shoot one, or "any".
      * @return {string} Either "fg" or output of this.doReb, depending on make or miss and free throws.
      */
-    doShot(shooter: PlayerNumOnCourt) {
+    doShot(shooter: PlayerNumOnCourt, shotSelection?: ShotSelection = 'any') {
         const p = this.playersOnCourt[this.o][shooter];
 
         const currentFatigue = fatigue(this.team[this.o].player[p].stat.energy);
 
         // Is this an "assisted" attempt (i.e. an assist will be recorded if it's made)
         let passer;
-        if (this.probAst() > Math.random()) {
+        if (this.probAst() > random.random()) {
             const ratios = this.ratingArray("passing", this.o, 2);
             passer = pickPlayer(ratios, shooter);
         }
@@ -672,16 +1098,19 @@ class GameSim {
         let probMake;
         let probMissAndFoul;
         let type;
-        if (this.team[this.o].player[p].compositeRating.shootingThreePointer > 0.5 && Math.random() < (0.35 * this.team[this.o].player[p].compositeRating.shootingThreePointer)) {
+        const tactics = this.team[this.o].tactics;
+        const tpDistanceDiff = 23.75 - g.threePointDistance; // Each foot closer than the NBA line means more and easier three pointers
+        if (shotSelection === 'threePointer' || (shotSelection !== 'two' && this.team[this.o].player[p].compositeRating.shootingThreePointer > 0.5 && random.random() < (0.35 * this.team[this.o].player[p].compositeRating.shootingThreePointer * (1 + 0.2 * tactics.threePoint) * (1 + 0.15 * tpDistanceDiff)))) {
             // Three pointer
             type = "threePointer";
             probMissAndFoul = 0.02;
-            probMake = this.team[this.o].player[p].compositeRating.shootingThreePointer * 0.35 + 0.24;
+            probMake = this.team[this.o].player[p].compositeRating.shootingThreePointer * 0.35 + 0.24 + 0.015 * tpDistanceDiff;
             probAndOne = 0.01;
         } else {
-            const r1 = Math.random() * this.team[this.o].player[p].compositeRating.shootingMidRange;
-            const r2 = Math.random() * (this.team[this.o].player[p].compositeRating.shootingAtRim + this.synergyFactor * (this.team[this.o].synergy.off - this.team[this.d].synergy.def)); // Synergy makes easy shots either more likely or less likely
-            const r3 = Math.random() * (this.team[this.o].player[p].compositeRating.shootingLowPost + this.synergyFactor * (this.team[this.o].synergy.off - this.team[this.d].synergy.def)); // Synergy makes easy shots either more likely or less likely
+            const interiorFactor = 1 + 0.15 * tactics.interior; // Interior focus trades mid range jumpers for shots at the rim and post ups
+            const r1 = random.random() * this.team[this.o].player[p].compositeRating.shootingMidRange;
+            const r2 = random.random() * (this.team[this.o].player[p].compositeRating.shootingAtRim + this.synergyFactor * (this.team[this.o].synergy.off - this.team[this.d].synergy.def)) * interiorFactor; // Synergy makes easy shots either more likely or less likely
+            const r3 = random.random() * (this.team[this.o].player[p].compositeRating.shootingLowPost + this.synergyFactor * (this.team[this.o].synergy.off - this.team[this.d].synergy.def)) * interiorFactor; // Synergy makes easy shots either more likely or less likely
             if (r1 > r2 && r1 > r3) {
                 // Two point jumper
                 type = "midRange";
@@ -705,26 +1134,35 @@ class GameSim {
 
         probMake = (probMake - 0.25 * this.team[this.d].compositeRating.defense + this.synergyFactor * (this.team[this.o].synergy.off - this.team[this.d].synergy.def)) * currentFatigue;
 
+        // Pressure defense gambles more, so it gives up more fouls and slightly easier shots when it doesn't force a turnover
+        const pressure = this.team[this.d].tactics.pressure;
+        probMake += 0.01 * pressure;
+        probMissAndFoul *= 1 + 0.1 * pressure;
+        probAndOne *= 1 + 0.1 * pressure;
+
         // Assisted shots are easier
         if (passer !== undefined) {
             probMake += 0.025;
         }
 
-        if (this.probBlk() > Math.random()) {
-            return this.doBlk(shooter, type); // orb or drb
+        const location = getShotLocation(type);
+
+        if (this.probBlk() > random.random()) {
+            return this.doBlk(shooter, type, location); // orb or drb
         }
 
         // Make
-        if (probMake > Math.random()) {
+        if (probMake > random.random()) {
             // And 1
-            if (probAndOne > Math.random()) {
-                return this.doFg(shooter, passer, type, true); // fg, orb, or drb
+            if (probAndOne > random.random()) {
+                return this.doFg(shooter, passer, type, location, true); // fg, orb, or drb
             }
-            return this.doFg(shooter, passer, type); // fg
+            return this.doFg(shooter, passer, type, location); // fg
         }
 
         // Miss, but fouled
-        if (probMissAndFoul > Math.random()) {
+        if (probMissAndFoul > random.random()) {
+            this.doPf(this.d);
             if (type === "threePointer") {
                 return this.doFt(shooter, 3); // fg, orb, or drb
             }
@@ -733,18 +1171,19 @@ class GameSim {
 
         // Miss
         this.recordStat(this.o, p, "fga");
+        this.recordShot(p, type, location, false);
         if (type === "atRim") {
             this.recordStat(this.o, p, "fgaAtRim");
-            this.recordPlay("missAtRim", this.o, [this.team[this.o].player[p].name]);
+            this.recordPlay("missAtRim", this.o, [this.team[this.o].player[p]], {shot: location});
         } else if (type === "lowPost") {
             this.recordStat(this.o, p, "fgaLowPost");
-            this.recordPlay("missLowPost", this.o, [this.team[this.o].player[p].name]);
+            this.recordPlay("missLowPost", this.o, [this.team[this.o].player[p]], {shot: location});
         } else if (type === "midRange") {
             this.recordStat(this.o, p, "fgaMidRange");
-            this.recordPlay("missMidRange", this.o, [this.team[this.o].player[p].name]);
+            this.recordPlay("missMidRange", this.o, [this.team[this.o].player[p]], {shot: location});
         } else if (type === "threePointer") {
             this.recordStat(this.o, p, "tpa");
-            this.recordPlay("missTp", this.o, [this.team[this.o].player[p].name]);
+            this.recordPlay("missTp", this.o, [this.team[this.o].player[p]], {shot: location});
         }
         return this.doReb(); // orb or drb
     }
@@ -762,12 +1201,15 @@ class GameSim {
      * Blocked shot.
      *
      * @param {number} shooter Integer from 0 to 4 representing the index of this.playersOnCourt[this.o] for the shooting player.
+     * @param {string} type Type of shot.
+     * @param {Object} location Output of getShotLocation.
      * @return {string} Output of this.doReb.
      */
-    doBlk(shooter: PlayerNumOnCourt, type: ShotType) {
+    doBlk(shooter: PlayerNumOnCourt, type: ShotType, location: ShotLocation) {
         const p = this.playersOnCourt[this.o][shooter];
         this.recordStat(this.o, p, "ba");
         this.recordStat(this.o, p, "fga");
+        this.recordShot(p, type, location, false);
         if (type === "atRim") {
             this.recordStat(this.o, p, "fgaAtRim");
         } else if (type === "lowPost") {
@@ -784,13 +1226,13 @@ class GameSim {
 
 
         if (type === "atRim") {
-            this.recordPlay("blkAtRim", this.d, [this.team[this.d].player[p2].name, this.team[this.o].player[p].name]);
+            this.recordPlay("blkAtRim", this.d, [this.team[this.d].player[p2], this.team[this.o].player[p]], {shot: location});
         } else if (type === "lowPost") {
-            this.recordPlay("blkLowPost", this.d, [this.team[this.d].player[p2].name, this.team[this.o].player[p].name]);
+            this.recordPlay("blkLowPost", this.d, [this.team[this.d].player[p2], this.team[this.o].player[p]], {shot: location});
         } else if (type === "midRange") {
-            this.recordPlay("blkMidRange", this.d, [this.team[this.d].player[p2].name, this.team[this.o].player[p].name]);
+            this.recordPlay("blkMidRange", this.d, [this.team[this.d].player[p2], this.team[this.o].player[p]], {shot: location});
         } else if (type === "threePointer") {
-            this.recordPlay("blkTp", this.d, [this.team[this.d].player[p2].name, this.team[this.o].player[p].name]);
+            this.recordPlay("blkTp", this.d, [this.team[this.d].player[p2], this.team[this.o].player[p]], {shot: location});
         }
 
         return this.doReb(); // orb or drb
@@ -803,41 +1245,45 @@ class GameSim {
      *
      * @param {number} shooter Integer from 0 to 4 representing the index of this.playersOnCourt[this.o] for the shooting player.
      * @param {number} shooter Integer from 0 to 4 representing the index of this.playersOnCourt[this.o] for the passing player, who will get an assist. -1 if no assist.
-     * @param {number} type 2 for a two pointer, 3 for a three pointer.
+     * @param {string} type Type of shot.
+     * @param {Object} location Output of getShotLocation.
+     * @param {boolean} andOne Was the shooter fouled?
      * @return {string} fg, orb, or drb (latter two are for and ones)
      */
-    doFg(shooter: PlayerNumOnCourt, passer?: PlayerNumOnCourt, type: ShotType, andOne?: boolean = false) {
+    doFg(shooter: PlayerNumOnCourt, passer?: PlayerNumOnCourt, type: ShotType, location: ShotLocation, andOne?: boolean = false) {
         const p = this.playersOnCourt[this.o][shooter];
         this.recordStat(this.o, p, "fga");
         this.recordStat(this.o, p, "fg");
         this.recordStat(this.o, p, "pts", 2); // 2 points for 2's
+        this.recordShot(p, type, location, true);
         if (type === "atRim") {
             this.recordStat(this.o, p, "fgaAtRim");
             this.recordStat(this.o, p, "fgAtRim");
-            this.recordPlay(andOne ? 'fgAtRimAndOne' : 'fgAtRim', this.o, [this.team[this.o].player[p].name]);
+            this.recordPlay(andOne ? 'fgAtRimAndOne' : 'fgAtRim', this.o, [this.team[this.o].player[p]], {shot: location});
         } else if (type === "lowPost") {
             this.recordStat(this.o, p, "fgaLowPost");
             this.recordStat(this.o, p, "fgLowPost");
-            this.recordPlay(andOne ? 'fgLowPostAndOne' : 'fgLowPost', this.o, [this.team[this.o].player[p].name]);
+            this.recordPlay(andOne ? 'fgLowPostAndOne' : 'fgLowPost', this.o, [this.team[this.o].player[p]], {shot: location});
         } else if (type === "midRange") {
             this.recordStat(this.o, p, "fgaMidRange");
             this.recordStat(this.o, p, "fgMidRange");
-            this.recordPlay(andOne ? 'fgMidRangeAndOne' : 'fgMidRange', this.o, [this.team[this.o].player[p].name]);
+            this.recordPlay(andOne ? 'fgMidRangeAndOne' : 'fgMidRange', this.o, [this.team[this.o].player[p]], {shot: location});
         } else if (type === "threePointer") {
             this.recordStat(this.o, p, "pts"); // Extra point for 3's
             this.recordStat(this.o, p, "tpa");
             this.recordStat(this.o, p, "tp");
-            this.recordPlay(andOne ? 'tpAndOne' : 'tp', this.o, [this.team[this.o].player[p].name]);
+            this.recordPlay(andOne ? 'tpAndOne' : 'tp', this.o, [this.team[this.o].player[p]], {shot: location});
         }
         this.recordLastScore(this.o, p, type, this.t);
 
         if (passer !== undefined) {
             const p2 = this.playersOnCourt[this.o][passer];
             this.recordStat(this.o, p2, "ast");
-            this.recordPlay("ast", this.o, [this.team[this.o].player[p2].name]);
+            this.recordPlay("ast", this.o, [this.team[this.o].player[p2]]);
         }
 
         if (andOne) {
+            this.doPf(this.d);
             return this.doFt(shooter, 1); // fg, orb, or drb
         }
         return "fg";
@@ -906,7 +1352,7 @@ class GameSim {
         } else {
             eventText += (play.type === "ft" ? ' with no time on the clock' : ' at the buzzer');
         }
-        eventText += ` to force ${helpers.overtimeCounter(this.team[0].stat.ptsQtrs.length - 3)} overtime`;
+        eventText += ` to force ${helpers.overtimeCounter(this.team[0].stat.ptsQtrs.length - g.numPeriods + 1)} overtime`;
 
         this.clutchPlays.push({
             type: "playerFeat",
@@ -994,8 +1440,8 @@ class GameSim {
     }
 
     recordLastScore(teamnum: TeamNum, playernum: number, type: ShotType, time: number) {
-        // only record plays in the fourth quarter or overtime...
-        if (this.team[0].stat.ptsQtrs.length < 4) { return; }
+        // only record plays in the last period of regulation or overtime...
+        if (this.team[0].stat.ptsQtrs.length < g.numPeriods) { return; }
         // ...in the last 24 seconds...
         if (time > 0.4) { return; }
         // ...when the lead is 3 or less
@@ -1020,25 +1466,31 @@ class GameSim {
     /**
      * Free throw.
      *
+     * The foul should already be recorded with this.doPf.
+     *
      * @param {number} shooter Integer from 0 to 4 representing the index of this.playersOnCourt[this.o] for the shooting player.
      * @param {number} amount Integer representing the number of free throws to shoot
+     * @param {boolean} oneAndOne If true, the second free throw is only shot if the first one is made.
      * @return {string} "fg" if the last free throw is made; otherwise, this.doReb is called and its output is returned.
      */
-    doFt(shooter: PlayerNumOnCourt, amount: number) {
-        this.doPf(this.d);
+    doFt(shooter: PlayerNumOnCourt, amount: number, oneAndOne?: boolean = false) {
         const p = this.playersOnCourt[this.o][shooter];
 
         let outcome;
         for (let i = 0; i < amount; i++) {
+            if (oneAndOne && i > 0 && outcome !== "fg") {
+                break;
+            }
+
             this.recordStat(this.o, p, "fta");
-            if (Math.random() < this.team[this.o].player[p].compositeRating.shootingFT * 0.3 + 0.6) { // Between 60% and 90%
+            if (random.random() < this.team[this.o].player[p].compositeRating.shootingFT * 0.3 + 0.6) { // Between 60% and 90%
                 this.recordStat(this.o, p, "ft");
                 this.recordStat(this.o, p, "pts");
-                this.recordPlay("ft", this.o, [this.team[this.o].player[p].name]);
+                this.recordPlay("ft", this.o, [this.team[this.o].player[p]]);
                 outcome = "fg";
                 this.recordLastScore(this.o, p, "ft", this.t);
             } else {
-                this.recordPlay("missFt", this.o, [this.team[this.o].player[p].name]);
+                this.recordPlay("missFt", this.o, [this.team[this.o].player[p]]);
                 outcome = null;
             }
         }
@@ -1051,18 +1503,35 @@ class GameSim {
     }
 
     /**
-     * Personal foul.
+     * Personal foul, which also counts as a team foul.
      *
      * @param {number} t Team (0 or 1, this.o or this.d).
+     * @param {boolean} intentional Is this an intentional foul to stop the clock?
      */
-    doPf(t: TeamNum) {
-        const ratios = this.ratingArray("fouling", t);
-        const p = this.playersOnCourt[t][pickPlayer(ratios)];
+    doPf(t: TeamNum, intentional?: boolean = false) {
+        let p;
+        if (intentional) {
+            // Intentional fouls come from whoever can best afford another foul
+            p = this.playersOnCourt[t].reduce((best, p2) => (this.team[t].player[p2].stat.pf < this.team[t].player[best].stat.pf ? p2 : best));
+        } else {
+            const ratios = this.ratingArray("fouling", t);
+            p = this.playersOnCourt[t][pickPlayer(ratios)];
+        }
         this.recordStat(this.d, p, "pf");
-        this.recordPlay("pf", this.d, [this.team[this.d].player[p].name]);
+        if (this.t <= 2) {
+            this.foulsLastTwoMin[this.d] += 1;
+        }
+
+        const pfQtrs = this.team[this.d].stat.pfQtrs;
+        const teamFouls = pfQtrs[pfQtrs.length - 1];
+        let teamFoulsText = `${teamFouls} team foul${teamFouls === 1 ? "" : "s"}`;
+        if (this.penaltyFreeThrows() > 0) {
+            teamFoulsText += ", in the penalty";
+        }
+        this.recordPlay(intentional ? "pfIntentional" : "pf", this.d, [this.team[this.d].player[p]], {teamFouls: teamFoulsText});
         // Foul out
-        if (this.team[this.d].player[p].stat.pf >= 6) {
-            this.recordPlay("foulOut", this.d, [this.team[this.d].player[p].name]);
+        if (this.team[this.d].player[p].stat.pf >= g.foulsNeededToFoulOut) {
+            this.recordPlay("foulOut", this.d, [this.team[this.d].player[p]]);
             // Force substitutions now
             this.updatePlayersOnCourt();
             this.updateSynergy();
@@ -1080,15 +1549,16 @@ class GameSim {
         let p;
         let ratios;
 
-        if (Math.random() < 0.15) {
+        if (random.random() < 0.15) {
             return null;
         }
 
-        if (0.75 * (2 + this.team[this.d].compositeRating.rebounding) / (2 + this.team[this.o].compositeRating.rebounding) > Math.random()) {
+        // Crashing the offensive glass gets more offensive rebounds
+        if (0.75 * (2 + this.team[this.d].compositeRating.rebounding) / (2 + this.team[this.o].compositeRating.rebounding) - 0.03 * this.team[this.o].tactics.crashBoards > random.random()) {
             ratios = this.ratingArray("rebounding", this.d);
             p = this.playersOnCourt[this.d][pickPlayer(ratios)];
             this.recordStat(this.d, p, "drb");
-            this.recordPlay("drb", this.d, [this.team[this.d].player[p].name]);
+            this.recordPlay("drb", this.d, [this.team[this.d].player[p]]);
 
             return "drb";
         }
@@ -1096,7 +1566,7 @@ class GameSim {
         ratios = this.ratingArray("rebounding", this.o);
         p = this.playersOnCourt[this.o][pickPlayer(ratios)];
         this.recordStat(this.o, p, "orb");
-        this.recordPlay("orb", this.o, [this.team[this.o].player[p].name]);
+        this.recordPlay("orb", this.o, [this.team[this.o].player[p]]);
 
         return "orb";
     }
@@ -1119,6 +1589,38 @@ class GameSim {
         return array;
     }
 
+    /**
+     * Save the location of a field goal attempt by a player on offense, for shot charts.
+     *
+     * @param {number} p Integer index of this.team[this.o].player for the shooter.
+     * @param {string} type Type of shot.
+     * @param {Object} location Output of getShotLocation.
+     * @param {boolean} made Was the shot made?
+     */
+    recordShot(p: number, type: ShotType, location: ShotLocation, made: boolean) {
+        this.team[this.o].player[p].shots.push({
+            made,
+            tp: type === "threePointer",
+            x: location.x,
+            y: location.y,
+        });
+    }
+
+    /**
+     * Increments a stat (s) for the five players currently on the court for a team (t) by amount (default is 1), for lineup and on/off stats.
+     *
+     * @param {number} t Team (0 or 1, this.or or this.d).
+     * @param {string} s Key for the property of the lineup in this.team[t].lineups to increment.
+     * @param {number} amt Amount to increment (default is 1).
+     */
+    recordLineupStat(t: TeamNum, s: LineupStat, amt?: number = 1) {
+        const key = this.playersOnCourt[t].map(p => this.team[t].player[p].id).sort((a, b) => a - b).join(",");
+        if (!this.team[t].lineups.hasOwnProperty(key)) {
+            this.team[t].lineups[key] = {min: 0, oppPoss: 0, oppPts: 0, poss: 0, pts: 0};
+        }
+        this.team[t].lineups[key][s] += amt;
+    }
+
     /**
      * Increments a stat (s) for a player (p) on a team (t) by amount (default is 1).
      *
@@ -1131,9 +1633,14 @@ class GameSim {
         this.team[t].player[p].stat[s] += amt;
         if (s !== "gs" && s !== "courtTime" && s !== "benchTime" && s !== "energy") {
             this.team[t].stat[s] += amt;
-            // Record quarter-by-quarter scoring too
+            // Record quarter-by-quarter team fouls and scoring too
+            if (s === "pf") {
+                this.team[t].stat.pfQtrs[this.team[t].stat.pfQtrs.length - 1] += amt;
+            }
             if (s === "pts") {
                 this.team[t].stat.ptsQtrs[this.team[t].stat.ptsQtrs.length - 1] += amt;
+                this.recordLineupStat(t, "pts", amt);
+                this.recordLineupStat(t === 0 ? 1 : 0, "oppPts", amt);
                 for (let i = 0; i < 2; i++) {
                     for (let j = 0; j < 5; j++) {
                         const k = this.playersOnCourt[i][j];
@@ -1154,13 +1661,25 @@ class GameSim {
         }
     }
 
-    recordPlay(type: PlayType, t?: TeamNum, names?: string[]) {
+    /**
+     * Add a play to the play-by-play, if it is being recorded.
+     *
+     * Each play is a structured event with the game clock, the score after the play, and the IDs of the players involved, in addition to the text that is shown to the user. Assists are not separate plays, they are attached to the most recent made shot.
+     *
+     * @param {string} type Type of play.
+     * @param {number} t Team (0 or 1) that the play is credited to, if any.
+     * @param {Array.<Object>} players Players involved in the play, in the order they appear in the text.
+     * @param {Object} details Shot location for field goal attempts, and team fouls for personal fouls.
+     */
+    recordPlay(type: PlayType, t?: TeamNum, players?: PlayerGameSim[] = [], details?: PlayDetails = {}) {
         let texts;
         if (this.playByPlay !== undefined) {
             if (type === "injury") {
                 texts = ["{0} was injured!"];
             } else if (type === "tov") {
                 texts = ["{0} turned the ball over"];
+            } else if (type === "shotClock") {
+                texts = ["Shot clock violation on {0}"];
             } else if (type === "stl") {
                 texts = ["{0} stole the ball from {1}"];
             } else if (type === "fgAtRim") {
@@ -1168,33 +1687,33 @@ class GameSim {
             } else if (type === "fgAtRimAndOne") {
                 texts = ["{0} made a dunk/layup and got fouled!"];
             } else if (type === "fgLowPost") {
-                texts = ["{0} made a low post shot"];
+                texts = ["{0} made a low post shot from {distance} ft"];
             } else if (type === "fgLowPostAndOne") {
-                texts = ["{0} made a low post shot and got fouled!"];
+                texts = ["{0} made a low post shot from {distance} ft and got fouled!"];
             } else if (type === "fgMidRange") {
-                texts = ["{0} made a mid-range shot"];
+                texts = ["{0} made a mid-range shot from {distance} ft"];
             } else if (type === "fgMidRangeAndOne") {
-                texts = ["{0} made a mid-range shot and got fouled!"];
+                texts = ["{0} made a mid-range shot from {distance} ft and got fouled!"];
             } else if (type === "tp") {
-                texts = ["{0} made a three pointer shot"];
+                texts = ["{0} made a three pointer from {distance} ft"];
             } else if (type === "tpAndOne") {
-                texts = ["{0} made a three pointer and got fouled!"];
+                texts = ["{0} made a three pointer from {distance} ft and got fouled!"];
             } else if (type === "blkAtRim") {
                 texts = ["{0} blocked {1}'s dunk/layup"];
             } else if (type === "blkLowPost") {
-                texts = ["{0} blocked {1}'s low post shot"];
+                texts = ["{0} blocked {1}'s low post shot from {distance} ft"];
             } else if (type === "blkMidRange") {
-                texts = ["{0} blocked {1}'s mid-range shot"];
+                texts = ["{0} blocked {1}'s mid-range shot from {distance} ft"];
             } else if (type === "blkTp") {
-                texts = ["{0} blocked {1}'s three pointer"];
+                texts = ["{0} blocked {1}'s three pointer from {distance} ft"];
             } else if (type === "missAtRim") {
                 texts = ["{0} missed a dunk/layup"];
             } else if (type === "missLowPost") {
-                texts = ["{0} missed a low post shot"];
+                texts = ["{0} missed a low post shot from {distance} ft"];
             } else if (type === "missMidRange") {
-                texts = ["{0} missed a mid-range shot"];
+                texts = ["{0} missed a mid-range shot from {distance} ft"];
             } else if (type === "missTp") {
-                texts = ["{0} missed a three pointer"];
+                texts = ["{0} missed a three pointer from {distance} ft"];
             } else if (type === "orb") {
                 texts = ["{0} grabbed the offensive rebound"];
             } else if (type === "drb") {
@@ -1202,15 +1721,21 @@ class GameSim {
             } else if (type === "ast") {
                 texts = ["(assist: {0})"];
             } else if (type === "quarter") {
-                texts = [`<b>Start of ${helpers.ordinal(this.team[0].stat.ptsQtrs.length)} quarter</b>`];
+                texts = [`Start of ${helpers.ordinal(this.team[0].stat.ptsQtrs.length)} ${helpers.periodName(g.numPeriods)}`];
             } else if (type === "overtime") {
-                texts = [`<b>Start of ${helpers.ordinal(this.team[0].stat.ptsQtrs.length - 4)} overtime period</b>`];
+                texts = [`Start of ${helpers.ordinal(this.team[0].stat.ptsQtrs.length - g.numPeriods)} overtime period`];
             } else if (type === "ft") {
                 texts = ["{0} made a free throw"];
             } else if (type === "missFt") {
                 texts = ["{0} missed a free throw"];
             } else if (type === "pf") {
-                texts = ["Foul on {0}"];
+                texts = ["Foul on {0} ({teamFouls})"];
+            } else if (type === "pfIntentional") {
+                texts = ["Intentional foul on {0} ({teamFouls})"];
+            } else if (type === "timeout") {
+                texts = ["Timeout"];
+            } else if (type === "runOutClock") {
+                texts = ["Ran out the clock"];
             } else if (type === "foulOut") {
                 texts = ["{0} fouled out"];
             } else if (type === "sub") {
@@ -1218,19 +1743,26 @@ class GameSim {
             }
 
             if (texts) {
+                const {shot, teamFouls} = details;
+
                 //text = random.choice(texts);
                 let text = texts[0];
-                if (names) {
-                    for (let i = 0; i < names.length; i++) {
-                        text = text.replace(`{${i}}`, names[i]);
-                    }
+                for (let i = 0; i < players.length; i++) {
+                    text = text.replace(`{${i}}`, players[i].name);
+                }
+                if (shot !== undefined) {
+                    text = text.replace("{distance}", String(Math.round(Math.sqrt(shot.x ** 2 + shot.y ** 2))));
+                }
+                if (teamFouls !== undefined) {
+                    text = text.replace("{teamFouls}", teamFouls);
                 }
 
                 if (type === "ast") {
                     // Find most recent made shot, count assist for it
                     for (let i = this.playByPlay.length - 1; i >= 0; i--) {
-                        if (this.playByPlay[i].type === "text") {
+                        if (this.playByPlay[i].type === "play") {
                             this.playByPlay[i].text += ` ${text}`;
+                            this.playByPlay[i].ast = players[0].id;
                             break;
                         }
                     }
@@ -1239,12 +1771,27 @@ class GameSim {
                     if (sec < 10) {
                         sec = `0${sec}`;
                     }
-                    this.playByPlay.push({
-                        type: "text",
-                        text,
+                    const play: Object = {
+                        type: "play",
+                        play: type,
                         t,
+                        qtr: this.team[0].stat.ptsQtrs.length - 1,
                         time: `${Math.floor(this.t)}:${sec}`,
-                    });
+                        score: [this.team[0].stat.pts, this.team[1].stat.pts],
+                        pids: players.map(p => p.id),
+                        text,
+                    };
+                    if (shot !== undefined) {
+                        // Blocks are credited to the defense, but the shot belongs to the offense
+                        play.shot = {
+                            made: type.startsWith("fg") || type.startsWith("tp"),
+                            pid: type.startsWith("blk") ? players[1].id : players[0].id,
+                            t: this.o,
+                            x: shot.x,
+                            y: shot.y,
+                        };
+                    }
+                    this.playByPlay.push(play);
                 }
             } else {
                 throw new Error(`No text for ${type}`);
@@ -3,6 +3,7 @@
 import Promise from 'bluebird';
 import g from '../globals';
 import * as ui from '../ui';
+import * as finances from './finances';
 import * as freeAgents from './freeAgents';
 import * as league from './league';
 import * as player from './player';
@@ -10,7 +11,7 @@ import * as team from './team';
 import logEvent from '../util/logEvent';
 import * as helpers from '../util/helpers';
 import * as lock from '../util/lock';
-import type {BackboardTx} from '../util/types';
+import type {BackboardTx, ContractStructure, PlayerContract} from '../util/types';
 
 /**
  * Start a new contract negotiation with a player.
@@ -23,7 +24,7 @@ import type {BackboardTx} from '../util/types';
  * @return {Promise.<string=>)} If an error occurs, resolve to a string error message.
  */
 async function create(tx: BackboardTx, pid: number, resigning: boolean, tid: number = g.userTid): Promise<string> {
-    if ((g.phase >= g.PHASE.AFTER_TRADE_DEADLINE && g.phase <= g.PHASE.RESIGN_PLAYERS) && !resigning) {
+    if ((g.phase >= g.PHASE.PLAYOFFS && g.phase <= g.PHASE.RESIGN_PLAYERS) && !resigning) {
         return "You're not allowed to sign free agents now.";
     }
 
@@ -105,6 +106,46 @@ async function cancelAll(tx: BackboardTx) {
     return ui.updatePlayMenu(tx);
 }
 
+const defaultStructure: ContractStructure = {
+    guaranteed: true,
+    option: null,
+    raise: 0,
+};
+
+/**
+ * How much a player's asking price changes for a given contract structure.
+ *
+ * With yearly raises, the first season's salary is lowered so the total value of the contract stays the same. Players ask for more money to give a team option or to not guarantee every season, and take less for a player option.
+ *
+ * @memberOf core.contractNegotiation
+ * @param {Object} structure Contract structure, with guaranteed, option, and raise properties.
+ * @param {number} years Length of the contract.
+ * @return {number} Factor to multiply the first season's salary by.
+ */
+function structureFactor(structure: ContractStructure, years: number): number {
+    if (years < 2) {
+        return 1;
+    }
+
+    let total = 0;
+    for (let i = 0; i < years; i++) {
+        total += (1 + structure.raise) ** i;
+    }
+    let factor = years / total;
+
+    if (structure.option === "player") {
+        factor *= 0.95;
+    } else if (structure.option === "team") {
+        factor *= 1.1;
+    }
+
+    if (!structure.guaranteed) {
+        factor *= 1.1;
+    }
+
+    return factor;
+}
+
 /**
  * Accept the player's offer.
  *
@@ -112,18 +153,22 @@ async function cancelAll(tx: BackboardTx) {
  *
  * @memberOf core.contractNegotiation
  * @param {number} pid An integer that must correspond with the player ID of a player in an ongoing negotiation.
+ * @param {number} amount Salary for the first season of the contract, in thousands of dollars.
+ * @param {number} exp Last season of the contract.
+ * @param {Object=} structure Raises, option, and guarantees for multi-year contracts.
  * @return {Promise.<string=>} If an error occurs, resolves to a string error message.
  */
-async function accept(pid: number, amount: number, exp: number): Promise<string> {
-    const [negotiation, payroll] = await Promise.all([
+async function accept(pid: number, amount: number, exp: number, structure?: ContractStructure = defaultStructure): Promise<string> {
+    const [negotiation, payroll, t] = await Promise.all([
         g.dbl.negotiations.get(pid),
         team.getPayroll(null, g.userTid).get(0),
+        g.dbl.teams.get(g.userTid),
     ]);
 
-    // If this contract brings team over the salary cap, it's not a minimum;
-    // contract, and it's not re-signing a current player, ERROR!
-    if (!negotiation.resigning && (payroll + amount > g.salaryCap && amount > g.minContract)) {
-        return "This contract would put you over the salary cap. You cannot go over the salary cap to sign free agents to contracts higher than the minimum salary. Either negotiate for a lower contract or cancel the negotiation.";
+    // If this contract brings team over the salary cap, it's not re-signing a current player, and no other exception applies, ERROR!
+    const capException = finances.getCapException(amount, payroll, negotiation.resigning, finances.getCapExceptionsUsed(t));
+    if (capException === null) {
+        return "This contract would put you over the salary cap. You cannot go over the salary cap to sign free agents unless it's a minimum contract or it fits in your remaining mid-level exception (if you're over the cap) or room exception (if you're under the cap). Either negotiate for a lower contract or cancel the negotiation.";
     }
 
     // This error is for sanity checking in multi team mode. Need to check for existence of negotiation.tid because it wasn't there originally and I didn't write upgrade code. Can safely get rid of it later.
@@ -136,20 +181,35 @@ async function accept(pid: number, amount: number, exp: number): Promise<string>
         negotiation.player.years -= 1;
     }
 
-    await g.dbl.tx(["players", "playerStats"], "readwrite", async tx => {
+    await g.dbl.tx(["players", "playerStats", "teams"], "readwrite", async tx => {
+        await tx.teams.put(finances.useCapException(t, capException, amount));
+
         await tx.players.iterate(pid, p => {
             p.tid = g.userTid;
-            p.gamesUntilTradable = 15;
+            p.gamesUntilTradable = g.untradableGamesAfterSigning;
 
             // Handle stats if the season is in progress
             if (g.phase <= g.PHASE.PLAYOFFS) { // Otherwise, not needed until next season
                 p = player.addStatsRow(tx, p, g.phase === g.PHASE.PLAYOFFS);
             }
 
-            p = player.setContract(p, {
+            const contract: PlayerContract = {
                 amount,
                 exp,
-            }, true);
+            };
+            const start = g.phase > g.PHASE.AFTER_TRADE_DEADLINE ? g.season + 1 : g.season;
+            if (exp > start) {
+                if (structure.raise !== 0) {
+                    contract.raise = structure.raise;
+                }
+                if (structure.option !== null) {
+                    contract.option = structure.option;
+                }
+                if (!structure.guaranteed) {
+                    contract.guaranteedThrough = start;
+                }
+            }
+            p = player.setContract(p, contract, true);
 
             if (negotiation.resigning) {
                 logEvent(null, {
@@ -178,9 +238,42 @@ async function accept(pid: number, amount: number, exp: number): Promise<string>
     league.updateLastDbChange();
 }
 
+/**
+ * Decline the team option on the last season of a player's contract, during the re-signing phase.
+ *
+ * The player's contract then expires this season, so a negotiation to re-sign him is started like for any other player with an expiring contract.
+ *
+ * @memberOf core.contractNegotiation
+ * @param {number} pid Player ID.
+ * @return {Promise.<string=>} If an error occurs, resolves to a string error message.
+ */
+async function declineTeamOption(pid: number): Promise<string | void> {
+    if (g.phase !== g.PHASE.RESIGN_PLAYERS) {
+        return "You can only decline team options while re-signing players.";
+    }
+
+    const error = await g.dbl.tx(["gameAttributes", "messages", "negotiations", "players", "teamSeasons"], "readwrite", async tx => {
+        const p = await tx.players.get(pid);
+        if (!g.userTids.includes(p.tid) || p.contract.option !== "team" || p.contract.exp !== g.season + 1) {
+            return `${p.firstName} ${p.lastName} does not have a team option for next season.`;
+        }
+
+        const tid = p.tid;
+        const baseMoods = await player.genBaseMoods(tx);
+        await player.addToFreeAgents(tx, player.resolveOption(p, false), g.PHASE.RESIGN_PLAYERS, baseMoods);
+        return create(tx, pid, true, tid);
+    });
+
+    league.updateLastDbChange();
+
+    return error;
+}
+
 export {
     accept,
     cancel,
     cancelAll,
     create,
+    declineTeamOption,
+    structureFactor,
 };
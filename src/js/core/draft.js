@@ -13,7 +13,7 @@ import * as team from './team';
 import * as helpers from '../util/helpers';
 import logEvent from '../util/logEvent';
 import * as random from '../util/random';
-import type {BackboardTx, PickRealized, TeamFiltered} from '../util/types';
+import type {BackboardTx, DraftType, PickRealized, TeamFiltered} from '../util/types';
 
 async function genPicks(tx: BackboardTx, season: number) {
     const promises = [];
@@ -147,7 +147,38 @@ function logAction(tid: number, text: string) {
     });
 }
 
-function logLotteryChances(chances: number[], teams: TeamFiltered[], draftOrder) {
+/**
+ * Description of a type of draft lottery, for the event log and the Draft Summary page.
+ *
+ * @memberOf core.draft
+ * @param {string} draftType Type of draft lottery, from g.draftType.
+ * @return {string}
+ */
+function lotteryTypeText(draftType: DraftType): string {
+    if (draftType === "nba2019") {
+        return "an NBA-style lottery with flattened odds (2019-present), where the top 4 picks are drawn and the 3 worst teams have equal chances";
+    }
+    if (draftType === "randomLottery") {
+        return "a random lottery, where every non-playoff team has an equal chance at every lottery pick";
+    }
+    if (draftType === "noLottery") {
+        return "no lottery, so teams pick in reverse order of their records";
+    }
+    if (draftType === "custom") {
+        return "a custom lottery";
+    }
+    return "an NBA-style lottery (1994-2018), where the top 3 picks are drawn and the worst team has the best chance";
+}
+
+function logLotteryChances(chances: number[], teams: TeamFiltered[], draftOrder, draftType: DraftType) {
+    logEvent(null, {
+        type: "draft",
+        text: `The order of the ${g.season} draft was determined by ${lotteryTypeText(draftType)}.`,
+        showNotification: false,
+        pids: [],
+        tids: [],
+    });
+
     for (let i = 0; i < chances.length; i++) {
         if (i < teams.length) {
             const origTm = teams[i].tid;
@@ -159,8 +190,8 @@ function logLotteryChances(chances: number[], teams: TeamFiltered[], draftOrder)
 }
 
 function logLotteryWinners(chances: number[], teams: TeamFiltered[], tm: number, origTm: number, pick: number) {
-    const idx = teams.find(t => t.tid === origTm);
-    if (idx !== undefined) {
+    const idx = teams.findIndex(t => t.tid === origTm);
+    if (idx >= 0) {
         let txt;
         if (chances[idx] < chances[pick - 1]) {
             txt = lotteryLogTxt(tm, 'movedup', pick);
@@ -247,46 +278,147 @@ function lotterySort(teams: TeamFiltered[]) {
 }
 
 /**
- * Sets draft order and save it to the draftOrder object store.
+ * Chances for each team in the draft lottery and the number of picks that are drawn.
  *
- * This is currently based on an NBA-like lottery, where the first 3 picks can be any of the non-playoff teams (with weighted probabilities).
+ * Chances are in order from the worst team to the best team. Any team beyond the length of the chances array is not in the lottery.
  *
  * @memberOf core.draft
- * @param {IDBTransaction} ot An IndexedDB transaction on draftOrder, draftPicks, and teams, readwrite.
- * @return {Promise}
+ * @param {string} draftType Type of draft lottery, from g.draftType.
+ * @param {number} numNonPlayoffTeams Number of teams that missed the playoffs.
+ * @return {Object} Object with properties chances (array of relative weights, not necessarily adding up to anything in particular) and numToPick.
  */
-async function genOrder(tx: BackboardTx) {
-    const teams = await team.filter({
-        ot: tx,
-        attrs: ["tid", "cid"],
-        seasonAttrs: ["winp", "playoffRoundsWon"],
-        season: g.season,
-    });
+function getLotteryInfo(draftType: DraftType, numNonPlayoffTeams: number): {chances: number[], numToPick: number} {
+    if (draftType === "nba2019") {
+        return {
+            chances: [140, 140, 140, 125, 105, 90, 75, 60, 45, 30, 20, 15, 10, 5],
+            numToPick: 4,
+        };
+    }
+    if (draftType === "randomLottery") {
+        return {
+            chances: _.range(numNonPlayoffTeams).map(() => 1),
+            numToPick: numNonPlayoffTeams,
+        };
+    }
+    if (draftType === "noLottery") {
+        return {
+            chances: [],
+            numToPick: 0,
+        };
+    }
+    if (draftType === "custom") {
+        return {
+            chances: g.draftLotteryCustomChances.slice(),
+            numToPick: g.draftLotteryCustomNumPicks,
+        };
+    }
+    return {
+        chances: [250, 199, 156, 119, 88, 63, 43, 28, 17, 11, 8, 7, 6, 5],
+        numToPick: 3,
+    };
+}
 
-    // Draft lottery
+/**
+ * Run the draft lottery, without saving anything.
+ *
+ * @memberOf core.draft
+ * @param {Array.<Object>} teams Teams with tid, winp, and playoffRoundsWon. Will be sorted in place into lottery order (worst to best, non-playoff teams first) with randVal set for tiebreakers.
+ * @param {string} draftType Type of draft lottery, from g.draftType.
+ * @return {Object} Object with properties chancePct (chance of winning the top pick for each team in the lottery, in the same order as teams) and lotteryWinners (indexes in teams of the teams that won the lottery picks, in order).
+ */
+function runLottery(teams: TeamFiltered[], draftType: DraftType): {chancePct: number[], lotteryWinners: number[]} {
     lotterySort(teams);
-    const chances = [250, 199, 156, 119, 88, 63, 43, 28, 17, 11, 8, 7, 6, 5];
-    updateChances(chances, teams, true);
 
-    const chanceTotal = chances.reduce((a, b) => a + b);
+    const numNonPlayoffTeams = teams.filter(t => !(t.playoffRoundsWon >= 0)).length;
+    const info = getLotteryInfo(draftType, numNonPlayoffTeams);
+    const chances = info.chances.slice(0, teams.length);
+    if (chances.length > 0) {
+        updateChances(chances, teams, true);
+    }
+
+    const chanceTotal = chances.reduce((a, b) => a + b, 0);
     const chancePct = chances.map(c => (c / chanceTotal) * 100);
 
+    // Can't draw more teams than have a chance of winning
+    const numToPick = Math.min(info.numToPick, chances.filter(c => c > 0).length);
+
     // cumsum
     for (let i = 1; i < chances.length; i++) {
         chances[i] += chances[i - 1];
     }
-    // Pick first three picks based on chances
-    const firstThree = [];
-    while (firstThree.length < 3) {
-        const draw = random.randInt(1, 1000);
+    // Pick lottery winners based on chances
+    const lotteryWinners = [];
+    while (lotteryWinners.length < numToPick) {
+        const draw = random.uniform(0, chanceTotal);
         const i = chances.findIndex(chance => chance > draw);
-        if (!firstThree.includes(i)) {
+        if (i >= 0 && !lotteryWinners.includes(i)) {
             // If one lottery winner, select after other tied teams;
             teams[i].randVal -= 30;
-            firstThree.push(i);
+            lotteryWinners.push(i);
         }
     }
 
+    return {chancePct, lotteryWinners};
+}
+
+/**
+ * Estimate the chance of each team getting each first round pick, by running the lottery many times without saving anything.
+ *
+ * The state of the random number generator is restored afterwards, so looking at the odds doesn't change what happens in a seeded league.
+ *
+ * @memberOf core.draft
+ * @param {Array.<Object>} teams Teams with tid, winp, and playoffRoundsWon.
+ * @param {string} draftType Type of draft lottery, from g.draftType.
+ * @param {number=} numSims Number of times to run the lottery.
+ * @return {Object} Keys are team IDs, values are arrays of the probability (from 0 to 1) of that team getting each first round pick.
+ */
+function getLotteryOdds(teams: TeamFiltered[], draftType: DraftType, numSims?: number = 2000): {[key: number]: number[]} {
+    const rngState = random.getState();
+
+    const counts = {};
+    for (const t of teams) {
+        counts[t.tid] = teams.map(() => 0);
+    }
+
+    for (let i = 0; i < numSims; i++) {
+        const teamsSim = teams.map(t => Object.assign({}, t));
+        const {lotteryWinners} = runLottery(teamsSim, draftType);
+        const order = lotteryWinners.map(j => teamsSim[j]).concat(teamsSim.filter((t, j) => !lotteryWinners.includes(j)));
+        order.forEach((t, j) => {
+            counts[t.tid][j] += 1;
+        });
+    }
+
+    random.setState(rngState);
+
+    const odds = {};
+    for (const t of teams) {
+        odds[t.tid] = counts[t.tid].map(count => count / numSims);
+    }
+    return odds;
+}
+
+/**
+ * Sets draft order and save it to the draftOrder object store.
+ *
+ * The first round is determined by the type of lottery in g.draftType (see getLotteryInfo), and the second round is in reverse order of record. The lottery results are saved to the draftLotteryResults object store.
+ *
+ * @memberOf core.draft
+ * @param {IDBTransaction} ot An IndexedDB transaction on draftLotteryResults, draftOrder, draftPicks, and teams, readwrite.
+ * @return {Promise}
+ */
+async function genOrder(tx: BackboardTx) {
+    const teams = await team.filter({
+        ot: tx,
+        attrs: ["tid", "cid"],
+        seasonAttrs: ["winp", "won", "lost", "playoffRoundsWon"],
+        season: g.season,
+    });
+
+    // Draft lottery
+    const draftType = g.draftType;
+    const {chancePct, lotteryWinners} = runLottery(teams, draftType);
+
     let draftPicks = await tx.draftPicks.index('season').getAll(g.season);
 
     // Sometimes picks just fail to generate, for reasons I don't understand
@@ -308,27 +440,27 @@ async function genOrder(tx: BackboardTx) {
         };
     }
 
-    logLotteryChances(chancePct, teams, draftPicksIndexed);
+    logLotteryChances(chancePct, teams, draftPicksIndexed, draftType);
 
     const draftOrder = [];
 
     // First round - lottery winners
-    for (let i = 0; i < firstThree.length; i++) {
-        const tid = draftPicksIndexed[teams[firstThree[i]].tid][1].tid;
+    for (let i = 0; i < lotteryWinners.length; i++) {
+        const tid = draftPicksIndexed[teams[lotteryWinners[i]].tid][1].tid;
         draftOrder.push({
             round: 1,
             pick: i + 1,
             tid,
-            originalTid: teams[firstThree[i]].tid,
+            originalTid: teams[lotteryWinners[i]].tid,
         });
 
-        logLotteryWinners(chancePct, teams, tid, teams[firstThree[i]].tid, i + 1);
+        logLotteryWinners(chancePct, teams, tid, teams[lotteryWinners[i]].tid, i + 1);
     }
 
     // First round - everyone else
-    let pick = 4;
+    let pick = lotteryWinners.length + 1;
     for (let i = 0; i < teams.length; i++) {
-        if (!firstThree.includes(i)) {
+        if (!lotteryWinners.includes(i)) {
             const tid = draftPicksIndexed[teams[i].tid][1].tid;
             draftOrder.push({
                 round: 1,
@@ -337,7 +469,7 @@ async function genOrder(tx: BackboardTx) {
                 originalTid: teams[i].tid,
             });
 
-            if (pick < 15) {
+            if (pick <= chancePct.length) {
                 logLotteryWinners(chancePct, teams, tid, teams[i].tid, pick);
             }
 
@@ -345,6 +477,23 @@ async function genOrder(tx: BackboardTx) {
         }
     }
 
+    // Save lottery results for the Draft Summary page
+    await tx.draftLotteryResults.put({
+        season: g.season,
+        draftType,
+        result: teams.slice(0, chancePct.length).map((t, i) => {
+            const dp = draftOrder.find(dp2 => dp2.originalTid === t.tid);
+            return {
+                chances: chancePct[i],
+                lost: t.lost,
+                originalTid: t.tid,
+                pick: dp !== undefined ? dp.pick : 0,
+                tid: draftPicksIndexed[t.tid][1].tid,
+                won: t.won,
+            };
+        }),
+    });
+
     // Sort by winp with reverse randVal for tiebreakers.
     teams.sort((a, b) => {
         const r = a.winp - b.winp;
@@ -576,7 +725,8 @@ async function untilUserOrEnd() {
                 return afterDoneAuto();
             }
 
-            const selection = Math.floor(Math.abs(random.gauss(0, 2))); // 0=best prospect, 1=next best prospect, etc.
+            // 0=best prospect, 1=next best prospect, etc. Bounded because tiny leagues have tiny draft classes.
+            const selection = Math.min(Math.floor(Math.abs(random.gauss(0, 2))), playersAll.length - 1);
             const pid = playersAll[selection].pid;
             await selectPlayer(pick, pid);
             pids.push(pid);
@@ -598,6 +748,10 @@ export {
     genPlayers,
     genOrder,
     genOrderFantasy,
+    getLotteryInfo,
+    getLotteryOdds,
+    lotteryTypeText,
+    runLottery,
     untilUserOrEnd,
     getRookieSalaries,
     selectPlayer,
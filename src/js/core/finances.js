@@ -4,7 +4,7 @@ import backboard from 'backboard';
 import Promise from 'bluebird';
 import g from '../globals';
 import * as team from './team';
-import type {BackboardTx, TeamSeason} from '../util/types';
+import type {BackboardTx, CapException, Team, TeamSeason} from '../util/types';
 
 /**
  * Assess the payroll and apply minimum and luxury taxes.
@@ -169,9 +169,118 @@ function getRankLastThree(teamSeasons: TeamSeason[], category: 'expenses' | 'rev
     return 15.5;
 }
 
+// Cap exceptions are used up per season of the contracts being signed, so free agency after the playoffs counts towards next season
+function getContractSeason(): number {
+    return g.phase > g.PHASE.PLAYOFFS ? g.season + 1 : g.season;
+}
+
+/**
+ * Get how much of each cap exception a team has used for contracts starting in the current contract season.
+ *
+ * @memberOf core.finances
+ * @param {Object} t Team object.
+ * @return {Object} Object with midLevel and room properties, amounts used in thousands of dollars.
+ */
+function getCapExceptionsUsed(t: Team): {midLevel: number, room: number} {
+    const used = t.capExceptionsUsed;
+
+    // Undefined check is for old leagues, and for teams that haven't used any exceptions yet
+    if (used === undefined || used.season !== getContractSeason()) {
+        return {midLevel: 0, room: 0};
+    }
+
+    return {
+        midLevel: used.midLevel,
+        room: used.room,
+    };
+}
+
+/**
+ * Determine which soft cap rule, if any, allows a team to sign a player to a contract.
+ *
+ * Teams can always sign players if they have enough cap space. Beyond that, they can go over the cap to re-sign their own players (Bird rights) or to sign players to minimum contracts. Teams that are under the cap but don't have enough space can use the room exception, and teams that are already over the cap can use the mid-level exception. These two exceptions can be split between several players, but a team can only use one of them each season.
+ *
+ * @memberOf core.finances
+ * @param {number} amount Contract amount, in thousands of dollars.
+ * @param {number} payroll Team payroll before signing the player, in thousands of dollars.
+ * @param {boolean} birdRights Is the team re-signing its own player?
+ * @param {Object} used Amounts of each exception already used, from getCapExceptionsUsed.
+ * @return {?string} The name of the exception, or null if the contract is not allowed.
+ */
+function getCapException(amount: number, payroll: number, birdRights: boolean, used: {midLevel: number, room: number}): CapException | null {
+    if (payroll + amount <= g.salaryCap) {
+        return "capSpace";
+    }
+    if (birdRights) {
+        return "bird";
+    }
+    if (amount <= g.minContract) {
+        return "minimum";
+    }
+    if (payroll <= g.salaryCap) {
+        if (used.midLevel === 0 && amount <= g.roomException - used.room) {
+            return "room";
+        }
+    } else if (used.room === 0 && amount <= g.midLevelException - used.midLevel) {
+        return "midLevel";
+    }
+
+    return null;
+}
+
+/**
+ * Record that a team used some of its room or mid-level exception.
+ *
+ * @memberOf core.finances
+ * @param {Object} t Team object, which will be modified.
+ * @param {string} exception Exception used to sign a player, from getCapException. Only "room" and "midLevel" are tracked.
+ * @param {number} amount Contract amount, in thousands of dollars.
+ * @return {Object} Updated team object.
+ */
+function useCapException(t: Team, exception: CapException, amount: number): Team {
+    if (exception === "room" || exception === "midLevel") {
+        const used = getCapExceptionsUsed(t);
+        used[exception] += amount;
+        t.capExceptionsUsed = {
+            midLevel: used.midLevel,
+            room: used.room,
+            season: getContractSeason(),
+        };
+    }
+
+    return t;
+}
+
+/**
+ * Describe a cap exception, for display in the UI.
+ *
+ * @memberOf core.finances
+ * @param {string} exception Name of the exception, from getCapException.
+ * @return {string} Description.
+ */
+function capExceptionText(exception: CapException): string {
+    if (exception === "bird") {
+        return "Bird rights";
+    }
+    if (exception === "minimum") {
+        return "minimum contract exception";
+    }
+    if (exception === "room") {
+        return "room exception";
+    }
+    if (exception === "midLevel") {
+        return "mid-level exception";
+    }
+    return "cap space";
+}
+
 export {
     assessPayrollMinLuxury,
     updateRanks,
     getRankLastThree,
+    getCapExceptionsUsed,
+    getCapException,
+    useCapException,
+    capExceptionText,
 };
 
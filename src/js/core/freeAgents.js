@@ -4,6 +4,7 @@ import Promise from 'bluebird';
 import _ from 'underscore';
 import g from '../globals';
 import * as ui from '../ui';
+import * as finances from './finances';
 import * as league from './league';
 import * as phase from './phase';
 import * as player from './player';
@@ -54,36 +55,40 @@ async function autoSign(tx: BackboardTx) {
             }
 
             // Small chance of actually trying to sign someone in free agency, gets greater as time goes on
-            if (g.phase === g.PHASE.FREE_AGENCY && Math.random() < 0.99 * g.daysLeft / 30) {
+            if (g.phase === g.PHASE.FREE_AGENCY && random.random() < 0.99 * g.daysLeft / 30) {
                 continue;
             }
 
             // Skip rebuilding teams sometimes
-            if (strategies[tid] === "rebuilding" && Math.random() < 0.7) {
+            if (strategies[tid] === "rebuilding" && random.random() < 0.7) {
                 continue;
             }
 
 /*            // Randomly don't try to sign some players this day
-            while (g.phase === g.PHASE.FREE_AGENCY && Math.random() < 0.7) {
+            while (g.phase === g.PHASE.FREE_AGENCY && random.random() < 0.7) {
                 players.shift();
             }*/
 
-            const [numPlayersOnRoster, payroll] = await Promise.all([
+            const [numPlayersOnRoster, payroll, t] = await Promise.all([
                 tx2.players.index('tid').count(tid),
                 team.getPayroll(tx2, tid).get(0),
+                tx2.teams.get(tid),
             ]);
+            const capExceptionsUsed = finances.getCapExceptionsUsed(t);
 
             if (numPlayersOnRoster < 15) {
                 for (let i = 0; i < players.length; i++) {
+                    const capException = finances.getCapException(players[i].contract.amount, payroll, false, capExceptionsUsed);
+
                     // Don't sign minimum contract players to fill out the roster
-                    if (players[i].contract.amount + payroll <= g.salaryCap || (players[i].contract.amount === g.minContract && numPlayersOnRoster < 13)) {
+                    if (capException !== null && (capException !== "minimum" || numPlayersOnRoster < 13)) {
                         let p = players[i];
                         p.tid = tid;
                         if (g.phase <= g.PHASE.PLAYOFFS) { // Otherwise, not needed until next season
                             p = player.addStatsRow(tx2, p, g.phase === g.PHASE.PLAYOFFS);
                         }
-                        p = player.setContract(p, p.contract, true);
-                        p.gamesUntilTradable = 15;
+                        p = player.setContract(p, player.genContractStructure(p, p.contract), true);
+                        p.gamesUntilTradable = g.untradableGamesAfterSigning;
 
                         logEvent(null, {
                             type: "freeAgent",
@@ -96,6 +101,7 @@ async function autoSign(tx: BackboardTx) {
                         players.splice(i, 1); // Remove from list of free agents
 
                         await tx2.players.put(p);
+                        await tx2.teams.put(finances.useCapException(t, capException, p.contract.amount));
                         await team.rosterAutoSort(tx2, tid);
 
                         // We found one, so stop looking for this team
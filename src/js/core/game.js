@@ -5,7 +5,6 @@ import Promise from 'bluebird';
 import _ from 'underscore';
 import g from '../globals';
 import * as ui from '../ui';
-import GameSim from './GameSim';
 import * as finances from './finances';
 import * as freeAgents from './freeAgents';
 import * as league from './league';
@@ -13,12 +12,17 @@ import * as phase from './phase';
 import * as player from './player';
 import * as season from './season';
 import * as team from './team';
+import * as trade from './trade';
 import * as advStats from '../util/advStats';
 import logEvent from '../util/logEvent';
 import * as helpers from '../util/helpers';
+import * as lineups from '../util/lineups';
 import * as lock from '../util/lock';
+import * as playByPlay from '../util/playByPlay';
 import * as random from '../util/random';
-import type {BackboardTx, GameResults} from '../util/types';
+import * as shotChart from '../util/shotChart';
+import * as simWorker from '../util/simWorker';
+import type {BackboardTx, GameResults, Shot} from '../util/types';
 
 async function writeTeamStats(tx: BackboardTx, results: GameResults) {
     let att = 0;
@@ -155,7 +159,10 @@ async function writeTeamStats(tx: BackboardTx, results: GameResults) {
         teamStats.gp += 1;
         teamStats.trb += results.team[t1].stat.orb + results.team[t1].stat.drb;
         teamStats.oppPts += results.team[t2].stat.pts;
+        teamStats.oppOrb = (teamStats.oppOrb !== undefined ? teamStats.oppOrb : 0) + results.team[t2].stat.orb; // Undefined for stats rows from before opponent rebounds were saved
+        teamStats.oppDrb = (teamStats.oppDrb !== undefined ? teamStats.oppDrb : 0) + results.team[t2].stat.drb;
         teamStats.ba += results.team[t2].stat.blk;
+        teamStats.lineups = lineups.merge(teamStats.lineups !== undefined ? teamStats.lineups : {}, results.team[t1].lineups); // Undefined for stats rows from before lineups were saved
 
         if (teamSeason.lastTen.length === 10 && g.phase !== g.PHASE.PLAYOFFS) {
             teamSeason.lastTen.pop();
@@ -217,6 +224,33 @@ async function writeTeamStats(tx: BackboardTx, results: GameResults) {
     return att;
 }
 
+async function writePlayerShots(tx: BackboardTx, pid: number, shots: Shot[]) {
+    if (shots.length === 0) {
+        return;
+    }
+
+    const playoffs = g.phase === g.PHASE.PLAYOFFS;
+    let found = false;
+    await tx.playerShots.index("pid, season").iterate([pid, g.season], (row, shortCircuit) => {
+        // Since index is not on playoffs, manually check
+        if (row.playoffs === playoffs) {
+            found = true;
+            shortCircuit();
+            row.shots = shotChart.addShots(row.shots, shots);
+            return row;
+        }
+    });
+
+    if (!found) {
+        await tx.playerShots.add({
+            pid,
+            playoffs,
+            season: g.season,
+            shots: shotChart.addShots({}, shots),
+        });
+    }
+}
+
 async function writePlayerStats(tx: BackboardTx, results: GameResults) {
     await Promise.all(results.team.map(t => Promise.all(t.player.map((p) => {
         // Only need to write stats if player got minutes
@@ -228,6 +262,8 @@ async function writePlayerStats(tx: BackboardTx, results: GameResults) {
 
         promises.push(player.checkStatisticalFeat(tx, p.id, t.id, p, results));
 
+        promises.push(writePlayerShots(tx, p.id, p.shots));
+
         promises.push(tx.playerStats.index("pid, season, tid")
             // prev in case there are multiple entries for the same player, like he was traded away and then brought back
             .iterate([p.id, g.season, t.id], "prev", async (ps, shortCircuit) => {
@@ -269,14 +305,14 @@ async function writePlayerStats(tx: BackboardTx, results: GameResults) {
                         // Some chance of a loss of athleticism from serious injuries
                         // 100 game injury: 67% chance of losing between 0 and 10 of spd, jmp, endu
                         // 50 game injury: 33% chance of losing between 0 and 5 of spd, jmp, endu
-                        if (p2.injury.gamesRemaining > 25 && Math.random() < p2.injury.gamesRemaining / 150) {
+                        if (p2.injury.gamesRemaining > 25 && random.random() < p2.injury.gamesRemaining / 150) {
                             biggestRatingsLoss = Math.round(p2.injury.gamesRemaining / 10);
                             if (biggestRatingsLoss > 10) {
                                 biggestRatingsLoss = 10;
                             }
 
                             // Small chance of horrible things
-                            if (biggestRatingsLoss === 10 && Math.random() < 0.01) {
+                            if (biggestRatingsLoss === 10 && random.random() < 0.01) {
                                 biggestRatingsLoss = 30;
                             }
 
@@ -312,6 +348,7 @@ async function writeGameStats(tx: BackboardTx, results: GameResults, att: number
         season: g.season,
         playoffs: g.phase === g.PHASE.PLAYOFFS,
         overtimes: results.overtimes,
+        numPeriods: g.numPeriods,
         won: {},
         lost: {},
         teams: [
@@ -325,7 +362,7 @@ async function writeGameStats(tx: BackboardTx, results: GameResults, att: number
     gameStats.teams[1].players = [];
 
     for (let t = 0; t < 2; t++) {
-        const keys = ['min', 'fg', 'fga', 'fgAtRim', 'fgaAtRim', 'fgLowPost', 'fgaLowPost', 'fgMidRange', 'fgaMidRange', 'tp', 'tpa', 'ft', 'fta', 'orb', 'drb', 'ast', 'tov', 'stl', 'blk', 'ba', 'pf', 'pts', 'ptsQtrs'];
+        const keys = ['min', 'fg', 'fga', 'fgAtRim', 'fgaAtRim', 'fgLowPost', 'fgaLowPost', 'fgMidRange', 'fgaMidRange', 'tp', 'tpa', 'ft', 'fta', 'orb', 'drb', 'ast', 'tov', 'stl', 'blk', 'ba', 'pf', 'pfQtrs', 'pts', 'ptsQtrs'];
         for (let i = 0; i < keys.length; i++) {
             gameStats.teams[t][keys[i]] = results.team[t].stat[keys[i]];
         }
@@ -390,27 +427,72 @@ async function writeGameStats(tx: BackboardTx, results: GameResults, att: number
     await tx.games.put(gameStats);
 }
 
+async function updatePlayIns(tx: BackboardTx, playoffSeries: Object, results: GameResults) {
+    for (const result of results) {
+        const won0 = result.team[0].stat.pts > result.team[1].stat.pts;
+        const tids = [result.team[0].id, result.team[1].id];
+
+        for (const playIn of playoffSeries.playIns) {
+            // Only games that haven't been played yet, since the same teams can't meet twice in a play-in tournament but this makes sure
+            const game = playIn.games.find(game2 => game2.home.won === 0 && game2.away.won === 0 && tids.includes(game2.home.tid) && tids.includes(game2.away.tid));
+            if (game === undefined) {
+                continue;
+            }
+
+            const winnerTid = won0 ? tids[0] : tids[1];
+            const loserTid = won0 ? tids[1] : tids[0];
+            if (game.home.tid === winnerTid) {
+                game.home.won = 1;
+            } else {
+                game.away.won = 1;
+            }
+
+            logEvent(tx, {
+                type: "playoffs",
+                text: `The <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[winnerTid], g.season])}">${g.teamNamesCache[winnerTid]}</a> defeated the <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[loserTid], g.season])}">${g.teamNamesCache[loserTid]}</a> in the <a href="${helpers.leagueUrl(["playoffs", g.season])}">play-in tournament</a>.`,
+                showNotification: winnerTid === g.userTid || loserTid === g.userTid,
+                tids: [winnerTid, loserTid],
+            });
+            break;
+        }
+    }
+}
+
 async function updatePlayoffSeries(tx: BackboardTx, results: GameResults) {
     const playoffSeries = await tx.playoffSeries.get(g.season);
 
+    if (playoffSeries.currentRound === -1) {
+        await updatePlayIns(tx, playoffSeries, results);
+        await tx.playoffSeries.put(playoffSeries);
+        return;
+    }
+
     const playoffRound = playoffSeries.series[playoffSeries.currentRound];
 
+    const numGamesPlayoffSeries = helpers.getNumGamesPlayoffSeries(playoffSeries);
+    const numGamesToWin = helpers.numGamesToWinSeries(numGamesPlayoffSeries, playoffSeries.currentRound);
+
     for (const result of results) {
         // Did the home (true) or away (false) team win this game? Here, "home" refers to this game, not the team which has homecourt advnatage in the playoffs, which is what series.home refers to below.
         const won0 = result.team[0].stat.pts > result.team[1].stat.pts;
 
         let series;
         for (let i = 0; i < playoffRound.length; i++) {
-            series = playoffRound[i];
+            // Byes have no games
+            if (playoffRound[i].away === undefined) {
+                continue;
+            }
 
-            if (series.home.tid === result.team[0].id) {
+            if (playoffRound[i].home.tid === result.team[0].id) {
+                series = playoffRound[i];
                 if (won0) {
                     series.home.won += 1;
                 } else {
                     series.away.won += 1;
                 }
                 break;
-            } else if (series.away.tid === result.team[0].id) {
+            } else if (playoffRound[i].away.tid === result.team[0].id) {
+                series = playoffRound[i];
                 if (won0) {
                     series.away.won += 1;
                 } else {
@@ -421,40 +503,42 @@ async function updatePlayoffSeries(tx: BackboardTx, results: GameResults) {
         }
 
         // For flow, not really necessary
-        if (series === undefined) {
+        if (series === undefined || series.away === undefined) {
             continue;
         }
 
         // Log result of playoff series
-        if (series.away.won >= 4 || series.home.won >= 4) {
+        if (series.away.won >= numGamesToWin || series.home.won >= numGamesToWin) {
             let winnerTid;
             let loserTid;
+            let winnerWon;
             let loserWon;
-            if (series.away.won >= 4) {
+            if (series.away.won >= numGamesToWin) {
                 winnerTid = series.away.tid;
                 loserTid = series.home.tid;
+                winnerWon = series.away.won;
                 loserWon = series.home.won;
             } else {
                 winnerTid = series.home.tid;
                 loserTid = series.away.tid;
+                winnerWon = series.home.won;
                 loserWon = series.away.won;
             }
 
-            let currentRoundText = '';
-            if (playoffSeries.currentRound === 0) {
-                currentRoundText = "first round of the playoffs";
-            } else if (playoffSeries.currentRound === 1) {
-                currentRoundText = "second round of the playoffs";
-            } else if (playoffSeries.currentRound === 2) {
-                currentRoundText = "conference finals";
-            } else if (playoffSeries.currentRound === 3) {
+            const playoffsByConference = g.confs.length === 2 && (typeof localStorage === 'undefined' || !localStorage.getItem('top16playoffs'));
+            let currentRoundText;
+            if (playoffSeries.currentRound === g.numPlayoffRounds - 1) {
                 currentRoundText = "league championship";
+            } else if (playoffSeries.currentRound === g.numPlayoffRounds - 2) {
+                currentRoundText = playoffsByConference ? "conference finals" : "semifinals";
+            } else {
+                currentRoundText = `${helpers.ordinal(playoffSeries.currentRound + 1)} round of the playoffs`;
             }
 
-            const showNotification = series.away.tid === g.userTid || series.home.tid === g.userTid || playoffSeries.currentRound === 3;
+            const showNotification = series.away.tid === g.userTid || series.home.tid === g.userTid || playoffSeries.currentRound === g.numPlayoffRounds - 1;
             logEvent(tx, {
                 type: "playoffs",
-                text: `The <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[winnerTid], g.season])}">${g.teamNamesCache[winnerTid]}</a> defeated the <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[loserTid], g.season])}">${g.teamNamesCache[loserTid]}</a> in the ${currentRoundText}, 4-${loserWon}.`,
+                text: `The <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[winnerTid], g.season])}">${g.teamNamesCache[winnerTid]}</a> defeated the <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[loserTid], g.season])}">${g.teamNamesCache[loserTid]}</a> in the ${currentRoundText}, ${winnerWon}-${loserWon}.`,
                 showNotification,
                 tids: [winnerTid, loserTid],
             });
@@ -521,7 +605,7 @@ function makeComposite(rating, components, weights) {
  */
 async function loadTeams(tx) {
     return Promise.all(_.range(g.numTeams).map(async (tid) => {
-        const [players, {cid, did}, teamSeason] = await Promise.all([
+        const [players, {cid, did, tactics}, teamSeason] = await Promise.all([
             tx.players.index('tid').getAll(tid),
             tx.teams.get(tid),
             tx.teamSeasons.index("season, tid").get([g.season, tid]),
@@ -545,8 +629,10 @@ async function loadTeams(tx) {
             cid,
             did,
             stat: {},
+            lineups: {},
             player: [],
             synergy: {off: 0, def: 0, reb: 0},
+            tactics: tactics !== undefined ? tactics : team.defaultTactics(),
             healthRank: teamSeason.expenses.health.rank,
             compositeRating,
         };
@@ -564,16 +650,21 @@ async function loadTeams(tx) {
                 pos: rating.pos,
                 valueNoPot: players[i].valueNoPot,
                 stat: {},
+                shots: [],
                 compositeRating: {},
                 skills: rating.skills,
                 injury: players[i].injury,
                 injured: players[i].injury.type !== "Healthy",
                 ptModifier: players[i].ptModifier,
+                targetMin: players[i].targetMin !== undefined ? players[i].targetMin : null,
+                closer: !!players[i].closer,
             };
 
-            // Reset ptModifier for AI teams. This should not be necessary since it should always be 1, but let's be safe.
+            // Reset ptModifier and the depth chart for AI teams. This should not be necessary since they should always be the defaults, but let's be safe.
             if (!g.userTids.includes(t.id)) {
                 p.ptModifier = 1;
+                p.targetMin = null;
+                p.closer = false;
             }
 
             // These use the same formulas as the skill definitions in player.skills!
@@ -601,7 +692,7 @@ async function loadTeams(tx) {
         t.pace /= numPlayers;
         t.pace = t.pace * 15 + 100;  // Scale between 100 and 115
 
-        t.stat = {min: 0, fg: 0, fga: 0, fgAtRim: 0, fgaAtRim: 0, fgLowPost: 0, fgaLowPost: 0, fgMidRange: 0, fgaMidRange: 0, tp: 0, tpa: 0, ft: 0, fta: 0, orb: 0, drb: 0, ast: 0, tov: 0, stl: 0, blk: 0, ba: 0, pf: 0, pts: 0, ptsQtrs: [0]};
+        t.stat = {min: 0, fg: 0, fga: 0, fgAtRim: 0, fgaAtRim: 0, fgLowPost: 0, fgaLowPost: 0, fgMidRange: 0, fgaMidRange: 0, tp: 0, tpa: 0, ft: 0, fta: 0, orb: 0, drb: 0, ast: 0, tov: 0, stl: 0, blk: 0, ba: 0, pf: 0, pfQtrs: [0], pts: 0, ptsQtrs: [0]};
 
         return t;
     }));
@@ -638,12 +729,18 @@ async function play(numDays: number, start?: boolean = true, gidPlayByPlay?: num
 
     // Saves a vector of results objects for a day, as is output from cbSimGames
     const cbSaveResults = async results => {
-        const objectStores = ["events", "games", "players", "playerFeats", "playerStats", "playoffSeries", "releasedPlayers", "schedule", "teams", "teamSeasons", "teamStats"];
+        const objectStores = ["events", "games", "playByPlay", "players", "playerFeats", "playerShots", "playerStats", "playoffSeries", "releasedPlayers", "schedule", "teams", "teamSeasons", "teamStats"];
         await g.dbl.tx(objectStores, "readwrite", async tx => {
             const gidsFinished = await Promise.all(results.map(async (result) => {
                 const att = await writeTeamStats(tx, result);
                 await writeGameStats(tx, result, att);
                 await writePlayerStats(tx, result);
+
+                // The live game always has play-by-play, even if it's not supposed to be saved
+                if (result.playByPlay !== undefined && playByPlay.shouldSave([result.team[0].id, result.team[1].id])) {
+                    await tx.playByPlay.put(playByPlay.compress(result.gid, result.playByPlay));
+                }
+
                 return result.gid;
             }));
 
@@ -707,7 +804,7 @@ async function play(numDays: number, start?: boolean = true, gidPlayByPlay?: num
         let url;
         if (gidPlayByPlay !== undefined) {
             for (let i = 0; i < results.length; i++) {
-                if (results[i].playByPlay !== undefined) {
+                if (results[i].gid === gidPlayByPlay && results[i].playByPlay !== undefined) {
                     raw = {
                         gidPlayByPlay,
                         playByPlay: results[i].playByPlay,
@@ -730,24 +827,33 @@ async function play(numDays: number, start?: boolean = true, gidPlayByPlay?: num
                 if (playoffsOver) {
                     await phase.newPhase(g.PHASE.BEFORE_DRAFT);
                 }
-            } else if (Math.random() < 1 / (100 * 50)) {
+            } else if (random.random() < 1 / (100 * 50)) {
                 // Should a rare tragic event occur? ONLY IN REGULAR SEASON, playoffs would be tricky with roster limits and no free agents
                 // 100 days in a season (roughly), and we want a death every 50 years on average
                 await player.killOne();
                 ui.realtimeUpdate(["playerMovement"]);
             }
+
+            // AI teams occasionally trade with each other, which only happens before the trade deadline
+            if (g.phase === g.PHASE.REGULAR_SEASON && random.random() < 0.2) {
+                const traded = await trade.betweenAiTeams();
+                if (traded) {
+                    ui.realtimeUpdate(["playerMovement"]);
+                }
+            }
+
+            // AI teams occasionally send trade offers to the user too
+            if (g.phase === g.PHASE.REGULAR_SEASON && random.random() < 0.1) {
+                await trade.makeOffer();
+            }
+
             play(numDays - 1, false);
         }, raw);
     };
 
-    // Simulates a day of games (whatever is in schedule) and passes the results to cbSaveResults
+    // Simulates a day of games (whatever is in schedule) in a Web Worker and passes the results to cbSaveResults
     const cbSimGames = async (schedule, teams) => {
-        const results = [];
-        for (let i = 0; i < schedule.length; i++) {
-            const doPlayByPlay = gidPlayByPlay === schedule[i].gid;
-            const gs = new GameSim(schedule[i].gid, teams[schedule[i].homeTid], teams[schedule[i].awayTid], doPlayByPlay);
-            results.push(gs.run());
-        }
+        const results = await simWorker.simGames(schedule, teams, gidPlayByPlay);
         await cbSaveResults(results);
     };
 
@@ -760,30 +866,54 @@ async function play(numDays: number, start?: boolean = true, gidPlayByPlay?: num
             ui.updateStatus(`Playing (${numDays} days left)`);
         }
 
-        await g.dbl.tx(["players", "schedule", "teams", "teamSeasons"], async tx => {
-            let schedule = await season.getSchedule(tx, true);
+        // Start the next phase before playing the first day after the trade deadline
+        if (g.phase === g.PHASE.REGULAR_SEASON && g.tradeDeadline > 0) {
+            const [schedule, deadlineDay] = await Promise.all([season.getSchedule(null, true), trade.getDeadlineDay()]);
+            if (schedule.length > 0 && deadlineDay !== null && schedule[0].day > deadlineDay) {
+                if (g.autoPlaySeasons > 0) {
+                    // league.autoPlay will be called after the phase change to continue from here
+                    await league.setGameAttributesComplete({gamesInProgress: false});
+                    await phase.newPhase(g.PHASE.AFTER_TRADE_DEADLINE);
+                    return;
+                }
+
+                await phase.newPhase(g.PHASE.AFTER_TRADE_DEADLINE);
+            }
+        }
+
+        // Don't wait for the game simulation inside this transaction, since it would be idle the whole time the worker is running
+        const loaded = await g.dbl.tx(["players", "schedule", "teams", "teamSeasons"], async tx => {
+            const schedule = await season.getSchedule(tx, true);
 
             // Stop if no games
             // This should also call cbNoGames after the playoffs end, because g.phase will have been incremented by season.newSchedulePlayoffsDay after the previous day's games
             if (schedule.length === 0 && g.phase !== g.PHASE.PLAYOFFS) {
-                return cbNoGames();
+                return null;
             }
 
             // Load all teams, for now. Would be more efficient to load only some of them, I suppose.
             const teams = await loadTeams(tx);
 
-            // Play games
-            // Will loop through schedule and simulate all games
-            if (schedule.length === 0 && g.phase === g.PHASE.PLAYOFFS) {
-                // Sometimes the playoff schedule isn't made the day before, so make it now
-                // This works because there should always be games in the playoffs phase. The next phase will start before reaching this point when the playoffs are over.
-
-                // tx2 to make sure newSchedulePlayoffsDay finishes before continuing
-                await g.dbl.tx(["playoffSeries", "schedule", "teamSeasons"], "readwrite", tx2 => season.newSchedulePlayoffsDay(tx2));
-                schedule = await season.getSchedule(null, true);
-            }
-            await cbSimGames(schedule, teams);
+            return {schedule, teams};
         });
+
+        if (loaded === null) {
+            return cbNoGames();
+        }
+
+        let {schedule} = loaded;
+
+        // Play games
+        // Will loop through schedule and simulate all games
+        if (schedule.length === 0 && g.phase === g.PHASE.PLAYOFFS) {
+            // Sometimes the playoff schedule isn't made the day before, so make it now
+            // This works because there should always be games in the playoffs phase. The next phase will start before reaching this point when the playoffs are over.
+
+            // tx2 to make sure newSchedulePlayoffsDay finishes before continuing
+            await g.dbl.tx(["playoffSeries", "schedule", "teamSeasons"], "readwrite", tx2 => season.newSchedulePlayoffsDay(tx2));
+            schedule = await season.getSchedule(null, true);
+        }
+        await cbSimGames(schedule, loaded.teams);
     };
 
     // This simulates a day, including game simulation and any other bookkeeping that needs to be done
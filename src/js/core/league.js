@@ -16,7 +16,7 @@ import * as season from './season';
 import * as team from './team';
 import * as helpers from '../util/helpers';
 import * as random from '../util/random';
-import type {BackboardTx, GameAttributeKeyDynamic, GameAttributes} from '../util/types';
+import type {BackboardTx, GameAttributeKeyDynamic, GameAttributes, RulesPreset} from '../util/types';
 
 const defaultGameAttributes: GameAttributes = {
     phase: 0,
@@ -42,10 +42,21 @@ const defaultGameAttributes: GameAttributes = {
     luxuryTax: 1.5,
     minContract: 750, // [thousands of dollars]
     maxContract: 30000, // [thousands of dollars]
+    midLevelException: 7500, // [thousands of dollars] per season, for teams over the cap
+    roomException: 3750, // [thousands of dollars] per season, for teams under the cap without enough space to sign a player
+    tradeDeadline: 0.6, // fraction of the regular season with trades allowed, or 0 for no trade deadline
+    untradableGamesAfterSigning: 15, // games before newly signed players can be traded
     minRosterSize: 10,
     numGames: 82, // per season
-    quarterLength: 12, // [minutes]
+    numPeriods: 4, // 4 quarters or 2 halves
+    quarterLength: 12, // [minutes] length of each period, whether it's a quarter or a half
+    overtimeLength: 5, // [minutes]
+    shotClock: 24, // [seconds] or 0 for no shot clock
+    foulsNeededToFoulOut: 6,
+    foulsUntilBonus: [5, 5, 2], // team fouls in a period for 1-and-1 free throws, team fouls in a period for 2 free throws, team fouls in the last 2 minutes of a period for 2 free throws
+    threePointDistance: 23.75, // [feet]
     disableInjuries: false,
+    savePlayByPlay: 'none', // 'none', 'user' for games involving the user's teams, or 'all' games
     confs: [
         {cid: 0, name: "Eastern Conference"},
         {cid: 1, name: "Western Conference"},
@@ -59,8 +70,72 @@ const defaultGameAttributes: GameAttributes = {
         {did: 5, cid: 1, name: "Pacific"},
     ],
     numPlayoffRounds: 4,
+    numGamesPlayoffSeries: [7, 7, 7, 7], // per round, can be any odd number
+    numPlayoffByes: 0, // total across all conferences, given to the top seeds
+    playIn: false, // if true, the last 2 playoff seeds in each conference are decided by a play-in tournament
+    divWinnersTopSeeds: false, // if true, division winners make the playoffs and get the top seeds in their conference
+    reseedPlayoffs: false, // if true, remaining teams are reseeded after each round so the best seed plays the worst
+    draftType: "nba1994", // see draft.getLotteryInfo
+    draftLotteryCustomChances: [250, 199, 156, 119, 88, 63, 43, 28, 17, 11, 8, 7, 6, 5], // only for draftType "custom", from worst to best team
+    draftLotteryCustomNumPicks: 3, // only for draftType "custom", number of picks decided by the lottery
 };
 
+// Game rules for different types of leagues, which can be picked when creating a league and edited in God Mode. NBA rules are the same as defaultGameAttributes.
+const rulesPresets: {[key: RulesPreset]: {name: string, gameAttributes: GameAttributes}} = {
+    nba: {
+        name: "NBA",
+        gameAttributes: {
+            numPeriods: 4,
+            quarterLength: 12,
+            overtimeLength: 5,
+            shotClock: 24,
+            foulsNeededToFoulOut: 6,
+            foulsUntilBonus: [5, 5, 2],
+            threePointDistance: 23.75,
+        },
+    },
+    fiba: {
+        name: "FIBA",
+        gameAttributes: {
+            numPeriods: 4,
+            quarterLength: 10,
+            overtimeLength: 5,
+            shotClock: 24,
+            foulsNeededToFoulOut: 5,
+            foulsUntilBonus: [5, 5, 5],
+            threePointDistance: 22.15,
+        },
+    },
+    ncaa: {
+        name: "NCAA",
+        gameAttributes: {
+            numPeriods: 2,
+            quarterLength: 20,
+            overtimeLength: 5,
+            shotClock: 30,
+            foulsNeededToFoulOut: 5,
+            foulsUntilBonus: [7, 10, 10],
+            threePointDistance: 22.15,
+        },
+    },
+};
+
+/**
+ * Find which rules preset some game attributes match.
+ *
+ * @memberOf core.league
+ * @param {Object} gameAttributes Object containing at least all the keys from a rules preset, like g.
+ * @return {string} Key of the matching preset in rulesPresets, or "custom" if none of them match.
+ */
+function getRulesPreset(gameAttributes: GameAttributes): RulesPreset | 'custom' {
+    const presetKey = helpers.keys(rulesPresets).find(key => {
+        const presetAttributes = rulesPresets[key].gameAttributes;
+        return helpers.keys(presetAttributes).every(attr => JSON.stringify(gameAttributes[attr]) === JSON.stringify(presetAttributes[attr]));
+    });
+
+    return presetKey !== undefined ? presetKey : 'custom';
+}
+
 // x and y are both arrays of objects with the same length. For each object, any properties in y but not x will be copied over to x.
 function merge(x: Object[], y: Object[]): Object[] {
     for (let i = 0; i < x.length; i++) {
@@ -112,8 +187,12 @@ async function setGameAttributesComplete(gameAttributes: GameAttributes) {
 
 // Call this after doing DB stuff so other tabs know there is new data.
 // Runs in its own transaction, shouldn't be waited for because this only influences other tabs
+// Also saves the state of the random number generator, since this is called after anything that uses it (games, phase changes, draft picks) finishes.
 function updateLastDbChange() {
-    setGameAttributesComplete({lastDbChange: Date.now()});
+    setGameAttributesComplete({
+        lastDbChange: Date.now(),
+        rngState: random.getState(),
+    });
 }
 
 /**
@@ -122,6 +201,8 @@ function updateLastDbChange() {
  * @memberOf core.league
  * @param {string} name The name of the league.
  * @param {number} tid The team ID for the team the user wants to manage (or -1 for random).
+ * @param {number|string=} seed Seed for the random number generator. Leagues created with the same seed (and the same user actions) will play out identically. If undefined, a random seed is used.
+ * @param {string=} rules Key of the rules preset in rulesPresets, "nba" by default. Game attributes in the league file override it.
  */
 async function create(
     name: string,
@@ -129,7 +210,13 @@ async function create(
     leagueFile: Object = {},
     startingSeason: number,
     randomizeRosters: boolean,
+    seed?: number | string,
+    rules?: RulesPreset = 'nba',
 ) {
+    // Seed before anything random happens, including picking a random team
+    const randomSeed = seed !== undefined && seed !== "" ? seed : Math.floor(Math.random() * 4294967296);
+    random.seed(randomSeed);
+
     const teamsDefault = helpers.getTeamsDefault();
 
     // Any custom teams?
@@ -178,18 +265,20 @@ async function create(
         teamNamesCache: teams.map(t => t.name),
         gracePeriodEnd: startingSeason + 2, // Can't get fired for the first two seasons
         numTeams: teams.length, // Will be 30 if the user doesn't supply custom rosters
-    });
+        randomSeed,
+    }, helpers.deepCopy(rulesPresets[rules].gameAttributes));
 
-    // gameAttributes from input
+    // gameAttributes from input, which override the rules preset
     let skipNewPhase = false;
     if (leagueFile.hasOwnProperty("gameAttributes")) {
         for (let i = 0; i < leagueFile.gameAttributes.length; i++) {
-            // Set default for anything except team ID and name, since they can be overwritten by form input.
-            if (leagueFile.gameAttributes[i].key !== "userTid" && leagueFile.gameAttributes[i].key !== "leagueName") {
-                gameAttributes[leagueFile.gameAttributes[i].key] = leagueFile.gameAttributes[i].value;
+            // Set default for anything except team ID and name, since they can be overwritten by form input. RNG stuff is also skipped, since randomSeed describes how this league was created.
+            const key = leagueFile.gameAttributes[i].key;
+            if (key !== "userTid" && key !== "leagueName" && key !== "randomSeed" && key !== "rngState") {
+                gameAttributes[key] = leagueFile.gameAttributes[i].value;
             }
 
-            if (leagueFile.gameAttributes[i].key === "phase") {
+            if (key === "phase") {
                 skipNewPhase = true;
             }
         }
@@ -207,7 +296,7 @@ async function create(
 
     let players;
     let scoutingRank;
-    const objectStores = ["draftPicks", "draftOrder", "players", "playerStats", "teams", "teamSeasons", "teamStats", "trade", "releasedPlayers", "awards", "schedule", "playoffSeries", "negotiations", "messages", "games", "events", "playerFeats"];
+    const objectStores = ["draftPicks", "draftOrder", "draftLotteryResults", "players", "playerStats", "teams", "teamSeasons", "teamStats", "trade", "releasedPlayers", "awards", "schedule", "playoffSeries", "negotiations", "messages", "games", "playByPlay", "events", "trades", "playerFeats", "playerShots"];
     await g.dbl.tx(objectStores, "readwrite", async tx => {
         // Draft picks for the first 4 years, as those are the ones can be traded initially
         if (leagueFile.hasOwnProperty("draftPicks")) {
@@ -319,7 +408,7 @@ async function create(
         }
 
         // These object stores are blank by default
-        const toMaybeAdd = ["releasedPlayers", "awards", "schedule", "playoffSeries", "negotiations", "messages", "games", "events", "playerFeats"];
+        const toMaybeAdd = ["releasedPlayers", "awards", "schedule", "playoffSeries", "draftLotteryResults", "negotiations", "messages", "games", "playByPlay", "events", "trades", "playerFeats", "playerShots"];
         for (let j = 0; j < toMaybeAdd.length; j++) {
             if (leagueFile.hasOwnProperty(toMaybeAdd[j])) {
                 for (let i = 0; i < leagueFile[toMaybeAdd[j]].length; i++) {
@@ -499,6 +588,8 @@ async function create(
         }
     });
 
+    await setGameAttributesComplete({rngState: random.getState()});
+
     if (skipNewPhase) {
         // Game already in progress, just start it
         return g.lid;
@@ -511,9 +602,10 @@ async function create(
 
     helpers.bbgmPing("league");
 
-    // Auto sort rosters
-    return g.dbl.tx("players", "readwrite", async tx => {
+    // Auto sort rosters and let AI coaches pick their tactics
+    return g.dbl.tx(["players", "teams"], "readwrite", async tx => {
         await Promise.all(teams.map(t => team.rosterAutoSort(tx, t.tid)));
+        await team.updateTactics(tx);
         return lid;
     });
 }
@@ -660,6 +752,11 @@ async function loadGameAttributes(tx: ?BackboardTx) {
     // Shouldn't be necessary, but some upgrades fail http://www.reddit.com/r/BasketballGM/comments/2zwg24/cant_see_any_rosters_on_any_teams_in_any_of_my/cpn0j6w
     if (g.userTids === undefined) { g.userTids = [g.userTid]; }
 
+    // Resume the random number generator where it left off. Old leagues have no saved state, so they just keep going with whatever is there.
+    if (g.rngState !== undefined) {
+        random.setState(g.rngState);
+    }
+
     // Set defaults to avoid IndexedDB upgrade
     helpers.keys(defaultGameAttributes).forEach(key => {
         if (g[key] === undefined) {
@@ -676,7 +773,7 @@ async function loadGameAttributes(tx: ?BackboardTx) {
 async function autoPlay() {
     if (g.phase === g.PHASE.PRESEASON) {
         await phase.newPhase(g.PHASE.REGULAR_SEASON);
-    } else if (g.phase === g.PHASE.REGULAR_SEASON) {
+    } else if (g.phase === g.PHASE.REGULAR_SEASON || g.phase === g.PHASE.AFTER_TRADE_DEADLINE) {
         const numDays = await season.getDaysLeftSchedule();
         await game.play(numDays);
     } else if (g.phase === g.PHASE.PLAYOFFS) {
@@ -713,6 +810,8 @@ export {
     setGameAttributes,
     setGameAttributesComplete,
     updateMetaNameRegion,
+    getRulesPreset,
+    rulesPresets,
     loadGameAttribute,
     loadGameAttributes,
     updateLastDbChange,
@@ -86,6 +86,11 @@ async function newPhasePreseason(tx: BackboardTx) {
 
     // Loop through all non-retired players
     await tx.players.index('tid').iterate(backboard.lowerBound(g.PLAYER.FREE_AGENT), async (p: Player) => {
+        // Yearly raises for players under contract
+        if (p.tid >= 0) {
+            p.contract = player.applyYearlyRaise(p.contract);
+        }
+
         // Update ratings
         p = player.addRatingsRow(p, scoutingRank);
         p = player.develop(p, 1, false, coachingRanks[p.tid]);
@@ -101,6 +106,15 @@ async function newPhasePreseason(tx: BackboardTx) {
         return p;
     });
 
+    // Released players still get the raises they were promised
+    await tx.releasedPlayers.iterate(releasedPlayer => {
+        releasedPlayer.contract = player.applyYearlyRaise(releasedPlayer.contract);
+        return releasedPlayer;
+    });
+
+    // AI coaches adjust their tactics to their new rosters and ratings
+    await team.updateTactics(tx);
+
     if (g.autoPlaySeasons > 0) {
         await league.setGameAttributes(tx, {autoPlaySeasons: g.autoPlaySeasons - 1});
     }
@@ -119,7 +133,7 @@ async function newPhaseRegularSeason(tx: BackboardTx) {
     // First message from owner
     if (g.showFirstOwnerMessage) {
         await message.generate(tx, {wins: 0, playoffs: 0, money: 0});
-    } else {
+    } else if (typeof localStorage !== 'undefined') {
         // Spam user with another message?
         if (localStorage.getItem('nagged') === 'true') {
             // This used to store a boolean, switch to number
@@ -161,6 +175,17 @@ async function newPhaseRegularSeason(tx: BackboardTx) {
     return [undefined, ["playerMovement"]];
 }
 
+async function newPhaseAfterTradeDeadline(tx: BackboardTx) {
+    logEvent(tx, {
+        type: "tradeDeadline",
+        text: "The trade deadline has passed. No more trades are allowed until after the playoffs.",
+        showNotification: true,
+        tids: g.userTids,
+    });
+
+    return [undefined, ["playerMovement"]];
+}
+
 async function newPhasePlayoffs(tx: BackboardTx) {
     // Achievements after regular season
     account.checkAchievement.septuawinarian();
@@ -168,18 +193,19 @@ async function newPhasePlayoffs(tx: BackboardTx) {
     // Set playoff matchups
     const teams = await team.filter({
         ot: tx,
-        attrs: ["tid", "cid"],
-        seasonAttrs: ["winp"],
+        attrs: ["tid", "cid", "did"],
+        seasonAttrs: ["winp", "won", "lost"],
         season: g.season,
-        sortBy: "winp",
+        sortBy: ["winp", "-lost", "won"], // Same tiebreakers as the standings
     });
 
-    // Add entry for wins for each team; delete winp, which was only needed for sorting
+    // Add entry for wins for each team; delete lost, which was only needed for sorting
     for (let i = 0; i < teams.length; i++) {
         teams[i].won = 0;
+        delete teams[i].lost;
     }
 
-    const {series, tidPlayoffs} = season.genPlayoffSeries(teams);
+    const {series, playIns, tidPlayoffs, tidPlayIn} = season.genPlayoffSeries(teams);
 
     for (const tid of tidPlayoffs) {
         logEvent(null, {
@@ -189,17 +215,31 @@ async function newPhasePlayoffs(tx: BackboardTx) {
             tids: [tid],
         });
     }
+    for (const tid of tidPlayIn) {
+        logEvent(null, {
+            type: "playoffs",
+            text: `The <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[tid], g.season])}">${g.teamNamesCache[tid]}</a> made the <a href="${helpers.leagueUrl(["playoffs", g.season])}">play-in tournament</a>.`,
+            showNotification: tid === g.userTid,
+            tids: [tid],
+        });
+    }
+
+    // Teams in the play-in tournament get playoff stats rows too, since play-in games count as playoff games
+    const tidPlayoffsOrPlayIn = tidPlayoffs.concat(tidPlayIn);
 
     await Promise.all([
         tx.playoffSeries.put({
             season: g.season,
-            currentRound: 0,
+            currentRound: playIns.length > 0 ? -1 : 0,
             series,
+            playIns,
+            numGamesPlayoffSeries: g.numGamesPlayoffSeries,
+            reseed: g.reseedPlayoffs,
         }),
 
         // Add row to team stats and team season attributes
         tx.teamSeasons.index("season, tid").iterate(backboard.bound([g.season], [g.season, '']), async teamSeason => {
-            if (tidPlayoffs.includes(teamSeason.tid)) {
+            if (tidPlayoffsOrPlayIn.includes(teamSeason.tid)) {
                 await tx.teamStats.add(team.genStatsRow(teamSeason.tid, true));
 
                 teamSeason.playoffRoundsWon = 0;
@@ -221,7 +261,7 @@ async function newPhasePlayoffs(tx: BackboardTx) {
         }),
 
         // Add row to player stats
-        Promise.all(tidPlayoffs.map((tid) => {
+        Promise.all(tidPlayoffsOrPlayIn.map((tid) => {
             return tx.players.index('tid').iterate(tid, (p) => {
                 return player.addStatsRow(tx, p, true);
             });
@@ -236,7 +276,7 @@ async function newPhasePlayoffs(tx: BackboardTx) {
 
     // Don't redirect if we're viewing a live game now
     let url;
-    if (!location.pathname.includes("/live_game")) {
+    if (typeof location === "undefined" || !location.pathname.includes("/live_game")) {
         url = helpers.leagueUrl(["playoffs"]);
     }
 
@@ -345,7 +385,7 @@ async function newPhaseBeforeDraft(tx: BackboardTx) {
 
     // Don't redirect if we're viewing a live game now
     let url;
-    if (!location.pathname.includes("/live_game")) {
+    if (typeof location === "undefined" || !location.pathname.includes("/live_game")) {
         url = helpers.leagueUrl(["history"]);
     }
 
@@ -364,13 +404,17 @@ async function newPhaseDraft(tx: BackboardTx) {
         // Formula badly fit to http://www.ssa.gov/oact/STATS/table4c6.html
         const probDeath = 0.0001165111 * Math.exp(0.0761889274 * (g.season - p.born.year));
 
-        if (Math.random() < probDeath) {
+        if (random.random() < probDeath) {
             p.diedYear = g.season;
             return p;
         }
     });
 
-    await draft.genOrder(tx);
+    // The lottery might have already been run from the Draft Lottery page
+    const draftLotteryResult = await tx.draftLotteryResults.get(g.season);
+    if (draftLotteryResult === undefined) {
+        await draft.genOrder(tx);
+    }
 
     // This is a hack to handle weird cases where players have draft.year set to the current season, which fucks up the draft UI
     await tx.players.index('draft.year').iterate(g.season, p => {
@@ -392,6 +436,15 @@ async function newPhaseAfterDraft(tx: BackboardTx) {
 async function newPhaseResignPlayers(tx: BackboardTx) {
     const baseMoods = await player.genBaseMoods(tx);
 
+    // Options on the last season of contracts are decided now. Team options for the user's team are left for the user to decide on, and are exercised at the start of free agency if not declined.
+    await tx.players.index('tid').iterate(backboard.lowerBound(0), p => {
+        if (p.contract.option !== undefined && p.contract.exp === g.season + 1) {
+            if (p.contract.option === "player" || !g.userTids.includes(p.tid) || g.autoPlaySeasons > 0) {
+                return player.resolveOption(p, player.shouldExerciseOption(p));
+            }
+        }
+    });
+
     // Re-sign players on user's team, and some AI players
     await tx.players.index('tid').iterate(backboard.lowerBound(0), async p => {
         if (p.contract.exp <= g.season && g.userTids.includes(p.tid) && g.autoPlaySeasons === 0) {
@@ -430,6 +483,13 @@ async function newPhaseFreeAgency(tx: BackboardTx) {
 
     const baseMoods = await player.genBaseMoods(tx);
 
+    // Any team options that weren't declined during the re-signing phase are exercised
+    await tx.players.index('tid').iterate(backboard.lowerBound(0), p => {
+        if (p.contract.option !== undefined && p.contract.exp === g.season + 1) {
+            return player.resolveOption(p, true);
+        }
+    });
+
     // Reset contract demands of current free agents and undrafted players
     // KeyRange only works because g.PLAYER.UNDRAFTED is -2 and g.PLAYER.FREE_AGENT is -1
     await tx.players.index('tid').iterate(backboard.bound(g.PLAYER.UNDRAFTED, g.PLAYER.FREE_AGENT), p => player.addToFreeAgents(tx, p, g.PHASE.FREE_AGENCY, baseMoods));
@@ -438,15 +498,15 @@ async function newPhaseFreeAgency(tx: BackboardTx) {
     // Run this after upding contracts for current free agents, or addToFreeAgents will be called twice for these guys
     await tx.players.index('tid').iterate(backboard.lowerBound(0), p => {
         if (p.contract.exp <= g.season && (!g.userTids.includes(p.tid) || g.autoPlaySeasons > 0)) {
-            // Automatically negotiate with teams
+            // Automatically negotiate with teams, which can always go over the cap to re-sign their own players with Bird rights
             const factor = strategies[p.tid] === "rebuilding" ? 0.4 : 0;
 
-            if (Math.random() < p.value / 100 - factor) { // Should eventually be smarter than a coin flip
+            if (random.random() < p.value / 100 - factor) { // Should eventually be smarter than a coin flip
                 // See also core.team
                 const contract = player.genContract(p);
                 contract.exp += 1; // Otherwise contracts could expire this season
-                p = player.setContract(p, contract, true);
-                p.gamesUntilTradable = 15;
+                p = player.setContract(p, player.genContractStructure(p, contract), true);
+                p.gamesUntilTradable = g.untradableGamesAfterSigning;
 
                 logEvent(null, {
                     type: "reSigned",
@@ -527,6 +587,10 @@ async function newPhase(phase: Phase, extra: any) {
             objectStores: ["gameAttributes", "messages", "schedule", "teams"],
             func: newPhaseRegularSeason,
         },
+        [g.PHASE.AFTER_TRADE_DEADLINE]: {
+            objectStores: ["events"],
+            func: newPhaseAfterTradeDeadline,
+        },
         [g.PHASE.PLAYOFFS]: {
             objectStores: ["players", "playerStats", "playoffSeries", "releasedPlayers", "schedule", "teams", "teamSeasons", "teamStats"],
             func: newPhasePlayoffs,
@@ -536,7 +600,7 @@ async function newPhase(phase: Phase, extra: any) {
             func: newPhaseBeforeDraft,
         },
         [g.PHASE.DRAFT]: {
-            objectStores: ["draftPicks", "draftOrder", "gameAttributes", "players", "teams", "teamSeasons", "teamStats"],
+            objectStores: ["draftLotteryResults", "draftPicks", "draftOrder", "gameAttributes", "players", "teams", "teamSeasons", "teamStats"],
             func: newPhaseDraft,
         },
         [g.PHASE.AFTER_DRAFT]: {
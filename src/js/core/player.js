@@ -21,7 +21,7 @@ import type {
     PlayerFiltered,
     PlayerInjury,
     PlayerRatings,
-    PlayerSalary, // eslint-disable-line no-unused-vars
+    PlayerSalary,
     PlayerSkill,
     PlayerStats,
     PlayerWithStats,
@@ -212,6 +212,38 @@ function genContract(
     return {amount, exp: expiration};
 }
 
+// Is a contract signed now beginning with an in-progress season, or next season?
+function contractStart(): number {
+    return g.phase > g.PHASE.AFTER_TRADE_DEADLINE ? g.season + 1 : g.season;
+}
+
+// Salary after one season of a raise (or decline), rounded to the nearest $10k
+function applyRaise(amount: number, raise: number): number {
+    return Math.round(amount * (1 + raise) / 10) * 10;
+}
+
+/**
+ * Get the salary for each remaining season of a contract, including yearly raises.
+ *
+ * @memberOf core.player
+ * @param {Object} contract Contract object.
+ * @return {Array.<Object>} Array of objects with season and amount properties, starting with the current season (or the first season of the contract, if it hasn't started yet).
+ */
+function getContractSalaries(contract: PlayerContract): PlayerSalary[] {
+    const start = contract.start !== undefined && contract.start > g.season ? contract.start : g.season;
+
+    const salaries = [];
+    let amount = contract.amount;
+    for (let season = start; season <= contract.exp; season++) {
+        salaries.push({season, amount});
+        if (contract.raise !== undefined) {
+            amount = applyRaise(amount, contract.raise);
+        }
+    }
+
+    return salaries;
+}
+
 /**
  * Store a contract in a player object.
  *
@@ -230,20 +262,150 @@ function setContract<T: {contract: PlayerContract, salaries: PlayerSalary[]}>(
 
     // Only write to salary log if the player is actually signed. Otherwise, we're just generating a value for a negotiation.
     if (signed) {
-        // Is this contract beginning with an in-progress season, or next season?
-        let start = g.season;
-        if (g.phase > g.PHASE.AFTER_TRADE_DEADLINE) {
-            start += 1;
-        }
+        p.contract = Object.assign({}, contract, {start: contractStart()});
+        p.salaries = p.salaries.concat(getContractSalaries(p.contract));
+    }
 
-        for (let i = start; i <= p.contract.exp; i++) {
-            p.salaries.push({season: i, amount: contract.amount});
-        }
+    return p;
+}
+
+/**
+ * Update the current salary of a contract with yearly raises, at the start of a new season.
+ *
+ * @memberOf core.player
+ * @param {Object} contract Contract object, which will be modified.
+ * @return {Object} Updated contract object.
+ */
+function applyYearlyRaise(contract: PlayerContract): PlayerContract {
+    if (contract.raise !== undefined && contract.start !== undefined && contract.start < g.season && contract.exp >= g.season) {
+        contract.amount = applyRaise(contract.amount, contract.raise);
+    }
+
+    return contract;
+}
+
+/**
+ * Add yearly raises, an option, and guarantees to a contract signed by an AI team.
+ *
+ * Young players get raises and old players get declines. Some longer contracts have an option on the last season, which is a player option for good players and a team option for everyone else. Multi-year minimum contracts are only guaranteed for the first season.
+ *
+ * @memberOf core.player
+ * @param {Object} p Player object.
+ * @param {Object} contract Contract object, like from genContract.
+ * @return {Object} New contract object.
+ */
+function genContractStructure(p: Player, contract: PlayerContract): PlayerContract {
+    const start = contractStart();
+    const years = contract.exp - start + 1;
+    const structured = Object.assign({}, contract);
+
+    if (years < 2) {
+        return structured;
+    }
+
+    const age = g.season - p.born.year;
+    if (age <= 25) {
+        structured.raise = 0.05;
+    } else if (age >= 31) {
+        structured.raise = -0.05;
+    }
+
+    if (years >= 3 && random.random() < 0.3) {
+        structured.option = p.value >= 60 ? "player" : "team";
+    }
+
+    if (contract.amount <= g.minContract) {
+        structured.guaranteedThrough = start;
+    }
+
+    return structured;
+}
+
+/**
+ * Decide whether an option on the last season of a contract will be exercised.
+ *
+ * Players turn down their options if they could get more money as free agents, and AI teams turn down their options if the player isn't worth his salary, both based on player.value.
+ *
+ * @memberOf core.player
+ * @param {Object} p Player object, with an option on his contract.
+ * @return {boolean} True if the option is exercised.
+ */
+function shouldExerciseOption(p: Player): boolean {
+    const salaries = getContractSalaries(p.contract);
+    const optionAmount = salaries[salaries.length - 1].amount;
+    const marketAmount = genContract(p, false, false).amount;
+
+    if (p.contract.option === "player") {
+        return marketAmount <= optionAmount;
+    }
+
+    return marketAmount >= optionAmount;
+}
+
+/**
+ * Exercise or decline the option on the last season of a player's contract.
+ *
+ * If declined, the contract ends this season, so the player can be re-signed or become a free agent.
+ *
+ * @memberOf core.player
+ * @param {Object} p Player object, which will be modified.
+ * @param {boolean} exercise Is the option exercised?
+ * @return {Object} Updated player object.
+ */
+function resolveOption(p: Player, exercise: boolean): Player {
+    const option = p.contract.option;
+    delete p.contract.option;
+
+    if (!exercise) {
+        const exp = p.contract.exp;
+        p.contract.exp = g.season;
+        p.salaries = p.salaries.filter(salary => salary.season <= g.season || salary.season > exp);
+    }
+
+    let text;
+    if (option === "player") {
+        text = exercise ? "exercised his player option to stay with" : "declined his player option to become a free agent, leaving";
+    } else {
+        text = exercise ? "had his team option exercised by" : "had his team option declined by";
     }
+    logEvent(null, {
+        type: "contractOption",
+        text: `<a href="${helpers.leagueUrl(["player", p.pid])}">${p.firstName} ${p.lastName}</a> ${text} the <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[p.tid], g.season])}">${g.teamNamesCache[p.tid]}</a>.`,
+        showNotification: false,
+        pids: [p.pid],
+        tids: [p.tid],
+    });
 
     return p;
 }
 
+/**
+ * Get the part of a player's contract that a team still has to pay after releasing him.
+ *
+ * Players who were just drafted are free to release, and otherwise only the guaranteed seasons of a contract are owed.
+ *
+ * @memberOf core.player
+ * @param {Object} p Player object.
+ * @param {boolean} justDrafted True if the player was just drafted by his current team and the regular season hasn't started yet.
+ * @return {?Object} Contract still owed, or null if nothing is owed.
+ */
+function getReleasedContract(p: {contract: PlayerContract}, justDrafted: boolean): PlayerContract | null {
+    if (justDrafted) {
+        return null;
+    }
+
+    let exp = p.contract.exp;
+    if (p.contract.guaranteedThrough !== undefined && p.contract.guaranteedThrough < exp) {
+        exp = p.contract.guaranteedThrough;
+    }
+
+    if (exp < g.season) {
+        return null;
+    }
+
+    return Object.assign({}, p.contract, {exp});
+}
+
 /**
  * Assign a position (PG, SG, SF, PF, C, G, GF, FC) based on ratings.
  *
@@ -348,13 +510,13 @@ function calcBaseChange(age: number, potentialDifference: number): number {
     // Factor in potential difference
     // This only matters for young players who have potentialDifference != 0
     if (age <= 21) {
-        if (Math.random() < 0.75) {
+        if (random.random() < 0.75) {
             val += potentialDifference * random.uniform(0.2, 0.9);
         } else {
             val += potentialDifference * random.uniform(0.1, 0.3);
         }
     } else if (age <= 25) {
-        if (Math.random() < 0.25) {
+        if (random.random() < 0.25) {
             val += potentialDifference * random.uniform(0.2, 0.9);
         } else {
             val += potentialDifference * random.uniform(0.1, 0.3);
@@ -399,12 +561,12 @@ function develop<T: {born: {loc: string, year: number}, pos?: string, ratings: P
         age += 1;
 
         // Randomly make a big jump
-        if (Math.random() > 0.985 && age <= 23) {
+        if (random.random() > 0.985 && age <= 23) {
             p.ratings[r].pot += random.uniform(5, 25);
         }
 
         // Randomly regress
-        if (Math.random() > 0.995 && age <= 23) {
+        if (random.random() > 0.995 && age <= 23) {
             p.ratings[r].pot -= random.uniform(5, 25);
         }
 
@@ -541,7 +703,7 @@ async function genBaseMoods(tx: ?BackboardTx): Promise<number[]> {
 
     return teamSeasons.map(teamSeason => {
         // Special case for winning a title - basically never refuse to re-sign unless a miracle occurs
-        if (teamSeason.playoffRoundsWon === g.numPlayoffRounds && Math.random() < 0.99) {
+        if (teamSeason.playoffRoundsWon === g.numPlayoffRounds && random.random() < 0.99) {
             return -0.25; // Should guarantee no refusing to re-sign
         }
 
@@ -607,6 +769,8 @@ async function addToFreeAgents(tx: ?BackboardTx, p: Player, phase: Phase, baseMo
     p.tid = g.PLAYER.FREE_AGENT;
 
     p.ptModifier = 1; // Reset
+    p.targetMin = null;
+    p.closer = false;
 
     // The put doesn't always work in Chrome. No idea why.
     await dbOrTx.players.put(p);
@@ -624,17 +788,22 @@ async function addToFreeAgents(tx: ?BackboardTx, p: Player, phase: Phase, baseMo
  * @return {Promise}
  */
 async function release(tx: BackboardTx, p: Player, justDrafted: boolean) {
-    // Keep track of player salary even when he's off the team, but make an exception for players who were just drafted
-    // Was the player just drafted?
-    if (!justDrafted) {
+    // Keep track of player salary even when he's off the team, but make an exception for players who were just drafted and for non-guaranteed seasons
+    const releasedContract = getReleasedContract(p, justDrafted);
+    if (releasedContract !== null) {
         tx.releasedPlayers.add({
             pid: p.pid,
             tid: p.tid,
-            contract: p.contract,
+            contract: releasedContract,
         });
-    } else {
+
+        // Remove non-guaranteed seasons from the salary log, because they won't be paid
+        p.salaries = p.salaries.filter(salary => salary.season <= releasedContract.exp);
+    } else if (justDrafted) {
         // Clear player salary log if just drafted, because this won't be paid.
         p.salaries = [];
+    } else {
+        p.salaries = p.salaries.filter(salary => salary.season < contractStart());
     }
 
     logEvent(null, {
@@ -718,7 +887,7 @@ function genRatings(
 
     // Small chance of freakish ability in 2 categories
     for (let i = 0; i < 2; i++) {
-        if (Math.random() < 0.2) {
+        if (random.random() < 0.2) {
             // Randomly pick a non-height rating to improve
             const j = random.randInt(1, 14);
             rawRatings[j] = limitRating(rawRatings[j] + 50);
@@ -882,6 +1051,19 @@ function addStatsRow(tx: ?BackboardTx, p: Player, playoffs?: boolean = false): P
         pts: 0,
         per: 0,
         ewa: 0,
+        astp: 0,
+        bpm: 0,
+        drbp: 0,
+        dws: 0,
+        onOff: 0,
+        orbp: 0,
+        ows: 0,
+        tovp: 0,
+        trbp: 0,
+        tsp: 0,
+        usgp: 0,
+        vorp: 0,
+        ws: 0,
         yearsWithTeam: 1,
     };
 
@@ -945,6 +1127,18 @@ function addStatsRow(tx: ?BackboardTx, p: Player, playoffs?: boolean = false): P
     return p;
 }
 
+// facesjs uses Math.random internally, so swap in the seeded random number generator to make faces reproducible too
+function genFace() {
+    const math: any = Math;
+    const mathRandom = math.random;
+    math.random = random.random;
+    try {
+        return faces.generate();
+    } finally {
+        math.random = mathRandom;
+    }
+}
+
 function generate(
     tid: number,
     age: number,
@@ -995,7 +1189,7 @@ function generate(
             ovr: ratings.ovr,
             skills: ratings.skills,
         },
-        face: faces.generate(),
+        face: genFace(),
         firstName: nameInfo.firstName,
         freeAgentMood: Array(g.numTeams).fill(0),
         gamesUntilTradable: 0,
@@ -1023,7 +1217,7 @@ function generate(
         valueWithContract: 0,
     };
 
-    const rand = Math.random();
+    const rand = random.random();
     if (rand < 0.5) {
         p.hgt += 1;
     } else if (rand < 0.75) {
@@ -1371,6 +1565,21 @@ function filter(p: PlayerWithStats | PlayerWithStats[], options: any): PlayerFil
         return ps;
     };
 
+    // Advanced stats from util.advStats, besides PER and EWA. Rates are weighted by minutes for career stats, and totals are summed.
+    const advStatsRate = ["astp", "bpm", "drbp", "onOff", "orbp", "tovp", "trbp", "tsp", "usgp"];
+    const advStatsTotal = ["dws", "ows", "vorp", "ws"];
+    const careerAdvStats = (row, seasons, stats) => {
+        const min = _.reduce(seasons, (memo, ps) => memo + ps.min, 0);
+        for (const stat of stats) {
+            const values = seasons.map(ps => (ps[stat] !== undefined ? ps[stat] : 0));
+            if (advStatsRate.includes(stat)) {
+                row[stat] = min > 0 ? _.reduce(values, (memo, num, i) => memo + num * seasons[i].min, 0) / min : 0;
+            } else if (advStatsTotal.includes(stat)) {
+                row[stat] = _.reduce(values, (memo, num) => memo + num, 0);
+            }
+        }
+    };
+
     // Filters s by stats (which should be options.stats) and returns a filtered object. This is to do one season of stats filtering.
     // eslint-disable-next-line no-shadow
     const filterStatsPartial = (p: PlayerWithStats, s: any, stats) => {
@@ -1430,6 +1639,9 @@ function filter(p: PlayerWithStats | PlayerWithStats[], options: any): PlayerFil
                     row.per = s.per;
                 } else if (stats[j] === "ewa") {
                     row.ewa = s.ewa;
+                } else if (advStatsRate.includes(stats[j]) || advStatsTotal.includes(stats[j])) {
+                    // Undefined for stats rows from before they were calculated
+                    row[stats[j]] = s[stats[j]] !== undefined ? s[stats[j]] : 0;
                 } else if (stats[j] === "yearsWithTeam") {
                     row.yearsWithTeam = s.yearsWithTeam;
                 } else if (stats[j] === "psid") {
@@ -1506,11 +1718,13 @@ function filter(p: PlayerWithStats | PlayerWithStats[], options: any): PlayerFil
                 }
                 if (isNaN(fp.careerStats.per)) { fp.careerStats.per = 0; }
                 fp.careerStats.ewa = _.reduce(ps.r, (memo, psr) => memo + psr.ewa, 0); // Special case for EWA - sum
+                careerAdvStats(fp.careerStats, ps.r, options.stats);
                 if (options.playoffs) {
                     fp.careerStatsPlayoffs = filterStatsPartial(p, ps.cp, options.stats);
                     fp.careerStatsPlayoffs.per = _.reduce(ps.p, (memo, psp) => memo + psp.per * psp.min, 0) / (fp.careerStatsPlayoffs.min * fp.careerStatsPlayoffs.gp); // Special case for PER - weight by minutes per season
                     if (isNaN(fp.careerStatsPlayoffs.per)) { fp.careerStatsPlayoffs.per = 0; }
                     fp.careerStatsPlayoffs.ewa = _.reduce(ps.p, (memo, psp) => memo + psp.ewa, 0); // Special case for EWA - sum
+                    careerAdvStats(fp.careerStatsPlayoffs, ps.p, options.stats);
                 }
             } else if (options.stats.length > 0) { // Return 0 stats if no entry and a single year was requested, unless no stats were explicitly requested
                 // Single seasons
@@ -1951,7 +2165,7 @@ function augmentPartialPlayer(p: any, scoutingRank: number): PlayerWithStats {
 }
 
 function checkStatisticalFeat(tx: BackboardTx, pid: number, tid: number, p: GamePlayer, results: GameResults) {
-    const minFactor = Math.sqrt(g.quarterLength / 12); // sqrt is to account for fatigue in short/long games. Also https://news.ycombinator.com/item?id=11032596
+    const minFactor = Math.sqrt(g.numPeriods * g.quarterLength / 48); // sqrt is to account for fatigue in short/long games. Also https://news.ycombinator.com/item?id=11032596
     const TEN = minFactor * 10;
     const FIVE = minFactor * 5;
     const TWENTY = minFactor * 20;
@@ -2240,6 +2454,12 @@ export {
     bonus,
     genContract,
     setContract,
+    getContractSalaries,
+    applyYearlyRaise,
+    genContractStructure,
+    shouldExerciseOption,
+    resolveOption,
+    getReleasedContract,
     develop,
     injury,
     generate,
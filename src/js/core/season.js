@@ -115,12 +115,12 @@ async function doAwards(tx: BackboardTx) {
 
     players = player.filter(players, {
         attrs: ["pid", "name", "tid", "abbrev", "draft"],
-        stats: ["gp", "gs", "min", "pts", "trb", "ast", "blk", "stl", "ewa"],
+        stats: ["gp", "gs", "min", "pts", "trb", "ast", "blk", "stl", "ewa", "dws"],
         season: g.season,
     });
 
     // League leaders - points, rebounds, assists, steals, blocks
-    const factor = (g.numGames / 82) * Math.sqrt(g.quarterLength / 12); // To handle changes in number of games and playing time
+    const factor = (g.numGames / 82) * Math.sqrt(g.numPeriods * g.quarterLength / 48); // To handle changes in number of games and playing time
     const categories = [
         {name: "League Scoring Leader", stat: "pts", minValue: 1400},
         {name: "League Rebounding Leader", stat: "trb", minValue: 800},
@@ -206,8 +206,8 @@ async function doAwards(tx: BackboardTx) {
         awardsByPlayer.push({pid: p.pid, tid: p.tid, name: p.name, type});
     }
 
-    // Defensive Player of the Year
-    players.sort((a, b) => b.stats.gp * (b.stats.trb + 5 * b.stats.blk + 5 * b.stats.stl) - a.stats.gp * (a.stats.trb + 5 * a.stats.blk + 5 * a.stats.stl));
+    // Defensive Player of the Year - most defensive win shares
+    players.sort((a, b) => b.stats.dws - a.stats.dws);
     {
         const p = players[0];
         awards.dpoy = {pid: p.pid, name: p.name, tid: p.tid, abbrev: p.abbrev, trb: p.stats.trb, blk: p.stats.blk, stl: p.stats.stl};
@@ -242,12 +242,12 @@ async function doAwards(tx: BackboardTx) {
     });
     champPlayers = player.filter(champPlayers, { // Only the champions, only playoff stats
         attrs: ["pid", "name", "tid", "abbrev"],
-        stats: ["pts", "trb", "ast", "ewa"],
+        stats: ["pts", "trb", "ast", "ws"],
         season: g.season,
         playoffs: true,
         tid: champTid,
     });
-    champPlayers.sort((a, b) => b.statsPlayoffs.ewa - a.statsPlayoffs.ewa);
+    champPlayers.sort((a, b) => b.statsPlayoffs.ws - a.statsPlayoffs.ws);
     {
         const p = champPlayers[0];
         awards.finalsMvp = {pid: p.pid, name: p.name, tid: p.tid, abbrev: p.abbrev, pts: p.statsPlayoffs.pts, trb: p.statsPlayoffs.trb, ast: p.statsPlayoffs.ast};
@@ -313,6 +313,8 @@ function getSchedule(tx?: BackboardTx, oneDay?: boolean = false): Promise<Schedu
 /**
  * Save the schedule to the database, overwriting what's currently there.
  *
+ * Each game is numbered with the day it will be played on, which is the same way getSchedule splits up days.
+ *
  * @param {(IDBTransaction)} tx An IndexedDB transaction on schedule readwrite.
  * @param {Array} tids A list of lists, each containing the team IDs of the home and
         away teams, respectively, for every game in the season, respectively.
@@ -321,10 +323,19 @@ function getSchedule(tx?: BackboardTx, oneDay?: boolean = false): Promise<Schedu
 async function setSchedule(tx: BackboardTx, tids: [number, number][]) {
     await tx.schedule.clear();
 
+    let day = 1;
+    let tidsToday = [];
     for (const matchup of tids) {
+        if (tidsToday.includes(matchup[0]) || tidsToday.includes(matchup[1])) {
+            day += 1;
+            tidsToday = [];
+        }
+        tidsToday.push(matchup[0], matchup[1]);
+
         await tx.schedule.add({
             homeTid: matchup[0],
             awayTid: matchup[1],
+            day,
         });
     }
 }
@@ -554,6 +565,110 @@ function newSchedule(teams: Team[]): [number, number][] {
 }
 
 /**/
+/**
+ * Is the team with home court advantage at home for the next game of a playoff series?
+ *
+ * This generalizes the 2-2-1-1-1 format to any series length: the first two games are at home, the next two are away, and then it alternates.
+ *
+ * @param {number} numGamesPlayed Number of games already played in the series.
+ * @return {boolean}
+ */
+function higherSeedHome(numGamesPlayed: number): boolean {
+    if (numGamesPlayed < 4) {
+        return numGamesPlayed < 2;
+    }
+    return numGamesPlayed % 2 === 0;
+}
+
+// Series with no away team are first round byes, which the home team automatically wins
+function seriesWinner(series: Object, numGamesToWin: number) {
+    return series.away === undefined || series.home.won >= numGamesToWin ? series.home : series.away;
+}
+
+/**
+ * Create a single day's schedule for the play-in tournament, or finish the play-in tournament and set the remaining playoff seeds.
+ *
+ * In each play-in tournament, the first day has 2 games: the 2 lowest playoff seeds play for the second lowest seed, and the next 2 teams play to stay alive. Then on the second day, the loser of the first game plays the winner of the second game for the lowest seed.
+ *
+ * @param {(IDBTransaction)} tx An IndexedDB transaction on playoffSeries, schedule, and teamSeasons, readwrite.
+ * @param {Object} playoffSeries Playoff series object for this season, will be updated.
+ * @return {Promise.boolean} Resolves to true if the play-in tournament is over. Otherwise, false.
+ */
+async function newSchedulePlayInDay(tx: BackboardTx, playoffSeries: Object): Promise<boolean> {
+    const tids = [];
+    for (const playIn of playoffSeries.playIns) {
+        for (const game of playIn.games) {
+            if (game.home.won === 0 && game.away.won === 0) {
+                tids.push([game.home.tid, game.away.tid]);
+            }
+        }
+    }
+
+    if (tids.length > 0) {
+        await setSchedule(tx, tids);
+        return false;
+    }
+
+    // First day is done, so set up the second day
+    const tidsEliminated = [];
+    if (playoffSeries.playIns.some(playIn => playIn.games.length === 2)) {
+        for (const playIn of playoffSeries.playIns) {
+            const [game1, game2] = playIn.games;
+            const home = helpers.deepCopy(game1.home.won > 0 ? game1.away : game1.home);
+            const away = helpers.deepCopy(game2.home.won > 0 ? game2.home : game2.away);
+            home.won = 0;
+            away.won = 0;
+            playIn.games.push({home, away});
+
+            tidsEliminated.push(game2.home.won > 0 ? game2.away.tid : game2.home.tid);
+        }
+    } else {
+        // Second day is done, so put the winners in the first round of the playoffs
+        for (const playIn of playoffSeries.playIns) {
+            const [game1, , game3] = playIn.games;
+            const winners = [
+                helpers.deepCopy(game1.home.won > 0 ? game1.home : game1.away),
+                helpers.deepCopy(game3.home.won > 0 ? game3.home : game3.away),
+            ];
+
+            // Placeholders in the first round are the teams that were originally in those seeds, which are the 2 teams in the first game. Find them all before replacing any, since a winner could already be in one of those spots.
+            const placeholderTids = [game1.home.tid, game1.away.tid];
+            const spots = placeholderTids.map(tid => {
+                for (const series of playoffSeries.series[0]) {
+                    if (series.home.tid === tid) {
+                        return [series, "home"];
+                    }
+                    if (series.away !== undefined && series.away.tid === tid) {
+                        return [series, "away"];
+                    }
+                }
+                throw new Error(`Play-in team ${tid} not found in first round`);
+            });
+            for (let i = 0; i < spots.length; i++) {
+                const [series, side] = spots[i];
+                winners[i].seed = playIn.seeds[i];
+                winners[i].won = 0;
+                series[side] = winners[i];
+            }
+
+            tidsEliminated.push(game3.home.won > 0 ? game3.away.tid : game3.home.tid);
+        }
+
+        playoffSeries.currentRound = 0;
+    }
+
+    await tx.playoffSeries.put(playoffSeries);
+
+    // Teams knocked out in the play-in tournament didn't make the playoffs
+    await Promise.all(tidsEliminated.map(async (tid) => {
+        const teamSeason = await tx.teamSeasons.index("season, tid").get([g.season, tid]);
+        teamSeason.playoffRoundsWon = -1;
+        await tx.teamSeasons.put(teamSeason);
+    }));
+
+    return playoffSeries.currentRound === 0;
+}
+
 /**
  * Create a single day's schedule for an in-progress playoffs.
  *
@@ -568,12 +683,24 @@ async function newSchedulePlayoffsDay(tx: BackboardTx): Promise<boolean> {
     const rnd = playoffSeries.currentRound;
     const tids = [];
 
+    if (rnd === -1) {
+        const playInOver = await newSchedulePlayInDay(tx, playoffSeries);
+        if (playInOver) {
+            // Schedule the first day of the first round
+            return newSchedulePlayoffsDay(tx);
+        }
+        return false;
+    }
+
+    const numGamesPlayoffSeries = helpers.getNumGamesPlayoffSeries(playoffSeries);
+    const numGamesToWin = helpers.numGamesToWinSeries(numGamesPlayoffSeries, rnd);
+
     // Try to schedule games if there are active series
     for (let i = 0; i < series[rnd].length; i++) {
-        if (series[rnd][i].home.won < 4 && series[rnd][i].away.won < 4) {
-            // Make sure to set home/away teams correctly! Home for the lower seed is 1st, 2nd, 5th, and 7th games.
+        if (series[rnd][i].away !== undefined && series[rnd][i].home.won < numGamesToWin && series[rnd][i].away.won < numGamesToWin) {
+            // Make sure to set home/away teams correctly!
             const numGames = series[rnd][i].home.won + series[rnd][i].away.won;
-            if (numGames === 0 || numGames === 1 || numGames === 4 || numGames === 6) {
+            if (higherSeedHome(numGames)) {
                 tids.push([series[rnd][i].home.tid, series[rnd][i].away.tid]);
             } else {
                 tids.push([series[rnd][i].away.tid, series[rnd][i].home.tid]);
@@ -589,12 +716,7 @@ async function newSchedulePlayoffsDay(tx: BackboardTx): Promise<boolean> {
 
     // If playoffs are over, update winner and go to next phase
     if (rnd === g.numPlayoffRounds - 1) {
-        let key;
-        if (series[rnd][0].home.won >= 4) {
-            key = series[rnd][0].home.tid;
-        } else {
-            key = series[rnd][0].away.tid;
-        }
+        const key = seriesWinner(series[rnd][0], numGamesToWin).tid;
 
         await tx.teamSeasons.index("season, tid").iterate([g.season, key], teamSeason => {
             teamSeason.playoffRoundsWon = g.numPlayoffRounds;
@@ -613,37 +735,40 @@ async function newSchedulePlayoffsDay(tx: BackboardTx): Promise<boolean> {
     // Playoffs are not over! Make another round
 
     // Set matchups for next round
-    const tidsWon = [];
-    for (let i = 0; i < series[rnd].length; i += 2) {
-        // Find the two winning teams
-        let team1;
-        let team2;
-        if (series[rnd][i].home.won >= 4) {
-            team1 = helpers.deepCopy(series[rnd][i].home);
-            tidsWon.push(series[rnd][i].home.tid);
-        } else {
-            team1 = helpers.deepCopy(series[rnd][i].away);
-            tidsWon.push(series[rnd][i].away.tid);
-        }
-        if (series[rnd][i + 1].home.won >= 4) {
-            team2 = helpers.deepCopy(series[rnd][i + 1].home);
-            tidsWon.push(series[rnd][i + 1].home.tid);
-        } else {
-            team2 = helpers.deepCopy(series[rnd][i + 1].away);
-            tidsWon.push(series[rnd][i + 1].away.tid);
-        }
+    const winners = series[rnd].map(matchup => helpers.deepCopy(seriesWinner(matchup, numGamesToWin)));
+    const tidsWon = winners.map(t => t.tid);
+    for (const t of winners) {
+        t.won = 0;
+    }
 
-        // Set home/away in the next round
-        let matchup;
-        if (team1.winp > team2.winp) {
-            matchup = {home: team1, away: team2};
-        } else {
-            matchup = {home: team2, away: team1};
+    if (playoffSeries.reseed) {
+        // Reseed within each conference (or the whole league), so the best remaining seed plays the worst. The seeds from the first round are kept, so reseeding doesn't depend on the order of the bracket.
+        const playoffsByConference = g.confs.length === 2 && (typeof localStorage === 'undefined' || !localStorage.getItem('top16playoffs'));
+        const numGroups = Math.min(playoffsByConference ? 2 : 1, winners.length / 2);
+        const numTeamsPerGroup = winners.length / numGroups;
+        for (let k = 0; k < numGroups; k++) {
+            const teamsGroup = winners.slice(k * numTeamsPerGroup, (k + 1) * numTeamsPerGroup);
+            teamsGroup.sort((a, b) => a.seed - b.seed || b.winp - a.winp);
+            for (let i = 0; i < numTeamsPerGroup / 2; i++) {
+                series[rnd + 1][i + k * numTeamsPerGroup / 2] = {
+                    home: teamsGroup[i],
+                    away: teamsGroup[numTeamsPerGroup - 1 - i],
+                };
+            }
+        }
+    } else {
+        for (let i = 0; i < winners.length; i += 2) {
+            // Find the two winning teams
+            const team1 = winners[i];
+            const team2 = winners[i + 1];
+
+            // Set home/away in the next round
+            if (team1.winp > team2.winp) {
+                series[rnd + 1][i / 2] = {home: team1, away: team2};
+            } else {
+                series[rnd + 1][i / 2] = {home: team2, away: team1};
+            }
         }
-
-        matchup.home.won = 0;
-        matchup.away.won = 0;
-        series[rnd + 1][i / 2] = matchup;
     }
 
     playoffSeries.currentRound += 1;
@@ -696,53 +821,104 @@ async function getDaysLeftSchedule() {
     return numDays;
 }
 
+/**
+ * Order teams by playoff seed.
+ *
+ * Teams must already be sorted by record, including the tiebreakers used in the standings. If g.divWinnersTopSeeds is set, the best team in each division is moved ahead of everyone else, keeping the same relative order among division winners and among the other teams.
+ *
+ * @memberOf core.season
+ * @param {Array.<Object>} teams Teams sorted by record, with at least tid and did properties.
+ * @return {Array.<Object>} Teams in seed order.
+ */
+function orderPlayoffSeeds<T: {did: number}>(teams: T[]): T[] {
+    if (!g.divWinnersTopSeeds) {
+        return teams;
+    }
+
+    const dids = new Set();
+    const divWinners = [];
+    const others = [];
+    for (const t of teams) {
+        if (dids.has(t.did)) {
+            others.push(t);
+        } else {
+            dids.add(t.did);
+            divWinners.push(t);
+        }
+    }
+
+    return divWinners.concat(others);
+}
+
+/**
+ * Generate the first round of the playoffs, and the play-in tournament if there is one.
+ *
+ * Teams are seeded in the order they are given, except for division winners if g.divWinnersTopSeeds is set (see orderPlayoffSeeds). The number of teams is determined by g.numPlayoffRounds and g.numPlayoffByes, with byes going to the top seeds. Each conference (or the whole league, if playoffs are not split by conference) gets its own play-in tournament if g.playIn is set and there are enough teams for it.
+ *
+ * @memberOf core.season
+ * @param {Array.<Object>} teams Teams sorted by winning percentage, with at least tid and cid properties.
+ * @return {Object} Object with properties series (first round matchups, with later rounds empty), playIns (play-in tournament games, possibly empty), tidPlayoffs (teams already in the playoffs), and tidPlayIn (teams in the play-in tournament).
+ */
 function genPlayoffSeries(teams: Team[]) {
     // Playoffs are split into two branches by conference only if there are exactly 2 conferences and the special secret option top16playoffs is not set
-    const playoffsByConference = g.confs.length === 2 && !localStorage.getItem('top16playoffs');
+    const playoffsByConference = g.confs.length === 2 && (typeof localStorage === 'undefined' || !localStorage.getItem('top16playoffs'));
+
+    // Default: top 50% of teams in each of the two conferences. Alternative: top 50% of teams overall
+    const groups = (playoffsByConference ? g.confs.map(conf => teams.filter(t => t.cid === conf.cid)) : [teams]).map(orderPlayoffSeeds);
+
+    const numSlotsPerGroup = 2 ** g.numPlayoffRounds / groups.length;
+    const numByesPerGroup = Math.floor(g.numPlayoffByes / groups.length);
+    const numPlayoffTeamsPerGroup = numSlotsPerGroup - numByesPerGroup;
+    const numSeriesPerGroup = numSlotsPerGroup / 2;
 
     const tidPlayoffs = [];
-    const numPlayoffTeams = 2 ** g.numPlayoffRounds;
+    const tidPlayIn = [];
+    const playIns = [];
     const series = _.range(g.numPlayoffRounds).map(() => []);
-    if (playoffsByConference) {
-        // Default: top 50% of teams in each of the two conferences
-        const numSeriesPerConference = numPlayoffTeams / 4;
-        for (let cid = 0; cid < g.confs.length; cid++) {
-            const teamsConf = [];
-            for (let i = 0; i < teams.length; i++) {
-                if (teams[i].cid === cid) {
-                    teamsConf.push(teams[i]);
-                    tidPlayoffs.push(teams[i].tid);
-                    if (teamsConf.length >= numPlayoffTeams / 2) {
-                        break;
-                    }
-                }
-            }
-            for (let i = 0; i < numSeriesPerConference; i++) {
-                const j = i % 2 === 0 ? i : numSeriesPerConference - i;
-                series[0][j + cid * numSeriesPerConference] = {home: teamsConf[i], away: teamsConf[numPlayoffTeams / 2 - 1 - i]};
-                series[0][j + cid * numSeriesPerConference].home.seed = i + 1;
-                series[0][j + cid * numSeriesPerConference].away.seed = numPlayoffTeams / 2 - i;
+    for (let k = 0; k < groups.length; k++) {
+        const teamsGroup = groups[k];
+
+        for (let i = 0; i < numSeriesPerGroup; i++) {
+            const j = i % 2 === 0 ? i : numSeriesPerGroup - i;
+            const awayIndex = numSlotsPerGroup - 1 - i;
+            const matchup = {};
+            matchup.home = (teamsGroup[i]: any);
+            matchup.home.seed = i + 1;
+            if (awayIndex < numPlayoffTeamsPerGroup) {
+                matchup.away = (teamsGroup[awayIndex]: any);
+                matchup.away.seed = awayIndex + 1;
             }
+            series[0][j + k * numSeriesPerGroup] = matchup;
         }
-    } else {
-        // Alternative: top 50% of teams overall
-        const teamsConf = [];
-        for (let i = 0; i < teams.length; i++) {
-            teamsConf.push(teams[i]);
-            tidPlayoffs.push(teams[i].tid);
-            if (teamsConf.length >= numPlayoffTeams) {
-                break;
-            }
+
+        // Play-in tournament needs 2 teams beyond the last playoff seed
+        const usePlayIn = g.playIn && numPlayoffTeamsPerGroup >= 2 && teamsGroup.length >= numPlayoffTeamsPerGroup + 2;
+        const numDirectTeams = usePlayIn ? numPlayoffTeamsPerGroup - 2 : numPlayoffTeamsPerGroup;
+        for (let i = 0; i < numDirectTeams; i++) {
+            tidPlayoffs.push(teamsGroup[i].tid);
         }
-        for (let i = 0; i < numPlayoffTeams / 2; i++) {
-            const j = i % 2 === 0 ? i : numPlayoffTeams / 2 - i;
-            series[0][j] = {home: teamsConf[i], away: teamsConf[numPlayoffTeams - 1 - i]};
-            series[0][j].home.seed = i + 1;
-            series[0][j].away.seed = numPlayoffTeams - i;
+
+        if (usePlayIn) {
+            const playInTeams = teamsGroup.slice(numDirectTeams, numDirectTeams + 4).map((t, i) => {
+                const t2: any = helpers.deepCopy(t);
+                t2.seed = numDirectTeams + i + 1;
+                return t2;
+            });
+            for (const t of playInTeams) {
+                tidPlayIn.push(t.tid);
+            }
+
+            playIns.push({
+                seeds: [numDirectTeams + 1, numDirectTeams + 2],
+                games: [
+                    {home: playInTeams[0], away: playInTeams[1]},
+                    {home: playInTeams[2], away: playInTeams[3]},
+                ],
+            });
         }
     }
 
-    return {series, tidPlayoffs};
+    return {series, playIns, tidPlayoffs, tidPlayIn};
 }
 
 export {
@@ -752,6 +928,7 @@ export {
     setSchedule,
     newSchedule,
     newSchedulePlayoffsDay,
+    orderPlayoffSeeds,
     getDaysLeftSchedule,
     genPlayoffSeries,
 };
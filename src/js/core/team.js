@@ -11,7 +11,7 @@ import * as trade from './trade';
 import logEvent from '../util/logEvent';
 import * as helpers from '../util/helpers';
 import * as random from '../util/random';
-import type {BackboardTx, ContractInfo, TeamFiltered, TeamSeason, TeamStats, TradePickValues} from '../util/types';
+import type {BackboardTx, ContractInfo, PayrollProjection, TeamFiltered, TeamSeason, TeamStats, TeamTactics, TradePickValues} from '../util/types';
 
 function genSeasonRow(tid: number, prevSeason?: TeamSeason): TeamSeason {
     const newSeason = {
@@ -34,7 +34,7 @@ function genSeasonRow(tid: number, prevSeason?: TeamSeason): TeamSeason {
         lastTen: [],
         streak: 0,
         playoffRoundsWon: -1,  // -1: didn't make playoffs. 0: lost in first round. ... N: won championship
-        hype: Math.random(),
+        hype: random.random(),
         pop: 0,  // Needs to be set somewhere!
         tvContract: {
             amount: 0,
@@ -145,6 +145,57 @@ function genStatsRow(tid: number, playoffs?: boolean = false): TeamStats {
         pf: 0,
         pts: 0,
         oppPts: 0,
+        oppOrb: 0,
+        oppDrb: 0,
+        lineups: {},
+    };
+}
+
+/**
+ * Tactics for a team that plays a balanced game.
+ *
+ * @memberOf core.team
+ * @return {Object} Tactics object, with every setting at 0.
+ */
+function defaultTactics(): TeamTactics {
+    return {
+        pace: 0,
+        threePoint: 0,
+        interior: 0,
+        pressure: 0,
+        crashBoards: 0,
+    };
+}
+
+/**
+ * Pick tactics that fit a roster, like an AI coach would.
+ *
+ * This counts the skills of the top 7 players by value, so a team with lots of athletes plays fast, a team with lots of three point shooters shoots more threes, etc.
+ *
+ * @memberOf core.team
+ * @param {Array.<Object>} players Players on the team, with ratings.
+ * @return {Object} Tactics object.
+ */
+function genTactics(players: any[]): TeamTactics {
+    const skillsCount = {"3": 0, A: 0, B: 0, Di: 0, Dp: 0, Po: 0, Ps: 0, R: 0};
+    const rotation = orderBy(players, 'valueNoPot', 'desc').slice(0, 7);
+    for (const p of rotation) {
+        for (const skill of p.ratings[p.ratings.length - 1].skills) {
+            if (skillsCount.hasOwnProperty(skill)) {
+                skillsCount[skill] += 1;
+            }
+        }
+    }
+
+    // Scores are centered so that 1 or 2 players with a skill in the rotation is normal. Adding 0 turns -0 into 0.
+    const level = (score: number) => helpers.bound(Math.trunc(score), -2, 2) + 0;
+
+    return {
+        pace: level(skillsCount.A + 0.5 * skillsCount.B - 1.5),
+        threePoint: level(skillsCount["3"] - 0.5 * skillsCount.Po - 1),
+        interior: level(skillsCount.Po + 0.5 * skillsCount.A - 0.5 * skillsCount["3"] - 1),
+        pressure: level(skillsCount.Dp + 0.5 * skillsCount.A - 1.5),
+        crashBoards: level(skillsCount.R + 0.5 * skillsCount.Di - 1.5),
     };
 }
 
@@ -160,7 +211,7 @@ function generate(tm: any) {
     if (tm.hasOwnProperty("strategy")) {
         strategy = tm.strategy;
     } else {
-        strategy = Math.random() > 0.5 ? "contending" : "rebuilding";
+        strategy = random.random() > 0.5 ? "contending" : "rebuilding";
     }
 
     return {
@@ -194,6 +245,7 @@ function generate(tm: any) {
             },
         },
         strategy,
+        tactics: tm.hasOwnProperty("tactics") ? tm.tactics : defaultTactics(),
     };
 }
 
@@ -292,6 +344,46 @@ async function rosterAutoSort(tx: BackboardTx, tid: number) {
     });
 }
 
+/**
+ * Save the user's depth chart.
+ *
+ * Starters are moved to the top of the roster, since the first five players in the roster start games. Target minutes and the closing lineup are saved with each player, like ptModifier, so they are reset when a player leaves the team.
+ *
+ * @memberOf core.team
+ * @param {IDBTransaction} tx An IndexedDB transaction on players readwrite.
+ * @param {number} tid Team ID.
+ * @param {Object} depth Player IDs of the starters (in order) and the closing lineup, and target minutes per 48 minute game by player ID (null for automatic).
+ * @return {Promise}
+ */
+async function setDepthChart(tx: BackboardTx, tid: number, {closers, starters, targetMins}: {
+    closers: number[],
+    starters: number[],
+    targetMins: {[key: number]: null | number},
+}) {
+    const players = await tx.players.index('tid').getAll(tid);
+    players.sort((a, b) => a.rosterOrder - b.rosterOrder);
+
+    const newPlayers = [];
+    for (const pid of starters) {
+        const p = players.find(p2 => p2.pid === pid);
+        if (p) {
+            newPlayers.push(p);
+        }
+    }
+    for (const p of players) {
+        if (!newPlayers.includes(p)) {
+            newPlayers.push(p);
+        }
+    }
+
+    await Promise.all(newPlayers.map((p, i) => {
+        p.rosterOrder = i;
+        p.closer = closers.includes(p.pid);
+        p.targetMin = targetMins[p.pid] !== undefined ? targetMins[p.pid] : null;
+        return tx.players.put(p);
+    }));
+}
+
 /**
 * Gets all the contracts a team owes.
 *
@@ -317,6 +409,7 @@ async function getContracts(tx: BackboardTx, tid: number): Promise<ContractInfo[
             amount: p.contract.amount,
             exp: p.contract.exp,
             released: false,
+            salaries: player.getContractSalaries(p.contract),
         };
     });
 
@@ -335,6 +428,7 @@ async function getContracts(tx: BackboardTx, tid: number): Promise<ContractInfo[
                 amount: releasedPlayer.contract.amount,
                 exp: releasedPlayer.contract.exp,
                 released: true,
+                salaries: player.getContractSalaries(releasedPlayer.contract),
             });
         } else {
             contracts.push({
@@ -345,6 +439,7 @@ async function getContracts(tx: BackboardTx, tid: number): Promise<ContractInfo[
                 amount: releasedPlayer.contract.amount,
                 exp: releasedPlayer.contract.exp,
                 released: true,
+                salaries: player.getContractSalaries(releasedPlayer.contract),
             });
         }
     }
@@ -701,6 +796,92 @@ function filter(options: any): Promise<TeamFiltered | TeamFiltered[]> {
     });
 }
 
+/**
+ * Project a team's payroll over the next few seasons.
+ *
+ * Besides current contracts and money owed to released players, this includes rookie contracts for the team's draft picks (with the pick number estimated from the current standings) and, for players whose contracts expire during the projection, a cap hold for the season after their contract expires and what it would cost to re-sign them. Nothing is summed up here, so the caller can decide which players to re-sign or release.
+ *
+ * @memberOf core.team
+ * @param {IDBTransaction|null} tx An IndexedDB transaction on draftPicks, players, releasedPlayers, teams, and teamSeasons; if null is passed, then a new transaction will be used.
+ * @param {number} tid Team ID.
+ * @param {number=} numSeasons Number of seasons to project, default 5.
+ * @return {Promise.<Object>} Resolves to an object with the seasons of the projection, contracts, and draftPicks. Each contract and draft pick has an amounts array with the salary in thousands of dollars for each season.
+ */
+function getPayrollProjection(tx: BackboardTx, tid: number, numSeasons?: number = 5): Promise<PayrollProjection> {
+    return helpers.maybeReuseTx(["draftPicks", "players", "releasedPlayers", "teams", "teamSeasons"], "readonly", tx, async tx2 => {
+        // After the draft, the current season's salaries have already been paid
+        const firstSeason = g.phase >= g.PHASE.DRAFT ? g.season + 1 : g.season;
+        const seasons = _.range(firstSeason, firstSeason + numSeasons);
+
+        // Salaries for a contract running from startSeason through exp
+        const getAmounts = (amount, startSeason, exp) => seasons.map(season => (season >= startSeason && season <= exp ? amount : 0));
+
+        const players = await tx2.players.index('tid').getAll(tid);
+        const contractInfos = await getContracts(tx2, tid);
+
+        const contracts = contractInfos.map(contractInfo => {
+            const p = contractInfo.released ? undefined : players.find(p2 => p2.pid === contractInfo.pid);
+
+            let capHold = 0;
+            let justDrafted = false;
+            let resignAmounts = seasons.map(() => 0);
+            if (p !== undefined) {
+                // Same definition as on the Roster page, where these players can be released without being owed anything
+                justDrafted = p.tid === p.draft.tid && ((p.draft.year === g.season && g.phase >= g.PHASE.DRAFT) || (p.draft.year === g.season - 1 && g.phase < g.PHASE.REGULAR_SEASON));
+
+                if (p.contract.exp < seasons[seasons.length - 1]) {
+                    // What the player would ask for today, without the randomness of an actual negotiation
+                    const contract = player.genContract(p, false, false);
+                    const years = contract.exp - g.season + 1;
+                    capHold = contract.amount;
+                    resignAmounts = getAmounts(contract.amount, p.contract.exp + 1, p.contract.exp + years);
+                }
+            }
+
+            return Object.assign({}, contractInfo, {
+                amounts: seasons.map(season => {
+                    const salary = contractInfo.salaries.find(row => row.season === season);
+                    return salary !== undefined ? salary.amount : 0;
+                }),
+                capHold,
+                justDrafted,
+                resignAmounts,
+                watch: p !== undefined && p.watch !== undefined ? p.watch : false,
+            });
+        });
+
+        // Estimate pick numbers from the current standings, worst team first
+        const teams = await filter({
+            ot: tx2,
+            attrs: ["tid"],
+            seasonAttrs: ["winp"],
+            season: g.season,
+            sortBy: "winp",
+        });
+        const tidsWorstFirst = teams.map(t => t.tid).reverse();
+        const rookieSalaries = draft.getRookieSalaries();
+
+        const draftPicks = (await tx2.draftPicks.index('tid').getAll(tid))
+            .filter(dp => dp.season >= g.season)
+            .map(dp => {
+                const pick = tidsWorstFirst.indexOf(dp.originalTid) + 1;
+                const amount = rookieSalaries[pick - 1 + g.numTeams * (dp.round - 1)];
+                const years = 4 - dp.round; // Same as draft.selectPlayer
+                return {
+                    amounts: getAmounts(amount, dp.season + 1, dp.season + years),
+                    dpid: dp.dpid,
+                    originalTid: dp.originalTid,
+                    pick,
+                    round: dp.round,
+                    season: dp.season,
+                };
+            });
+        draftPicks.sort((a, b) => a.season - b.season || a.round - b.round || a.pick - b.pick);
+
+        return {contracts, draftPicks, seasons};
+    });
+}
+
 // estValuesCached is either a copy of estValues (defined below) or null. When it's cached, it's much faster for repeated calls (like trading block).
 async function valueChange(
     tid: number,
@@ -1230,6 +1411,51 @@ function updateStrategies(tx: BackboardTx) {
     });
 }
 
+/**
+ * Update tactics for every AI team in the league, based on their current rosters.
+ *
+ * User teams keep whatever tactics the user picked.
+ *
+ * @memberOf core.team
+ * @param {IDBTransaction} tx An IndexedDB transaction on players and teams, readwrite.
+ * @return {Promise}
+ */
+function updateTactics(tx: BackboardTx) {
+    return tx.teams.iterate(async t => {
+        if (g.userTids.includes(t.tid)) {
+            if (t.tactics === undefined) {
+                t.tactics = defaultTactics();
+                return t;
+            }
+            return;
+        }
+
+        const players = await tx.players.index('tid').getAll(t.tid);
+        t.tactics = genTactics(players);
+        return t;
+    });
+}
+
+/**
+ * Save tactics picked by the user.
+ *
+ * @memberOf core.team
+ * @param {IDBTransaction} tx An IndexedDB transaction on teams, readwrite.
+ * @param {number} tid Team ID.
+ * @param {Object} tactics Tactics object. Values are rounded and bounded from -2 to 2.
+ * @return {Promise}
+ */
+async function setTactics(tx: BackboardTx, tid: number, tactics: TeamTactics) {
+    const t = await tx.teams.get(tid);
+    t.tactics = defaultTactics();
+    for (const key of Object.keys(t.tactics)) {
+        if (typeof tactics[key] === 'number' && !isNaN(tactics[key])) {
+            t.tactics[key] = helpers.bound(Math.round(tactics[key]), -2, 2);
+        }
+    }
+    await tx.teams.put(t);
+}
+
 /**
  * Check roster size limits
  *
@@ -1282,8 +1508,8 @@ function checkRosterSizes(): Promise<string | null> {
                         let p = minFreeAgents.shift();
                         p.tid = tid;
                         p = player.addStatsRow(tx, p, g.phase === g.PHASE.PLAYOFFS);
-                        p = player.setContract(p, p.contract, true);
-                        p.gamesUntilTradable = 15;
+                        p = player.setContract(p, player.genContractStructure(p, p.contract), true);
+                        p.gamesUntilTradable = g.untradableGamesAfterSigning;
 
                         logEvent(null, {
                             type: "freeAgent",
@@ -1333,12 +1559,18 @@ export {
     genSeasonRow,
     genStatsRow,
     generate,
+    defaultTactics,
+    genTactics,
     findStarters,
     rosterAutoSort,
+    setDepthChart,
     filter,
     valueChange,
     updateStrategies,
+    updateTactics,
+    setTactics,
     checkRosterSizes,
     getPayroll,
     getPayrolls,
+    getPayrollProjection,
 };
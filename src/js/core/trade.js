@@ -4,10 +4,12 @@ import Promise from 'bluebird';
 import g from '../globals';
 import * as league from './league';
 import * as player from './player';
+import * as season from './season';
 import * as team from './team';
 import * as helpers from '../util/helpers';
+import * as random from '../util/random';
 import logEvent from '../util/logEvent';
-import type {BackboardTx, TradePickValues, TradeSummary, TradeTeams} from '../util/types';
+import type {BackboardTx, TradeOffer, TradeOfferStatus, TradePickValues, TradeSummary, TradeTeams} from '../util/types';
 
 /**
  * Get the contents of the current trade from the database.
@@ -90,10 +92,10 @@ function filterUntradable(players: {
         }
 
         if (p.gamesUntilTradable > 0) {
-            // Can't trade players who recently were signed or traded
+            // Can't trade players who were recently signed
             return Object.assign({}, p, {
                 untradable: true,
-                untradableMsg: `Cannot trade recently-acquired player for ${p.gamesUntilTradable} more games`,
+                untradableMsg: `Cannot trade recently-signed player for ${p.gamesUntilTradable} more ${p.gamesUntilTradable === 1 ? 'game' : 'games'}`,
             });
         }
 
@@ -117,6 +119,60 @@ function isUntradable(p): boolean {
     return filterUntradable([p])[0].untradable;
 }
 
+/**
+ * Day of the regular season for the next games to be played.
+ *
+ * @return {Promise.<?number>} Resolves to the day, or null if there are no games left or the schedule was made before games were numbered by day.
+ */
+async function getCurrentDay(): Promise<number | null> {
+    const schedule = await season.getSchedule(null, true);
+    if (schedule.length === 0 || schedule[0].day === undefined) {
+        return null;
+    }
+
+    return schedule[0].day;
+}
+
+/**
+ * Last day of the regular season with trades allowed.
+ *
+ * g.tradeDeadline is a fraction of the regular season, so this depends on how many days are in the schedule.
+ *
+ * @memberOf core.trade
+ * @return {Promise.<?number>} Resolves to the day, or null if there is no trade deadline or the schedule was made before games were numbered by day.
+ */
+async function getDeadlineDay(): Promise<number | null> {
+    if (g.tradeDeadline <= 0) {
+        return null;
+    }
+
+    const schedule = await season.getSchedule();
+    if (schedule.length === 0 || schedule[schedule.length - 1].day === undefined) {
+        return null;
+    }
+
+    return Math.round(g.tradeDeadline * schedule[schedule.length - 1].day);
+}
+
+/**
+ * Number of days left before the trade deadline.
+ *
+ * @memberOf core.trade
+ * @return {Promise.<?number>} Resolves to the number of days of games that can still be played before trades are not allowed, including today, or null if there is no upcoming trade deadline.
+ */
+async function getDaysUntilDeadline(): Promise<number | null> {
+    if (g.phase !== g.PHASE.REGULAR_SEASON) {
+        return null;
+    }
+
+    const [day, deadlineDay] = await Promise.all([getCurrentDay(), getDeadlineDay()]);
+    if (day === null || deadlineDay === null) {
+        return null;
+    }
+
+    return Math.max(0, deadlineDay - day + 1);
+}
+
 /**
  * Validates that players are allowed to be traded and updates the database.
  *
@@ -312,6 +368,140 @@ async function clear() {
     league.updateLastDbChange();
 }
 
+/**
+ * List the players and draft picks one team gives up in a trade, for event logs and messages.
+ *
+ * @param {Object} t One team from a trade summary, from trade.summary.
+ * @return {string} HTML list of assets, like "Player A, Player B, and a 2017 1st round pick (ATL)".
+ */
+function formatAssets(t): string {
+    const strings = [];
+
+    t.trade.forEach(p => strings.push(`<a href="${helpers.leagueUrl(["player", p.pid])}">${p.name}</a>`));
+    t.picks.forEach(dp => strings.push(`a ${dp.desc}`));
+
+    let text;
+    if (strings.length === 0) {
+        text = "nothing";
+    } else if (strings.length === 1) {
+        text = strings[0];
+    } else if (strings.length === 2) {
+        text = `${strings[0]} and ${strings[1]}`;
+    } else {
+        text = strings[0];
+        for (let i = 1; i < strings.length; i++) {
+            if (i === strings.length - 1) {
+                text += `, and ${strings[i]}`;
+            } else {
+                text += `, ${strings[i]}`;
+            }
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Move the players and draft picks in a trade to their new teams, and log the trade.
+ *
+ * The trade is also saved in the trades object store, for the trade summary page. This does not check if the trade is allowed, so do that first.
+ *
+ * @memberOf core.trade
+ * @param {Object} s Trade summary, from trade.summary.
+ * @param {Array.<number>} tids Team IDs of the two teams in the trade.
+ * @param {Array.<Array.<number>>} pids Player IDs traded away by each team.
+ * @param {Array.<Array.<number>>} dpids Draft pick IDs traded away by each team.
+ * @return {Promise}
+ */
+async function processTrade(s: TradeSummary, tids: number[], pids: number[][], dpids: number[][]) {
+    const day = g.phase === g.PHASE.REGULAR_SEASON ? await getCurrentDay() : null;
+
+    await g.dbl.tx(["draftPicks", "players", "playerStats", "trades"], "readwrite", async tx => {
+        // Save a snapshot of the assets before they move, for the trade summary page
+        const tradeTeams = await Promise.all([0, 1].map(async j => {
+            const players = await Promise.all(pids[j].map(async pid => {
+                const p = await tx.players.get(pid);
+                return {
+                    pid,
+                    name: `${p.firstName} ${p.lastName}`,
+                    pos: p.ratings[p.ratings.length - 1].pos,
+                    age: g.season - p.born.year,
+                    contract: {
+                        amount: p.contract.amount,
+                        exp: p.contract.exp,
+                    },
+                    value: p.value,
+                };
+            }));
+
+            const picks = await Promise.all(dpids[j].map(async dpid => {
+                const dp = await tx.draftPicks.get(dpid);
+                const pick = s.teams[j].picks.find(pick2 => pick2.dpid === dpid);
+                return {
+                    dpid,
+                    desc: pick !== undefined ? pick.desc : "",
+                    originalTid: dp.originalTid,
+                    round: dp.round,
+                    season: dp.season,
+                };
+            }));
+
+            return {
+                tid: tids[j],
+                players,
+                picks,
+            };
+        }));
+        const trid = await tx.trades.add({
+            season: g.season,
+            phase: g.phase,
+            day,
+            teams: tradeTeams,
+        });
+
+        [0, 1].forEach(j => {
+            const k = j === 0 ? 1 : 0;
+
+            pids[j].forEach(async (pid) => {
+                let p = await tx.players.get(pid);
+                p.tid = tids[k];
+                // Don't make traded players untradable
+                //p.gamesUntilTradable = 15;
+                p.ptModifier = 1; // Reset
+                p.targetMin = null;
+                p.closer = false;
+                if (g.phase <= g.PHASE.PLAYOFFS) {
+                    p = player.addStatsRow(tx, p, g.phase === g.PHASE.PLAYOFFS);
+                }
+                await tx.players.put(p);
+            });
+
+            dpids[j].forEach(async (dpid) => {
+                const dp = await tx.draftPicks.get(dpid);
+                dp.tid = tids[k];
+                dp.abbrev = g.teamAbbrevsCache[tids[k]];
+                await tx.draftPicks.put(dp);
+            });
+        });
+
+        // Log event
+        logEvent(null, {
+            type: "trade",
+            text: `The <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[tids[0]], g.season])}">${g.teamNamesCache[tids[0]]}</a> traded ${formatAssets(s.teams[0])} to the <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[tids[1]], g.season])}">${g.teamNamesCache[tids[1]]}</a> for ${formatAssets(s.teams[1])} (<a href="${helpers.leagueUrl(["trade_summary", trid])}">trade summary</a>).`,
+            showNotification: false,
+            pids: pids[0].concat(pids[1]),
+            tids,
+        });
+    });
+
+    // Auto-sort CPU team rosters
+    for (const tid of tids) {
+        if (!g.userTids.includes(tid)) {
+            await g.dbl.tx("players", "readwrite", tx => team.rosterAutoSort(tx, tid));
+        }
+    }
+}
+
 /**
  * Proposes the current trade in the database.
  *
@@ -322,7 +512,10 @@ async function clear() {
  * @return {Promise.<boolean, string>} Resolves to an array. The first argument is a boolean for whether the trade was accepted or not. The second argument is a string containing a message to be dispalyed to the user.
  */
 async function propose(forceTrade?: boolean = false): Promise<[boolean, ?string]> {
-    if (g.phase >= g.PHASE.AFTER_TRADE_DEADLINE && g.phase <= g.PHASE.PLAYOFFS) {
+    if (g.phase === g.PHASE.AFTER_TRADE_DEADLINE) {
+        return [false, "Error! The trade deadline has passed, so you're not allowed to make trades until after the playoffs."];
+    }
+    if (g.phase === g.PHASE.PLAYOFFS) {
         return [false, "Error! You're not allowed to make trades now."];
     }
 
@@ -341,83 +534,12 @@ async function propose(forceTrade?: boolean = false): Promise<[boolean, ?string]
         return [false, null];
     }
 
-    let outcome = "rejected"; // Default
-
     const dv = await team.valueChange(teams[1].tid, teams[0].pids, teams[1].pids, teams[0].dpids, teams[1].dpids);
 
-    await g.dbl.tx(["draftPicks", "players", "playerStats"], "readwrite", tx => {
-        if (dv > 0 || forceTrade) {
-            // Trade players
-            outcome = "accepted";
-            [0, 1].forEach(j => {
-                const k = j === 0 ? 1 : 0;
-
-                pids[j].forEach(async (pid) => {
-                    let p = await tx.players.get(pid);
-                    p.tid = tids[k];
-                    // Don't make traded players untradable
-                    //p.gamesUntilTradable = 15;
-                    p.ptModifier = 1; // Reset
-                    if (g.phase <= g.PHASE.PLAYOFFS) {
-                        p = player.addStatsRow(tx, p, g.phase === g.PHASE.PLAYOFFS);
-                    }
-                    await tx.players.put(p);
-                });
-
-                dpids[j].forEach(async (dpid) => {
-                    const dp = await tx.draftPicks.get(dpid);
-                    dp.tid = tids[k];
-                    dp.abbrev = g.teamAbbrevsCache[tids[k]];
-                    await tx.draftPicks.put(dp);
-                });
-            });
-
-            // Log event
-            const formatAssetsEventLog = t => {
-                const strings = [];
-
-                t.trade.forEach(p => strings.push(`<a href="${helpers.leagueUrl(["player", p.pid])}">${p.name}</a>`));
-                t.picks.forEach(dp => strings.push(`a ${dp.desc}`));
-
-                let text;
-                if (strings.length === 0) {
-                    text = "nothing";
-                } else if (strings.length === 1) {
-                    text = strings[0];
-                } else if (strings.length === 2) {
-                    text = `${strings[0]} and ${strings[1]}`;
-                } else {
-                    text = strings[0];
-                    for (let i = 1; i < strings.length; i++) {
-                        if (i === strings.length - 1) {
-                            text += `, and ${strings[i]}`;
-                        } else {
-                            text += `, ${strings[i]}`;
-                        }
-                    }
-                }
-
-                return text;
-            };
-
-            logEvent(null, {
-                type: "trade",
-                text: `The <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[tids[0]], g.season])}">${g.teamNamesCache[tids[0]]}</a> traded ${formatAssetsEventLog(s.teams[0])} to the <a href="${helpers.leagueUrl(["roster", g.teamAbbrevsCache[tids[1]], g.season])}">${g.teamNamesCache[tids[1]]}</a> for ${formatAssetsEventLog(s.teams[1])}.`,
-                showNotification: false,
-                pids: pids[0].concat(pids[1]),
-                tids,
-            });
-        }
-    });
-
-    if (outcome === "accepted") {
+    if (dv > 0 || forceTrade) {
+        await processTrade(s, tids, pids, dpids);
         await clear(); // This includes dbChange
 
-        // Auto-sort CPU team roster
-        if (!g.userTids.includes(tids[1])) {
-            await g.dbl.tx("players", "readwrite", tx => team.rosterAutoSort(tx, tids[1]));
-        }
-
         return [true, 'Trade accepted! "Nice doing business with you!"'];
     }
 
@@ -440,7 +562,7 @@ async function propose(forceTrade?: boolean = false): Promise<[boolean, ?string]
  * Have the AI add players/picks until they like the deal. Uses forward selection to try to find the first deal the AI likes.
  *
  * @memberOf core.trade
- * @param {Array.<Object>} teams Array of objects containing the assets for the two teams in the trade. The first object is for the user's team and the second is for the other team. Values in the objects are tid (team ID), pids (player IDs) and dpids (draft pick IDs).
+ * @param {Array.<Object>} teams Array of objects containing the assets for the two teams in the trade. The first object is for the user's team (or the AI team starting an AI-to-AI trade) and the second is for the other team, which is the one that has to like the deal. Values in the objects are tid (team ID), pids (player IDs) and dpids (draft pick IDs).
  * @param {boolean} holdUserConstant If true, then players/picks will only be added from the other team. This is useful for the trading block feature.
  * @param {?Object} estValuesCached Estimated draft pick values from trade.getPickValues, or null. Only pass if you're going to call this repeatedly, then it'll be faster if you cache the values up front.
  * @return {Promise.[boolean, Object]} Resolves to an array with one or two elements. First is a boolean indicating whether "make it work" was successful. If true, then the second argument is set to a teams object (similar to first input) with the "made it work" trade info.
@@ -524,12 +646,12 @@ async function makeItWork(
             const otherDpids = teams[1].dpids.slice();
 
             if (asset.type === "player") {
-                if (asset.tid === g.userTid) {
+                if (asset.tid === teams[0].tid) {
                     userPids.push(asset.pid);
                 } else {
                     otherPids.push(asset.pid);
                 }
-            } else if (asset.tid === g.userTid) {
+            } else if (asset.tid === teams[0].tid) {
                 userDpids.push(asset.dpid);
             } else {
                 otherDpids.push(asset.dpid);
@@ -552,12 +674,12 @@ async function makeItWork(
         }
         const asset = assets[j];
         if (asset.type === "player") {
-            if (asset.tid === g.userTid) {
+            if (asset.tid === teams[0].tid) {
                 teams[0].pids.push(asset.pid);
             } else {
                 teams[1].pids.push(asset.pid);
             }
-        } else if (asset.tid === g.userTid) {
+        } else if (asset.tid === teams[0].tid) {
             teams[0].dpids.push(asset.dpid);
         } else {
             teams[1].dpids.push(asset.dpid);
@@ -577,7 +699,7 @@ async function makeItWork(
             return [true, teams];
         }
 
-        if ((added > 2 || (added > 0 && Math.random() > 0.5)) && initialSign === 1) {
+        if ((added > 2 || (added > 0 && random.random() > 0.5)) && initialSign === 1) {
             if (dv > 0) {
                 return [true, teams];
             }
@@ -689,6 +811,276 @@ async function makeItWorkTrade() {
     return `${g.teamRegionsCache[teams[1].tid]} GM: "How does this sound?"`;
 }
 
+/**
+ * Would an AI team in this trade go over the maximum roster size?
+ *
+ * The user's team is not checked, because the user can release players after the trade.
+ *
+ * @param {Array.<Object>} teams Assets for the two teams in the trade, like the input to trade.summary.
+ * @return {Promise.<boolean>}
+ */
+async function overRosterLimit(teams: TradeTeams): Promise<boolean> {
+    const numPlayersOnRoster = await Promise.all(teams.map(t => g.dbl.players.index('tid').count(t.tid)));
+    for (let j = 0; j < 2; j++) {
+        const k = j === 0 ? 1 : 0;
+        if (!g.userTids.includes(teams[j].tid) && numPlayersOnRoster[j] - teams[j].pids.length + teams[k].pids.length > 15) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Try to make a trade between two AI teams.
+ *
+ * One AI team shops a player or draft pick, and a team with a different strategy (if there is one) offers something back, using the same logic as "What would make this deal work?" in the trade screen. Rebuilding teams shop their veterans to contending teams, and contending teams shop young players and draft picks to rebuilding teams. The trade only happens if team.valueChange says it is good for both teams and it follows the same salary cap rules as user trades.
+ *
+ * @memberOf core.trade
+ * @return {Promise.<boolean>} Resolves to true if a trade was made.
+ */
+async function betweenAiTeams(): Promise<boolean> {
+    if (g.phase !== g.PHASE.REGULAR_SEASON) {
+        return false;
+    }
+
+    const teamsAll = await g.dbl.teams.getAll();
+    const aiTeams = teamsAll.filter(t => !g.userTids.includes(t.tid));
+    if (aiTeams.length < 2) {
+        return false;
+    }
+
+    const t = random.choice(aiTeams);
+    let partners = aiTeams.filter(t2 => t2.tid !== t.tid && t2.strategy !== t.strategy);
+    if (partners.length === 0) {
+        partners = aiTeams.filter(t2 => t2.tid !== t.tid);
+    }
+    const otherTid = random.choice(partners).tid;
+
+    const [players, draftPicks] = await Promise.all([
+        g.dbl.players.index('tid').getAll(t.tid),
+        g.dbl.draftPicks.index('tid').getAll(t.tid),
+    ]);
+    const tradable = players.filter(p => !isUntradable(p));
+
+    // Pick the asset being shopped, based on team strategy
+    const teams = [{tid: t.tid, pids: [], dpids: []}, {tid: otherTid, pids: [], dpids: []}];
+    if (t.strategy === "rebuilding") {
+        const veterans = tradable.filter(p => g.season - p.born.year >= 27);
+        if (veterans.length === 0) {
+            return false;
+        }
+        teams[0].pids.push(random.choice(veterans).pid);
+    } else if (draftPicks.length > 0 && random.random() < 0.5) {
+        teams[0].dpids.push(random.choice(draftPicks).dpid);
+    } else {
+        const young = tradable.filter(p => g.season - p.born.year <= 24);
+        if (young.length === 0) {
+            return false;
+        }
+        teams[0].pids.push(random.choice(young).pid);
+    }
+
+    const estValues = await getPickValues();
+    const [found, teams2] = await makeItWork(teams, false, estValues);
+    if (!found) {
+        return false;
+    }
+
+    // The first team has to like the deal too, since makeItWork only checks the second team
+    const dv = await team.valueChange(teams2[0].tid, teams2[1].pids, teams2[0].pids, teams2[1].dpids, teams2[0].dpids, estValues);
+    if (dv <= 0) {
+        return false;
+    }
+
+    if (await overRosterLimit(teams2)) {
+        return false;
+    }
+
+    const s = await summary(teams2);
+    if (s.warning) {
+        return false;
+    }
+
+    await processTrade(s, [teams2[0].tid, teams2[1].tid], [teams2[0].pids, teams2[1].pids], [teams2[0].dpids, teams2[1].dpids]);
+    league.updateLastDbChange();
+
+    return true;
+}
+
+/**
+ * Have an AI team send the user a trade offer.
+ *
+ * Contending teams ask for one of the user's best veterans, and rebuilding teams ask for a young player or a draft pick. The AI team then uses makeItWork to decide what to give back. The offer is sent to the user's inbox and can be accepted for a few days, or until the trade deadline.
+ *
+ * @memberOf core.trade
+ * @return {Promise.<boolean>} Resolves to true if an offer was made.
+ */
+async function makeOffer(): Promise<boolean> {
+    // Like owner messages, no offers in auto play or multi team mode
+    if (g.phase !== g.PHASE.REGULAR_SEASON || g.autoPlaySeasons > 0 || g.userTids.length > 1 || g.gameOver) {
+        return false;
+    }
+
+    const teamsAll = await g.dbl.teams.getAll();
+    const aiTeams = teamsAll.filter(t => !g.userTids.includes(t.tid));
+    if (aiTeams.length === 0) {
+        return false;
+    }
+    const t = random.choice(aiTeams);
+
+    const [players, draftPicks] = await Promise.all([
+        g.dbl.players.index('tid').getAll(g.userTid),
+        g.dbl.draftPicks.index('tid').getAll(g.userTid),
+    ]);
+    const tradable = players.filter(p => !isUntradable(p));
+
+    // Pick what the AI team wants from the user, based on its strategy
+    const teams = [{tid: g.userTid, pids: [], dpids: []}, {tid: t.tid, pids: [], dpids: []}];
+    if (t.strategy === "contending") {
+        const veterans = tradable.filter(p => g.season - p.born.year >= 25).sort((a, b) => b.valueNoPot - a.valueNoPot);
+        if (veterans.length === 0) {
+            return false;
+        }
+        teams[0].pids.push(random.choice(veterans.slice(0, 3)).pid);
+    } else if (draftPicks.length > 0 && random.random() < 0.5) {
+        teams[0].dpids.push(random.choice(draftPicks).dpid);
+    } else {
+        const young = tradable.filter(p => g.season - p.born.year <= 24).sort((a, b) => b.value - a.value);
+        if (young.length === 0) {
+            return false;
+        }
+        teams[0].pids.push(random.choice(young.slice(0, 3)).pid);
+    }
+
+    const [found, teams2] = await makeItWork(teams, true);
+    if (!found || await overRosterLimit(teams2)) {
+        return false;
+    }
+
+    const s = await summary(teams2);
+    if (s.warning) {
+        return false;
+    }
+
+    // Offers last for 3 days of games
+    const day = await getCurrentDay();
+    const tradeOffer = {
+        expires: day === null ? null : day + 2,
+        season: g.season,
+        status: "pending",
+        teams: teams2,
+    };
+
+    const mid = await g.dbl.tx("messages", "readwrite", tx => tx.messages.add({
+        read: false,
+        from: `${s.teams[1].name} GM`,
+        year: g.season,
+        text: `<p>We'd like to trade ${formatAssets(s.teams[1])} for ${formatAssets(s.teams[0])}. Let me know what you think, but don't wait too long.</p>`,
+        tradeOffer,
+    }));
+
+    logEvent(null, {
+        type: null,
+        text: `The <a href="${helpers.leagueUrl(["message", mid])}">${s.teams[1].name}</a> sent you a trade offer.`,
+        saveToDb: false,
+    });
+    league.updateLastDbChange();
+
+    return true;
+}
+
+/**
+ * Current status of a trade offer to the user.
+ *
+ * @memberOf core.trade
+ * @param {Object} offer Trade offer, from a message in the inbox.
+ * @return {Promise.<string>} Resolves to "pending" if the offer can still be accepted, "accepted" or "declined" if the user already responded, or "expired" otherwise.
+ */
+async function getOfferStatus(offer: TradeOffer): Promise<TradeOfferStatus> {
+    if (offer.status !== "pending") {
+        return offer.status;
+    }
+
+    if (offer.season !== g.season || g.phase !== g.PHASE.REGULAR_SEASON) {
+        return "expired";
+    }
+
+    const day = await getCurrentDay();
+    if (offer.expires !== null && (day === null || day > offer.expires)) {
+        return "expired";
+    }
+
+    return "pending";
+}
+
+/**
+ * Accept a trade offer from an AI team.
+ *
+ * The trade is checked again before it goes through, since players may have moved or changed value since the offer was sent.
+ *
+ * @memberOf core.trade
+ * @param {number} mid Message ID of the offer.
+ * @return {Promise.<boolean, string>} Resolves to an array. The first argument is a boolean for whether the trade was completed or not. The second argument is a string containing a message to be dispalyed to the user.
+ */
+async function acceptOffer(mid: number): Promise<[boolean, string]> {
+    const message = await g.dbl.messages.get(mid);
+    if (!message || !message.tradeOffer) {
+        return [false, "Error! Trade offer not found."];
+    }
+    const offer = message.tradeOffer;
+
+    const status = await getOfferStatus(offer);
+    if (status !== "pending") {
+        return [false, `Error! This trade offer was already ${status}.`];
+    }
+
+    const teams = offer.teams;
+    const s = await summary(teams);
+    for (let j = 0; j < 2; j++) {
+        if (s.teams[j].trade.length !== teams[j].pids.length || s.teams[j].picks.length !== teams[j].dpids.length) {
+            return [false, "Error! Some of the players or draft picks in this offer are not available anymore."];
+        }
+    }
+    if (s.warning) {
+        return [false, `Error! ${s.warning}`];
+    }
+    if (await overRosterLimit(teams)) {
+        return [false, `Error! The ${s.teams[1].name} don't have room on their roster for this trade anymore.`];
+    }
+
+    const dv = await team.valueChange(teams[1].tid, teams[0].pids, teams[1].pids, teams[0].dpids, teams[1].dpids);
+    if (dv <= 0) {
+        return [false, 'Trade rejected! "Sorry, we changed our minds about that one."'];
+    }
+
+    await processTrade(s, [teams[0].tid, teams[1].tid], [teams[0].pids, teams[1].pids], [teams[0].dpids, teams[1].dpids]);
+
+    offer.status = "accepted";
+    await g.dbl.tx("messages", "readwrite", tx => tx.messages.put(message));
+    league.updateLastDbChange();
+
+    return [true, 'Trade accepted! "Nice doing business with you!"'];
+}
+
+/**
+ * Decline a trade offer from an AI team.
+ *
+ * @memberOf core.trade
+ * @param {number} mid Message ID of the offer.
+ * @return {Promise}
+ */
+async function declineOffer(mid: number) {
+    await g.dbl.tx("messages", "readwrite", async tx => {
+        const message = await tx.messages.get(mid);
+        if (message && message.tradeOffer && message.tradeOffer.status === "pending") {
+            message.tradeOffer.status = "declined";
+            await tx.messages.put(message);
+        }
+    });
+    league.updateLastDbChange();
+}
+
 export {
     get,
     create,
@@ -700,5 +1092,12 @@ export {
     makeItWork,
     makeItWorkTrade,
     filterUntradable,
+    getDeadlineDay,
+    getDaysUntilDeadline,
     getPickValues,
+    betweenAiTeams,
+    makeOffer,
+    getOfferStatus,
+    acceptOffer,
+    declineOffer,
 };
@@ -17,6 +17,7 @@ const createLeague = (upgradeDB, lid: number) => {
     // rid ("row id") is used as the keyPath for objects without an innate unique identifier
     const playerStore = upgradeDB.createObjectStore("players", {keyPath: "pid", autoIncrement: true});
     const playerStatsStore = upgradeDB.createObjectStore("playerStats", {keyPath: "psid", autoIncrement: true});
+    const playerShotsStore = upgradeDB.createObjectStore("playerShots", {keyPath: "rid", autoIncrement: true});
     upgradeDB.createObjectStore("teams", {keyPath: "tid"});
     const teamSeasonsStore = upgradeDB.createObjectStore("teamSeasons", {keyPath: "rid", autoIncrement: true});
     const teamStatsStore = upgradeDB.createObjectStore("teamStats", {keyPath: "rid", autoIncrement: true});
@@ -27,18 +28,22 @@ const createLeague = (upgradeDB, lid: number) => {
     upgradeDB.createObjectStore("awards", {keyPath: "season"});
     upgradeDB.createObjectStore("trade", {keyPath: "rid"});
     upgradeDB.createObjectStore("draftOrder", {keyPath: "rid"});
+    upgradeDB.createObjectStore("draftLotteryResults", {keyPath: "season"});
     upgradeDB.createObjectStore("negotiations", {keyPath: "pid"});
     upgradeDB.createObjectStore("gameAttributes", {keyPath: "key"});
     upgradeDB.createObjectStore("messages", {keyPath: "mid", autoIncrement: true});
     const draftPickStore = upgradeDB.createObjectStore("draftPicks", {keyPath: "dpid", autoIncrement: true});
     const eventStore = upgradeDB.createObjectStore("events", {keyPath: "eid", autoIncrement: true});
     const playerFeatStore = upgradeDB.createObjectStore("playerFeats", {keyPath: "fid", autoIncrement: true});
+    const tradesStore = upgradeDB.createObjectStore("trades", {keyPath: "trid", autoIncrement: true});
+    upgradeDB.createObjectStore("playByPlay", {keyPath: "gid"});
 
     playerStore.createIndex("tid", "tid", {unique: false});
     playerStore.createIndex("draft.year", "draft.year", {unique: false});
     playerStore.createIndex("retiredYear", "retiredYear", {unique: false});
     playerStore.createIndex("statsTids", "statsTids", {unique: false, multiEntry: true});
     playerStatsStore.createIndex("pid, season, tid", ["pid", "season", "tid"], {unique: false}); // Can't be unique because player could get traded back to same team in one season (and because playoffs is boolean)
+    playerShotsStore.createIndex("pid, season", ["pid", "season"], {unique: false}); // Not unique because of playoffs
 //        gameStore.createIndex("tids", "tids", {unique: false, multiEntry: true}); // Not used because currently the season index is used. If multiple indexes are eventually supported, then use this too.
     teamSeasonsStore.createIndex("tid, season", ["tid", "season"], {unique: false});
     teamSeasonsStore.createIndex("season, tid", ["season", "tid"], {unique: true});
@@ -53,6 +58,7 @@ const createLeague = (upgradeDB, lid: number) => {
     eventStore.createIndex("pids", "pids", {unique: false, multiEntry: true});
     playerFeatStore.createIndex("pid", "pid", {unique: false});
     playerFeatStore.createIndex("tid", "tid", {unique: false});
+    tradesStore.createIndex("season", "season", {unique: false});
 //        eventStore.createIndex("tids", "tids", {unique: false, multiEntry: true}); // Not used currently, but might need to be added later
 };
 
@@ -144,10 +150,24 @@ const migrateLeague = async (upgradeDB, lid) => {
             }
         });
     }
+    if (upgradeDB.oldVersion <= 20) {
+        upgradeDB.createObjectStore("draftLotteryResults", {keyPath: "season"});
+    }
+    if (upgradeDB.oldVersion <= 21) {
+        const tradesStore = upgradeDB.createObjectStore("trades", {keyPath: "trid", autoIncrement: true});
+        tradesStore.createIndex("season", "season", {unique: false});
+    }
+    if (upgradeDB.oldVersion <= 22) {
+        upgradeDB.createObjectStore("playByPlay", {keyPath: "gid"});
+    }
+    if (upgradeDB.oldVersion <= 23) {
+        const playerShotsStore = upgradeDB.createObjectStore("playerShots", {keyPath: "rid", autoIncrement: true});
+        playerShotsStore.createIndex("pid, season", ["pid", "season"], {unique: false});
+    }
 };
 
 const connectLeague = async (lid: number) => {
-    const db = await Backboard.open(`league${lid}`, 20, async (upgradeDB) => {
+    const db = await Backboard.open(`league${lid}`, 24, async (upgradeDB) => {
         if (upgradeDB.oldVersion === 0) {
             createLeague(upgradeDB, lid);
         } else {
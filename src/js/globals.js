@@ -46,15 +46,21 @@ g.PHASE_TEXT = {
 
 g.emitter = new EventEmitter();
 
-g.enableLogging = window.enableLogging;
-
-// .com or .dev TLD
-if (!window.inCordova) {
-    const splitUrl = window.location.hostname.split(".");
-    g.tld = splitUrl[splitUrl.length - 1];
-} else {
-    // From within Cordova, window.location.hostname is not set, so always use .com
+if (typeof window === 'undefined') {
+    // Inside the game simulation Web Worker, which doesn't log anything or make ajax requests
+    g.enableLogging = false;
     g.tld = "com";
+} else {
+    g.enableLogging = window.enableLogging;
+
+    // .com or .dev TLD
+    if (!window.inCordova) {
+        const splitUrl = window.location.hostname.split(".");
+        g.tld = splitUrl[splitUrl.length - 1];
+    } else {
+        // From within Cordova, window.location.hostname is not set, so always use .com
+        g.tld = "com";
+    }
 }
 
 g.sport = "basketball"; // For account ajax stuff
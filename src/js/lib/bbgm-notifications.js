@@ -1,9 +1,14 @@
-const container = document.createElement("div");
-container.id = "notification-container";
-container.classList.add("notification-container");
-document.body.appendChild(container);
+let container;
 
 const notify = (message, title, {extraClass, persistent = false, timeOut}) => {
+    // Created on first use rather than on import, so importing this doesn't require a DOM
+    if (container === undefined) {
+        container = document.createElement("div");
+        container.id = "notification-container";
+        container.classList.add("notification-container");
+        document.body.appendChild(container);
+    }
+
     let timeoutRemaining = timeOut || 5000;
 
     let notificationElement = document.createElement("div");
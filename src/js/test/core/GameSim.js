@@ -0,0 +1,302 @@
+import assert from 'assert';
+import g from '../../globals';
+import GameSim from '../../core/GameSim';
+import * as team from '../../core/team';
+import * as random from '../../util/random';
+
+const POSITIONS = ["PG", "SG", "SF", "PF", "C"];
+
+// Game rules used by these tests, which are saved and restored around them
+const gameAttributes = {
+    numPeriods: 4,
+    quarterLength: 12,
+    overtimeLength: 5,
+    shotClock: 24,
+    foulsNeededToFoulOut: 6,
+    foulsUntilBonus: [5, 5, 2],
+    threePointDistance: 23.75,
+    disableInjuries: true,
+};
+
+// Like the output of game.loadTeams, but with identical average players, except that the starters are better than the bench
+const makeTeam = tid => {
+    const compositeRating = {};
+    for (const rating of Object.keys(g.compositeWeights)) {
+        compositeRating[rating] = 0;
+    }
+
+    const player = [];
+    for (let i = 0; i < 10; i++) {
+        const playerCompositeRating = {};
+        for (const rating of Object.keys(g.compositeWeights)) {
+            playerCompositeRating[rating] = 0.5;
+        }
+        playerCompositeRating.usage = 0.5 ** 1.9;
+
+        player.push({
+            id: 10 * tid + i,
+            name: `Player ${10 * tid + i}`,
+            pos: POSITIONS[i % 5],
+            valueNoPot: i < 5 ? 60 : 50,
+            stat: {gs: 0, min: 0, fg: 0, fga: 0, fgAtRim: 0, fgaAtRim: 0, fgLowPost: 0, fgaLowPost: 0, fgMidRange: 0, fgaMidRange: 0, tp: 0, tpa: 0, ft: 0, fta: 0, pm: 0, orb: 0, drb: 0, ast: 0, tov: 0, stl: 0, blk: 0, ba: 0, pf: 0, pts: 0, courtTime: 0, benchTime: 0, energy: 1},
+            shots: [],
+            compositeRating: playerCompositeRating,
+            skills: [],
+            injured: false,
+            ptModifier: 1,
+            targetMin: null,
+            closer: false,
+        });
+    }
+
+    return {
+        id: tid,
+        defense: 0,
+        pace: 105,
+        stat: {min: 0, fg: 0, fga: 0, fgAtRim: 0, fgaAtRim: 0, fgLowPost: 0, fgaLowPost: 0, fgMidRange: 0, fgaMidRange: 0, tp: 0, tpa: 0, ft: 0, fta: 0, orb: 0, drb: 0, ast: 0, tov: 0, stl: 0, blk: 0, ba: 0, pf: 0, pfQtrs: [0], pts: 0, ptsQtrs: [0]},
+        lineups: {},
+        compositeRating,
+        player,
+        synergy: {off: 0, def: 0, reb: 0},
+        tactics: team.defaultTactics(),
+    };
+};
+
+// Skip ahead to a period, with the given score
+const setPeriod = (game, period, pts) => {
+    for (let t = 0; t < 2; t++) {
+        while (game.team[t].stat.ptsQtrs.length < period) {
+            game.team[t].stat.ptsQtrs.push(0);
+            game.team[t].stat.pfQtrs.push(0);
+        }
+        game.team[t].stat.pts = pts[t];
+    }
+};
+
+// Last play in the play-by-play, ignoring substitutions
+const lastPlay = game => game.playByPlay.filter(event => event.type === "play").pop();
+
+describe("core/GameSim", () => {
+    const originalGameAttributes = {};
+    before(() => {
+        for (const key of Object.keys(gameAttributes)) {
+            originalGameAttributes[key] = g[key];
+        }
+        Object.assign(g, gameAttributes);
+    });
+    after(() => {
+        Object.assign(g, originalGameAttributes);
+    });
+
+    let game;
+    beforeEach(() => {
+        random.seed(12345);
+        game = new GameSim(0, makeTeam(0), makeTeam(1), true);
+        game.o = 0;
+        game.d = 1;
+    });
+
+    describe("#lateGameStrategy()", () => {
+        it("should do nothing before the last 2 minutes of the last period", () => {
+            setPeriod(game, 3, [60, 62]);
+            game.t = 1;
+            assert.equal(game.lateGameStrategy(), null);
+
+            setPeriod(game, 4, [80, 82]);
+            game.t = 5;
+            assert.equal(game.lateGameStrategy(), null);
+        });
+        it("should foul when trailing by 3 or less if the offense can run out the clock", () => {
+            setPeriod(game, 4, [100, 98]);
+            game.t = 0.3;
+            game.shotClockRemaining = 0.4;
+            const strategy = game.lateGameStrategy();
+            assert.equal(strategy.foul, true);
+            assert(strategy.possessionTime <= 0.08);
+        });
+        it("should not foul when there is time to get a stop instead", () => {
+            setPeriod(game, 4, [100, 98]);
+            game.t = 1.5;
+            game.shotClockRemaining = 0.4;
+            const strategy = game.lateGameStrategy();
+            assert.equal(strategy.foul, false);
+            assert(strategy.possessionTime < 0.4);
+        });
+        it("should run out the clock when leading and not fouled", () => {
+            setPeriod(game, 4, [100, 90]);
+            game.t = 0.3;
+            game.shotClockRemaining = 0.4;
+            assert.deepEqual(game.lateGameStrategy(), {foul: false, possessionTime: 0.3, shotSelection: 'none'});
+        });
+        it("should look for a three when down 3 or more at the end", () => {
+            setPeriod(game, 4, [90, 95]);
+            game.t = 0.3;
+            assert.equal(game.lateGameStrategy().shotSelection, 'threePointer');
+        });
+    });
+
+    describe("#doIntentionalFoul()", () => {
+        it("should happen in a close late game situation, with free throws once the defense is in the penalty", () => {
+            setPeriod(game, 4, [100, 98]);
+            game.t = 0.3;
+            game.shotClockRemaining = 0.4;
+
+            // simPossession switches possession at the start, so this gives the ball to the leading team
+            game.o = 1;
+            game.simPossession();
+            assert.equal(lastPlay(game).play, "pfIntentional");
+            assert.equal(lastPlay(game).t, 1);
+            assert.equal(game.team[1].stat.pf, 1);
+            assert.equal(game.team[0].stat.fta, 0);
+            assert(game.t >= 0.22);
+
+            // Second foul in the last 2 minutes puts them in the penalty
+            game.shotClockRemaining = 0.4;
+            game.o = 1;
+            game.simPossession();
+            assert.equal(game.team[1].stat.pf, 2);
+            assert.equal(game.foulsLastTwoMin[1], 2);
+            assert.equal(game.team[0].stat.fta, 2);
+        });
+        it("should come from the player with the fewest fouls", () => {
+            for (const p of game.playersOnCourt[1]) {
+                game.team[1].player[p].stat.pf = 3;
+            }
+            const p = game.playersOnCourt[1][2];
+            game.team[1].player[p].stat.pf = 1;
+
+            game.doIntentionalFoul();
+            assert.equal(game.team[1].player[p].stat.pf, 2);
+        });
+    });
+
+    describe("#drawPossessionTime()", () => {
+        const meanPossessionTime = () => {
+            let sum = 0;
+            for (let i = 0; i < 1000; i++) {
+                sum += game.drawPossessionTime();
+            }
+            return sum / 1000;
+        };
+
+        it("should average a little more than dt when bringing the ball up the court", () => {
+            const mean = meanPossessionTime();
+            assert(Math.abs(mean - 1.05 * game.dt) < 0.03 * game.dt);
+        });
+        it("should be about half as long with the ball already in the frontcourt", () => {
+            game.ballInFrontcourt = true;
+            const mean = meanPossessionTime();
+            assert(Math.abs(mean - 0.5 * game.dt) < 0.03 * game.dt);
+        });
+        it("should be shorter for the faster paced team", () => {
+            game.pace = [110, 100];
+            const fast = meanPossessionTime();
+            game.o = 1;
+            const slow = meanPossessionTime();
+            assert(fast < slow);
+        });
+    });
+
+    describe("#doShotClockViolation()", () => {
+        it("should happen when the shot clock runs out first", () => {
+            game.t = 6;
+            game.shotClockRemaining = 0.01;
+
+            game.o = 1;
+            game.simPossession();
+            assert.equal(lastPlay(game).play, "shotClock");
+            assert.equal(game.team[0].stat.tov, 1);
+            assert(Math.abs(game.t - 5.99) < 1e-9);
+            assert.equal(game.shotClockRemaining, game.shotClock);
+        });
+        it("should not happen when the game clock runs out first", () => {
+            game.t = 0.01;
+            game.shotClockRemaining = 0.01;
+
+            game.o = 1;
+            game.simPossession();
+            assert.notEqual(lastPlay(game).play, "shotClock");
+            assert.equal(game.t, 0);
+        });
+        it("should not happen without a shot clock", () => {
+            g.shotClock = 0;
+            game = new GameSim(0, makeTeam(0), makeTeam(1), true);
+            for (let i = 0; i < 200; i++) {
+                game.simPossession();
+            }
+            g.shotClock = gameAttributes.shotClock;
+            assert.equal(game.playByPlay.some(event => event.play === "shotClock"), false);
+        });
+        it("should not change the number of possessions when the shot clock is off", () => {
+            random.seed(12345);
+            g.shotClock = 0;
+            game = new GameSim(0, makeTeam(0), makeTeam(1), true);
+            g.shotClock = gameAttributes.shotClock;
+
+            random.seed(12345);
+            const game24 = new GameSim(0, makeTeam(0), makeTeam(1), true);
+            assert.equal(game.dt, game24.dt);
+        });
+    });
+
+    describe("#penaltyFreeThrows()", () => {
+        it("should give 2 free throws once the defense reaches the team foul limit", () => {
+            game.team[1].stat.pfQtrs = [4];
+            assert.equal(game.penaltyFreeThrows(), 0);
+            game.team[1].stat.pfQtrs = [5];
+            assert.equal(game.penaltyFreeThrows(), 2);
+        });
+        it("should only count fouls in the current period", () => {
+            game.team[1].stat.pfQtrs = [6, 1];
+            assert.equal(game.penaltyFreeThrows(), 0);
+        });
+        it("should give 2 free throws after the foul limit for the last 2 minutes", () => {
+            game.team[1].stat.pfQtrs = [3];
+            game.foulsLastTwoMin[1] = 2;
+            game.t = 3;
+            assert.equal(game.penaltyFreeThrows(), 0);
+            game.t = 1.5;
+            assert.equal(game.penaltyFreeThrows(), 2);
+        });
+        it("should give a 1-and-1 between the two foul limits", () => {
+            g.foulsUntilBonus = [7, 10, 10];
+            game.team[1].stat.pfQtrs = [6];
+            assert.equal(game.penaltyFreeThrows(), 0);
+            game.team[1].stat.pfQtrs = [7];
+            assert.equal(game.penaltyFreeThrows(), 1);
+            game.team[1].stat.pfQtrs = [10];
+            assert.equal(game.penaltyFreeThrows(), 2);
+            g.foulsUntilBonus = gameAttributes.foulsUntilBonus;
+        });
+    });
+
+    describe("#inFoulTrouble()", () => {
+        it("should allow more fouls as the game goes on", () => {
+            game.team[0].player[0].stat.pf = 2;
+            assert.equal(game.inFoulTrouble(0, 0), true);
+            setPeriod(game, 2, [0, 0]);
+            assert.equal(game.inFoulTrouble(0, 0), false);
+            game.team[0].player[0].stat.pf = 3;
+            assert.equal(game.inFoulTrouble(0, 0), true);
+        });
+        it("should sit a player one foul from fouling out until halfway through the last period", () => {
+            setPeriod(game, 4, [0, 0]);
+            game.team[0].player[0].stat.pf = 5;
+            game.t = 8;
+            assert.equal(game.inFoulTrouble(0, 0), true);
+            game.t = 4;
+            assert.equal(game.inFoulTrouble(0, 0), false);
+        });
+        it("should never apply in overtime", () => {
+            setPeriod(game, 5, [0, 0]);
+            game.team[0].player[0].stat.pf = 5;
+            assert.equal(game.inFoulTrouble(0, 0), false);
+        });
+        it("should get a player in foul trouble off the court right away", () => {
+            assert(game.playersOnCourt[0].includes(0));
+            game.team[0].player[0].stat.pf = 2;
+            game.updatePlayersOnCourt();
+            assert.equal(game.playersOnCourt[0].includes(0), false);
+        });
+    });
+});
@@ -147,7 +147,21 @@ describe("core/contractNegotiation", () => {
             });
 
             const error = await contractNegotiation.accept(8, g.salaryCap, 2017);
-            assert.equal(error, "This contract would put you over the salary cap. You cannot go over the salary cap to sign free agents to contracts higher than the minimum salary. Either negotiate for a lower contract or cancel the negotiation.");
+            assert.equal(error, "This contract would put you over the salary cap. You cannot go over the salary cap to sign free agents unless it's a minimum contract or it fits in your remaining mid-level exception (if you're over the cap) or room exception (if you're under the cap). Either negotiate for a lower contract or cancel the negotiation.");
+        });
+    });
+
+    describe("#structureFactor()", () => {
+        it("should keep the total value of a contract with raises the same", () => {
+            const factor = contractNegotiation.structureFactor({guaranteed: true, option: null, raise: 0.05}, 3);
+            assert.equal(Math.round(factor * (1 + 1.05 + 1.05 * 1.05) * 1000), 3000);
+            assert.equal(contractNegotiation.structureFactor({guaranteed: true, option: null, raise: 0}, 3), 1);
+        });
+        it("should charge more for team options and non-guaranteed seasons, and less for player options", () => {
+            assert(contractNegotiation.structureFactor({guaranteed: true, option: "team", raise: 0}, 3) > 1);
+            assert(contractNegotiation.structureFactor({guaranteed: false, option: null, raise: 0}, 3) > 1);
+            assert(contractNegotiation.structureFactor({guaranteed: true, option: "player", raise: 0}, 3) < 1);
+            assert.equal(contractNegotiation.structureFactor({guaranteed: false, option: "team", raise: 0.05}, 1), 1);
         });
     });
 });
@@ -4,6 +4,8 @@ import g from '../../globals';
 import * as draft from '../../core/draft';
 import * as league from '../../core/league';
 import * as team from '../../core/team';
+import * as helpers from '../../util/helpers';
+import * as random from '../../util/random';
 import sampleTiebreakers from '../fixtures/sampleTiebreakers';
 
 describe("core/draft", () => {
@@ -54,7 +56,7 @@ describe("core/draft", () => {
                 // Load static data
                 await tx.teamSeasons.iterate(teamSeason => tx.teamSeasons.delete(teamSeason.rid));
                 await tx.teams.iterate(async t => {
-                    const st = sampleTiebreakers.teams[t.tid];
+                    const st = helpers.deepCopy(sampleTiebreakers.teams[t.tid]);
                     const teamSeasons = st.seasons;
                     delete st.seasons;
                     delete st.stats;
@@ -71,7 +73,7 @@ describe("core/draft", () => {
 
         let draftResults;
         it("should schedule 60 draft picks", () => {
-            return g.dbl.tx(["draftOrder", "draftPicks", "teams", "teamSeasons", "players"], "readwrite", async tx => {
+            return g.dbl.tx(["draftLotteryResults", "draftOrder", "draftPicks", "teams", "teamSeasons", "players"], "readwrite", async tx => {
                 // Load static data
                 await draft.genOrder(tx);
                 const draftOrder = await draft.getOrder(tx);
@@ -182,6 +184,82 @@ describe("core/draft", () => {
         });
     });
 
+    describe("#runLottery()", () => {
+        // 30 teams with different records, the first 16 made the playoffs
+        const genTeams = () => [...Array(30).keys()].map(tid => ({
+            tid,
+            winp: 1 - tid / 30,
+            playoffRoundsWon: tid < 16 ? 0 : -1,
+        }));
+
+        it("should draw the top 4 picks for the 14 worst teams with nba2019", () => {
+            const teams = genTeams();
+            const {chancePct, lotteryWinners} = draft.runLottery(teams, "nba2019");
+            assert.equal(chancePct.length, 14);
+            assert.equal(chancePct[0], chancePct[2]);
+            assert.equal(lotteryWinners.length, 4);
+            for (const i of lotteryWinners) {
+                assert(i < 14);
+            }
+        });
+        it("should give every non-playoff team an equal chance with randomLottery", () => {
+            const teams = genTeams();
+            const {chancePct, lotteryWinners} = draft.runLottery(teams, "randomLottery");
+            assert.equal(chancePct.length, 14);
+            for (const chance of chancePct) {
+                assert(Math.abs(chance - 100 / 14) < 1e-6);
+            }
+            assert.deepEqual(lotteryWinners.slice().sort((a, b) => a - b), [...Array(14).keys()]);
+        });
+        it("should order teams by record with noLottery", () => {
+            const teams = genTeams();
+            const {chancePct, lotteryWinners} = draft.runLottery(teams, "noLottery");
+            assert.equal(chancePct.length, 0);
+            assert.equal(lotteryWinners.length, 0);
+            assert.deepEqual(teams.map(t => t.tid), [...Array(30).keys()].reverse());
+        });
+        it("should use the chances in g.draftLotteryCustomChances with custom", () => {
+            const teams = genTeams();
+            g.draftLotteryCustomChances = [0, 0, 1, 0];
+            g.draftLotteryCustomNumPicks = 3;
+            const {chancePct, lotteryWinners} = draft.runLottery(teams, "custom");
+            assert.deepEqual(chancePct, [0, 0, 100, 0]);
+            assert.deepEqual(lotteryWinners, [2]);
+        });
+        after(() => {
+            g.draftLotteryCustomChances = [250, 199, 156, 119, 88, 63, 43, 28, 17, 11, 8, 7, 6, 5];
+            g.draftLotteryCustomNumPicks = 3;
+        });
+    });
+
+    describe("#getLotteryOdds()", () => {
+        const genTeams = () => [...Array(30).keys()].map(tid => ({
+            tid,
+            winp: 1 - tid / 30,
+            playoffRoundsWon: tid < 16 ? 0 : -1,
+        }));
+
+        it("should give each team a probability distribution over first round picks", () => {
+            const teams = genTeams();
+            const odds = draft.getLotteryOdds(teams, "nba1994", 200);
+            for (const t of teams) {
+                assert.equal(odds[t.tid].length, 30);
+                assert(Math.abs(odds[t.tid].reduce((a, b) => a + b, 0) - 1) < 1e-6);
+            }
+
+            // Playoff teams are not in the lottery, and the worst team can't fall below 4th
+            assert.equal(odds[0][29], 1);
+            assert.equal(odds[29].slice(4).reduce((a, b) => a + b, 0), 0);
+        });
+        it("should not change the teams or the state of the random number generator", () => {
+            const teams = genTeams();
+            const rngState = random.getState();
+            draft.getLotteryOdds(teams, "nba2019", 10);
+            assert.deepEqual(random.getState(), rngState);
+            assert.deepEqual(teams, genTeams());
+        });
+    });
+
     describe("#selectPlayer() and #untilUserOrEnd()", () => {
         it("should draft players before the user's team first round pick", () => {
             return testDraftUntilUserOrEnd(userPick1 - 1, userPick1 - 1);
@@ -36,4 +36,44 @@ describe("core/finances", () => {
             });
         });
     });
+
+    describe("#getCapException()", () => {
+        const noneUsed = {midLevel: 0, room: 0};
+
+        it("should allow any contract that fits under the salary cap", () => {
+            assert.equal(finances.getCapException(5000, g.salaryCap - 5000, false, noneUsed), "capSpace");
+        });
+        it("should allow teams to go over the cap with Bird rights or for minimum contracts", () => {
+            assert.equal(finances.getCapException(20000, g.salaryCap, true, noneUsed), "bird");
+            assert.equal(finances.getCapException(g.minContract, g.salaryCap, false, noneUsed), "minimum");
+        });
+        it("should only give the room exception to teams under the cap and the mid-level exception to teams over the cap", () => {
+            assert.equal(finances.getCapException(g.roomException, g.salaryCap - 1000, false, noneUsed), "room");
+            assert.equal(finances.getCapException(g.roomException + 50, g.salaryCap - 1000, false, noneUsed), null);
+            assert.equal(finances.getCapException(g.midLevelException, g.salaryCap + 1000, false, noneUsed), "midLevel");
+            assert.equal(finances.getCapException(g.midLevelException + 50, g.salaryCap + 1000, false, noneUsed), null);
+        });
+        it("should only allow the unused part of one exception per season", () => {
+            assert.equal(finances.getCapException(2000, g.salaryCap + 1000, false, {midLevel: g.midLevelException - 1000, room: 0}), null);
+            assert.equal(finances.getCapException(1000, g.salaryCap + 1000, false, {midLevel: g.midLevelException - 1000, room: 0}), "midLevel");
+            assert.equal(finances.getCapException(1000, g.salaryCap + 1000, false, {midLevel: 0, room: 1000}), null);
+            assert.equal(finances.getCapException(1000, g.salaryCap - 500, false, {midLevel: 1000, room: 0}), null);
+        });
+    });
+
+    describe("#useCapException()", () => {
+        it("should track exceptions used for the current contract season", async () => {
+            const t = await g.dbl.teams.get(0);
+            assert.deepEqual(finances.getCapExceptionsUsed(t), {midLevel: 0, room: 0});
+
+            finances.useCapException(t, "midLevel", 2000);
+            finances.useCapException(t, "midLevel", 1500);
+            finances.useCapException(t, "minimum", g.minContract);
+            assert.deepEqual(finances.getCapExceptionsUsed(t), {midLevel: 3500, room: 0});
+
+            // Reset next season
+            t.capExceptionsUsed.season -= 1;
+            assert.deepEqual(finances.getCapExceptionsUsed(t), {midLevel: 0, room: 0});
+        });
+    });
 });
@@ -19,16 +19,19 @@ describe("core/league", () => {
             assert.equal(l.phaseText, `${g.startingSeason} preseason`);
         });
         it("should create all necessary object stores", () => {
-            assert.equal(g.dbl.objectStoreNames.length, 18);
+            assert.equal(g.dbl.objectStoreNames.length, 22);
             assert.equal(g.dbl.objectStoreNames.contains("awards"), true);
             assert.equal(g.dbl.objectStoreNames.contains("events"), true);
+            assert.equal(g.dbl.objectStoreNames.contains("draftLotteryResults"), true);
             assert.equal(g.dbl.objectStoreNames.contains("draftOrder"), true);
             assert.equal(g.dbl.objectStoreNames.contains("gameAttributes"), true);
             assert.equal(g.dbl.objectStoreNames.contains("games"), true);
             assert.equal(g.dbl.objectStoreNames.contains("messages"), true);
             assert.equal(g.dbl.objectStoreNames.contains("negotiations"), true);
+            assert.equal(g.dbl.objectStoreNames.contains("playByPlay"), true);
             assert.equal(g.dbl.objectStoreNames.contains("players"), true);
             assert.equal(g.dbl.objectStoreNames.contains("playerFeats"), true);
+            assert.equal(g.dbl.objectStoreNames.contains("playerShots"), true);
             assert.equal(g.dbl.objectStoreNames.contains("playerStats"), true);
             assert.equal(g.dbl.objectStoreNames.contains("playoffSeries"), true);
             assert.equal(g.dbl.objectStoreNames.contains("releasedPlayers"), true);
@@ -37,6 +40,7 @@ describe("core/league", () => {
             assert.equal(g.dbl.objectStoreNames.contains("teamSeasons"), true);
             assert.equal(g.dbl.objectStoreNames.contains("teamStats"), true);
             assert.equal(g.dbl.objectStoreNames.contains("trade"), true);
+            assert.equal(g.dbl.objectStoreNames.contains("trades"), true);
         });
         it("should initialize gameAttributes object store", async () => {
             const gameAttributes = await g.dbl.gameAttributes.getAll();
@@ -55,7 +59,7 @@ describe("core/league", () => {
             assert.equal(gTest.daysLeft, 0);
             assert.equal(gTest.showFirstOwnerMessage, true);
 
-            assert.equal(Object.keys(gTest).length, 38);
+            assert.equal(Object.keys(gTest).length, 59);
         });
         it("should initialize draftOrder object store", async () => {
             const draftOrder = await g.dbl.draftOrder.getAll();
@@ -102,6 +106,20 @@ describe("core/league", () => {
         });
     });
 
+    describe("#getRulesPreset()", () => {
+        it("should match NBA rules in a new league", () => {
+            assert.equal(league.getRulesPreset(g), "nba");
+        });
+        it("should match other presets", () => {
+            assert.equal(league.getRulesPreset(league.rulesPresets.fiba.gameAttributes), "fiba");
+            assert.equal(league.getRulesPreset(league.rulesPresets.ncaa.gameAttributes), "ncaa");
+        });
+        it("should return custom if any rule differs from every preset", () => {
+            const attrs = Object.assign({}, league.rulesPresets.nba.gameAttributes, {foulsUntilBonus: [5, 5, 3]});
+            assert.equal(league.getRulesPreset(attrs), "custom");
+        });
+    });
+
     describe("#remove()", () => {
         it("should remove league database", () => league.remove(g.lid));
     });
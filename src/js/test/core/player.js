@@ -475,5 +475,77 @@ describe("core/player", () => {
             assert(!pf.hasOwnProperty("statsPlayoffs"));
             assert(!pf.hasOwnProperty("careerStatsPlayoffs"));
         });
+        it("should sum advanced stat totals and weight advanced stat rates by minutes for career stats", () => {
+            const p2 = helpers.deepCopy(p);
+            p2.stats[0].min = 100;
+            p2.stats[0].ws = 2;
+            p2.stats[0].bpm = 3;
+            p2.stats[2].min = 300;
+            p2.stats[2].ws = 4.5;
+            p2.stats[2].bpm = -1;
+
+            const pf = player.filter(p2, {
+                stats: ["min", "ws", "bpm"],
+                totals: true,
+            });
+
+            assert.equal(pf.stats[0].ws, 2);
+            assert.equal(pf.stats[1].bpm, -1);
+            assert.equal(pf.careerStats.ws, 6.5);
+            assert.equal(pf.careerStats.bpm, 0);
+        });
+        it("should return 0 for advanced stats missing from old stats rows", () => {
+            const pf = player.filter(p, {
+                stats: ["ws", "tsp"],
+                season: 2012,
+                tid: 4,
+            });
+
+            assert.equal(pf.stats.ws, 0);
+            assert.equal(pf.stats.tsp, 0);
+        });
+    });
+
+    describe("#getContractSalaries()", () => {
+        it("should apply yearly raises to each season after the first", () => {
+            g.season = 2015;
+            g.phase = g.PHASE.REGULAR_SEASON;
+            const salaries = player.getContractSalaries({amount: 10000, exp: 2017, raise: 0.05, start: 2015});
+            assert.deepEqual(salaries, [
+                {season: 2015, amount: 10000},
+                {season: 2016, amount: 10500},
+                {season: 2017, amount: 11030},
+            ]);
+        });
+        it("should start with the first season of a contract that hasn't started yet", () => {
+            g.season = 2015;
+            const salaries = player.getContractSalaries({amount: 5000, exp: 2017, start: 2016});
+            assert.deepEqual(salaries.map(salary => salary.season), [2016, 2017]);
+            assert.deepEqual(salaries.map(salary => salary.amount), [5000, 5000]);
+        });
+    });
+
+    describe("#applyYearlyRaise()", () => {
+        it("should only raise the salary after the first season of a contract", () => {
+            g.season = 2016;
+            const contract = player.applyYearlyRaise({amount: 10000, exp: 2017, raise: -0.05, start: 2015});
+            assert.equal(contract.amount, 9500);
+
+            assert.equal(player.applyYearlyRaise({amount: 10000, exp: 2017, raise: 0.05, start: 2016}).amount, 10000);
+            assert.equal(player.applyYearlyRaise({amount: 10000, exp: 2017}).amount, 10000);
+        });
+    });
+
+    describe("#getReleasedContract()", () => {
+        it("should only keep guaranteed seasons of a released player's contract", () => {
+            g.season = 2015;
+            assert.deepEqual(player.getReleasedContract({contract: {amount: 750, exp: 2017, guaranteedThrough: 2015}}, false), {amount: 750, exp: 2015, guaranteedThrough: 2015});
+            assert.deepEqual(player.getReleasedContract({contract: {amount: 5000, exp: 2017}}, false), {amount: 5000, exp: 2017});
+        });
+        it("should not owe anything for non-guaranteed seasons that haven't started or for players who were just drafted", () => {
+            g.season = 2015;
+            assert.equal(player.getReleasedContract({contract: {amount: 750, exp: 2017, guaranteedThrough: 2014}}, false), null);
+            assert.equal(player.getReleasedContract({contract: {amount: 5000, exp: 2017}}, true), null);
+        });
     });
 });
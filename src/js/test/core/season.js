@@ -1,8 +1,13 @@
 import assert from 'assert';
+import backboard from 'backboard';
+import * as db from '../../db';
 import g from '../../globals';
+import * as league from '../../core/league';
+import * as player from '../../core/player';
 import * as season from '../../core/season';
 import * as helpers from '../../util/helpers';
 import * as testHelpers from '../helpers';
+import sampleTiebreakers from '../fixtures/sampleTiebreakers';
 
 const defaultTeams = helpers.getTeamsDefault();
 
@@ -94,6 +99,8 @@ describe("core/season", () => {
     describe("#genPlayoffSeries()", () => {
         before(() => {
             g.numPlayoffRounds = 2;
+            g.numPlayoffByes = 0;
+            g.playIn = false;
         });
         it("should split teams by conference if there are two conferences", () => {
             const teams = [
@@ -136,9 +143,205 @@ describe("core/season", () => {
             assert.deepEqual(tidPlayoffs.sort(), [0, 2, 3, 6]);
             assert.equal(series[0].length, 2);
         });
+        it("should give byes to the top seeds", () => {
+            const teams = [
+                {tid: 0, cid: 0},
+                {tid: 2, cid: 0},
+                {tid: 3, cid: 0},
+                {tid: 6, cid: 0},
+            ];
+            g.confs = [
+                {cid: 0, name: "Whatever"},
+            ];
+            g.numPlayoffByes = 1;
+
+            const {series, tidPlayoffs} = season.genPlayoffSeries(teams);
+
+            assert.deepEqual(tidPlayoffs.sort(), [0, 2, 3]);
+            assert.equal(series[0][0].home.tid, 0);
+            assert.equal(series[0][0].away, undefined);
+            assert.equal(series[0][1].home.tid, 2);
+            assert.equal(series[0][1].away.tid, 3);
+
+            g.numPlayoffByes = 0;
+        });
+        it("should put the last two seeds and the next two teams in the play-in tournament", () => {
+            const teams = [
+                {tid: 0, cid: 0},
+                {tid: 2, cid: 0},
+                {tid: 3, cid: 0},
+                {tid: 6, cid: 0},
+                {tid: 5, cid: 0},
+                {tid: 1, cid: 0},
+            ];
+            g.confs = [
+                {cid: 0, name: "Whatever"},
+            ];
+            g.playIn = true;
+
+            const {playIns, tidPlayIn, tidPlayoffs} = season.genPlayoffSeries(teams);
+
+            assert.deepEqual(tidPlayoffs.sort(), [0, 2]);
+            assert.deepEqual(tidPlayIn, [3, 6, 5, 1]);
+            assert.equal(playIns.length, 1);
+            assert.deepEqual(playIns[0].seeds, [3, 4]);
+            assert.deepEqual(playIns[0].games.map(game => [game.home.tid, game.away.tid]), [[3, 6], [5, 1]]);
+
+            g.playIn = false;
+        });
         after(() => {
             g.numPlayoffRounds = 4;
             delete g.confs;
         });
     });
+
+    describe("#orderPlayoffSeeds()", () => {
+        // Sorted the same way as the standings
+        const teams = sampleTiebreakers.teams.map(t => {
+            const {won, lost} = t.seasons[t.seasons.length - 1];
+            return {tid: t.tid, cid: t.cid, did: t.did, won, lost, winp: won / (won + lost)};
+        }).sort((a, b) => b.winp - a.winp || b.won - a.won);
+
+        before(() => {
+            g.divs = [
+                {did: 0, cid: 0, name: "Atlantic"},
+                {did: 1, cid: 0, name: "Central"},
+                {did: 2, cid: 0, name: "Southeast"},
+                {did: 3, cid: 1, name: "Southwest"},
+                {did: 4, cid: 1, name: "Northwest"},
+                {did: 5, cid: 1, name: "Pacific"},
+            ];
+        });
+        it("should not change the order by default", () => {
+            g.divWinnersTopSeeds = false;
+            assert.deepEqual(season.orderPlayoffSeeds(teams), teams);
+        });
+        it("should give division winners the top seeds in each conference", () => {
+            g.divWinnersTopSeeds = true;
+            for (const cid of [0, 1]) {
+                const confTeams = teams.filter(t => t.cid === cid);
+                const seeded = season.orderPlayoffSeeds(confTeams);
+
+                assert.equal(seeded.length, confTeams.length);
+
+                // Top 3 seeds are the best team in each division, still in order of record
+                const divWinners = g.divs.filter(div => div.cid === cid).map(div => confTeams.find(t => t.did === div.did));
+                assert.deepEqual(seeded.slice(0, 3).map(t => t.tid).sort(), divWinners.map(t => t.tid).sort());
+                assert(seeded[0].winp >= seeded[1].winp && seeded[1].winp >= seeded[2].winp);
+
+                // Everyone else keeps their order
+                const others = confTeams.filter(t => !divWinners.includes(t));
+                assert.deepEqual(seeded.slice(3), others);
+            }
+        });
+        after(() => {
+            g.divWinnersTopSeeds = false;
+            delete g.divs;
+        });
+    });
+
+    describe("#newSchedulePlayoffsDay()", () => {
+        before(async () => {
+            await db.connectMeta();
+            await league.create("Test", 0, undefined, 2016, false);
+        });
+        after(() => league.remove(g.lid));
+
+        // Bracket order from genPlayoffSeries is 1v8, 4v5, 3v6, 2v7 in each conference. winnerSeeds are the seeds that won each series.
+        const genFirstRound = (cid, winnerSeeds) => {
+            return [[1, 8], [4, 5], [3, 6], [2, 7]].map(([homeSeed, awaySeed], i) => {
+                const tid = seed => cid * 8 + seed - 1;
+                const won = seed => (seed === winnerSeeds[i] ? 4 : 1);
+                return {
+                    home: {tid: tid(homeSeed), cid, seed: homeSeed, winp: 1 - homeSeed / 10, won: won(homeSeed)},
+                    away: {tid: tid(awaySeed), cid, seed: awaySeed, winp: 1 - awaySeed / 10, won: won(awaySeed)},
+                };
+            });
+        };
+
+        const getSecondRound = async reseed => {
+            await g.dbl.tx(["playoffSeries", "schedule", "teamSeasons"], "readwrite", async tx => {
+                await tx.playoffSeries.put({
+                    season: g.season,
+                    currentRound: 0,
+                    numGamesPlayoffSeries: [7, 7, 7, 7],
+                    playIns: [],
+                    reseed,
+                    series: [genFirstRound(0, [8, 4, 3, 2]).concat(genFirstRound(1, [1, 4, 3, 2])), [], [], []],
+                });
+                await season.newSchedulePlayoffsDay(tx);
+            });
+
+            const playoffSeries = await g.dbl.playoffSeries.get(g.season);
+            assert.equal(playoffSeries.currentRound, 1);
+            return playoffSeries.series[1].map(matchup => [matchup.home.seed, matchup.away.seed]);
+        };
+
+        it("should keep the bracket by default", async () => {
+            assert.deepEqual(await getSecondRound(false), [[4, 8], [2, 3], [1, 4], [2, 3]]);
+        });
+        it("should match the best remaining seed against the worst in each conference when reseeding", async () => {
+            assert.deepEqual(await getSecondRound(true), [[2, 8], [3, 4], [1, 4], [2, 3]]);
+        });
+    });
+
+    describe("#doAwards()", () => {
+        const champTid = 3;
+        let dpoyPid;
+        let finalsMvpPid;
+
+        before(async () => {
+            await db.connectMeta();
+            await league.create("Test", 0, undefined, 2016, false);
+
+            await g.dbl.tx(["players", "playerStats", "teamSeasons"], "readwrite", async tx => {
+                await tx.teamSeasons.index("season, tid").iterate([g.season, champTid], teamSeason => {
+                    teamSeason.playoffRoundsWon = g.numPlayoffRounds;
+                    return teamSeason;
+                });
+
+                await tx.playerStats.clear();
+                const players = await tx.players.index('tid').getAll(backboard.lowerBound(0));
+                for (const p of players) {
+                    player.addStatsRow(tx, p, false);
+                    if (p.tid === champTid) {
+                        player.addStatsRow(tx, p, true);
+                    }
+                    await tx.players.put(p);
+                }
+
+                // DPOY is someone with unimpressive defensive box score stats, and Finals MVP is not the top scorer
+                dpoyPid = players[5].pid;
+                finalsMvpPid = players.filter(p => p.tid === champTid)[1].pid;
+            });
+
+            await g.dbl.tx("playerStats", "readwrite", tx => tx.playerStats.iterate(ps => {
+                ps.gp = 82;
+                ps.min = 82 * 30;
+                if (ps.playoffs) {
+                    ps.pts = ps.pid === finalsMvpPid ? 10 : 100;
+                    ps.ws = ps.pid === finalsMvpPid ? 3 : 1;
+                } else {
+                    ps.stl = ps.pid === dpoyPid ? 0 : 100;
+                    ps.blk = ps.pid === dpoyPid ? 0 : 100;
+                    ps.dws = ps.pid === dpoyPid ? 8 : 2;
+                }
+                return ps;
+            }));
+
+            await g.dbl.tx(["awards", "events", "players", "playerStats", "releasedPlayers", "teams", "teamSeasons", "teamStats"], "readwrite", tx => season.doAwards(tx));
+        });
+        after(() => league.remove(g.lid));
+
+        it("should give Defensive Player of the Year to the player with the most defensive win shares", async () => {
+            const awards = await g.dbl.awards.get(g.season);
+            assert.equal(awards.dpoy.pid, dpoyPid);
+            assert.equal(awards.allDefensive[0].players[0].pid, dpoyPid);
+        });
+        it("should give Finals MVP to the champion with the most playoff win shares", async () => {
+            const awards = await g.dbl.awards.get(g.season);
+            assert.equal(awards.finalsMvp.pid, finalsMvpPid);
+            assert.equal(awards.finalsMvp.tid, champTid);
+        });
+    });
 });
@@ -296,4 +296,166 @@ describe("core/team", () => {
             assert.equal(numPlayers, 24);
         });
     });
+
+    describe("#setDepthChart()", () => {
+        before(async () => {
+            await db.connectMeta();
+            await league.create("Test", 0, undefined, 2013, false);
+        });
+        after(() => league.remove(g.lid));
+
+        it("should move starters to the top of the roster and save closers and target minutes", async () => {
+            let players = await g.dbl.players.index('tid').getAll(0);
+            players.sort((a, b) => a.rosterOrder - b.rosterOrder);
+            const starters = players.slice(-5).map(p => p.pid).reverse();
+            const closers = players.slice(0, 5).map(p => p.pid);
+            const benchPids = players.slice(0, -5).map(p => p.pid);
+
+            await g.dbl.tx("players", "readwrite", tx => team.setDepthChart(tx, 0, {
+                closers,
+                starters,
+                targetMins: {
+                    [starters[0]]: 36,
+                    [benchPids[0]]: 0,
+                },
+            }));
+
+            players = await g.dbl.players.index('tid').getAll(0);
+            players.sort((a, b) => a.rosterOrder - b.rosterOrder);
+            assert.deepEqual(players.slice(0, 5).map(p => p.pid), starters);
+            assert.deepEqual(players.slice(5).map(p => p.pid), benchPids);
+            assert.deepEqual(players.filter(p => p.closer).map(p => p.pid).sort(), closers.slice().sort());
+            for (const p of players) {
+                if (p.pid === starters[0]) {
+                    assert.equal(p.targetMin, 36);
+                } else if (p.pid === benchPids[0]) {
+                    assert.equal(p.targetMin, 0);
+                } else {
+                    assert.equal(p.targetMin, null);
+                }
+            }
+        });
+    });
+
+    describe("#genTactics()", () => {
+        const genPlayer = (valueNoPot, skills) => ({valueNoPot, ratings: [{skills}]});
+
+        it("should pick tactics based on the skills of the top 7 players", () => {
+            const players = [
+                genPlayer(70, ["3", "A"]),
+                genPlayer(65, ["3", "B"]),
+                genPlayer(60, ["3", "A"]),
+                genPlayer(55, ["3"]),
+                genPlayer(50, ["A"]),
+                genPlayer(45, []),
+                genPlayer(40, []),
+                genPlayer(35, ["Po", "Po", "R", "R", "Dp"]), // Out of the rotation, so ignored
+            ];
+            assert.deepEqual(team.genTactics(players), {
+                pace: 2,
+                threePoint: 2,
+                interior: -1,
+                pressure: 0,
+                crashBoards: -1,
+            });
+        });
+        it("should play a balanced game with 1 or 2 of each skill", () => {
+            const players = [
+                genPlayer(70, ["3", "A", "Dp", "R"]),
+                genPlayer(65, ["Po", "R"]),
+                genPlayer(60, ["3"]),
+            ];
+            assert.deepEqual(team.genTactics(players), team.defaultTactics());
+        });
+    });
+
+    describe("#updateTactics()", () => {
+        before(async () => {
+            await db.connectMeta();
+            await league.create("Test", 0, undefined, 2013, false);
+        });
+        after(() => league.remove(g.lid));
+
+        it("should set tactics for AI teams when a league is created", async () => {
+            const teams = await g.dbl.teams.getAll();
+            for (const t of teams) {
+                if (t.tid === g.userTid) {
+                    assert.deepEqual(t.tactics, team.defaultTactics());
+                } else {
+                    const players = await g.dbl.players.index('tid').getAll(t.tid);
+                    assert.deepEqual(t.tactics, team.genTactics(players));
+                }
+            }
+        });
+        it("should save bounded tactics for the user's team", async () => {
+            await g.dbl.tx("teams", "readwrite", tx => team.setTactics(tx, g.userTid, {
+                pace: 1,
+                threePoint: 5,
+                interior: -1.2,
+                pressure: -2,
+                crashBoards: NaN,
+            }));
+            const t = await g.dbl.teams.get(g.userTid);
+            assert.deepEqual(t.tactics, {
+                pace: 1,
+                threePoint: 2,
+                interior: -1,
+                pressure: -2,
+                crashBoards: 0,
+            });
+        });
+        it("should not change tactics for the user's team", async () => {
+            await g.dbl.tx(["players", "teams"], "readwrite", tx => team.updateTactics(tx));
+            const t = await g.dbl.teams.get(g.userTid);
+            assert.equal(t.tactics.threePoint, 2);
+        });
+    });
+
+    describe("#getPayrollProjection()", () => {
+        before(async () => {
+            await db.connectMeta();
+            await league.create("Test", 0, undefined, 2013, false);
+        });
+        after(() => league.remove(g.lid));
+
+        it("should project contracts, dead money, and draft picks over 5 seasons", async () => {
+            const {contracts, draftPicks, seasons} = await team.getPayrollProjection(null, 0);
+            assert.deepEqual(seasons, [2013, 2014, 2015, 2016, 2017]);
+
+            const players = await g.dbl.players.index('tid').getAll(0);
+            assert.equal(contracts.length, players.length);
+            for (const p of players) {
+                const c = contracts.find(c2 => c2.pid === p.pid);
+                assert.deepEqual(c.amounts, seasons.map(season => (season <= p.contract.exp ? p.contract.amount : 0)));
+
+                // Cap holds only for contracts expiring before the last season
+                if (p.contract.exp < 2017) {
+                    assert(c.capHold > 0);
+                    assert(c.resignAmounts[p.contract.exp - 2013 + 1] > 0);
+                    assert.equal(c.resignAmounts.slice(0, p.contract.exp - 2013 + 1).reduce((a, b) => a + b, 0), 0);
+                } else {
+                    assert.equal(c.capHold, 0);
+                }
+            }
+
+            // Picks for the next 4 drafts, and only this season's picks pay anything in 2013
+            assert.equal(draftPicks.length, 8);
+            for (const dp of draftPicks) {
+                assert.equal(dp.amounts[0], 0);
+                assert.equal(dp.amounts.filter(amount => amount > 0).length, Math.min(4 - dp.round, 2017 - dp.season));
+            }
+        });
+        it("should include released players as dead money", async () => {
+            await g.dbl.tx(["players", "releasedPlayers", "teams", "teamSeasons"], "readwrite", async tx => {
+                const p = await tx.players.index('tid').get(0);
+                await player.release(tx, p, false);
+            });
+
+            const {contracts} = await team.getPayrollProjection(null, 0);
+            const released = contracts.filter(c => c.released);
+            assert.equal(released.length, 1);
+            assert.equal(released[0].capHold, 0);
+            assert(released[0].amounts[0] > 0);
+        });
+    });
 });
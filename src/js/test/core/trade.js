@@ -1,13 +1,16 @@
 import assert from 'assert';
+import _ from 'underscore';
 import * as db from '../../db';
 import g from '../../globals';
 import * as league from '../../core/league';
+import * as season from '../../core/season';
 import * as trade from '../../core/trade';
+import * as random from '../../util/random';
 
 describe("core/trade", () => {
     before(async () => {
         await db.connectMeta();
-        await league.create("Test", 0, undefined, 2013, false);
+        await league.create("Test", 0, undefined, 2013, false, 12345); // Seeded, so the rosters in the AI trade test are always the same
     });
     after(() => league.remove(g.lid));
     afterEach(async () => {
@@ -63,4 +66,201 @@ describe("core/trade", () => {
             assert.deepEqual(teams[1].pids, []);
         });
     });
+
+    describe("#filterUntradable()", () => {
+        it("should not allow recently signed players to be traded", () => {
+            const players = trade.filterUntradable([
+                {contract: {exp: g.season + 1}, gamesUntilTradable: 3},
+                {contract: {exp: g.season + 1}, gamesUntilTradable: 0},
+            ]);
+            assert.equal(players[0].untradable, true);
+            assert.equal(players[0].untradableMsg, "Cannot trade recently-signed player for 3 more games");
+            assert.equal(players[1].untradable, false);
+        });
+    });
+
+    describe("#propose()", () => {
+        it("should not allow trades after the trade deadline", async () => {
+            const phase = g.phase;
+            g.phase = g.PHASE.AFTER_TRADE_DEADLINE;
+            const [accepted, message] = await trade.propose(true);
+            g.phase = phase;
+
+            assert.equal(accepted, false);
+            assert(message.includes("trade deadline"));
+        });
+        it("should save completed trades in the trades object store", async () => {
+            const [userPlayers, otherPlayers] = await Promise.all([
+                g.dbl.players.index('tid').getAll(g.userTid),
+                g.dbl.players.index('tid').getAll(5),
+            ]);
+            const userPid = userPlayers[0].pid;
+            const otherPid = otherPlayers[0].pid;
+            await trade.create([{tid: g.userTid, pids: [userPid], dpids: []}, {tid: 5, pids: [otherPid], dpids: []}]);
+
+            const [accepted] = await trade.propose(true);
+            assert.equal(accepted, true);
+
+            const trades = await g.dbl.trades.getAll();
+            assert.equal(trades.length, 1);
+            assert.equal(trades[0].season, g.season);
+            assert.equal(trades[0].phase, g.phase);
+            assert.deepEqual(trades[0].teams.map(t => t.tid), [g.userTid, 5]);
+            assert.deepEqual(trades[0].teams.map(t => t.players.map(p => p.pid)), [[userPid], [otherPid]]);
+            assert.equal(trades[0].teams[0].players[0].name, `${userPlayers[0].firstName} ${userPlayers[0].lastName}`);
+        });
+    });
+
+    describe("#getDaysUntilDeadline()", () => {
+        it("should count days left in the schedule until the trade deadline", async () => {
+            await g.dbl.tx("schedule", "readwrite", tx => season.setSchedule(tx, [[0, 1], [2, 3], [0, 2], [1, 3], [0, 3]]));
+            const schedule = await season.getSchedule();
+            assert.deepEqual(schedule.map(game => game.day), [1, 1, 2, 2, 3]);
+
+            const phase = g.phase;
+            const tradeDeadline = g.tradeDeadline;
+            g.phase = g.PHASE.REGULAR_SEASON;
+            g.tradeDeadline = 0.6; // Day 2 of 3
+            assert.equal(await trade.getDeadlineDay(), 2);
+            assert.equal(await trade.getDaysUntilDeadline(), 2);
+            g.tradeDeadline = 0;
+            assert.equal(await trade.getDeadlineDay(), null);
+            assert.equal(await trade.getDaysUntilDeadline(), null);
+            g.phase = phase;
+            g.tradeDeadline = tradeDeadline;
+        });
+    });
+
+    describe("#betweenAiTeams()", () => {
+        it("should only make trades during the regular season", async () => {
+            assert.notEqual(g.phase, g.PHASE.REGULAR_SEASON);
+            assert.equal(await trade.betweenAiTeams(), false);
+        });
+        it("should not trade with the user's team", async () => {
+            const userPids = (await g.dbl.players.index('tid').getAll(g.userTid)).map(p => p.pid).sort();
+
+            const phase = g.phase;
+            g.phase = g.PHASE.REGULAR_SEASON;
+            for (let i = 0; i < 5; i++) {
+                await trade.betweenAiTeams();
+            }
+            g.phase = phase;
+
+            const userPids2 = (await g.dbl.players.index('tid').getAll(g.userTid)).map(p => p.pid).sort();
+            assert.deepEqual(userPids2, userPids);
+        });
+        describe("with two AI teams with different strategies", () => {
+            const aiTids = [1, 2];
+            let phase;
+            let userTids;
+            before(async () => {
+                phase = g.phase;
+                userTids = g.userTids;
+                g.phase = g.PHASE.REGULAR_SEASON;
+                g.userTids = _.range(g.numTeams).filter(tid => !aiTids.includes(tid));
+
+                await g.dbl.tx("teams", "readwrite", async tx => {
+                    for (const tid of aiTids) {
+                        const t = await tx.teams.get(tid);
+                        t.strategy = tid === aiTids[0] ? "rebuilding" : "contending";
+                        await tx.teams.put(t);
+                    }
+                });
+            });
+            after(() => {
+                g.phase = phase;
+                g.userTids = userTids;
+            });
+
+            it("should move players between them", async () => {
+                const tidsBefore = {};
+                for (const p of await g.dbl.players.getAll()) {
+                    tidsBefore[p.pid] = p.tid;
+                }
+
+                // With the seeded league, this seed shops a player the other team wants
+                random.seed(1);
+                assert.equal(await trade.betweenAiTeams(), true);
+
+                const moved = (await g.dbl.players.getAll()).filter(p => p.tid !== tidsBefore[p.pid]);
+                assert(moved.length > 0);
+                for (const p of moved) {
+                    assert.deepEqual([tidsBefore[p.pid], p.tid].sort(), aiTids);
+                }
+            });
+        });
+    });
+
+    describe("#getOfferStatus()", () => {
+        it("should expire offers after a few days or when the regular season is over", async () => {
+            await g.dbl.tx("schedule", "readwrite", tx => season.setSchedule(tx, [[0, 1], [2, 3], [0, 2], [1, 3], [0, 3]]));
+
+            const phase = g.phase;
+            g.phase = g.PHASE.REGULAR_SEASON;
+            const offer = {
+                expires: 1,
+                season: g.season,
+                status: "pending",
+                teams: [{tid: g.userTid, pids: [], dpids: []}, {tid: 1, pids: [], dpids: []}],
+            };
+            assert.equal(await trade.getOfferStatus(offer), "pending");
+            offer.expires = 0;
+            assert.equal(await trade.getOfferStatus(offer), "expired");
+            offer.expires = null;
+            assert.equal(await trade.getOfferStatus(offer), "pending");
+            g.phase = g.PHASE.AFTER_TRADE_DEADLINE;
+            assert.equal(await trade.getOfferStatus(offer), "expired");
+            g.phase = phase;
+        });
+    });
+
+    describe("#acceptOffer()", () => {
+        const addOffer = async (userPid, otherPid) => {
+            return g.dbl.tx("messages", "readwrite", tx => tx.messages.add({
+                read: false,
+                from: "Test GM",
+                year: g.season,
+                text: "<p>Offer</p>",
+                tradeOffer: {
+                    expires: null,
+                    season: g.season,
+                    status: "pending",
+                    teams: [{tid: g.userTid, pids: [userPid], dpids: []}, {tid: 1, pids: [otherPid], dpids: []}],
+                },
+            }));
+        };
+
+        it("should not accept declined offers", async () => {
+            const [userPlayers, otherPlayers] = await Promise.all([
+                g.dbl.players.index('tid').getAll(g.userTid),
+                g.dbl.players.index('tid').getAll(1),
+            ]);
+            const mid = await addOffer(userPlayers[0].pid, otherPlayers[0].pid);
+            await trade.declineOffer(mid);
+
+            const message = await g.dbl.messages.get(mid);
+            assert.equal(message.tradeOffer.status, "declined");
+
+            const phase = g.phase;
+            g.phase = g.PHASE.REGULAR_SEASON;
+            const [accepted, response] = await trade.acceptOffer(mid);
+            g.phase = phase;
+            assert.equal(accepted, false);
+            assert(response.includes("declined"));
+        });
+        it("should not accept offers for players who are not on the team anymore", async () => {
+            const [userPlayers, otherPlayers] = await Promise.all([
+                g.dbl.players.index('tid').getAll(g.userTid),
+                g.dbl.players.index('tid').getAll(2),
+            ]);
+            const mid = await addOffer(userPlayers[0].pid, otherPlayers[0].pid);
+
+            const phase = g.phase;
+            g.phase = g.PHASE.REGULAR_SEASON;
+            const [accepted, response] = await trade.acceptOffer(mid);
+            g.phase = phase;
+            assert.equal(accepted, false);
+            assert(response.includes("not available"));
+        });
+    });
 });
@@ -0,0 +1,160 @@
+import assert from 'assert';
+import g from '../../globals';
+import * as advStats from '../../util/advStats';
+
+// One game between two teams, with every minute played by 5 starters
+const genPlayers = () => {
+    const keys = ["fg", "fga", "tp", "ft", "fta", "orb", "drb", "ast", "tov", "stl", "blk", "pf"];
+    const rows = [
+        [0, [10, 20, 2, 5, 6, 1, 6, 8, 4, 3, 0, 4]],
+        [0, [9, 18, 4, 4, 4, 2, 5, 4, 3, 2, 1, 5]],
+        [0, [8, 17, 1, 3, 5, 3, 10, 3, 2, 1, 2, 5]],
+        [0, [7, 15, 0, 2, 4, 5, 12, 2, 3, 1, 4, 6]],
+        [0, [6, 14, 3, 2, 2, 1, 5, 5, 2, 2, 0, 3]],
+        [1, [11, 22, 3, 6, 8, 2, 4, 6, 5, 2, 0, 3]],
+        [1, [8, 19, 2, 2, 2, 1, 5, 7, 2, 1, 0, 4]],
+        [1, [7, 16, 0, 4, 6, 4, 8, 2, 3, 0, 3, 5]],
+        [1, [6, 12, 1, 1, 2, 3, 9, 1, 2, 1, 2, 4]],
+        [1, [5, 13, 2, 3, 4, 0, 3, 3, 1, 2, 0, 2]],
+    ];
+
+    return rows.map(([tid, values], pid) => {
+        const stats = {min: 48};
+        keys.forEach((key, i) => {
+            stats[key] = values[i];
+        });
+        stats.trb = stats.orb + stats.drb;
+        stats.pts = 2 * stats.fg + stats.tp + stats.ft;
+        return {pid, tid, ratings: {pos: "F"}, stats};
+    });
+};
+
+// Team totals are the sums of their players, and opponent stats come from the other team
+const genTeams = players => {
+    const teams = [0, 1].map(tid => {
+        const t = {tid, gp: 1};
+        for (const p of players.filter(p2 => p2.tid === tid)) {
+            for (const key of Object.keys(p.stats)) {
+                t[key] = (t[key] || 0) + p.stats[key];
+            }
+        }
+        return t;
+    });
+    for (const t of teams) {
+        const opp = teams[t.tid === 0 ? 1 : 0];
+        t.oppPts = opp.pts;
+        t.oppOrb = opp.orb;
+        t.oppDrb = opp.drb;
+    }
+    return teams;
+};
+
+const genLeague = teams => {
+    const league = {};
+    for (const key of ["gp", "min", "ft", "pf", "ast", "fg", "pts", "fga", "orb", "drb", "tov", "fta", "trb", "stl", "blk"]) {
+        league[key] = teams[0][key] + teams[1][key];
+    }
+    return league;
+};
+
+const possessions = s => s.fga + 0.44 * s.fta - s.orb + s.tov;
+
+// Sum for a team, weighted by the fraction of the team's minutes each player was on the court
+const teamSum = (players, values, tid) => {
+    let sum = 0;
+    for (let i = 0; i < players.length; i++) {
+        if (players[i].tid === tid) {
+            sum += values[i] * players[i].stats.min / 48;
+        }
+    }
+    return sum;
+};
+
+describe("util/advStats", () => {
+    let players;
+    let teams;
+    let league;
+    beforeEach(() => {
+        players = genPlayers();
+        teams = genTeams(players);
+        league = genLeague(teams);
+    });
+
+    describe("#calculatePER()", () => {
+        let numPeriods;
+        let quarterLength;
+        before(() => {
+            numPeriods = g.numPeriods;
+            quarterLength = g.quarterLength;
+            g.numPeriods = 4;
+            g.quarterLength = 12;
+        });
+        it("should average 15 over all minutes played", () => {
+            const {per} = advStats.calculatePER(players, teams, league);
+            const avg = (teamSum(players, per, 0) + teamSum(players, per, 1)) / 10;
+            assert.equal(avg.toFixed(6), "15.000000");
+        });
+        after(() => {
+            g.numPeriods = numPeriods;
+            g.quarterLength = quarterLength;
+        });
+    });
+
+    describe("#calculatePercentages()", () => {
+        it("should match the Basketball-Reference formulas", () => {
+            const stats = advStats.calculatePercentages(players, teams);
+
+            // 27 pts / (2 * (20 FGA + 0.44 * 6 FTA))
+            assert.equal(stats.tsp[0].toFixed(2), "59.63");
+            // (20 FGA + 0.44 * 6 FTA + 4 TOV) / (84 FGA + 0.44 * 21 FTA + 14 TOV), since he played every minute
+            assert.equal(stats.usgp[0].toFixed(2), "24.84");
+            // 8 AST / (40 team FG - 10 FG)
+            assert.equal(stats.astp[0].toFixed(2), "26.67");
+            // 1 ORB / (12 ORB + 29 opponent DRB)
+            assert.equal(stats.orbp[0].toFixed(2), "2.44");
+            // 6 DRB / (38 DRB + 10 opponent ORB)
+            assert.equal(stats.drbp[0].toFixed(2), "12.50");
+        });
+    });
+
+    describe("#calculateWS()", () => {
+        it("should split win shares into offense and defense", () => {
+            const stats = advStats.calculateWS(players, teams, league);
+
+            assert.equal(stats.ows[0].toFixed(4), "0.0990");
+            assert.equal(stats.dws[0].toFixed(4), "0.0753");
+            for (let i = 0; i < players.length; i++) {
+                assert.equal(stats.ws[i], stats.ows[i] + stats.dws[i]);
+            }
+
+            // The winning team gets more
+            const sum = tid => stats.ws.reduce((memo, ws, i) => memo + (players[i].tid === tid ? ws : 0), 0);
+            assert.equal(sum(0).toFixed(4), "0.7444");
+            assert.equal(sum(1).toFixed(4), "0.2542");
+        });
+        it("should be 0 for a team with no stats", () => {
+            const emptyTeam = Object.assign({}, teams[1]);
+            for (const key of Object.keys(emptyTeam)) {
+                emptyTeam[key] = 0;
+            }
+            const stats = advStats.calculateWS(players.filter(p => p.tid === 1), [teams[0], emptyTeam], league);
+            assert.deepEqual(stats.ws, [0, 0, 0, 0, 0]);
+        });
+    });
+
+    describe("#calculateBPM()", () => {
+        it("should add up to each team's net rating", () => {
+            const {bpm} = advStats.calculateBPM(players, teams, league);
+            for (const t of teams) {
+                const netRtg = 100 * (t.pts - t.oppPts) / possessions(t);
+                assert.equal(teamSum(players, bpm, t.tid).toFixed(6), netRtg.toFixed(6));
+            }
+        });
+        it("should give VORP for BPM above replacement level, scaled by minutes and games", () => {
+            const {bpm, vorp} = advStats.calculateBPM(players, teams, league);
+            for (let i = 0; i < players.length; i++) {
+                assert.equal(vorp[i].toFixed(6), ((bpm[i] + 2) / 82).toFixed(6));
+            }
+        });
+    });
+});
@@ -145,4 +145,21 @@ describe("util/helpers", () => {
             assert.equal(helpers.numberWithCommas("582.3795234"), "582");
         });
     });
+
+    describe("#getNumGamesPlayoffSeries()", () => {
+        it("should use the stored number of games", () => {
+            assert.deepEqual(helpers.getNumGamesPlayoffSeries({numGamesPlayoffSeries: [5, 7]}), [5, 7]);
+        });
+        it("should default to best of 7 for old leagues", () => {
+            assert.deepEqual(helpers.getNumGamesPlayoffSeries({}), [7]);
+        });
+    });
+
+    describe("#numGamesToWinSeries()", () => {
+        it("should use the last entry for rounds past the end", () => {
+            assert.equal(helpers.numGamesToWinSeries([5, 7], 0), 3);
+            assert.equal(helpers.numGamesToWinSeries([5, 7], 1), 4);
+            assert.equal(helpers.numGamesToWinSeries([5, 7], 3), 4);
+        });
+    });
 });
@@ -0,0 +1,55 @@
+import assert from 'assert';
+import * as lineups from '../../util/lineups';
+
+const teamLineups = {
+    "1,2,3,4,5": {min: 20, oppPoss: 41, oppPts: 40, poss: 40, pts: 50},
+    "1,2,3,4,6": {min: 10, oppPoss: 20, oppPts: 20, poss: 20, pts: 18},
+    "2,3,4,6,7": {min: 18, oppPoss: 35, oppPts: 42, poss: 36, pts: 30},
+};
+
+describe("util/lineups", () => {
+    describe("#merge()", () => {
+        it("should add stats from a game to existing lineups and add new lineups", () => {
+            const merged = lineups.merge({
+                "1,2,3,4,5": {min: 5, oppPoss: 10, oppPts: 12, poss: 11, pts: 9},
+            }, {
+                "1,2,3,4,5": {min: 1, oppPoss: 2, oppPts: 3, poss: 2, pts: 2},
+                "1,2,3,4,6": {min: 2, oppPoss: 4, oppPts: 2, poss: 4, pts: 5},
+            });
+            assert.deepEqual(merged, {
+                "1,2,3,4,5": {min: 6, oppPoss: 12, oppPts: 15, poss: 13, pts: 11},
+                "1,2,3,4,6": {min: 2, oppPoss: 4, oppPts: 2, poss: 4, pts: 5},
+            });
+        });
+    });
+
+    describe("#getPids()", () => {
+        it("should parse player IDs from a key", () => {
+            assert.deepEqual(lineups.getPids("3,12,40,41,100"), [3, 12, 40, 41, 100]);
+        });
+    });
+
+    describe("#onOff()", () => {
+        it("should split lineups by whether the player was in them", () => {
+            const {off, on} = lineups.onOff(teamLineups, 1);
+            assert.deepEqual(on, {min: 30, oppPoss: 61, oppPts: 60, poss: 60, pts: 68});
+            assert.deepEqual(off, {min: 18, oppPoss: 35, oppPts: 42, poss: 36, pts: 30});
+        });
+        it("should not match player IDs that are prefixes of other player IDs", () => {
+            const {on} = lineups.onOff({"10,20,30,40,50": {min: 5, oppPoss: 10, oppPts: 10, poss: 10, pts: 10}}, 1);
+            assert.equal(on.min, 0);
+        });
+    });
+
+    describe("#getRatings()", () => {
+        it("should calculate points per 100 possessions", () => {
+            const {drtg, netRtg, ortg} = lineups.getRatings({min: 10, oppPoss: 20, oppPts: 25, poss: 25, pts: 30});
+            assert.equal(ortg, 120);
+            assert.equal(drtg, 125);
+            assert.equal(netRtg, -5);
+        });
+        it("should return 0 with no possessions", () => {
+            assert.deepEqual(lineups.getRatings({min: 0, oppPoss: 0, oppPts: 0, poss: 0, pts: 0}), {drtg: 0, netRtg: 0, ortg: 0});
+        });
+    });
+});
@@ -0,0 +1,55 @@
+import assert from 'assert';
+import g from '../../globals';
+import * as playByPlay from '../../util/playByPlay';
+
+// Two players have the same name, to make sure names are matched to the right players
+const events = [
+    {type: "init", boxScore: [{player: [{id: 1, name: "Bob Smith"}, {id: 2, name: "Tom Jones"}]}, {player: [{id: 3, name: "Joe Brown"}, {id: 4, name: "Bob Smith"}]}]},
+    {type: "stat", qtr: 0, t: 0, p: 0, s: "fga", amt: 1},
+    {type: "stat", qtr: 0, t: 0, p: 0, s: "pts", amt: 2},
+    {type: "play", play: "fgMidRange", t: 0, qtr: 0, time: "11:40", score: [2, 0], pids: [1], text: "Bob Smith made a mid-range shot from 15 ft (assist: Tom Jones)", shot: {made: true, pid: 1, t: 0, x: 3.2, y: 14.6}, ast: 2},
+    {type: "play", play: "blkTp", t: 1, qtr: 0, time: "11:21", score: [2, 0], pids: [4, 2], text: "Bob Smith blocked Tom Jones's three pointer from 25 ft", shot: {made: false, pid: 2, t: 0, x: -20.1, y: 14.9}},
+    {type: "sub", t: 1, on: 3, off: 4},
+    {type: "play", play: "quarter", t: undefined, qtr: 1, time: "12:00", score: [2, 0], pids: [], text: "Start of 2nd quarter"},
+    {type: "stat", qtr: 1, t: 1, p: 0, s: "pts", amt: 1},
+    {type: "play", play: "ft", t: 1, qtr: 1, time: "11:52", score: [2, 1], pids: [3], text: "Joe Brown made a free throw"},
+];
+
+describe("util/playByPlay", () => {
+    describe("#compress()", () => {
+        it("should replace player names with placeholders", () => {
+            const compressed = playByPlay.compress(5, events);
+            assert.equal(compressed.gid, 5);
+            assert.equal(compressed.events.length, events.length - 1);
+            assert.equal(compressed.names[3], "Joe Brown");
+            for (const name of ["Bob Smith", "Tom Jones", "Joe Brown"]) {
+                assert.equal(JSON.stringify(compressed.events).includes(name), false);
+            }
+        });
+    });
+
+    describe("#decompress()", () => {
+        it("should restore everything except the init event", () => {
+            const decompressed = playByPlay.decompress(playByPlay.compress(5, events));
+            assert.deepEqual(decompressed, events.slice(1));
+        });
+    });
+
+    describe("#shouldSave()", () => {
+        before(() => {
+            g.userTids = [7];
+        });
+
+        it("should only save the user's games with the user setting", () => {
+            g.savePlayByPlay = "user";
+            assert.equal(playByPlay.shouldSave([7, 3]), true);
+            assert.equal(playByPlay.shouldSave([2, 3]), false);
+        });
+        it("should save all or no games with the other settings", () => {
+            g.savePlayByPlay = "all";
+            assert.equal(playByPlay.shouldSave([2, 3]), true);
+            g.savePlayByPlay = "none";
+            assert.equal(playByPlay.shouldSave([7, 3]), false);
+        });
+    });
+});
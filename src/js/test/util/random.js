@@ -0,0 +1,44 @@
+import assert from 'assert';
+import * as random from '../../util/random';
+
+describe("util/random", () => {
+    describe("#seed()", () => {
+        it("should produce the same sequence for the same seed", () => {
+            random.seed(12345);
+            const x = [random.random(), random.randInt(0, 100), random.realGauss(), random.uniform(5, 10)];
+            random.seed(12345);
+            const y = [random.random(), random.randInt(0, 100), random.realGauss(), random.uniform(5, 10)];
+            assert.deepEqual(x, y);
+        });
+        it("should produce different sequences for different seeds", () => {
+            random.seed("1");
+            const x = random.random();
+            random.seed("2");
+            const y = random.random();
+            assert.notEqual(x, y);
+        });
+    });
+
+    describe("#random()", () => {
+        it("should return numbers in [0, 1)", () => {
+            random.seed(0);
+            for (let i = 0; i < 1000; i++) {
+                const x = random.random();
+                assert(x >= 0);
+                assert(x < 1);
+            }
+        });
+    });
+
+    describe("#getState()", () => {
+        it("should allow resuming a sequence with setState", () => {
+            random.seed(42);
+            random.random();
+            const state = random.getState();
+            const x = [random.random(), random.random()];
+            random.setState(state);
+            const y = [random.random(), random.random()];
+            assert.deepEqual(x, y);
+        });
+    });
+});
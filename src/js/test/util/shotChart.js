@@ -0,0 +1,67 @@
+import assert from 'assert';
+import * as shotChart from '../../util/shotChart';
+
+describe("util/shotChart", () => {
+    describe("#getRegion()", () => {
+        it("should classify two pointers by distance and side", () => {
+            assert.equal(shotChart.getRegion(1, 2, false), "restrictedArea");
+            assert.equal(shotChart.getRegion(-5, 10, false), "paint");
+            assert.equal(shotChart.getRegion(0, 18, false), "midRangeCenter");
+            assert.equal(shotChart.getRegion(-15, 3, false), "midRangeLeft");
+            assert.equal(shotChart.getRegion(15, 10, false), "midRangeRight");
+        });
+        it("should classify three pointers as corner or above the break", () => {
+            assert.equal(shotChart.getRegion(-23, 2, true), "cornerThreeLeft");
+            assert.equal(shotChart.getRegion(23, 2, true), "cornerThreeRight");
+            assert.equal(shotChart.getRegion(-18, 17, true), "aboveBreakThreeLeft");
+            assert.equal(shotChart.getRegion(0, 25, true), "aboveBreakThreeCenter");
+            assert.equal(shotChart.getRegion(18, 17, true), "aboveBreakThreeRight");
+        });
+    });
+
+    describe("#addShots()", () => {
+        it("should count shots by region and bin", () => {
+            const counts = shotChart.addShots({}, [
+                {made: true, tp: false, x: 0.5, y: 1},
+                {made: false, tp: false, x: 1.5, y: 0.2},
+                {made: true, tp: true, x: 0, y: 25},
+            ]);
+            assert.deepEqual(counts, {
+                "restrictedArea,0,0": [2, 1],
+                "aboveBreakThreeCenter,0,12": [1, 1],
+            });
+        });
+    });
+
+    describe("#merge()", () => {
+        it("should add up counts and skip missing ones", () => {
+            const merged = shotChart.merge([{"paint,0,3": [4, 2]}, undefined, {"paint,0,3": [1, 1], "paint,1,3": [2, 0]}]);
+            assert.deepEqual(merged, {
+                "paint,0,3": [5, 3],
+                "paint,1,3": [2, 0],
+            });
+        });
+    });
+
+    describe("#byBin()", () => {
+        it("should combine twos and threes in the same bin", () => {
+            const bins = shotChart.byBin({
+                "midRangeCenter,0,11": [3, 1],
+                "aboveBreakThreeCenter,0,11": [2, 1],
+            });
+            assert.deepEqual(bins, [{fg: 2, fga: 5, pts: 5, x: 1, y: 23}]);
+        });
+    });
+
+    describe("#byRegion()", () => {
+        it("should include every region", () => {
+            const regions = shotChart.byRegion({
+                "paint,0,3": [4, 2],
+                "paint,-1,3": [1, 1],
+            });
+            assert.equal(Object.keys(regions).length, shotChart.REGIONS.length);
+            assert.deepEqual(regions.paint, {fg: 3, fga: 5});
+            assert.deepEqual(regions.restrictedArea, {fg: 0, fga: 0});
+        });
+    });
+});
@@ -20,6 +20,14 @@ import type {BackboardTx, UpdateEvents} from './util/types';
  * @param {Object=} raw Optional object passed through to the page.js request context's bbgm property.
  */
 function realtimeUpdate(updateEvents: UpdateEvents = [], url?: string, cb?: Function, raw?: Object = {}) {
+    // Running headless, like from the command line, so there is nothing to update
+    if (typeof window === 'undefined') {
+        if (cb !== undefined) {
+            cb();
+        }
+        return;
+    }
+
     url = url !== undefined ? url : location.pathname + location.search;
 
     const inLeague = url.substr(0, 3) === "/l/"; // Check the URL to be redirected to, not the current league (g.lid)
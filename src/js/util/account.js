@@ -7,6 +7,7 @@ import $ from 'jquery';
 import g from '../globals';
 import * as team from '../core/team';
 import * as ads from './ads';
+import * as helpers from './helpers';
 import logEvent from './logEvent';
 import type {AchievementKey} from './types';
 
@@ -256,15 +257,25 @@ checkAchievement.fo_fo_fo = async (saveAchievement: boolean = true) => {
 
     const playoffSeries = await g.dbl.playoffSeries.get(g.season);
     const series = playoffSeries.series;
+    const numGamesPlayoffSeries = helpers.getNumGamesPlayoffSeries(playoffSeries);
 
     for (let round = 0; round < series.length; round++) {
+        const numGamesToWin = helpers.numGamesToWinSeries(numGamesPlayoffSeries, round);
         let found = false;
         for (let i = 0; i < series[round].length; i++) {
-            if (series[round][i].away.won === 4 && series[round][i].home.won === 0 && series[round][i].away.tid === g.userTid) {
+            // A bye doesn't ruin a perfect playoff run
+            if (series[round][i].away === undefined) {
+                if (series[round][i].home.tid === g.userTid) {
+                    found = true;
+                    break;
+                }
+                continue;
+            }
+            if (series[round][i].away.won === numGamesToWin && series[round][i].home.won === 0 && series[round][i].away.tid === g.userTid) {
                 found = true;
                 break;
             }
-            if (series[round][i].home.won === 4 && series[round][i].away.won === 0 && series[round][i].home.tid === g.userTid) {
+            if (series[round][i].home.won === numGamesToWin && series[round][i].away.won === 0 && series[round][i].home.tid === g.userTid) {
                 found = true;
                 break;
             }
@@ -12,6 +12,7 @@ import * as phase from '../core/phase';
 import * as season from '../core/season';
 import * as trade from '../core/trade';
 import * as helpers from './helpers';
+import * as playByPlay from './playByPlay';
 
 const liveGame = async (gid: number) => {
     ui.realtimeUpdate([], helpers.leagueUrl(["live_game"]), () => {
@@ -19,6 +20,19 @@ const liveGame = async (gid: number) => {
     }, {fromAction: true});
 };
 
+const replayGame = async (gid: number) => {
+    const compressed = await g.dbl.playByPlay.get(gid);
+    if (!compressed) {
+        return;
+    }
+
+    ui.realtimeUpdate([], helpers.leagueUrl(["live_game"]), undefined, {
+        fromAction: true,
+        gidPlayByPlay: gid,
+        playByPlay: playByPlay.decompress(compressed),
+    });
+};
+
 const negotiate = async (pid: number) => {
     // If there is no active negotiation with this pid, create it
     const negotiation = await g.dbl.negotiations.get(pid);
@@ -39,7 +53,7 @@ const negotiate = async (pid: number) => {
 type TradeForOptions = {
     otherDpids: number[],
     otherPids: number[],
-    pid: number,
+    pid?: number,
     tid: number,
     userDpids: number[],
     userPids: number[],
@@ -151,12 +165,23 @@ const playMenu = {
             ui.updateStatus("Playing..."); // For quick UI updating, before await
             const playoffSeries = await g.dbl.playoffSeries.get(g.season);
 
-            // Max 7 days per round that hasn't started yet
-            const numDaysFutureRounds = (g.numPlayoffRounds - 1 - playoffSeries.currentRound) * 7;
+            const numGamesPlayoffSeries = helpers.getNumGamesPlayoffSeries(playoffSeries);
+            const numGamesInRound = rnd => 2 * helpers.numGamesToWinSeries(numGamesPlayoffSeries, rnd) - 1;
 
-            // All current series are in sync, so just check one and see how many games are left
-            const series = playoffSeries.series[playoffSeries.currentRound][0];
-            const numDaysThisSeries = 7 - series.home.won - series.away.won;
+            // Max days per round that hasn't started yet is the length of the series. Play-in tournament is 2 days, before the first round.
+            let numDaysFutureRounds = playoffSeries.currentRound === -1 ? 2 : 0;
+            for (let rnd = playoffSeries.currentRound + 1; rnd < g.numPlayoffRounds; rnd++) {
+                numDaysFutureRounds += numGamesInRound(rnd);
+            }
+
+            // All current series are in sync, so just find the one with the most games played (skipping byes) and see how many games are left
+            let numDaysThisSeries = 0;
+            if (playoffSeries.currentRound >= 0) {
+                const numGamesPlayed = Math.max(0, ...playoffSeries.series[playoffSeries.currentRound]
+                    .filter(series => series.away !== undefined)
+                    .map(series => series.home.won + series.away.won));
+                numDaysThisSeries = numGamesInRound(playoffSeries.currentRound) - numGamesPlayed;
+            }
 
             const numDays = numDaysFutureRounds + numDaysThisSeries;
             game.play(numDays);
@@ -243,6 +268,7 @@ export {
     liveGame,
     negotiate,
     playMenu,
+    replayGame,
     toolsMenu,
     tradeFor,
 };
@@ -6,45 +6,35 @@ import _ from 'underscore';
 import g from '../globals';
 import * as player from '../core/player';
 import * as team from '../core/team';
+import * as lineups from './lineups';
+
+// Totals for each team, indexed by tid, and for the whole league
+type Totals = {[key: string]: number};
+
+// Each advanced stat, in the same order as the players array
+type AdvStats = {[key: string]: number[]};
+
+const percentage = (num: number, den: number): number => {
+    return den > 0 ? 100 * num / den : 0;
+};
+
+// Estimated possessions from box score totals
+const possessions = (s: Totals): number => {
+    return s.fga + 0.44 * s.fta - s.orb + s.tov;
+};
 
 /**
- * Calcualte the current season's Player Efficiency Rating (PER) for each active player and write it to the database.
+ * Calculate Player Efficiency Rating (PER) and Estimated Wins Added (EWA).
  *
  * This is based on http://www.basketball-reference.com/about/per.html
  *
- * In the playoffs, only playoff stats are used.
- *
  * @memberOf util.advStats
- * @return {Promise}
+ * @param {Array.<Object>} players Active players, with totals in the stats property.
+ * @param {Array.<Object>} teams Team totals, indexed by tid.
+ * @param {Object} league League totals.
+ * @return {Object} PER and EWA for each player.
  */
-async function calculatePER() {
-    // Total team stats (not per game averages) - gp, pts, ast, fg, plus all the others needed for league totals
-    const teams = await team.filter({
-        attrs: ["tid"],
-        stats: ["gp", "ft", "pf", "ast", "fg", "pts", "fga", "orb", "tov", "fta", "trb", "oppPts"],
-        season: g.season,
-        totals: true,
-        playoffs: g.PHASE.PLAYOFFS === g.phase,
-    });
-
-    // Total league stats (not per game averages) - gp, ft, pf, ast, fg, pts, fga, orb, tov, fta, trb
-    const leagueStats = ["gp", "ft", "pf", "ast", "fg", "pts", "fga", "orb", "tov", "fta", "trb"];
-    const league = teams.reduce((memo, t) => {
-        for (let i = 0; i < leagueStats.length; i++) {
-            if (memo.hasOwnProperty(leagueStats[i])) {
-                memo[leagueStats[i]] += t[leagueStats[i]];
-            } else {
-                memo[leagueStats[i]] = t[leagueStats[i]];
-            }
-        }
-        return memo;
-    }, {});
-
-    // If no games have been played, somehow, don't continue. But why would no games be played? I don't know, but it happens some times.
-    if (league.gp === 0) {
-        return;
-    }
-
+function calculatePER(players: any[], teams: Totals[], league: Totals): AdvStats {
     // Calculate pace for each team, using the "estimated pace adjustment" formula rather than the "pace adjustment" formula because it's simpler and ends up at nearly the same result. To do this the real way, I'd probably have to store the number of possessions from core.gameSim.
     for (let i = 0; i < teams.length; i++) {
         //estimated pace adjustment = 2 * lg_PPG / (team_PPG + opp_PPG)
@@ -56,71 +46,39 @@ async function calculatePER() {
         }
     }
 
-    // Total player stats (not per game averages) - min, tp, ast, fg, ft, tov, fga, fta, trb, orb, stl, blk, pf
-    // Active players have tid >= 0
-    let players = await g.dbl.players.index('tid').getAll(backboard.lowerBound(0));
-    players = await player.withStats(null, players, {
-        statsSeasons: [g.season],
-        statsPlayoffs: g.PHASE.PLAYOFFS === g.phase,
-    });
-
-    players = player.filter(players, {
-        attrs: ["pid", "tid"],
-        stats: ["min", "tp", "ast", "fg", "ft", "tov", "fga", "fta", "trb", "orb", "stl", "blk", "pf"],
-        ratings: ["pos"],
-        season: g.season,
-        totals: true,
-        playoffs: g.PHASE.PLAYOFFS === g.phase,
-    });
-
     const aPER = [];
-    const mins = [];
     league.aPER = 0;
     for (let i = 0; i < players.length; i++) {
         const tid = players[i].tid;
 
-        // Is the player active?
-        players[i].active = true; // Assume all players are active, since the IndexedDB query above only takes tid >= 0
-        if (g.PHASE.PLAYOFFS === g.phase) {
-            players[i].active = false;
-            if (!_.isEmpty(players[i].statsPlayoffs)) {
-                players[i].active = true;
-                players[i].stats = players[i].statsPlayoffs;
-            }
-        }
-
-        if (players[i].active) {  // No need to calculate for non-active players
-            const factor = (2 / 3) - (0.5 * (league.ast / league.fg)) / (2 * (league.fg / league.ft));
-            const vop = league.pts / (league.fga - league.orb + league.tov + 0.44 * league.fta);
-            const drbp = (league.trb - league.orb) / league.trb;  // DRB%
-
-            let uPER;
-            if (players[i].stats.min > 0) {
-                uPER = (1 / players[i].stats.min) *
-                             (players[i].stats.tp
-                             + (2 / 3) * players[i].stats.ast
-                             + (2 - factor * (teams[tid].ast / teams[tid].fg)) * players[i].stats.fg
-                             + (players[i].stats.ft * 0.5 * (1 + (1 - (teams[tid].ast / teams[tid].fg)) + (2 / 3) * (teams[tid].ast / teams[tid].fg)))
-                             - vop * players[i].stats.tov
-                             - vop * drbp * (players[i].stats.fga - players[i].stats.fg)
-                             - vop * 0.44 * (0.44 + (0.56 * drbp)) * (players[i].stats.fta - players[i].stats.ft)
-                             + vop * (1 - drbp) * (players[i].stats.trb - players[i].stats.orb)
-                             + vop * drbp * players[i].stats.orb
-                             + vop * players[i].stats.stl
-                             + vop * drbp * players[i].stats.blk
-                             - players[i].stats.pf * ((league.ft / league.pf) - 0.44 * (league.fta / league.pf) * vop));
-            } else {
-                uPER = 0;
-            }
-
-            aPER[i] = teams[tid].pace * uPER;
-            league.aPER += aPER[i] * players[i].stats.min;
+        const factor = (2 / 3) - (0.5 * (league.ast / league.fg)) / (2 * (league.fg / league.ft));
+        const vop = league.pts / (league.fga - league.orb + league.tov + 0.44 * league.fta);
+        const drbp = (league.trb - league.orb) / league.trb;  // DRB%
 
-            mins[i] = players[i].stats.min; // Save for EWA calculation
+        let uPER;
+        if (players[i].stats.min > 0) {
+            uPER = (1 / players[i].stats.min) *
+                         (players[i].stats.tp
+                         + (2 / 3) * players[i].stats.ast
+                         + (2 - factor * (teams[tid].ast / teams[tid].fg)) * players[i].stats.fg
+                         + (players[i].stats.ft * 0.5 * (1 + (1 - (teams[tid].ast / teams[tid].fg)) + (2 / 3) * (teams[tid].ast / teams[tid].fg)))
+                         - vop * players[i].stats.tov
+                         - vop * drbp * (players[i].stats.fga - players[i].stats.fg)
+                         - vop * 0.44 * (0.44 + (0.56 * drbp)) * (players[i].stats.fta - players[i].stats.ft)
+                         + vop * (1 - drbp) * (players[i].stats.trb - players[i].stats.orb)
+                         + vop * drbp * players[i].stats.orb
+                         + vop * players[i].stats.stl
+                         + vop * drbp * players[i].stats.blk
+                         - players[i].stats.pf * ((league.ft / league.pf) - 0.44 * (league.fta / league.pf) * vop));
+        } else {
+            uPER = 0;
         }
+
+        aPER[i] = teams[tid].pace * uPER;
+        league.aPER += aPER[i] * players[i].stats.min;
     }
 
-    const minFactor = g.quarterLength / 12;
+    const minFactor = g.numPeriods * g.quarterLength / 48;
     league.aPER /= (league.gp * 5 * 48 * minFactor);
 
     const PER = aPER.map(num => num * (15 / league.aPER));
@@ -142,34 +100,282 @@ async function calculatePER() {
     };
 
     for (let i = 0; i < players.length; i++) {
-        if (players[i].active) {
-            let prl;
-            if (prls.hasOwnProperty(players[i].ratings.pos)) {
-                prl = prls[players[i].ratings.pos];
+        let prl;
+        if (prls.hasOwnProperty(players[i].ratings.pos)) {
+            prl = prls[players[i].ratings.pos];
+        } else {
+            // This should never happen unless someone manually enters the wrong position, which can happen in custom roster files
+            prl = 10.75;
+        }
+
+        const va = players[i].stats.min * (PER[i] - prl) / 67;
+
+        EWA[i] = va / 30 * 0.8; // 0.8 is a fudge factor to approximate the difference between (BBGM) EWA and (real) win shares
+    }
+
+    return {
+        ewa: EWA,
+        per: PER,
+    };
+}
+
+/**
+ * Calculate true shooting percentage, usage rate, and assist, turnover, and rebound percentages.
+ *
+ * These are the Basketball-Reference formulas https://www.basketball-reference.com/about/glossary.html.
+ *
+ * @memberOf util.advStats
+ * @param {Array.<Object>} players Active players, with totals in the stats property.
+ * @param {Array.<Object>} teams Team totals, indexed by tid.
+ * @return {Object} Percentages for each player.
+ */
+function calculatePercentages(players: any[], teams: Totals[]): AdvStats {
+    const stats = {astp: [], drbp: [], orbp: [], tovp: [], trbp: [], tsp: [], usgp: []};
+
+    for (const p of players) {
+        const s = p.stats;
+        const t = teams[p.tid];
+        const tmMin = t.min / 5; // Team minutes are the sum of all player minutes
+
+        stats.tsp.push(percentage(s.pts, 2 * (s.fga + 0.44 * s.fta)));
+        stats.tovp.push(percentage(s.tov, s.fga + 0.44 * s.fta + s.tov));
+        stats.usgp.push(percentage((s.fga + 0.44 * s.fta + s.tov) * tmMin, s.min * (t.fga + 0.44 * t.fta + t.tov)));
+        stats.astp.push(percentage(s.ast, (s.min / tmMin) * t.fg - s.fg));
+        stats.orbp.push(percentage(s.orb * tmMin, s.min * (t.orb + t.oppDrb)));
+        stats.drbp.push(percentage(s.drb * tmMin, s.min * (t.drb + t.oppOrb)));
+        stats.trbp.push(percentage(s.trb * tmMin, s.min * (t.trb + t.oppOrb + t.oppDrb)));
+    }
+
+    return stats;
+}
+
+/**
+ * Calculate offensive, defensive, and total win shares.
+ *
+ * This is a simplified version of https://www.basketball-reference.com/about/ws.html
+ *
+ * Offense is points produced minus 0.92 times league points per possession for each possession used, with half the credit for assisted field goals going to the passer. Defense is the team's points allowed compared to 1.08 times league points per possession, split between players half by minutes and half by steals, blocks, and defensive rebounds. Both are converted to wins with the marginal points per win, which depends on scoring and pace.
+ *
+ * @memberOf util.advStats
+ * @param {Array.<Object>} players Active players, with totals in the stats property.
+ * @param {Array.<Object>} teams Team totals, indexed by tid.
+ * @param {Object} league League totals.
+ * @return {Object} Offensive, defensive, and total win shares for each player.
+ */
+function calculateWS(players: any[], teams: Totals[], league: Totals): AdvStats {
+    const stats = {dws: [], ows: [], ws: []};
+
+    const lgPoss = possessions(league);
+    const lgPtsPerPoss = league.pts / lgPoss;
+    const stops = s => s.stl + 0.6 * s.blk + 0.3 * s.drb;
+
+    for (const p of players) {
+        const s = p.stats;
+        const t = teams[p.tid];
+        const tmPoss = possessions(t);
+
+        let ows = 0;
+        let dws = 0;
+        if (tmPoss > 0 && t.min > 0) {
+            const marginalPtsPerWin = 0.32 * (league.pts / league.gp) * (tmPoss / t.gp) / (lgPoss / league.gp);
+
+            const astFraction = t.fg > 0 ? t.ast / t.fg : 0;
+            const ptsPerFg = t.fg > 0 ? (t.pts - t.ft) / t.fg : 0;
+            const astCredit = 0.5 * (s.ast - astFraction * s.fg);
+            const ptsProduced = s.pts + ptsPerFg * astCredit;
+            const possUsed = s.fga + 0.44 * s.fta + s.tov - s.orb + astCredit;
+            ows = (ptsProduced - 0.92 * lgPtsPerPoss * possUsed) / marginalPtsPerWin;
+
+            // Opponent possessions are not saved, but they are within a possession per game of the team's own
+            const marginalDefense = 1.08 * lgPtsPerPoss * tmPoss - t.oppPts;
+            const tmStops = stops(t);
+            const share = 0.5 * (s.min / t.min) + 0.5 * (tmStops > 0 ? stops(s) / tmStops : 0);
+            dws = share * marginalDefense / marginalPtsPerWin;
+        }
+
+        stats.ows.push(ows);
+        stats.dws.push(dws);
+        stats.ws.push(ows + dws);
+    }
+
+    return stats;
+}
+
+/**
+ * Calculate Box Plus/Minus (BPM) and Value Over Replacement Player (VORP).
+ *
+ * BPM is a player's Game Score per 100 possessions compared to the league average, adjusted so that the minutes-weighted BPM of each team's players adds up to its net rating, like https://www.basketball-reference.com/about/bpm.html
+ *
+ * VORP is BPM above the -2.0 replacement level, scaled by the fraction of team minutes played and the fraction of an 82 game season played.
+ *
+ * @memberOf util.advStats
+ * @param {Array.<Object>} players Active players, with totals in the stats property.
+ * @param {Array.<Object>} teams Team totals, indexed by tid.
+ * @param {Object} league League totals.
+ * @return {Object} BPM and VORP for each player.
+ */
+function calculateBPM(players: any[], teams: Totals[], league: Totals): AdvStats {
+    const gameScore = s => s.pts + 0.4 * s.fg - 0.7 * s.fga - 0.4 * (s.fta - s.ft) + 0.7 * s.orb + 0.3 * s.drb + s.stl + 0.7 * s.ast + 0.7 * s.blk - 0.4 * s.pf - s.tov;
+
+    // Average for one player, per 100 team possessions
+    const lgGameScore = 100 * gameScore(league) / possessions(league) / 5;
+
+    const raw = players.map(p => {
+        const possOnCourt = possessions(teams[p.tid]) * p.stats.min / (teams[p.tid].min / 5);
+        return possOnCourt > 0 ? 0.5 * (100 * gameScore(p.stats) / possOnCourt - lgGameScore) : 0;
+    });
+
+    // Team adjustment, so players on good teams get credit for what the box score misses
+    const adjustments = {};
+    for (const tid of _.uniq(players.map(p => p.tid))) {
+        let min = 0;
+        let rawTimesMin = 0;
+        for (let i = 0; i < players.length; i++) {
+            if (players[i].tid === tid) {
+                min += players[i].stats.min;
+                rawTimesMin += raw[i] * players[i].stats.min;
+            }
+        }
+
+        const t = teams[tid];
+        const tmPoss = possessions(t);
+        const netRtg = tmPoss > 0 ? 100 * (t.pts - t.oppPts) / tmPoss : 0;
+        adjustments[tid] = min > 0 ? (netRtg - 5 * rawTimesMin / min) / 5 : 0;
+    }
+
+    const bpm = raw.map((num, i) => num + adjustments[players[i].tid]);
+    const vorp = bpm.map((num, i) => {
+        const t = teams[players[i].tid];
+        return t.min > 0 ? (num + 2) * (players[i].stats.min / (t.min / 5)) * (t.gp / 82) : 0;
+    });
+
+    return {bpm, vorp};
+}
+
+/**
+ * Calculate on/off net rating, which is the team's net rating with the player on the court minus its net rating with the player off the court.
+ *
+ * @memberOf util.advStats
+ * @param {Array.<Object>} players Active players.
+ * @param {Object} teamLineups Lineup stats for each team, indexed by tid.
+ * @return {Object} On/off net rating for each player, or 0 for players who were always or never on the court.
+ */
+function calculateOnOff(players: any[], teamLineups: {[tid: number]: Object}): AdvStats {
+    const onOff = players.map(p => {
+        if (!teamLineups.hasOwnProperty(p.tid)) {
+            return 0;
+        }
+
+        const {off, on} = lineups.onOff(teamLineups[p.tid], p.pid);
+        if (on.min === 0 || off.min === 0) {
+            return 0;
+        }
+
+        return lineups.getRatings(on).netRtg - lineups.getRatings(off).netRtg;
+    });
+
+    return {onOff};
+}
+
+/**
+ * Calculate the current season's advanced stats for each active player and write them to the database.
+ *
+ * This includes PER, EWA, true shooting percentage, usage rate, assist/turnover/rebound percentages, offensive and defensive win shares, BPM, VORP, and on/off net rating.
+ *
+ * In the playoffs, only playoff stats are used.
+ *
+ * @memberOf util.advStats
+ * @return {Promise}
+ */
+async function calculateAll() {
+    const playoffs = g.PHASE.PLAYOFFS === g.phase;
+
+    // Total team stats (not per game averages)
+    const teams = await team.filter({
+        attrs: ["tid"],
+        stats: ["gp", "min", "ft", "pf", "ast", "fg", "pts", "fga", "orb", "drb", "tov", "fta", "trb", "stl", "blk", "oppPts", "oppOrb", "oppDrb"],
+        season: g.season,
+        totals: true,
+        playoffs,
+    });
+
+    // Total league stats (not per game averages)
+    const leagueStats = ["gp", "min", "ft", "pf", "ast", "fg", "pts", "fga", "orb", "drb", "tov", "fta", "trb", "stl", "blk"];
+    const league = teams.reduce((memo, t) => {
+        for (let i = 0; i < leagueStats.length; i++) {
+            if (memo.hasOwnProperty(leagueStats[i])) {
+                memo[leagueStats[i]] += t[leagueStats[i]];
             } else {
-                // This should never happen unless someone manually enters the wrong position, which can happen in custom roster files
-                prl = 10.75;
+                memo[leagueStats[i]] = t[leagueStats[i]];
             }
+        }
+        return memo;
+    }, {});
+
+    // If no games have been played, somehow, don't continue. But why would no games be played? I don't know, but it happens some times.
+    if (league.gp === 0) {
+        return;
+    }
+
+    // Opponent rebounds are undefined for stats rows from before they were saved, so use league averages
+    for (const t of teams) {
+        if (t.oppOrb === undefined || t.oppDrb === undefined) {
+            t.oppOrb = t.gp * league.orb / league.gp;
+            t.oppDrb = t.gp * league.drb / league.gp;
+        }
+    }
+
+    const teamLineups = {};
+    const teamStats = await g.dbl.teamStats.index("season, tid").getAll(backboard.bound([g.season], [g.season, '']));
+    for (const ts of teamStats) {
+        if (ts.playoffs === playoffs && ts.lineups !== undefined) {
+            teamLineups[ts.tid] = ts.lineups;
+        }
+    }
+
+    // Total player stats (not per game averages)
+    // Active players have tid >= 0
+    let players = await g.dbl.players.index('tid').getAll(backboard.lowerBound(0));
+    players = await player.withStats(null, players, {
+        statsSeasons: [g.season],
+        statsPlayoffs: playoffs,
+    });
 
-            const va = players[i].stats.min * (PER[i] - prl) / 67;
+    players = player.filter(players, {
+        attrs: ["pid", "tid"],
+        stats: ["min", "tp", "ast", "fg", "ft", "tov", "fga", "fta", "trb", "orb", "drb", "stl", "blk", "pf", "pts"],
+        ratings: ["pos"],
+        season: g.season,
+        totals: true,
+        playoffs,
+    });
 
-            EWA[i] = va / 30 * 0.8; // 0.8 is a fudge factor to approximate the difference between (BBGM) EWA and (real) win shares
+    // In the playoffs, players are only active if they have playoff stats
+    if (playoffs) {
+        players = players.filter(p => !_.isEmpty(p.statsPlayoffs));
+        for (const p of players) {
+            p.stats = p.statsPlayoffs;
         }
     }
 
+    const stats = Object.assign(
+        calculatePER(players, teams, league),
+        calculatePercentages(players, teams),
+        calculateWS(players, teams, league),
+        calculateBPM(players, teams, league),
+        calculateOnOff(players, teamLineups),
+    );
+
     // Save to database
     await g.dbl.tx("playerStats", "readwrite", async tx => {
         await Promise.all(players.map(async (p, i) => {
-            if (!p.active) {
-                return;
-            }
-
             await tx.playerStats.index("pid, season, tid").iterate([p.pid, g.season, p.tid], "prev", (ps, shortCircuit) => {
                 // Since index is not on playoffs, manually check
-                if (ps.playoffs === (g.phase === g.PHASE.PLAYOFFS)) {
+                if (ps.playoffs === playoffs) {
                     shortCircuit();
-                    ps.per = PER[i];
-                    ps.ewa = EWA[i];
+                    for (const key of Object.keys(stats)) {
+                        ps[key] = stats[key][i];
+                    }
                     return ps;
                 }
             });
@@ -177,20 +383,11 @@ async function calculatePER() {
     });
 }
 
-
-/**
- * Calcualte the advanced stats for each active player and write them to the database.
- *
- * Currently this is just PER.
- *
- * @memberOf util.advStats
- * @return {Promise}
- */
-function calculateAll() {
-    return calculatePER();
-}
-
 export {
-    // eslint-disable-next-line import/prefer-default-export
+    calculatePER,
+    calculatePercentages,
+    calculateWS,
+    calculateBPM,
+    calculateOnOff,
     calculateAll,
 };
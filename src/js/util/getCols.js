@@ -47,6 +47,11 @@ const cols: {
         sortSequence: ['desc', 'asc'],
         sortType: 'number',
     },
+    'AST%': {
+        desc: 'Percentage of Teammate Field Goals Assisted While On Court',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'Age': {
         sortType: 'number',
     },
@@ -71,6 +76,11 @@ const cols: {
         sortSequence: ['desc', 'asc'],
         sortType: 'number',
     },
+    'BPM': {
+        desc: 'Box Plus/Minus (points per 100 possessions above average)',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'BR': {
         desc: 'Best Record',
         sortSequence: ['desc', 'asc'],
@@ -105,6 +115,9 @@ const cols: {
         sortType: 'number',
     },
     'Country': {},
+    'Decline': {
+        sortSequence: [],
+    },
     'Current Contract': {
         sortSequence: ['desc', 'asc'],
         sortType: 'currency',
@@ -118,6 +131,21 @@ const cols: {
         sortSequence: ['desc', 'asc'],
         sortType: 'number',
     },
+    'DRB%': {
+        desc: 'Percentage of Available Defensive Rebounds Grabbed',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
+    'DRtg': {
+        desc: 'Defensive Rating (points allowed per 100 possessions)',
+        sortSequence: ['asc', 'desc'],
+        sortType: 'number',
+    },
+    'DWS': {
+        desc: 'Defensive Win Shares',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'Desired Contract': {
         sortSequence: ['desc', 'asc'],
         sortType: 'currency',
@@ -199,11 +227,17 @@ const cols: {
         sortType: 'number',
     },
     'League Champion': {},
+    'Lineup': {},
     'M': {
         desc: 'Made',
         sortSequence: ['desc', 'asc'],
         sortType: 'number',
     },
+    'MP': {
+        desc: 'Minutes Played',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'MVP': {
         desc: 'Most Valuable Player',
         sortType: 'name',
@@ -218,9 +252,29 @@ const cols: {
         sortType: 'name',
     },
     'Negotiate': {},
+    'Net': {
+        desc: 'Net Rating (ORtg minus DRtg)',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'O': {
         desc: 'Overall',
     },
+    'ORB%': {
+        desc: 'Percentage of Available Offensive Rebounds Grabbed',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
+    'ORtg': {
+        desc: 'Offensive Rating (points scored per 100 possessions)',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
+    'OWS': {
+        desc: 'Offensive Win Shares',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'OPts': {
         desc: "Opponent's Points",
         sortSequence: ['desc', 'asc'],
@@ -234,6 +288,11 @@ const cols: {
         sortSequence: ['desc', 'asc'],
         sortType: 'number',
     },
+    'On-Off': {
+        desc: 'Net Rating On Court minus Net Rating Off Court',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'Ovr': {
         desc: 'Overall Rating',
         sortSequence: ['desc', 'asc'],
@@ -277,6 +336,11 @@ const cols: {
     'Pos': {
         desc: 'Position',
     },
+    'Poss': {
+        desc: 'Possessions',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'Pot': {
         desc: 'Potential Rating',
         sortSequence: ['desc', 'asc'],
@@ -330,21 +394,51 @@ const cols: {
         sortSequence: ['desc', 'asc'],
         sortType: 'number',
     },
+    'TOV%': {
+        desc: 'Turnovers Per 100 Plays',
+        sortSequence: ['asc', 'desc'],
+        sortType: 'number',
+    },
     'TP%': {
         desc: 'Three Point Percentage',
         sortSequence: ['desc', 'asc'],
         sortType: 'number',
     },
+    'TRB%': {
+        desc: 'Percentage of Available Rebounds Grabbed',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
+    'TS%': {
+        desc: 'True Shooting Percentage',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'Team': {},
     'Tot': {
         desc: 'Total',
         sortSequence: ['desc', 'asc'],
         sortType: 'number',
     },
+    'USG%': {
+        desc: 'Percentage of Team Plays Used While On Court',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
+    'VORP': {
+        desc: 'Value Over Replacement Player',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'W': {
         desc: 'Games Won',
         sortSequence: ['desc', 'asc'],
     },
+    'WS': {
+        desc: 'Win Shares',
+        sortSequence: ['desc', 'asc'],
+        sortType: 'number',
+    },
     'Year': {},
 
     // "rating:" prefix is to prevent collisions with stats
@@ -2,7 +2,6 @@
 
 import React from 'react';
 import g from '../globals';
-import logEvent from './logEvent';
 import type {BackboardTx, GameProcessed, GameProcessedCompleted, Pick, TeamBasic} from './types';
 
 /**
@@ -200,6 +199,9 @@ function error(errorText: React.Element<*> | string, cb: Function) {
  * @param {string} error Text of the error message to be displayed.
  */
 function errorNotify(errorText: string) {
+    // Required here rather than imported at the top, so GameSim (which uses helpers) can run in a Web Worker without pulling in the DOM stuff in logEvent
+    // eslint-disable-next-line global-require
+    const logEvent = require('./logEvent').default;
     logEvent(null, {
         type: "error",
         text: errorText,
@@ -577,6 +579,17 @@ function overtimeCounter(n: number): string {
     }
 }
 
+// Name of a period of regulation, like "quarter" or "half"
+function periodName(numPeriods: number): string {
+    if (numPeriods === 4) {
+        return "quarter";
+    }
+    if (numPeriods === 2) {
+        return "half";
+    }
+    return "period";
+}
+
 function yearRanges(arr: number[]): string[] {
     if (arr.length <= 1) {
         return arr.map(String);
@@ -616,8 +629,34 @@ function maybeReuseTx(storeNames: string | string[], mode: string, tx: Backboard
     return g.dbl.tx(storeNames, mode, cb);
 }
 
+/**
+ * Number of games in each round of the playoffs for a season.
+ *
+ * Old leagues didn't store this in playoffSeries, and back then every round was best of 7.
+ *
+ * @memberOf util.helpers
+ * @param {Object} playoffSeries Playoff series object for a season.
+ * @return {Array.<number>} Number of games in the series in each round.
+ */
+function getNumGamesPlayoffSeries(playoffSeries: {numGamesPlayoffSeries?: number[]}): number[] {
+    return playoffSeries.numGamesPlayoffSeries !== undefined ? playoffSeries.numGamesPlayoffSeries : [7];
+}
+
+/**
+ * Number of wins needed to win a playoff series.
+ *
+ * @memberOf util.helpers
+ * @param {Array.<number>} numGamesPlayoffSeries Number of games in the series in each round, like 7 for best of 7. If there are more rounds than entries, the last entry is used for the remaining rounds.
+ * @param {number} rnd Playoff round, starting at 0.
+ * @return {number} Number of wins needed.
+ */
+function numGamesToWinSeries(numGamesPlayoffSeries: number[], rnd: number): number {
+    const numGames = rnd < numGamesPlayoffSeries.length ? numGamesPlayoffSeries[rnd] : numGamesPlayoffSeries[numGamesPlayoffSeries.length - 1];
+    return Math.ceil(numGames / 2);
+}
+
 function roundsWonText(playoffRoundsWon: number): string {
-    const playoffsByConference = g.confs.length === 2 && !localStorage.getItem('top16playoffs');
+    const playoffsByConference = g.confs.length === 2 && (typeof localStorage === 'undefined' || !localStorage.getItem('top16playoffs'));
 
     if (playoffRoundsWon === g.numPlayoffRounds) {
         return "League champs";
@@ -680,8 +719,11 @@ export {
     plusMinus,
     correctLinkLid,
     overtimeCounter,
+    periodName,
     yearRanges,
     maybeReuseTx,
+    getNumGamesPlayoffSeries,
+    numGamesToWinSeries,
     roundsWonText,
     roundWinp,
 };
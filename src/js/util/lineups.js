@@ -0,0 +1,91 @@
+// @flow
+
+import type {LineupStats} from './types';
+
+type Lineups = {[key: string]: LineupStats};
+
+const emptyStats = (): LineupStats => {
+    return {min: 0, oppPoss: 0, oppPts: 0, poss: 0, pts: 0};
+};
+
+const addStats = (stats: LineupStats, newStats: LineupStats) => {
+    stats.min += newStats.min;
+    stats.oppPoss += newStats.oppPoss;
+    stats.oppPts += newStats.oppPts;
+    stats.poss += newStats.poss;
+    stats.pts += newStats.pts;
+};
+
+/**
+ * Add lineup stats from a game to the totals stored in teamStats.
+ *
+ * @memberOf util.lineups
+ * @param {Object} lineups Existing totals, which will be modified. Keys are the sorted player IDs of the five players in each lineup, joined by commas.
+ * @param {Object} newLineups Lineup stats from GameSim.
+ * @return {Object} Updated totals.
+ */
+function merge(lineups: Lineups, newLineups: Lineups): Lineups {
+    for (const key of Object.keys(newLineups)) {
+        if (!lineups.hasOwnProperty(key)) {
+            lineups[key] = emptyStats();
+        }
+        addStats(lineups[key], newLineups[key]);
+    }
+
+    return lineups;
+}
+
+/**
+ * Player IDs of the players in a lineup.
+ *
+ * @memberOf util.lineups
+ * @param {string} key Key from a lineups object.
+ * @return {Array.<number>} Player IDs.
+ */
+function getPids(key: string): number[] {
+    return key.split(",").map(pid => parseInt(pid, 10));
+}
+
+/**
+ * On/off splits for a player, which are the totals for every lineup he was in and every lineup he was not in.
+ *
+ * @memberOf util.lineups
+ * @param {Object} lineups Lineup stats for a team.
+ * @param {number} pid Player ID.
+ * @return {Object} Object with "on" and "off" totals.
+ */
+function onOff(lineups: Lineups, pid: number): {off: LineupStats, on: LineupStats} {
+    const on = emptyStats();
+    const off = emptyStats();
+
+    for (const key of Object.keys(lineups)) {
+        addStats(getPids(key).includes(pid) ? on : off, lineups[key]);
+    }
+
+    return {off, on};
+}
+
+/**
+ * Points scored and allowed per 100 possessions.
+ *
+ * @memberOf util.lineups
+ * @param {Object} stats Stats for a lineup, or on/off totals.
+ * @return {Object} Offensive, defensive, and net ratings, which are 0 if there are no possessions.
+ */
+function getRatings(stats: LineupStats): {drtg: number, netRtg: number, ortg: number} {
+    const ortg = stats.poss > 0 ? 100 * stats.pts / stats.poss : 0;
+    const drtg = stats.oppPoss > 0 ? 100 * stats.oppPts / stats.oppPoss : 0;
+
+    return {
+        drtg,
+        netRtg: ortg - drtg,
+        ortg,
+    };
+}
+
+export {
+    getPids,
+    getRatings,
+    merge,
+    onOff,
+};
@@ -110,7 +110,7 @@ function canStartNegotiation(tx: ?BackboardTx): Promise<boolean> {
 /**
  * Is there an undread message from the owner?
  *
- * Calls the callback function with either true or false.
+ * Calls the callback function with either true or false. Trade offers from other teams don't count, since they expire on their own.
  *
  * @memberOf util.lock
  * @param {IDBTransaction|null} tx An IndexedDB transaction on messages; if null is passed, then a new transaction will be used.
@@ -120,7 +120,7 @@ async function unreadMessage(tx: ?BackboardTx): Promise<boolean> {
     const dbOrTx = tx !== undefined && tx !== null ? tx : g.dbl;
     const messages = await dbOrTx.messages.getAll();
     for (let i = 0; i < messages.length; i++) {
-        if (!messages[i].read) {
+        if (!messages[i].read && !messages[i].tradeOffer) {
             return true;
         }
     }
@@ -18,6 +18,7 @@ type LogEventOptions = {
         'achievement' |
         'award' |
         'changes' |
+        'contractOption' |
         'draft' |
         'error' |
         'freeAgent' |
@@ -34,6 +35,7 @@ type LogEventOptions = {
         'retired' |
         'screenshot' |
         'trade' |
+        'tradeDeadline' |
         'tragedy'
     ),
 }
@@ -59,6 +61,11 @@ const logEvent = (tx: ?BackboardTx, {
         });
     }
 
+    // Running headless, like from the command line
+    if (typeof document === 'undefined') {
+        return;
+    }
+
     if (showNotification) {
         let title;
         if (type === "error") {
@@ -0,0 +1,154 @@
+// @flow
+
+import g from '../globals';
+import type {PlayByPlay} from './types';
+
+// Type codes for compressed events
+const STAT = 0;
+const SUB = 1;
+const PLAY = 2;
+
+/**
+ * Should play-by-play be saved for a game, based on g.savePlayByPlay?
+ *
+ * @memberOf util.playByPlay
+ * @param {Array.<number>} tids Team IDs of the teams in the game.
+ * @return {boolean}
+ */
+function shouldSave(tids: number[]): boolean {
+    if (g.savePlayByPlay === 'all') {
+        return true;
+    }
+    if (g.savePlayByPlay === 'user') {
+        return tids.some(tid => g.userTids.includes(tid));
+    }
+    return false;
+}
+
+/**
+ * Compress play-by-play from GameSim so it can be stored in the database.
+ *
+ * Each event becomes an array rather than an object, player names in the text of plays are replaced by placeholders, and anything that can be recalculated from earlier events (like the score and the period) is dropped.
+ *
+ * @memberOf util.playByPlay
+ * @param {number} gid Game ID.
+ * @param {Array.<Object>} events Play-by-play from GameSim, starting with the "init" event.
+ * @return {Object} Compressed play-by-play.
+ */
+function compress(gid: number, events: Object[]): PlayByPlay {
+    const names = {};
+    const compressed = [];
+
+    for (const e of events) {
+        if (e.type === "init") {
+            for (const t of e.boxScore) {
+                for (const p of t.player) {
+                    names[p.id] = p.name;
+                }
+            }
+        } else if (e.type === "stat") {
+            compressed.push([STAT, e.t, e.p, e.s, e.amt]);
+        } else if (e.type === "sub") {
+            compressed.push([SUB, e.t, e.on, e.off]);
+        } else if (e.type === "play") {
+            // Placeholders are in the same order as names in the text, so this works even if two players have the same name
+            let text = e.text;
+            for (let i = 0; i < e.pids.length; i++) {
+                text = text.replace(names[e.pids[i]], `{${i}}`);
+            }
+            if (e.ast !== undefined) {
+                text = text.replace(`(assist: ${names[e.ast]})`, "(assist: {a})");
+            }
+
+            compressed.push([
+                PLAY,
+                e.play,
+                e.t === undefined ? null : e.t,
+                e.time,
+                e.pids,
+                text,
+                e.shot === undefined ? null : [e.shot.x, e.shot.y],
+                e.ast === undefined ? null : e.ast,
+            ]);
+        }
+    }
+
+    return {
+        events: compressed,
+        gid,
+        names,
+    };
+}
+
+/**
+ * Decompress play-by-play from the database back into the events that GameSim produces, except for the "init" event.
+ *
+ * @memberOf util.playByPlay
+ * @param {Object} playByPlay Output of compress.
+ * @return {Array.<Object>} Play-by-play events, ready for the LiveGame view.
+ */
+function decompress({events, names}: PlayByPlay): Object[] {
+    let qtr = 0;
+    const score = [0, 0];
+
+    return events.map(c => {
+        if (c[0] === STAT) {
+            const [, t, p, s, amt] = c;
+            if (s === "pts") {
+                score[t] += amt;
+            }
+            return {type: "stat", qtr, t, p, s, amt};
+        }
+
+        if (c[0] === SUB) {
+            const [, t, on, off] = c;
+            return {type: "sub", t, on, off};
+        }
+
+        const [, play, t, time, pids, textCompressed, shot, ast] = c;
+
+        // GameSim starts a new period right before recording these plays
+        if (play === "quarter" || play === "overtime") {
+            qtr += 1;
+        }
+
+        let text = textCompressed;
+        for (let i = 0; i < pids.length; i++) {
+            text = text.replace(`{${i}}`, names[pids[i]]);
+        }
+
+        const e: Object = {
+            type: "play",
+            play,
+            t: t === null ? undefined : t,
+            qtr,
+            time,
+            score: score.slice(),
+            pids,
+            text,
+        };
+        if (shot !== null) {
+            // Blocks are credited to the defense, but the shot belongs to the offense
+            const blk = play.startsWith("blk");
+            e.shot = {
+                made: play.startsWith("fg") || play.startsWith("tp"),
+                pid: blk ? pids[1] : pids[0],
+                t: blk ? 1 - t : t,
+                x: shot[0],
+                y: shot[1],
+            };
+        }
+        if (ast !== null) {
+            e.text = e.text.replace("{a}", names[ast]);
+            e.ast = ast;
+        }
+
+        return e;
+    });
+}
+
+export {
+    compress,
+    decompress,
+    shouldSave,
+};
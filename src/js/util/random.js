@@ -1,5 +1,67 @@
 // @flow
 
+/* eslint-disable no-bitwise */
+
+// Internal state of the PRNG, a single unsigned 32 bit integer. Initialized from Math.random so that things outside of
+// a league (or leagues created without a seed) still get unpredictable numbers.
+let state = Math.floor(Math.random() * 4294967296) >>> 0;
+
+/**
+ * Get a random number from [0, 1), like Math.random but reproducible.
+ *
+ * This is the mulberry32 algorithm. It's fast, has a period of 2^32, and its entire state is one integer, which makes
+ * it trivial to store in gameAttributes and restore when a league is loaded.
+ *
+ * @memberOf util.random
+ * @return {number} Random number from [0, 1).
+ */
+function random(): number {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Seed the PRNG. Any number or string works as a seed; the same seed always produces the same sequence.
+ *
+ * @memberOf util.random
+ * @param {number|string} seed Seed value.
+ */
+function seed(seedValue: number | string) {
+    const str = String(seedValue);
+
+    // FNV-1a hash, so similar seeds like "1" and "2" don't start out with similar states
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+    }
+    state = h >>> 0;
+}
+
+/**
+ * Get the current state of the PRNG, to be saved and later restored with setState.
+ *
+ * @memberOf util.random
+ * @return {number} PRNG state.
+ */
+function getState(): number {
+    return state;
+}
+
+/**
+ * Restore a state previously returned by getState.
+ *
+ * @memberOf util.random
+ * @param {number} newState PRNG state.
+ */
+function setState(newState: number) {
+    state = newState >>> 0;
+}
+
+/* eslint-enable no-bitwise */
+
 /**
  * Choose a random integer from [a, b]
  *
@@ -9,7 +71,7 @@
  * @return {number} Random integer between a and b.
  */
 function randInt(a: number, b: number): number {
-    return Math.floor(Math.random() * (1 + b - a)) + a;
+    return Math.floor(random() * (1 + b - a)) + a;
 }
 
 /**
@@ -43,7 +105,7 @@ function shuffle(list: any[]) {
  * @return {number} Random number from Gaussian distribution.
  */
 function gauss(mu?: number = 0, sigma?: number = 1): number {
-    return ((Math.random() * 2 - 1) + (Math.random() * 2 - 1) + (Math.random() * 2 - 1)) * sigma + mu;
+    return ((random() * 2 - 1) + (random() * 2 - 1) + (random() * 2 - 1)) * sigma + mu;
 }
 
 /**
@@ -69,8 +131,8 @@ function realGauss(mu?: number = 0, sigma?: number = 1): number {
     let z1;
     let z2;
     do {
-        z1 = 2 * Math.random() - 1;
-        z2 = 2 * Math.random() - 1;
+        z1 = 2 * random() - 1;
+        z2 = 2 * random() - 1;
         radius = z1 * z1 + z2 * z2;
     } while (radius >= 1 || radius === 0); // only use inside the unit circle
 
@@ -88,7 +150,7 @@ function realGauss(mu?: number = 0, sigma?: number = 1): number {
  * @return {number} Random number from uniform distribution.
  */
 function uniform(a: number, b: number): number {
-    return Math.random() * (b - a) + a;
+    return random() * (b - a) + a;
 }
 
 /**
@@ -98,10 +160,14 @@ function uniform(a: number, b: number): number {
  * @param {number} x Array to choose a random value from.
  */
 function choice<T>(x: T[]): T {
-    return x[Math.floor(Math.random() * x.length)];
+    return x[Math.floor(random() * x.length)];
 }
 
 export {
+    random,
+    seed,
+    getState,
+    setState,
     randInt,
     shuffle,
     gauss,
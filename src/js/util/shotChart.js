@@ -0,0 +1,197 @@
+// @flow
+
+import type {Shot, ShotCounts} from './types';
+
+const BIN_SIZE = 2; // Feet
+const CORNER_Y = 8.75; // Corner threes are within 14 feet of the baseline, which is 5.25 feet behind the basket
+const FREE_THROW_Y = 13.75;
+const LANE = 8; // Half the width of the lane
+const RESTRICTED_AREA = 4;
+
+// In the order they are drawn, since later regions cover parts of earlier ones
+const REGIONS = [{
+    key: "cornerThreeLeft",
+    name: "Left Corner 3",
+}, {
+    key: "aboveBreakThreeLeft",
+    name: "Left Wing 3",
+}, {
+    key: "aboveBreakThreeCenter",
+    name: "Top of the Key 3",
+}, {
+    key: "aboveBreakThreeRight",
+    name: "Right Wing 3",
+}, {
+    key: "cornerThreeRight",
+    name: "Right Corner 3",
+}, {
+    key: "midRangeLeft",
+    name: "Left Mid-Range",
+}, {
+    key: "midRangeCenter",
+    name: "Center Mid-Range",
+}, {
+    key: "midRangeRight",
+    name: "Right Mid-Range",
+}, {
+    key: "paint",
+    name: "Paint",
+}, {
+    key: "restrictedArea",
+    name: "Restricted Area",
+}];
+
+/**
+ * Region of the court for a shot, for heat maps.
+ *
+ * Whether a shot is a three is passed in rather than calculated from the coordinates, so it's still right if the three point line moves.
+ *
+ * @memberOf util.shotChart
+ * @param {number} x Feet from the center of the basket, left is negative.
+ * @param {number} y Feet from the center of the basket, towards half court.
+ * @param {boolean} tp Is it a three pointer?
+ * @return {string} Key of a region in REGIONS.
+ */
+function getRegion(x: number, y: number, tp: boolean): string {
+    let side = "Center";
+    if (x < -LANE) {
+        side = "Left";
+    } else if (x > LANE) {
+        side = "Right";
+    }
+
+    if (tp) {
+        if (y < CORNER_Y) {
+            return x < 0 ? "cornerThreeLeft" : "cornerThreeRight";
+        }
+        return `aboveBreakThree${side}`;
+    }
+
+    if (Math.sqrt(x ** 2 + y ** 2) < RESTRICTED_AREA) {
+        return "restrictedArea";
+    }
+    if (side === "Center" && y < FREE_THROW_Y) {
+        return "paint";
+    }
+    return `midRange${side}`;
+}
+
+/**
+ * Add shots from a game to the counts stored in playerShots.
+ *
+ * Shots are binned into BIN_SIZE by BIN_SIZE foot squares within each region, with keys like "paint,-1,2" (region, then the x and y bins) and values of [FGA, FG].
+ *
+ * @memberOf util.shotChart
+ * @param {Object} counts Existing counts, which will be modified.
+ * @param {Array.<Object>} shots Shots from GameSim.
+ * @return {Object} Updated counts.
+ */
+function addShots(counts: ShotCounts, shots: Shot[]): ShotCounts {
+    for (const shot of shots) {
+        const key = `${getRegion(shot.x, shot.y, shot.tp)},${Math.floor(shot.x / BIN_SIZE)},${Math.floor(shot.y / BIN_SIZE)}`;
+        if (!counts.hasOwnProperty(key)) {
+            counts[key] = [0, 0];
+        }
+        counts[key][0] += 1;
+        if (shot.made) {
+            counts[key][1] += 1;
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Combine counts from several playerShots rows, like for a career.
+ *
+ * @memberOf util.shotChart
+ * @param {Array.<Object>} countsList Counts to combine. Rows from before shot locations were saved may be undefined.
+ * @return {Object} Combined counts.
+ */
+function merge(countsList: (ShotCounts | void)[]): ShotCounts {
+    const merged = {};
+
+    for (const counts of countsList) {
+        if (counts === undefined) {
+            continue;
+        }
+        for (const key of Object.keys(counts)) {
+            if (!merged.hasOwnProperty(key)) {
+                merged[key] = [0, 0];
+            }
+            merged[key][0] += counts[key][0];
+            merged[key][1] += counts[key][1];
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Totals for each bin, with the center of the bin in feet from the basket.
+ *
+ * A bin that straddles the three point line can have both twos and threes, so points are summed too.
+ *
+ * @memberOf util.shotChart
+ * @param {Object} counts Output of addShots or merge.
+ * @return {Array.<Object>} Bins with at least one shot.
+ */
+function byBin(counts: ShotCounts): {fg: number, fga: number, pts: number, x: number, y: number}[] {
+    const bins = {};
+
+    for (const key of Object.keys(counts)) {
+        const [region, xBin, yBin] = key.split(",");
+        const binKey = `${xBin},${yBin}`;
+        if (!bins.hasOwnProperty(binKey)) {
+            bins[binKey] = {
+                fg: 0,
+                fga: 0,
+                pts: 0,
+                x: (parseInt(xBin, 10) + 0.5) * BIN_SIZE,
+                y: (parseInt(yBin, 10) + 0.5) * BIN_SIZE,
+            };
+        }
+        const [fga, fg] = counts[key];
+        bins[binKey].fga += fga;
+        bins[binKey].fg += fg;
+        bins[binKey].pts += fg * (region.includes("Three") ? 3 : 2);
+    }
+
+    return Object.keys(bins).map(binKey => bins[binKey]);
+}
+
+/**
+ * Totals for each region in REGIONS.
+ *
+ * @memberOf util.shotChart
+ * @param {Object} counts Output of addShots or merge.
+ * @return {Object} Keys are regions, values are objects with fga and fg.
+ */
+function byRegion(counts: ShotCounts): {[key: string]: {fg: number, fga: number}} {
+    const regions = {};
+    for (const {key} of REGIONS) {
+        regions[key] = {fg: 0, fga: 0};
+    }
+
+    for (const key of Object.keys(counts)) {
+        const region = key.split(",")[0];
+        regions[region].fga += counts[key][0];
+        regions[region].fg += counts[key][1];
+    }
+
+    return regions;
+}
+
+export {
+    BIN_SIZE,
+    CORNER_Y,
+    FREE_THROW_Y,
+    LANE,
+    REGIONS,
+    RESTRICTED_AREA,
+    addShots,
+    byBin,
+    byRegion,
+    getRegion,
+    merge,
+};
@@ -0,0 +1,117 @@
+// @flow
+
+import Promise from 'bluebird';
+import g from '../globals';
+import GameSim from '../core/GameSim';
+import * as helpers from './helpers';
+import * as playByPlay from './playByPlay';
+import * as random from './random';
+import type {GameResults} from './types';
+
+// Subset of a schedule entry needed to simulate a game
+type ScheduledGame = {
+    awayTid: number,
+    gid: number,
+    homeTid: number,
+};
+
+let worker;
+let nextId = 0;
+const pending = {};
+
+/**
+ * Simulate a day of games on the current thread.
+ *
+ * This is what runs inside the Web Worker, and it's also used directly when Web Workers are not available.
+ *
+ * @memberOf util.simWorker
+ * @param {Array.<Object>} games Games to play, each with gid, homeTid, and awayTid.
+ * @param {Array.<Object>} teams Team objects from game.loadTeams, indexed by tid.
+ * @param {number=} gidPlayByPlay If this matches a game ID, play-by-play is generated for that game. It's also generated for any games that will have their play-by-play saved, based on g.savePlayByPlay.
+ * @return {Array.<Object>} Game results, in the same order as games.
+ */
+function simGamesSync(games: ScheduledGame[], teams: Object[], gidPlayByPlay?: number): GameResults[] {
+    return games.map(game => {
+        const doPlayByPlay = gidPlayByPlay === game.gid || playByPlay.shouldSave([game.homeTid, game.awayTid]);
+        const gs = new GameSim(game.gid, teams[game.homeTid], teams[game.awayTid], doPlayByPlay);
+        return gs.run();
+    });
+}
+
+function getWorker() {
+    if (worker === undefined) {
+        const w = new window.Worker(`${window.bbgmPrefix}gen/worker.js`);
+
+        w.onmessage = event => {
+            const {id, error, results, rngState} = event.data;
+            const {resolve, reject} = pending[id];
+            delete pending[id];
+
+            if (error !== undefined) {
+                reject(new Error(error));
+            } else {
+                // Keep the main thread's random number generator in sync, so results are the same as simulating here
+                random.setState(rngState);
+                resolve(results);
+            }
+        };
+
+        w.onerror = event => {
+            // Worker is broken, so fail anything in progress and start over with a new worker next time
+            for (const id of Object.keys(pending)) {
+                pending[id].reject(new Error(event.message));
+                delete pending[id];
+            }
+            w.terminate();
+            worker = undefined;
+        };
+
+        worker = w;
+    }
+
+    return worker;
+}
+
+/**
+ * Simulate a day of games, in a Web Worker if possible so the UI stays responsive.
+ *
+ * The worker gets a copy of the game attributes and the state of the random number generator, so the results are identical to what simGamesSync would produce.
+ *
+ * @memberOf util.simWorker
+ * @param {Array.<Object>} games Games to play, each with gid, homeTid, and awayTid.
+ * @param {Array.<Object>} teams Team objects from game.loadTeams, indexed by tid.
+ * @param {number=} gidPlayByPlay If this matches a game ID, play-by-play is generated for that game.
+ * @return {Promise.<Array.<Object>>} Resolves to game results, in the same order as games.
+ */
+function simGames(games: ScheduledGame[], teams: Object[], gidPlayByPlay?: number): Promise<GameResults[]> {
+    if (typeof window === 'undefined' || window.Worker === undefined || window.bbgmPrefix === undefined) {
+        return Promise.resolve(simGamesSync(games, teams, gidPlayByPlay));
+    }
+
+    const gameAttributes = {};
+    for (const key of helpers.keys(g)) {
+        if (!g.notInDb.includes(key)) {
+            gameAttributes[key] = g[key];
+        }
+    }
+
+    const id = nextId;
+    nextId += 1;
+
+    return new Promise((resolve, reject) => {
+        pending[id] = {resolve, reject};
+        getWorker().postMessage({
+            id,
+            gameAttributes,
+            games: games.map(({awayTid, gid, homeTid}) => ({awayTid, gid, homeTid})),
+            gidPlayByPlay,
+            rngState: random.getState(),
+            teams,
+        });
+    });
+}
+
+export {
+    simGames,
+    simGamesSync,
+};
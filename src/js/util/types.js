@@ -18,10 +18,37 @@ export type AchievementKey = (
 
 export type BackboardTx = any;
 
+export type CapException = 'capSpace' | 'bird' | 'minimum' | 'room' | 'midLevel';
+
+// Amounts in thousands of dollars, for contracts starting in season
+export type CapExceptionsUsed = {
+    midLevel: number,
+    room: number,
+    season: number,
+};
+
+export type DraftType = 'nba1994' | 'nba2019' | 'randomLottery' | 'noLottery' | 'custom';
+
+export type DraftLotteryResultTeam = {
+    chances: number,
+    lost: number,
+    originalTid: number,
+    pick: number,
+    tid: number,
+    won: number,
+};
+
+export type DraftLotteryResult = {
+    draftType: DraftType,
+    result: DraftLotteryResultTeam[],
+    season: number,
+};
+
 export type Game = {
     att: number,
     gid: number,
     lost: {tid: number, pts: number},
+    numPeriods?: number, // Not set for old games
     playoffs: boolean,
     season: number,
     teams: [Object, Object],
@@ -38,6 +65,12 @@ export type GameAttributeKeyDynamic = (
     'daysLeft' |
     'disableInjuries' |
     'divs' |
+    'divWinnersTopSeeds' |
+    'draftLotteryCustomChances' |
+    'draftLotteryCustomNumPicks' |
+    'draftType' |
+    'foulsNeededToFoulOut' |
+    'foulsUntilBonus' |
     'gameOver' |
     'gamesInProgress' |
     'godMode' |
@@ -49,21 +82,33 @@ export type GameAttributeKeyDynamic = (
     'luxuryPayroll' |
     'luxuryTax' |
     'maxContract' |
+    'midLevelException' |
     'minContract' |
     'minPayroll' |
     'minRosterSize' |
     'names' |
     'nextPhase' |
     'numGames' |
+    'numGamesPlayoffSeries' |
+    'numPeriods' |
+    'numPlayoffByes' |
     'numPlayoffRounds' |
     'numTeams' |
+    'overtimeLength' |
     'ownerMood' |
     'phase' |
     'phaseChangeInProgress' |
     'phaseText' |
+    'playIn' |
     'quarterLength' |
+    'randomSeed' |
+    'reseedPlayoffs' |
+    'rngState' |
+    'roomException' |
     'salaryCap' |
+    'savePlayByPlay' |
     'season' |
+    'shotClock' |
     'showFirstOwnerMessage' |
     'startingSeason' |
     'statusText' |
@@ -71,6 +116,9 @@ export type GameAttributeKeyDynamic = (
     'teamAbbrevsCache' |
     'teamNamesCache' |
     'teamRegionsCache' |
+    'threePointDistance' |
+    'tradeDeadline' |
+    'untradableGamesAfterSigning' |
     'userTid' |
     'userTids'
 );
@@ -114,10 +162,19 @@ export type GameProcessedCompleted = {
 
 export type GetOutput = {[key: string]: ?(number | string)};
 
+export type LineupStats = {
+    min: number,
+    oppPoss: number,
+    oppPts: number,
+    poss: number,
+    pts: number,
+};
+
 export type Message = {
     from: string,
     read: boolean,
     text: string,
+    tradeOffer?: TradeOffer, // eslint-disable-line no-use-before-define
     year: number,
 };
 
@@ -154,9 +211,30 @@ export type PickRealized = {
     tid: number,
 };
 
+// Compressed play-by-play for one game, see util/playByPlay.js. names maps pids to player names, which are replaced by placeholders in the text of each play.
+export type PlayByPlay = {
+    events: any[][],
+    gid: number,
+    names: {[pid: number]: string},
+};
+
+export type ContractOption = 'player' | 'team';
+
+// amount is the salary for the current season (or the first season, if the contract hasn't started yet). All other properties are optional, because they only exist for contracts signed after they were added.
 export type PlayerContract = {
     amount: number,
     exp: number,
+    guaranteedThrough?: number, // Last season that must be paid if the player is released
+    option?: ContractOption, // Option on the last season, decided before re-signing players the season before
+    raise?: number, // Yearly change in salary, like 0.05 for 5% raises or -0.05 for 5% declines
+    start?: number, // First season of the contract
+};
+
+// Contract structure chosen by the user in a negotiation
+export type ContractStructure = {
+    guaranteed: boolean, // If false, only the first season is guaranteed
+    option: ContractOption | null,
+    raise: number,
 };
 
 export type PlayerFiltered = any;
@@ -234,6 +312,8 @@ export type PlayerWithoutPid = {
     lastName: string,
     pos?: string, // Only in players from custom league files
     ptModifier: number,
+    targetMin?: null | number, // Depth chart minutes for the user's team, null or undefined for automatic
+    closer?: boolean, // In the user's closing lineup
     ratings: PlayerRatings[],
     retiredYear: null | number,
     rosterOrder: number,
@@ -263,6 +343,31 @@ export type ContractInfo = {
     amount: number,
     exp: number,
     released: boolean,
+    salaries: PlayerSalary[],
+};
+
+// Amounts are indexed by season, starting from the first season of the projection
+export type PayrollProjectionContract = ContractInfo & {
+    amounts: number[],
+    capHold: number,
+    justDrafted: boolean,
+    resignAmounts: number[],
+    watch?: boolean,
+};
+
+export type PayrollProjectionPick = {
+    amounts: number[],
+    dpid: number,
+    originalTid: number,
+    pick: number,
+    round: number,
+    season: number,
+};
+
+export type PayrollProjection = {
+    contracts: PayrollProjectionContract[],
+    draftPicks: PayrollProjectionPick[],
+    seasons: number[],
 };
 
 export type RatingKey = (
@@ -283,10 +388,15 @@ export type RatingKey = (
     'tp'
 );
 
+export type RulesPreset = 'fiba' | 'nba' | 'ncaa';
+
+export type SavePlayByPlay = 'all' | 'none' | 'user';
+
 export type ScheduleGame = {
     awayName: string,
     awayRegion: string,
     awayTid: number,
+    day?: number, // Not set for old leagues
     gid: number,
     highlight: boolean,
     homeName: string,
@@ -294,6 +404,16 @@ export type ScheduleGame = {
     homeTid: number,
 };
 
+export type Shot = {
+    made: boolean,
+    tp: boolean,
+    x: number,
+    y: number,
+};
+
+// Keys are "region,xBin,yBin" and values are [FGA, FG], see util.shotChart
+export type ShotCounts = {[key: string]: [number, number]};
+
 export type SortOrder = 'asc' | 'desc';
 
 export type SortType = 'currency' | 'draftPick' | 'lastTen' | 'name' | 'number';
@@ -308,6 +428,8 @@ export type Team = {
     imgURL?: string,
     budget: any,
     strategy: any,
+    tactics?: TeamTactics, // eslint-disable-line no-use-before-define
+    capExceptionsUsed?: CapExceptionsUsed,
 };
 
 export type TeamBasic = {
@@ -328,6 +450,15 @@ export type TeamSeason = any;
 
 export type TeamStats = any;
 
+// Each setting is from -2 (much less than normal) to 2 (much more than normal)
+export type TeamTactics = {
+    pace: number,
+    threePoint: number,
+    interior: number,
+    pressure: number,
+    crashBoards: number,
+};
+
 export type TradePickValues = {
     [key: string]: number[],
 };
@@ -356,6 +487,48 @@ type TradeTeam = {
 
 export type TradeTeams = [TradeTeam, TradeTeam];
 
+export type TradeOfferStatus = 'accepted' | 'declined' | 'expired' | 'pending';
+
+// Trade offer from an AI team to the user, attached to an inbox message. teams is the same as in the trade store, with the user's team first. expires is the last day of the schedule when the offer can be accepted.
+export type TradeOffer = {
+    expires: number | null,
+    season: number,
+    status: TradeOfferStatus,
+    teams: TradeTeams,
+};
+
+// Snapshot of what one team gave up in a completed trade, as it was at the time of the trade
+type CompletedTradeTeam = {
+    picks: {
+        desc: string,
+        dpid: number,
+        originalTid: number,
+        round: number,
+        season: number | 'fantasy',
+    }[],
+    players: {
+        age: number,
+        contract: {
+            amount: number,
+            exp: number,
+        },
+        name: string,
+        pid: number,
+        pos: string,
+        value: number,
+    }[],
+    tid: number,
+};
+
+// Row in the trades object store. day is only set for trades during the regular season.
+export type CompletedTrade = {
+    day: number | null,
+    phase: Phase,
+    season: number,
+    teams: [CompletedTradeTeam, CompletedTradeTeam],
+    trid: number,
+};
+
 export type UpdateEvents = (
     'account' |
     'clearWatchList' |
@@ -366,6 +539,7 @@ export type UpdateEvents = (
     'gameSim' |
     'newPhase' |
     'playerMovement' |
+    'teamTactics' |
     'toggleGodMode' |
     'watchList'
 )[];
@@ -5,12 +5,15 @@ import bbgmViewReact from './util/bbgmViewReact';
 import account from './views/account';
 import accountUpdateCard from './views/accountUpdateCard';
 import awardsRecords from './views/awardsRecords';
+import capPlanner from './views/capPlanner';
 import changes from './views/changes';
 import customizePlayer from './views/customizePlayer';
 import dashboard from './views/dashboard';
 import deleteLeague from './views/deleteLeague';
 import deleteOldData from './views/deleteOldData';
+import depth from './views/depth';
 import draft from './views/draft';
+import draftLottery from './views/draftLottery';
 import draftScouting from './views/draftScouting';
 import draftSummary from './views/draftSummary';
 import editTeamInfo from './views/editTeamInfo';
@@ -53,11 +56,13 @@ import schedule from './views/schedule';
 import standings from './views/standings';
 import teamFinances from './views/teamFinances';
 import teamHistory from './views/teamHistory';
+import teamLineups from './views/teamLineups';
 import teamRecords from './views/teamRecords';
 import teamShotLocations from './views/teamShotLocations';
 import teamStatDists from './views/teamStatDists';
 import teamStats from './views/teamStats';
 import trade from './views/trade';
+import tradeSummary from './views/tradeSummary';
 import tradingBlock from './views/tradingBlock';
 import transactions from './views/transactions';
 import upcomingFreeAgents from './views/upcomingFreeAgents';
@@ -84,12 +89,15 @@ export {
     account,
     accountUpdateCard,
     awardsRecords,
+    capPlanner,
     changes,
     customizePlayer,
     dashboard,
     deleteLeague,
     deleteOldData,
+    depth,
     draft,
+    draftLottery,
     draftScouting,
     draftSummary,
     editTeamInfo,
@@ -134,11 +142,13 @@ export {
     staticPage,
     teamFinances,
     teamHistory,
+    teamLineups,
     teamRecords,
     teamShotLocations,
     teamStatDists,
     teamStats,
     trade,
+    tradeSummary,
     tradingBlock,
     transactions,
     upcomingFreeAgents,
@@ -0,0 +1,61 @@
+// @flow
+
+import g from '../globals';
+import * as team from '../core/team';
+import bbgmViewReact from '../util/bbgmViewReact';
+import * as helpers from '../util/helpers';
+import CapPlanner from './views/CapPlanner';
+import type {PayrollProjectionContract, PayrollProjectionPick} from '../util/types';
+
+function get(ctx) {
+    const [tid, abbrev] = helpers.validateAbbrev(ctx.params.abbrev);
+
+    return {
+        tid,
+        abbrev,
+    };
+}
+
+async function updateCapPlanner(inputs, updateEvents, state): Promise<void | {
+    abbrev: string,
+    contracts: PayrollProjectionContract[],
+    draftPicks: PayrollProjectionPick[],
+    luxuryPayroll: number,
+    minPayroll: number,
+    region: string,
+    name: string,
+    salaryCap: number,
+    seasons: number[],
+    tid: number,
+}> {
+    const {abbrev, tid} = inputs;
+    if (typeof abbrev !== 'string' || typeof tid !== 'number') {
+        return;
+    }
+
+    if (updateEvents.includes('dbChange') || updateEvents.includes('firstRun') || updateEvents.includes('newPhase') || updateEvents.includes('playerMovement') || tid !== state.tid) {
+        const {contracts, draftPicks, seasons} = await team.getPayrollProjection(null, tid);
+
+        const t = await g.dbl.teams.get(tid);
+
+        return {
+            abbrev,
+            contracts,
+            draftPicks,
+            luxuryPayroll: g.luxuryPayroll,
+            minPayroll: g.minPayroll,
+            region: t.region,
+            name: t.name,
+            salaryCap: g.salaryCap,
+            seasons,
+            tid,
+        };
+    }
+}
+
+export default bbgmViewReact.init({
+    id: "capPlanner",
+    get,
+    runBefore: [updateCapPlanner],
+    Component: CapPlanner,
+});
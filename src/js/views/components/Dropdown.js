@@ -89,7 +89,7 @@ const Select = ({field, handleChange, value}) => {
             val: "All Seasons",
             key: "all",
         }];
-    } else if (field === "statTypes") {
+    } else if (field === "statTypes" || field === "statTypesAdv") {
         options = [{
             val: "Per Game",
             key: "per_game",
@@ -100,6 +100,12 @@ const Select = ({field, handleChange, value}) => {
             val: "Totals",
             key: "totals",
         }];
+        if (field === "statTypesAdv") {
+            options.push({
+                val: "Advanced",
+                key: "advanced",
+            });
+        }
     } else if (field === "awardType") {
         options = [{
             val: "Won Championship",
@@ -39,9 +39,15 @@ class SideMenu extends React.Component {
                 <li className={pageId === 'roster' ? 'active' : null}>
                     <a href={helpers.leagueUrl(['roster'])}>Roster</a>
                 </li>
+                <li className={pageId === 'depth' ? 'active' : null}>
+                    <a href={helpers.leagueUrl(['depth'])}>Depth Chart</a>
+                </li>
                 <li className={pageId === 'schedule' ? 'active' : null}>
                     <a href={helpers.leagueUrl(['schedule'])}>Schedule</a>
                 </li>
+                <li className={pageId === 'teamLineups' ? 'active' : null}>
+                    <a href={helpers.leagueUrl(['team_lineups'])}>Lineups</a>
+                </li>
                 <li className={pageId === 'teamFinances' ? 'active' : null}>
                     <a href={helpers.leagueUrl(['team_finances'])}>Finances</a>
                 </li>
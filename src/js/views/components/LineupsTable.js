@@ -0,0 +1,67 @@
+import React from 'react';
+import getCols from '../../util/getCols';
+import * as helpers from '../../util/helpers';
+import * as lineups from '../../util/lineups';
+import DataTable from './DataTable';
+
+/**
+ * Sortable table of five-man lineups, with minutes, possessions, and points scored and allowed.
+ *
+ * Set showSeason to add year and team columns, for lineups from more than one team or season.
+ */
+const LineupsTable = ({lineups: rows, name, names, showSeason}) => {
+    const cols = getCols('Lineup', 'MP', 'Poss', 'Pts', 'OPts', '+/-', 'ORtg', 'DRtg', 'Net');
+    if (showSeason) {
+        cols.unshift(...getCols('Year', 'Team'));
+    }
+
+    return <DataTable
+        cols={cols}
+        defaultSort={[showSeason ? 3 : 1, 'desc']}
+        name={name}
+        pagination={rows.length > 100}
+        rows={rows.map(row => {
+            const {drtg, netRtg, ortg} = lineups.getRatings(row);
+            const data = [
+                <span>{row.pids.map((pid, i) => <span key={pid}>
+                    {i > 0 ? ', ' : null}<a href={helpers.leagueUrl(['player', pid])}>{names[pid]}</a>
+                </span>)}</span>,
+                helpers.round(row.min, 1),
+                row.poss,
+                row.pts,
+                row.oppPts,
+                helpers.plusMinus(row.pts - row.oppPts, 0),
+                helpers.round(ortg, 1),
+                helpers.round(drtg, 1),
+                helpers.plusMinus(netRtg, 1),
+            ];
+            if (showSeason) {
+                data.unshift(row.season, <a href={helpers.leagueUrl(['roster', row.abbrev, row.season])}>{row.abbrev}</a>);
+            }
+
+            return {
+                key: showSeason ? `${row.season},${row.abbrev},${row.key}` : row.key,
+                data,
+            };
+        })}
+    />;
+};
+
+LineupsTable.propTypes = {
+    lineups: React.PropTypes.arrayOf(React.PropTypes.shape({
+        abbrev: React.PropTypes.string,
+        key: React.PropTypes.string.isRequired,
+        min: React.PropTypes.number.isRequired,
+        oppPoss: React.PropTypes.number.isRequired,
+        oppPts: React.PropTypes.number.isRequired,
+        pids: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
+        poss: React.PropTypes.number.isRequired,
+        pts: React.PropTypes.number.isRequired,
+        season: React.PropTypes.number,
+    })).isRequired,
+    name: React.PropTypes.string.isRequired,
+    names: React.PropTypes.object.isRequired,
+    showSeason: React.PropTypes.bool,
+};
+
+export default LineupsTable;
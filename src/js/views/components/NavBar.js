@@ -235,7 +235,9 @@ class DropdownLinks extends React.Component {
             </TopMenuDropdown> : null}
             {lid !== undefined ? <TopMenuDropdown long="Team" short="T" openId={this.state.openId} onToggle={this.handleTopMenuToggle}>
                 <MenuItem href={helpers.leagueUrl(['roster'])}>Roster</MenuItem>
+                <MenuItem href={helpers.leagueUrl(['depth'])}>Depth Chart</MenuItem>
                 <MenuItem href={helpers.leagueUrl(['schedule'])}>Schedule</MenuItem>
+                <MenuItem href={helpers.leagueUrl(['team_lineups'])}>Lineups</MenuItem>
                 <MenuItem href={helpers.leagueUrl(['team_finances'])}>Finances</MenuItem>
                 <MenuItem href={helpers.leagueUrl(['team_history'])}>History</MenuItem>
                 <MenuItem href={helpers.leagueUrl(['transactions'])}>Transactions</MenuItem>
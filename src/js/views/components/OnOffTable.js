@@ -0,0 +1,86 @@
+import React from 'react';
+import getCols from '../../util/getCols';
+import * as helpers from '../../util/helpers';
+import * as lineups from '../../util/lineups';
+import DataTable from './DataTable';
+
+/**
+ * Sortable table of on/off splits, comparing how a team did with each player on and off the court.
+ *
+ * Rows are players on a team, or with showSeason, seasons for a single player.
+ */
+const OnOffTable = ({name, rows, showSeason}) => {
+    const cols = getCols('MP', 'ORtg', 'DRtg', 'Net', 'MP', 'ORtg', 'DRtg', 'Net', 'On-Off');
+    if (showSeason) {
+        cols.unshift(...getCols('Year', 'Team'));
+    } else {
+        cols.unshift(...getCols('Name'));
+    }
+
+    return <DataTable
+        cols={cols}
+        defaultSort={showSeason ? [0, 'asc'] : [1, 'desc']}
+        name={name}
+        rows={rows.map(row => {
+            const on = lineups.getRatings(row.on);
+            const off = lineups.getRatings(row.off);
+            const data = [
+                helpers.round(row.on.min, 1),
+                helpers.round(on.ortg, 1),
+                helpers.round(on.drtg, 1),
+                helpers.plusMinus(on.netRtg, 1),
+                helpers.round(row.off.min, 1),
+                helpers.round(off.ortg, 1),
+                helpers.round(off.drtg, 1),
+                helpers.plusMinus(off.netRtg, 1),
+                helpers.plusMinus(on.netRtg - off.netRtg, 1),
+            ];
+            if (showSeason) {
+                data.unshift(row.season, <a href={helpers.leagueUrl(['roster', row.abbrev, row.season])}>{row.abbrev}</a>);
+            } else {
+                data.unshift(<a href={helpers.leagueUrl(['player', row.pid])}>{row.name}</a>);
+            }
+
+            return {
+                key: showSeason ? `${row.season},${row.abbrev}` : row.pid,
+                data,
+            };
+        })}
+        superCols={[{
+            title: '',
+            colspan: showSeason ? 2 : 1,
+        }, {
+            title: 'On Court',
+            colspan: 4,
+        }, {
+            title: 'Off Court',
+            colspan: 4,
+        }, {
+            title: '',
+            colspan: 1,
+        }]}
+    />;
+};
+
+const statsShape = React.PropTypes.shape({
+    min: React.PropTypes.number.isRequired,
+    oppPoss: React.PropTypes.number.isRequired,
+    oppPts: React.PropTypes.number.isRequired,
+    poss: React.PropTypes.number.isRequired,
+    pts: React.PropTypes.number.isRequired,
+});
+
+OnOffTable.propTypes = {
+    name: React.PropTypes.string.isRequired,
+    rows: React.PropTypes.arrayOf(React.PropTypes.shape({
+        abbrev: React.PropTypes.string,
+        name: React.PropTypes.string,
+        off: statsShape.isRequired,
+        on: statsShape.isRequired,
+        pid: React.PropTypes.number,
+        season: React.PropTypes.number,
+    })).isRequired,
+    showSeason: React.PropTypes.bool,
+};
+
+export default OnOffTable;
@@ -10,10 +10,11 @@ type SeriesTeam = {
     won?: number,
 };
 
-const PlayoffMatchup = ({season, series}: {
+const PlayoffMatchup = ({numGamesToWin = 4, season, series}: {
+    numGamesToWin?: number,
     season: number,
     series?: {
-        away: SeriesTeam,
+        away?: SeriesTeam,
         home: SeriesTeam,
     },
 }) => {
@@ -21,8 +22,19 @@ const PlayoffMatchup = ({season, series}: {
         return null;
     }
 
-    const homeWon = series.home.hasOwnProperty("won") && series.home.won === 4;
-    const awayWon = series.away.hasOwnProperty("won") && series.away.won === 4;
+    const away = series.away;
+    if (away === undefined) {
+        return <div>
+            <span className={series.home.tid === g.userTid ? 'bg-info' : ''}>
+                {series.home.seed}. <a href={helpers.leagueUrl(["roster", g.teamAbbrevsCache[series.home.tid], season])}>{g.teamRegionsCache[series.home.tid]}</a>
+            </span>
+            <br />
+            <span className="text-muted">Bye</span>
+        </div>;
+    }
+
+    const homeWon = series.home.hasOwnProperty("won") && series.home.won === numGamesToWin;
+    const awayWon = away.hasOwnProperty("won") && away.won === numGamesToWin;
 
     return <div>
         <span className={series.home.tid === g.userTid ? 'bg-info' : ''} style={{fontWeight: homeWon ? 'bold' : 'normal'}}>
@@ -31,14 +43,15 @@ const PlayoffMatchup = ({season, series}: {
         </span>
         <br />
 
-        <span className={series.away.tid === g.userTid ? 'bg-info' : ''} style={{fontWeight: awayWon ? 'bold' : 'normal'}}>
-            {series.away.seed}. <a href={helpers.leagueUrl(["roster", g.teamAbbrevsCache[series.away.tid], season])}>{g.teamRegionsCache[series.away.tid]}</a>
-            {series.away.hasOwnProperty("won") ? <span> {series.away.won}</span> : null }
+        <span className={away.tid === g.userTid ? 'bg-info' : ''} style={{fontWeight: awayWon ? 'bold' : 'normal'}}>
+            {away.seed}. <a href={helpers.leagueUrl(["roster", g.teamAbbrevsCache[away.tid], season])}>{g.teamRegionsCache[away.tid]}</a>
+            {away.hasOwnProperty("won") ? <span> {away.won}</span> : null }
         </span>
     </div>;
 };
 
 PlayoffMatchup.propTypes = {
+    numGamesToWin: React.PropTypes.number,
     season: React.PropTypes.number.isRequired,
     series: React.PropTypes.shape({
         away: React.PropTypes.shape({
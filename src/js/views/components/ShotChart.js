@@ -0,0 +1,74 @@
+// @flow
+
+import React from 'react';
+
+type Shot = {
+    made: boolean,
+    x: number,
+    y: number,
+};
+
+const BASELINE = -5.25; // Feet from the center of the basket to the baseline
+const COURT_LENGTH = 47; // Feet from the baseline to half court
+const COURT_WIDTH = 50;
+
+const lineStyle = {
+    fill: 'none',
+    stroke: '#999',
+    strokeWidth: 0.25,
+};
+
+/**
+ * Half court with the three point line at threePointDistance. The corners of the three point line are 22 feet from the basket, or closer if the arc is.
+ */
+const HalfCourt = ({threePointDistance}: {threePointDistance: number}) => {
+    const corner = Math.min(22, threePointDistance);
+    const cornerY = Math.sqrt(threePointDistance ** 2 - corner ** 2);
+
+    return <g>
+        <rect x={-COURT_WIDTH / 2} y={BASELINE} width={COURT_WIDTH} height={COURT_LENGTH} style={lineStyle} />
+        <rect x={-8} y={BASELINE} width={16} height={19} style={lineStyle} />
+        <circle cx={0} cy={BASELINE + 19} r={6} style={lineStyle} />
+        <path d="M -4 0 A 4 4 0 0 0 4 0" style={lineStyle} />
+        <path d={`M ${-corner} ${BASELINE} L ${-corner} ${cornerY} A ${threePointDistance} ${threePointDistance} 0 0 0 ${corner} ${cornerY} L ${corner} ${BASELINE}`} style={lineStyle} />
+        <path d={`M -6 ${BASELINE + COURT_LENGTH} A 6 6 0 0 1 6 ${BASELINE + COURT_LENGTH}`} style={lineStyle} />
+        <line x1={-3} y1={-1.25} x2={3} y2={-1.25} style={{stroke: '#999', strokeWidth: 0.4}} />
+        <circle cx={0} cy={0} r={0.75} style={{fill: 'none', stroke: '#d9534f', strokeWidth: 0.25}} />
+    </g>;
+};
+
+HalfCourt.propTypes = {
+    threePointDistance: React.PropTypes.number.isRequired,
+};
+
+/**
+ * Shot chart on a half court, with the basket at the top.
+ *
+ * Coordinates of shots are in feet from the center of the basket, like in the play-by-play from GameSim. Made shots are filled green circles, and missed shots are red crosses.
+ */
+const ShotChart = ({shots, threePointDistance}: {
+    shots: Shot[],
+    threePointDistance: number,
+}) => {
+    return <svg viewBox={`${-COURT_WIDTH / 2} ${BASELINE} ${COURT_WIDTH} ${COURT_LENGTH}`} style={{maxWidth: '100%'}}>
+        <HalfCourt threePointDistance={threePointDistance} />
+        {shots.map((shot, i) => {
+            if (shot.made) {
+                return <circle key={i} cx={shot.x} cy={shot.y} r={0.6} style={{fill: '#5cb85c', fillOpacity: 0.8}} />;
+            }
+            return <path key={i} d={`M ${shot.x - 0.5} ${shot.y - 0.5} L ${shot.x + 0.5} ${shot.y + 0.5} M ${shot.x - 0.5} ${shot.y + 0.5} L ${shot.x + 0.5} ${shot.y - 0.5}`} style={{stroke: '#d9534f', strokeWidth: 0.3}} />;
+        })}
+    </svg>;
+};
+
+ShotChart.propTypes = {
+    shots: React.PropTypes.arrayOf(React.PropTypes.shape({
+        made: React.PropTypes.bool.isRequired,
+        x: React.PropTypes.number.isRequired,
+        y: React.PropTypes.number.isRequired,
+    })).isRequired,
+    threePointDistance: React.PropTypes.number.isRequired,
+};
+
+export {BASELINE, COURT_LENGTH, COURT_WIDTH, HalfCourt};
+export default ShotChart;
@@ -0,0 +1,166 @@
+// @flow
+
+import React from 'react';
+import * as helpers from '../../util/helpers';
+import * as shotChart from '../../util/shotChart';
+import type {ShotCounts} from '../../util/types';
+import {BASELINE, COURT_LENGTH, COURT_WIDTH, HalfCourt} from './ShotChart';
+
+// Points per shot at the ends of the color scale, which is neutral halfway between them
+const COLD = 0.7;
+const HOT = 1.3;
+
+const COLOR_COLD = [51, 122, 183];
+const COLOR_NEUTRAL = [245, 245, 245];
+const COLOR_HOT = [217, 83, 79];
+
+const heatColor = (ptsPerShot: number): string => {
+    const fraction = helpers.bound((ptsPerShot - COLD) / (HOT - COLD), 0, 1);
+    const [from, to, amount] = fraction < 0.5 ? [COLOR_COLD, COLOR_NEUTRAL, fraction * 2] : [COLOR_NEUTRAL, COLOR_HOT, fraction * 2 - 1];
+    const rgb = from.map((c, i) => Math.round(c + (to[i] - c) * amount));
+    return `rgb(${rgb.join(',')})`;
+};
+
+const rect = (x1: number, y1: number, x2: number, y2: number): string => {
+    return `M ${x1} ${y1} L ${x2} ${y1} L ${x2} ${y2} L ${x1} ${y2} Z`;
+};
+
+/**
+ * SVG paths and label positions for each region in shotChart.REGIONS.
+ *
+ * Three point regions extend under the two point regions, which cover them because they are drawn later.
+ */
+const getRegionShapes = (threePointDistance: number): {[key: string]: {d: string, x: number, y: number}} => {
+    const top = BASELINE + COURT_LENGTH;
+    const side = COURT_WIDTH / 2;
+    const r = threePointDistance;
+    const corner = Math.min(22, r);
+    const cornerY = Math.sqrt(r ** 2 - corner ** 2);
+    const lane = Math.min(shotChart.LANE, corner);
+    const laneY = Math.sqrt(r ** 2 - lane ** 2);
+    const ra = shotChart.RESTRICTED_AREA;
+
+    return {
+        cornerThreeLeft: {
+            d: rect(-side, BASELINE, -lane, shotChart.CORNER_Y),
+            x: -(side + corner) / 2,
+            y: (BASELINE + shotChart.CORNER_Y) / 2,
+        },
+        aboveBreakThreeLeft: {
+            d: rect(-side, shotChart.CORNER_Y, -lane, top),
+            x: -18,
+            y: r + 2,
+        },
+        aboveBreakThreeCenter: {
+            d: rect(-lane, BASELINE, lane, top),
+            x: 0,
+            y: r + 6,
+        },
+        aboveBreakThreeRight: {
+            d: rect(lane, shotChart.CORNER_Y, side, top),
+            x: 18,
+            y: r + 2,
+        },
+        cornerThreeRight: {
+            d: rect(lane, BASELINE, side, shotChart.CORNER_Y),
+            x: (side + corner) / 2,
+            y: (BASELINE + shotChart.CORNER_Y) / 2,
+        },
+        midRangeLeft: {
+            d: `M ${-lane} ${BASELINE} L ${-corner} ${BASELINE} L ${-corner} ${cornerY} A ${r} ${r} 0 0 0 ${-lane} ${laneY} Z`,
+            x: -(corner + lane) / 2,
+            y: 4,
+        },
+        midRangeCenter: {
+            d: `M ${-lane} ${BASELINE} L ${-lane} ${laneY} A ${r} ${r} 0 0 0 ${lane} ${laneY} L ${lane} ${BASELINE} Z`,
+            x: 0,
+            y: (shotChart.FREE_THROW_Y + r) / 2,
+        },
+        midRangeRight: {
+            d: `M ${lane} ${BASELINE} L ${lane} ${laneY} A ${r} ${r} 0 0 0 ${corner} ${cornerY} L ${corner} ${BASELINE} Z`,
+            x: (corner + lane) / 2,
+            y: 4,
+        },
+        paint: {
+            d: rect(-shotChart.LANE, BASELINE, shotChart.LANE, shotChart.FREE_THROW_Y),
+            x: 0,
+            y: 9.5,
+        },
+        restrictedArea: {
+            d: `M ${-ra} 0 A ${ra} ${ra} 0 1 0 ${ra} 0 A ${ra} ${ra} 0 1 0 ${-ra} 0 Z`,
+            x: 0,
+            y: 2.9,
+        },
+    };
+};
+
+/**
+ * Aggregate shot chart for many games, from counts saved by util.shotChart.addShots.
+ *
+ * With type "bins", each square is a small area of the court, sized by the number of shots taken there. With type "regions", each region of the court is filled in and labeled with FG%. Either way, colors show points per shot, so twos and threes are comparable.
+ */
+const ShotHeatMap = ({counts, threePointDistance, type}: {
+    counts: ShotCounts,
+    threePointDistance: number,
+    type: 'bins' | 'regions',
+}) => {
+    let content;
+    if (type === "bins") {
+        const bins = shotChart.byBin(counts);
+        const maxFga = Math.max(1, ...bins.map(bin => bin.fga));
+        content = <g>
+            <HalfCourt threePointDistance={threePointDistance} />
+            {bins.map(bin => {
+                const size = shotChart.BIN_SIZE * Math.sqrt(bin.fga / maxFga);
+                return <rect
+                    key={`${bin.x},${bin.y}`}
+                    x={bin.x - size / 2}
+                    y={bin.y - size / 2}
+                    width={size}
+                    height={size}
+                    style={{fill: heatColor(bin.pts / bin.fga), stroke: '#999', strokeWidth: 0.05}}
+                >
+                    <title>{bin.fg}-{bin.fga}, {helpers.round(100 * bin.fg / bin.fga, 1)}%</title>
+                </rect>;
+            })}
+        </g>;
+    } else {
+        const regions = shotChart.byRegion(counts);
+        const shapes = getRegionShapes(threePointDistance);
+        content = <g>
+            {shotChart.REGIONS.map(({key, name}) => {
+                const {fg, fga} = regions[key];
+                const pts = key.includes("Three") ? 3 : 2;
+                return <path
+                    key={key}
+                    d={shapes[key].d}
+                    style={{fill: fga > 0 ? heatColor(pts * fg / fga) : '#fff', stroke: '#fff', strokeWidth: 0.3}}
+                >
+                    <title>{name}: {fg}-{fga}{fga > 0 ? `, ${helpers.round(100 * fg / fga, 1)}%` : null}</title>
+                </path>;
+            })}
+            <HalfCourt threePointDistance={threePointDistance} />
+            {shotChart.REGIONS.map(({key}) => {
+                const {fg, fga} = regions[key];
+                if (fga === 0) {
+                    return null;
+                }
+                return <text key={key} x={shapes[key].x} y={shapes[key].y} style={{fontSize: 1.6, pointerEvents: 'none', textAnchor: 'middle'}}>
+                    {helpers.round(100 * fg / fga)}%
+                </text>;
+            })}
+        </g>;
+    }
+
+    return <svg viewBox={`${-COURT_WIDTH / 2} ${BASELINE} ${COURT_WIDTH} ${COURT_LENGTH}`} style={{maxWidth: '100%'}}>
+        {content}
+    </svg>;
+};
+
+ShotHeatMap.propTypes = {
+    counts: React.PropTypes.object.isRequired,
+    threePointDistance: React.PropTypes.number.isRequired,
+    type: React.PropTypes.oneOf(['bins', 'regions']).isRequired,
+};
+
+export default ShotHeatMap;
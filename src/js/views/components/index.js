@@ -9,16 +9,20 @@ import Header from './Header';
 import HelpPopover from './HelpPopover';
 import JumpTo from './JumpTo';
 import LeagueWrapper from './LeagueWrapper';
+import LineupsTable from './LineupsTable';
 import MultiTeamMenu from './MultiTeamMenu';
 import NagModal from './NagModal';
 import NavBar from './NavBar';
 import NewWindowLink from './NewWindowLink';
+import OnOffTable from './OnOffTable';
 import PlayerNameLabels from './PlayerNameLabels';
 import PlayerPicture from './PlayerPicture';
 import PlayoffMatchup from './PlayoffMatchup';
 import RatingWithChange from './RatingWithChange';
 import RecordAndPlayoffs from './RecordAndPlayoffs';
 import SafeHtml from './SafeHtml';
+import ShotChart from './ShotChart';
+import ShotHeatMap from './ShotHeatMap';
 import SkillsBlock from './SkillsBlock';
 import WatchBlock from './WatchBlock';
 
@@ -34,16 +38,20 @@ export {
     HelpPopover,
     JumpTo,
     LeagueWrapper,
+    LineupsTable,
     MultiTeamMenu,
     NagModal,
     NavBar,
     NewWindowLink,
+    OnOffTable,
     PlayerNameLabels,
     PlayerPicture,
     PlayoffMatchup,
     RatingWithChange,
     RecordAndPlayoffs,
     SafeHtml,
+    ShotChart,
+    ShotHeatMap,
     SkillsBlock,
     WatchBlock,
 };
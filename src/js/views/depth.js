@@ -0,0 +1,49 @@
+// @flow
+
+import g from '../globals';
+import * as player from '../core/player';
+import * as team from '../core/team';
+import bbgmViewReact from '../util/bbgmViewReact';
+import Depth from './views/Depth';
+
+async function updateDepth(inputs, updateEvents) {
+    if (updateEvents.includes('dbChange') || updateEvents.includes('firstRun') || updateEvents.includes('gameSim') || updateEvents.includes('playerMovement') || updateEvents.includes('teamTactics')) {
+        let players = await g.dbl.players.index('tid').getAll(g.userTid);
+        players = await player.withStats(null, players, {
+            statsSeasons: [g.season],
+            statsTid: g.userTid,
+        });
+        players = player.filter(players, {
+            attrs: ["pid", "name", "age", "injury", "rosterOrder", "ptModifier", "targetMin", "closer"],
+            ratings: ["ovr", "skills", "pos"],
+            stats: ["gp", "min"],
+            season: g.season,
+            tid: g.userTid,
+            showNoStats: true,
+            showRookies: true,
+            fuzz: true,
+        });
+        players.sort((a, b) => a.rosterOrder - b.rosterOrder);
+
+        for (const p of players) {
+            if (p.targetMin === undefined) {
+                p.targetMin = null;
+            }
+            p.closer = !!p.closer;
+        }
+
+        const t = await g.dbl.teams.get(g.userTid);
+
+        return {
+            players,
+            tactics: t.tactics !== undefined ? t.tactics : team.defaultTactics(),
+            userTid: g.userTid,
+        };
+    }
+}
+
+export default bbgmViewReact.init({
+    id: "depth",
+    runBefore: [updateDepth],
+    Component: Depth,
+});
@@ -0,0 +1,99 @@
+// @flow
+
+import g from '../globals';
+import * as draft from '../core/draft';
+import * as season from '../core/season';
+import * as team from '../core/team';
+import bbgmViewReact from '../util/bbgmViewReact';
+import * as helpers from '../util/helpers';
+import DraftLottery from './views/DraftLottery';
+
+function get(ctx) {
+    return {
+        season: helpers.validateSeason(ctx.params.season),
+    };
+}
+
+async function updateDraftLottery(inputs, updateEvents, state) {
+    if (updateEvents.includes('dbChange') || updateEvents.includes('firstRun') || updateEvents.includes('newPhase') || updateEvents.includes('gameSim') || inputs.season !== state.season) {
+        const draftLotteryResult = await g.dbl.draftLotteryResults.get(inputs.season);
+
+        // Lottery already happened, so just show what happened
+        if (draftLotteryResult !== undefined) {
+            return {
+                canRunLottery: false,
+                draftType: draftLotteryResult.draftType,
+                lotteryTypeText: draft.lotteryTypeText(draftLotteryResult.draftType),
+                odds: undefined,
+                result: draftLotteryResult.result,
+                season: inputs.season,
+            };
+        }
+
+        // Lottery hasn't happened yet and never will, or there is no record of it
+        if (inputs.season !== g.season || g.phase >= g.PHASE.DRAFT) {
+            return {
+                canRunLottery: false,
+                draftType: undefined,
+                lotteryTypeText: undefined,
+                odds: undefined,
+                result: undefined,
+                season: inputs.season,
+            };
+        }
+
+        const teams = await team.filter({
+            attrs: ["tid", "cid", "did"],
+            seasonAttrs: ["winp", "won", "lost", "playoffRoundsWon"],
+            season: inputs.season,
+            sortBy: ["winp", "-lost", "won"],
+        });
+
+        // Before the playoffs, use the projected playoff teams
+        if (g.phase < g.PHASE.PLAYOFFS) {
+            const {tidPlayoffs, tidPlayIn} = season.genPlayoffSeries(helpers.deepCopy(teams));
+            for (const t of teams) {
+                t.playoffRoundsWon = tidPlayoffs.includes(t.tid) || tidPlayIn.includes(t.tid) ? 0 : -1;
+            }
+        }
+
+        const odds = draft.getLotteryOdds(teams, g.draftType);
+
+        // Current owners of first round picks, since they might have been traded
+        const draftPicks = await g.dbl.draftPicks.index('season').getAll(inputs.season);
+        const pickOwners = {};
+        for (const dp of draftPicks) {
+            if (dp.round === 1) {
+                pickOwners[dp.originalTid] = dp.tid;
+            }
+        }
+
+        // Non-playoff teams, worst first
+        const teamsLottery = teams
+            .filter(t => !(t.playoffRoundsWon >= 0))
+            .reverse()
+            .map(t => ({
+                lost: t.lost,
+                odds: odds[t.tid],
+                originalTid: t.tid,
+                tid: pickOwners.hasOwnProperty(t.tid) ? pickOwners[t.tid] : t.tid,
+                won: t.won,
+            }));
+
+        return {
+            canRunLottery: g.phase === g.PHASE.BEFORE_DRAFT,
+            draftType: g.draftType,
+            lotteryTypeText: draft.lotteryTypeText(g.draftType),
+            odds: teamsLottery,
+            result: undefined,
+            season: inputs.season,
+        };
+    }
+}
+
+export default bbgmViewReact.init({
+    id: "draftLottery",
+    get,
+    runBefore: [updateDraftLottery],
+    Component: DraftLottery,
+});
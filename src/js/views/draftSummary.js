@@ -1,6 +1,7 @@
 // @flow
 
 import g from '../globals';
+import * as draft from '../core/draft';
 import * as player from '../core/player';
 import bbgmViewReact from '../util/bbgmViewReact';
 import * as helpers from '../util/helpers';
@@ -71,7 +72,12 @@ async function updateDraftSummary(inputs) {
         }
     }
 
+    // Not stored for seasons before lottery results were saved
+    const draftLotteryResult = await g.dbl.draftLotteryResults.get(inputs.season);
+
     return {
+        draftLotteryResult,
+        lotteryTypeText: draftLotteryResult !== undefined ? draft.lotteryTypeText(draftLotteryResult.draftType) : undefined,
         players,
         season: inputs.season,
     };
@@ -24,6 +24,10 @@ async function boxScore(gid: number) {
         return {};
     }
 
+    const numPeriods = game.numPeriods !== undefined ? game.numPeriods : 4;
+
+    game.hasPlayByPlay = await g.dbl.playByPlay.count(gid) > 0;
+
     for (let i = 0; i < game.teams.length; i++) {
         const t = game.teams[i];
 
@@ -39,7 +43,7 @@ async function boxScore(gid: number) {
         t.ftpfga = t.ft / t.fga;
 
         // Fix the total minutes calculation, which is usually fucked up for some unknown reason
-        t.min = 240 + 25 * game.overtimes;
+        t.min = 5 * (numPeriods * g.quarterLength + g.overtimeLength * game.overtimes);
 
         // Put injured players at the bottom, then sort by GS and roster position
         t.players.sort((a, b) => {
@@ -64,9 +68,13 @@ async function boxScore(gid: number) {
         game.overtime = "";
     }
 
-    // Quarter/overtime labels
-    game.qtrs = ["Q1", "Q2", "Q3", "Q4"];
-    for (let i = 0; i < game.teams[1].ptsQtrs.length - 4; i++) {
+    // Quarter/overtime labels, like Q1 for quarters or H1 for halves
+    const periodAbbrev = helpers.periodName(numPeriods).charAt(0).toUpperCase();
+    game.qtrs = [];
+    for (let i = 0; i < numPeriods; i++) {
+        game.qtrs.push(`${periodAbbrev}${i + 1}`);
+    }
+    for (let i = 0; i < game.teams[1].ptsQtrs.length - numPeriods; i++) {
         game.qtrs.push(`OT${i + 1}`);
     }
     game.qtrs.push("F");
@@ -13,8 +13,17 @@ async function updateGodMode(inputs, updateEvents) {
         return {
             godMode: g.godMode,
             disableInjuries: g.disableInjuries,
+            draftLotteryCustomChances: g.draftLotteryCustomChances,
+            draftLotteryCustomNumPicks: g.draftLotteryCustomNumPicks,
+            draftType: g.draftType,
+            foulsNeededToFoulOut: g.foulsNeededToFoulOut,
+            foulsUntilBonus: g.foulsUntilBonus,
             numGames: g.numGames,
+            numPeriods: g.numPeriods,
+            overtimeLength: g.overtimeLength,
             quarterLength: g.quarterLength,
+            shotClock: g.shotClock,
+            threePointDistance: g.threePointDistance,
             minRosterSize: g.minRosterSize,
             salaryCap: g.salaryCap / 1000,
             minPayroll: g.minPayroll / 1000,
@@ -22,6 +31,10 @@ async function updateGodMode(inputs, updateEvents) {
             luxuryTax: g.luxuryTax,
             minContract: g.minContract / 1000,
             maxContract: g.maxContract / 1000,
+            midLevelException: g.midLevelException / 1000,
+            roomException: g.roomException / 1000,
+            tradeDeadline: g.tradeDeadline,
+            untradableGamesAfterSigning: g.untradableGamesAfterSigning,
         };
     }
 }
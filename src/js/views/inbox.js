@@ -12,7 +12,7 @@ async function updateInbox() {
     let anyUnread = false;
     for (const message of messages) {
         message.text = message.text.replace(/<p>/g, "").replace(/<\/p>/g, " "); // Needs to be regex otherwise it's cumbersome to do global replace
-        if (!message.read) {
+        if (!message.read && !message.tradeOffer) {
             anyUnread = true;
         }
     }
@@ -41,14 +41,14 @@ async function updateLeaders(inputs, updateEvents, state) {
         players = player.filter(players, {
             attrs: ["pid", "name", "injury", "watch"],
             ratings: ["skills"],
-            stats: ["pts", "trb", "ast", "fgp", "tpp", "ftp", "blk", "stl", "min", "per", "ewa", "gp", "fg", "tp", "ft", "abbrev", "tid"],
+            stats: ["pts", "trb", "ast", "fgp", "tpp", "ftp", "blk", "stl", "min", "per", "ewa", "tsp", "usgp", "ws", "bpm", "vorp", "gp", "fg", "tp", "ft", "abbrev", "tid"],
             season,
         });
 
         const userAbbrev = helpers.getAbbrev(g.userTid);
 
         // minStats and minValues are the NBA requirements to be a league leader for each stat http://www.nba.com/leader_requirements.html. If any requirement is met, the player can appear in the league leaders
-        const factor = (g.numGames / 82) * Math.sqrt(g.quarterLength / 12); // To handle changes in number of games and playing time
+        const factor = (g.numGames / 82) * Math.sqrt(g.numPeriods * g.quarterLength / 48); // To handle changes in number of games and playing time
         const categories = [];
         categories.push({name: "Points", stat: "Pts", title: "Points Per Game", data: [], minStats: ["gp", "pts"], minValue: [70, 1400]});
         categories.push({name: "Rebounds", stat: "Reb", title: "Rebounds Per Game", data: [], minStats: ["gp", "trb"], minValue: [70, 800]});
@@ -61,7 +61,12 @@ async function updateLeaders(inputs, updateEvents, state) {
         categories.push({name: "Minutes", stat: "Min", title: "Minutes Per Game", data: [], minStats: ["gp", "min"], minValue: [70, 2000]});
         categories.push({name: "Player Efficiency Rating", stat: "PER", title: "Player Efficiency Rating", data: [], minStats: ["min"], minValue: [2000]});
         categories.push({name: "Estimated Wins Added", stat: "EWA", title: "Estimated Wins Added", data: [], minStats: ["min"], minValue: [2000]});
-        const stats = ["pts", "trb", "ast", "fgp", "tpp", "ftp", "blk", "stl", "min", "per", "ewa"];
+        categories.push({name: "True Shooting Percentage", stat: "TS%", title: "True Shooting Percentage", data: [], minStats: ["fg"], minValue: [300]});
+        categories.push({name: "Usage Rate", stat: "USG%", title: "Percentage of Team Plays Used While On Court", data: [], minStats: ["min"], minValue: [2000]});
+        categories.push({name: "Win Shares", stat: "WS", title: "Win Shares", data: [], minStats: ["min"], minValue: [2000]});
+        categories.push({name: "Box Plus/Minus", stat: "BPM", title: "Box Plus/Minus", data: [], minStats: ["min"], minValue: [2000]});
+        categories.push({name: "Value Over Replacement Player", stat: "VORP", title: "Value Over Replacement Player", data: [], minStats: ["min"], minValue: [2000]});
+        const stats = ["pts", "trb", "ast", "fgp", "tpp", "ftp", "blk", "stl", "min", "per", "ewa", "tsp", "usgp", "ws", "bpm", "vorp"];
 
         for (let i = 0; i < categories.length; i++) {
             players.sort((a, b) => b.stats[stats[i]] - a.stats[stats[i]]);
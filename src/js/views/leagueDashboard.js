@@ -235,28 +235,30 @@ async function updatePlayoffs(inputs, updateEvents) {
         const playoffSeries = await g.dbl.playoffSeries.get(g.season);
 
         let foundSeries;
+        let numGamesToWin;
         let seriesTitle = '';
         let showPlayoffSeries = false;
 
         if (playoffSeries !== undefined) {
             const series = playoffSeries.series;
+            const numGamesPlayoffSeries = helpers.getNumGamesPlayoffSeries(playoffSeries);
+            const playoffsByConference = g.confs.length === 2 && !localStorage.getItem('top16playoffs');
             let found = false;
 
             // Find the latest playoff series with the user's team in it
             for (let rnd = playoffSeries.currentRound; rnd >= 0; rnd--) {
                 for (let i = 0; i < series[rnd].length; i++) {
-                    if (series[rnd][i].home.tid === g.userTid || series[rnd][i].away.tid === g.userTid) {
+                    if (series[rnd][i].home.tid === g.userTid || (series[rnd][i].away !== undefined && series[rnd][i].away.tid === g.userTid)) {
                         foundSeries = series[rnd][i];
+                        numGamesToWin = helpers.numGamesToWinSeries(numGamesPlayoffSeries, rnd);
                         found = true;
                         showPlayoffSeries = true;
-                        if (rnd === 0) {
-                            seriesTitle = "First Round";
-                        } else if (rnd === 1) {
-                            seriesTitle = "Second Round";
-                        } else if (rnd === 2) {
-                            seriesTitle = "Conference Finals";
-                        } else if (rnd === 3) {
+                        if (rnd === g.numPlayoffRounds - 1) {
                             seriesTitle = "League Finals";
+                        } else if (rnd === g.numPlayoffRounds - 2) {
+                            seriesTitle = playoffsByConference ? "Conference Finals" : "Semifinals";
+                        } else {
+                            seriesTitle = `${helpers.ordinal(rnd + 1)} Round`;
                         }
                         break;
                     }
@@ -268,6 +270,7 @@ async function updatePlayoffs(inputs, updateEvents) {
         }
 
         return {
+            numGamesToWin,
             series: foundSeries,
             seriesTitle,
             showPlayoffSeries,
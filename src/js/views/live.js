@@ -25,6 +25,14 @@ async function updateGamesList() {
     };
 }
 
+async function updateSavePlayByPlay(inputs, updateEvents) {
+    if (updateEvents.includes('dbChange') || updateEvents.includes('firstRun')) {
+        return {
+            savePlayByPlay: g.savePlayByPlay,
+        };
+    }
+}
+
 async function updateGamesInProgress(inputs, updateEvents) {
     if (updateEvents.includes('dbChange') || updateEvents.includes('g.gamesInProgress')) {
         return {
@@ -35,6 +43,6 @@ async function updateGamesInProgress(inputs, updateEvents) {
 
 export default bbgmViewReact.init({
     id: "live",
-    runBefore: [updateGamesList, updateGamesInProgress],
+    runBefore: [updateGamesList, updateSavePlayByPlay, updateGamesInProgress],
     Component: Live,
 });
@@ -27,9 +27,12 @@ async function updatePlayByPlay(inputs, updateEvents) {
         // Stats to set to 0
         const resetStats = ["min", "fg", "fga", "tp", "tpa", "ft", "fta", "orb", "trb", "ast", "tov", "stl", "blk", "ba", "pf", "pts", "pm"];
 
+        if (boxScore.numPeriods === undefined) {
+            boxScore.numPeriods = 4;
+        }
         boxScore.overtime = "";
-        boxScore.quarter = "1st quarter";
-        boxScore.time = "12:00";
+        boxScore.quarter = `1st ${helpers.periodName(boxScore.numPeriods)}`;
+        boxScore.time = `${g.quarterLength}:00`;
         boxScore.gameOver = false;
         for (let i = 0; i < boxScore.teams.length; i++) {
             // Team metadata
@@ -38,6 +41,7 @@ async function updatePlayByPlay(inputs, updateEvents) {
             boxScore.teams[i].name = g.teamNamesCache[boxScore.teams[i].tid];
 
             boxScore.teams[i].ptsQtrs = [0];
+            boxScore.teams[i].pfQtrs = [0];
             for (let s = 0; s < resetStats.length; s++) {
                 boxScore.teams[i][resetStats[s]] = 0;
             }
@@ -62,6 +66,8 @@ async function updatePlayByPlay(inputs, updateEvents) {
         return {
             initialBoxScore: boxScore,
             events: inputs.playByPlay,
+            saved: await g.dbl.playByPlay.count(inputs.gidPlayByPlay) > 0,
+            threePointDistance: g.threePointDistance,
         };
     }
 }
@@ -3,9 +3,10 @@
 import g from '../globals';
 import * as ui from '../ui';
 import * as league from '../core/league';
+import * as trade from '../core/trade';
 import bbgmViewReact from '../util/bbgmViewReact';
 import Message from './views/Message';
-import type {Message as Message_} from '../util/types';
+import type {Message as Message_, TradeOfferStatus, TradeSummary} from '../util/types';
 
 function get(ctx) {
     return {
@@ -13,7 +14,10 @@ function get(ctx) {
     };
 }
 
-async function updateMessage(inputs, updateEvents, state): Promise<void | {message?: Message_}> {
+async function updateMessage(inputs, updateEvents, state): Promise<void | {
+    message?: Message_,
+    tradeOffer?: void | {status: TradeOfferStatus, summary: TradeSummary},
+}> {
     if (updateEvents.includes('dbChange') || updateEvents.includes('firstRun') || state.message.mid !== inputs.mid) {
         let message;
         let readThisPageview;
@@ -45,8 +49,19 @@ async function updateMessage(inputs, updateEvents, state): Promise<void | {messa
             league.updateLastDbChange();
         }
 
+        // Trade offers from AI teams
+        let tradeOffer;
+        if (message && message.tradeOffer) {
+            const offer = message.tradeOffer;
+            tradeOffer = {
+                status: await trade.getOfferStatus(offer),
+                summary: await trade.summary(offer.teams),
+            };
+        }
+
         return {
             message,
+            tradeOffer,
         };
     }
 }
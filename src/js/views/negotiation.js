@@ -1,5 +1,7 @@
+import Promise from 'bluebird';
 import g from '../globals';
 import * as contractNegotiation from '../core/contractNegotiation';
+import * as finances from '../core/finances';
 import * as freeAgents from '../core/freeAgents';
 import * as player from '../core/player';
 import * as team from '../core/team';
@@ -97,10 +99,21 @@ async function updateNegotiation(inputs) {
     // Generate contract options
     const contractOptions = generateContractOptions(p.contract, p.ratings.ovr);
 
-    const payroll = await team.getPayroll(null, g.userTid).get(0);
+    const [payroll, t] = await Promise.all([
+        team.getPayroll(null, g.userTid).get(0),
+        g.dbl.teams.get(g.userTid),
+    ]);
+
+    // Which part of the soft cap rules allows each contract is determined in the component, since it depends on the contract structure
+    const capExceptionsUsed = finances.getCapExceptionsUsed(t);
+
     return {
+        capExceptionsUsed,
         contractOptions,
+        midLevelExceptionLeft: capExceptionsUsed.room === 0 ? (g.midLevelException - capExceptionsUsed.midLevel) / 1000 : 0,
+        maxContract: g.maxContract / 1000,
         payroll: payroll / 1000,
+        roomExceptionLeft: capExceptionsUsed.midLevel === 0 ? (g.roomException - capExceptionsUsed.room) / 1000 : 0,
         player: p,
         resigning: negotiation.resigning,
         salaryCap: g.salaryCap / 1000,
@@ -55,8 +55,28 @@ async function updateNegotiationList() {
         players[i].mood = player.moodColorText(players[i]);
     }
 
+    // Team options for next season, which will be exercised unless declined now
+    let teamOptions = await g.dbl.players.index('tid').getAll(g.userTid);
+    teamOptions = teamOptions.filter(p => p.contract.option === "team" && p.contract.exp === g.season + 1);
+    const optionAmounts = {};
+    for (const p of teamOptions) {
+        const salaries = player.getContractSalaries(p.contract);
+        optionAmounts[p.pid] = salaries[salaries.length - 1].amount / 1000;
+    }
+    teamOptions = player.filter(teamOptions, {
+        attrs: ["pid", "name", "age", "injury", "watch"],
+        ratings: ["ovr", "pot", "skills", "pos"],
+        season: g.season,
+        showNoStats: true,
+        fuzz: true,
+    });
+    for (const p of teamOptions) {
+        p.optionAmount = optionAmounts[p.pid];
+    }
+
     return {
         players,
+        teamOptions,
     };
 }
 
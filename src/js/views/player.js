@@ -1,3 +1,4 @@
+import backboard from 'backboard';
 import Promise from 'bluebird';
 import g from '../globals';
 import * as freeAgents from '../core/freeAgents';
@@ -5,6 +6,7 @@ import * as player from '../core/player';
 import * as trade from '../core/trade';
 import bbgmViewReact from '../util/bbgmViewReact';
 import * as helpers from '../util/helpers';
+import * as lineups from '../util/lineups';
 import Player from './views/Player';
 
 function get(ctx) {
@@ -25,10 +27,52 @@ async function updatePlayer(inputs, updateEvents, state) {
             g.dbl.events.index('pids').getAll(inputs.pid),
         ]);
 
+        const shots = await g.dbl.playerShots.index('pid, season').getAll(backboard.bound([inputs.pid], [inputs.pid, '']));
+
+        // On/off splits and lineups for every team and season the player has stats for
+        const onOff = [];
+        const playerLineups = [];
+        const seen = new Set();
+        for (const ps of p.stats) {
+            const key = `${ps.season},${ps.tid},${ps.playoffs}`;
+            if (seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+
+            const teamStatsArray = await g.dbl.teamStats.index("season, tid").getAll([ps.season, ps.tid]);
+            const teamStats = teamStatsArray.find(ts => ts.playoffs === ps.playoffs);
+            if (teamStats === undefined || teamStats.lineups === undefined) {
+                continue;
+            }
+
+            const info = {
+                abbrev: helpers.getAbbrev(ps.tid),
+                playoffs: ps.playoffs,
+                season: ps.season,
+            };
+            const splits = lineups.onOff(teamStats.lineups, p.pid);
+            if (splits.on.min > 0) {
+                onOff.push(Object.assign({}, info, splits));
+            }
+            for (const lineupKey of Object.keys(teamStats.lineups)) {
+                const pids = lineups.getPids(lineupKey);
+                if (pids.includes(p.pid)) {
+                    playerLineups.push(Object.assign({key: lineupKey, pids}, info, teamStats.lineups[lineupKey]));
+                }
+            }
+        }
+
+        const lineupNames = {};
+        await Promise.all(Array.from(new Set([].concat(...playerLineups.map(row => row.pids)))).map(async pid => {
+            const p2 = await g.dbl.players.get(pid);
+            lineupNames[pid] = p2 !== undefined ? `${p2.firstName} ${p2.lastName}` : "Unknown";
+        }));
+
         p = player.filter(p, {
             attrs: ["pid", "name", "tid", "abbrev", "teamRegion", "teamName", "age", "hgtFt", "hgtIn", "weight", "born", "diedYear", "contract", "draft", "face", "mood", "injury", "salaries", "salariesTotal", "awardsGrouped", "freeAgentMood", "imgURL", "watch", "gamesUntilTradable", "college"],
             ratings: ["season", "abbrev", "age", "ovr", "pot", "hgt", "stre", "spd", "jmp", "endu", "ins", "dnk", "ft", "fg", "tp", "blk", "stl", "drb", "pss", "reb", "skills", "pos"],
-            stats: ["psid", "season", "abbrev", "age", "gp", "gs", "min", "fg", "fga", "fgp", "fgAtRim", "fgaAtRim", "fgpAtRim", "fgLowPost", "fgaLowPost", "fgpLowPost", "fgMidRange", "fgaMidRange", "fgpMidRange", "tp", "tpa", "tpp", "ft", "fta", "ftp", "pm", "orb", "drb", "trb", "ast", "tov", "stl", "blk", "ba", "pf", "pts", "per", "ewa"],
+            stats: ["psid", "season", "abbrev", "age", "gp", "gs", "min", "fg", "fga", "fgp", "fgAtRim", "fgaAtRim", "fgpAtRim", "fgLowPost", "fgaLowPost", "fgpLowPost", "fgMidRange", "fgaMidRange", "fgpMidRange", "tp", "tpa", "tpp", "ft", "fta", "ftp", "pm", "orb", "drb", "trb", "ast", "tov", "stl", "blk", "ba", "pf", "pts", "per", "ewa", "tsp", "usgp", "astp", "tovp", "orbp", "drbp", "trbp", "ows", "dws", "ws", "bpm", "vorp", "onOff"],
             playoffs: true,
             showNoStats: true,
             showRookies: true,
@@ -73,6 +117,11 @@ async function updatePlayer(inputs, updateEvents, state) {
             godMode: g.godMode,
             events,
             feats,
+            lineupNames,
+            lineups: playerLineups,
+            onOff,
+            shots,
+            threePointDistance: g.threePointDistance,
         };
     }
 }
@@ -42,7 +42,7 @@ async function updatePlayers(inputs, updateEvents, state) {
             players = player.filter(players, {
                 attrs: ["pid", "name", "age", "injury", "tid", "hof", "watch"],
                 ratings: ["skills", "pos"],
-                stats: ["abbrev", "tid", "gp", "gs", "min", "fg", "fga", "fgp", "tp", "tpa", "tpp", "ft", "fta", "ftp", "orb", "drb", "trb", "ast", "tov", "stl", "blk", "ba", "pf", "pts", "pm", "per", "ewa"],
+                stats: ["abbrev", "tid", "gp", "gs", "min", "fg", "fga", "fgp", "tp", "tpa", "tpp", "ft", "fta", "ftp", "orb", "drb", "trb", "ast", "tov", "stl", "blk", "ba", "pf", "pts", "pm", "per", "ewa", "tsp", "usgp", "astp", "tovp", "orbp", "drbp", "trbp", "ows", "dws", "ws", "bpm", "vorp", "onOff"],
                 season: inputs.season, // If null, then show career stats!
                 tid,
                 totals: inputs.statType === "totals",
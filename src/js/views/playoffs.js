@@ -16,12 +16,14 @@ function get(ctx) {
 async function updatePlayoffs(inputs, updateEvents, state) {
     if (updateEvents.includes('dbChange') || updateEvents.includes('firstRun') || inputs.season !== state.season || (inputs.season === g.season && updateEvents.includes('gameSim'))) {
         let finalMatchups;
+        let numGamesPlayoffSeries;
+        let playIns;
         let series;
 
         // If in the current season and before playoffs started, display projected matchups
         if (inputs.season === g.season && g.phase < g.PHASE.PLAYOFFS) {
             const teams = await team.filter({
-                attrs: ["tid", "cid", "abbrev", "name"],
+                attrs: ["tid", "cid", "did", "abbrev", "name"],
                 seasonAttrs: ["winp"],
                 season: inputs.season,
                 sortBy: ["winp", "-lost", "won"],
@@ -29,15 +31,23 @@ async function updatePlayoffs(inputs, updateEvents, state) {
 
             const result = season.genPlayoffSeries(teams);
             series = result.series;
+            playIns = result.playIns;
+            numGamesPlayoffSeries = g.numGamesPlayoffSeries;
 
             finalMatchups = false;
         } else {
             const playoffSeries = await g.dbl.playoffSeries.get(inputs.season);
             series = playoffSeries.series;
 
+            // Old leagues don't have this stored, and they had no play-in tournament
+            playIns = playoffSeries.playIns !== undefined ? playoffSeries.playIns : [];
+            numGamesPlayoffSeries = helpers.getNumGamesPlayoffSeries(playoffSeries);
+
             finalMatchups = true;
         }
 
+        const numGamesToWin = series.map((round, rnd) => helpers.numGamesToWinSeries(numGamesPlayoffSeries, rnd));
+
         // Formatting for the table in playoffs.html
         const matchups = [];
         for (let i = 0; i < 2 ** (g.numPlayoffRounds - 2); i++) {
@@ -71,8 +81,10 @@ async function updatePlayoffs(inputs, updateEvents, state) {
         return {
             finalMatchups,
             matchups,
+            numGamesToWin,
             numPlayoffRounds: g.numPlayoffRounds,
             confNames,
+            playIns,
             season: inputs.season,
             series,
         };
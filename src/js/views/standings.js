@@ -1,6 +1,7 @@
 // @flow
 
 import g from '../globals';
+import * as season from '../core/season';
 import * as team from '../core/team';
 import bbgmViewReact from '../util/bbgmViewReact';
 import * as helpers from '../util/helpers';
@@ -21,7 +22,7 @@ async function updateStandings(inputs, updateEvents, state) {
             sortBy: ["winp", "-lost", "won"],
         });
 
-        const numPlayoffTeams = 2 ** g.numPlayoffRounds;
+        const numPlayoffTeams = 2 ** g.numPlayoffRounds - g.numPlayoffByes;
 
         const confs = [];
         for (let i = 0; i < g.confs.length; i++) {
@@ -30,7 +31,6 @@ async function updateStandings(inputs, updateEvents, state) {
             let j = 0;
             for (const t of teams) {
                 if (g.confs[i].cid === t.cid) {
-                    playoffsRank[t.tid] = j + 1; // Store ranks by tid, for use in division standings
                     confTeams.push(helpers.deepCopy(t));
                     confTeams[j].rank = j + 1;
                     if (j === 0) {
@@ -47,6 +47,11 @@ async function updateStandings(inputs, updateEvents, state) {
                 }
             }
 
+            // Store ranks by tid, for use in division standings. These can be different than the order in confTeams if division winners are guaranteed top seeds.
+            season.orderPlayoffSeeds(confTeams).forEach((t, k) => {
+                playoffsRank[t.tid] = k + 1;
+            });
+
             confs.push({cid: g.confs[i].cid, name: g.confs[i].name, divs: [], teams: confTeams});
 
             for (const div of g.divs) {
@@ -87,8 +92,9 @@ async function updateStandings(inputs, updateEvents, state) {
 
         // Fix playoffsRank if conferences don't matter
         if (!playoffsByConference) {
-            for (let i = 0; i < teams.length; i++) {
-                const t = teams[i];
+            const teamsSeeded = season.orderPlayoffSeeds(teams);
+            for (let i = 0; i < teamsSeeded.length; i++) {
+                const t = teamsSeeded[i];
                 const div = confs[t.cid].divs.find(div2 => t.did === div2.did);
                 if (div) {
                     const t2 = div.teams.find(t3 => t.tid === t3.tid);
@@ -51,11 +51,16 @@ async function updateTeamFinances(inputs, updateEvents, state) {
                     break;
                 }
 
-                contracts[i].amounts.push(contracts[i].amount / 1000);
-                contractTotals[j - season] += contracts[i].amount / 1000;
+                // Includes yearly raises
+                const salary = contracts[i].salaries.find(row => row.season === j);
+                const amount = salary !== undefined ? salary.amount : contracts[i].amount;
+
+                contracts[i].amounts.push(amount / 1000);
+                contractTotals[j - season] += amount / 1000;
             }
             delete contracts[i].amount;
             delete contracts[i].exp;
+            delete contracts[i].salaries;
         }
 
         vars.contracts = contracts;
@@ -0,0 +1,67 @@
+// @flow
+
+import Promise from 'bluebird';
+import g from '../globals';
+import bbgmViewReact from '../util/bbgmViewReact';
+import * as helpers from '../util/helpers';
+import * as lineups from '../util/lineups';
+import TeamLineups from './views/TeamLineups';
+
+function get(ctx) {
+    const [tid, abbrev] = helpers.validateAbbrev(ctx.params.abbrev);
+
+    return {
+        abbrev,
+        playoffs: ctx.params.playoffs !== undefined ? ctx.params.playoffs : "regular_season",
+        season: helpers.validateSeason(ctx.params.season),
+        tid,
+    };
+}
+
+async function updateLineups(inputs, updateEvents, state) {
+    if (updateEvents.includes('dbChange') || (inputs.season === g.season && updateEvents.includes('gameSim')) || inputs.abbrev !== state.abbrev || inputs.season !== state.season || inputs.playoffs !== state.playoffs) {
+        const teamStatsArray = await g.dbl.teamStats.index("season, tid").getAll([inputs.season, inputs.tid]);
+        const teamStats = teamStatsArray.find(ts => ts.playoffs === (inputs.playoffs === "playoffs"));
+        const teamLineups = teamStats !== undefined && teamStats.lineups !== undefined ? teamStats.lineups : {};
+
+        const rows = Object.keys(teamLineups).map(key => {
+            return Object.assign({
+                key,
+                pids: lineups.getPids(key),
+            }, teamLineups[key]);
+        });
+
+        const pids = Array.from(new Set([].concat(...rows.map(row => row.pids))));
+        const names = {};
+        await Promise.all(pids.map(async pid => {
+            const p = await g.dbl.players.get(pid);
+            names[pid] = p !== undefined ? `${p.firstName} ${p.lastName}` : "Unknown";
+        }));
+
+        const onOff = pids.map(pid => {
+            const {off, on} = lineups.onOff(teamLineups, pid);
+            return {
+                name: names[pid],
+                off,
+                on,
+                pid,
+            };
+        });
+
+        return {
+            abbrev: inputs.abbrev,
+            lineups: rows,
+            names,
+            onOff,
+            playoffs: inputs.playoffs,
+            season: inputs.season,
+        };
+    }
+}
+
+export default bbgmViewReact.init({
+    id: "teamLineups",
+    get,
+    runBefore: [updateLineups],
+    Component: TeamLineups,
+});
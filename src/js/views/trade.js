@@ -157,6 +157,9 @@ async function updateTrade() {
     vars.teams.splice(g.userTid, 1); // Can't trade with yourself
     vars.userTeamName = `${g.teamRegionsCache[g.userTid]} ${g.teamNamesCache[g.userTid]}`;
 
+    vars.daysUntilTradeDeadline = await trade.getDaysUntilDeadline();
+    vars.untradableGamesAfterSigning = g.untradableGamesAfterSigning;
+
     // If the season is over, can't trade players whose contracts are expired
     if (g.phase > g.PHASE.PLAYOFFS && g.phase < g.PHASE.FREE_AGENCY) {
         vars.showResigningMsg = true;
@@ -0,0 +1,124 @@
+// @flow
+
+import g from '../globals';
+import * as player from '../core/player';
+import bbgmViewReact from '../util/bbgmViewReact';
+import TradeSummary from './views/TradeSummary';
+import type {CompletedTrade} from '../util/types';
+
+function get(ctx) {
+    return {
+        trid: ctx.params.trid !== undefined ? parseInt(ctx.params.trid, 10) : undefined,
+    };
+}
+
+// Win shares in each regular season the player spent with tid, starting with the season of the trade. Stats rows from before win shares were calculated count as 0.
+const getWSBySeason = (p, tid: number, season: number) => {
+    const wsBySeason = {};
+    for (const ps of p.stats) {
+        if (ps.tid === tid && ps.season >= season && !ps.playoffs) {
+            wsBySeason[ps.season] = (wsBySeason[ps.season] || 0) + (ps.ws !== undefined ? ps.ws : 0);
+        }
+    }
+    return wsBySeason;
+};
+
+const sumValues = (obj: {[key: string]: number}) => Object.keys(obj).reduce((memo, key) => memo + obj[key], 0);
+
+async function updateTradeSummary(inputs) {
+    // Update every time, because stats and player values change over time
+    const tr: ?CompletedTrade = inputs.trid !== undefined ? await g.dbl.trades.get(inputs.trid) : undefined;
+    if (!tr) {
+        return {
+            trid: inputs.trid,
+            teams: [],
+        };
+    }
+
+    const seasons = [];
+    for (let season = tr.season; season <= g.season; season++) {
+        seasons.push(season);
+    }
+
+    // Each team's section shows what it received, which is what the other team gave up
+    const teams = await Promise.all([0, 1].map(async j => {
+        const k = j === 0 ? 1 : 0;
+        const tid = tr.teams[j].tid;
+        const gave = tr.teams[k];
+
+        // Players might be missing if they were removed with Delete Old Data
+        let players = await Promise.all(gave.players.map(p => g.dbl.players.get(p.pid)));
+        players = await player.withStats(null, players.filter(p => p !== undefined), {statsSeasons: "all"});
+
+        const playersReceived = gave.players.map(pAtTrade => {
+            const p = players.find(p2 => p2.pid === pAtTrade.pid);
+            const wsBySeason = p ? getWSBySeason(p, tid, tr.season) : {};
+            return Object.assign({}, pAtTrade, {
+                wsBySeason,
+                ws: sumValues(wsBySeason),
+                retired: p ? p.tid === g.PLAYER.RETIRED : true,
+                valueNow: p ? p.value : null,
+            });
+        });
+
+        // Find who was drafted with each pick. Picks are deleted when they are used, so look for a matching player.
+        const picksReceived = await Promise.all(gave.picks.map(async dp => {
+            let draftee = null;
+            if (typeof dp.season === 'number') {
+                const draftClass = await g.dbl.players.index('draft.year').getAll(dp.season);
+                const p = draftClass.find(p2 => p2.draft.round === dp.round && p2.draft.originalTid === dp.originalTid);
+                if (p) {
+                    const pWithStats = (await player.withStats(null, [p], {statsSeasons: "all"}))[0];
+                    const wsBySeason = getWSBySeason(pWithStats, tid, tr.season);
+                    draftee = {
+                        pid: p.pid,
+                        name: `${p.firstName} ${p.lastName}`,
+                        pick: p.draft.pick,
+                        draftedByTid: p.draft.tid,
+                        wsBySeason,
+                        ws: sumValues(wsBySeason),
+                        retired: p.tid === g.PLAYER.RETIRED,
+                        valueNow: p.value,
+                    };
+                }
+            }
+
+            return Object.assign({}, dp, {
+                draftee,
+            });
+        }));
+
+        const wsBySeason = {};
+        for (const season of seasons) {
+            wsBySeason[season] = playersReceived.reduce((memo, p) => memo + (p.wsBySeason[season] || 0), 0) +
+                picksReceived.reduce((memo, dp) => memo + (dp.draftee && dp.draftee.wsBySeason[season] ? dp.draftee.wsBySeason[season] : 0), 0);
+        }
+
+        return {
+            abbrev: g.teamAbbrevsCache[tid],
+            name: g.teamNamesCache[tid],
+            picks: picksReceived,
+            players: playersReceived,
+            region: g.teamRegionsCache[tid],
+            tid,
+            ws: sumValues(wsBySeason),
+            wsBySeason,
+        };
+    }));
+
+    return {
+        day: tr.day,
+        phase: tr.phase,
+        season: tr.season,
+        seasons,
+        teams,
+        trid: tr.trid,
+    };
+}
+
+export default bbgmViewReact.init({
+    id: "tradeSummary",
+    get,
+    runBefore: [updateTradeSummary],
+    Component: TradeSummary,
+});
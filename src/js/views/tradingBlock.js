@@ -34,9 +34,13 @@ async function updateUserRoster(inputs, updateEvents) {
             userPicks[i].desc = helpers.pickDesc(userPicks[i]);
         }
 
+        const daysUntilTradeDeadline = await trade.getDaysUntilDeadline();
+
         return {
+            daysUntilTradeDeadline,
             gameOver: g.gameOver,
             phase: g.phase,
+            untradableGamesAfterSigning: g.untradableGamesAfterSigning,
             userPicks,
             userRoster,
         };
@@ -70,7 +70,7 @@ async function updateEventLog(inputs, updateEvents, state) {
             events = events.filter(event => event.tids !== undefined && event.tids.includes(inputs.tid));
         }
         if (inputs.eventType === "all") {
-            events = events.filter(event => event.type === 'reSigned' || event.type === 'release' || event.type === 'trade' || event.type === 'freeAgent' || event.type === 'draft');
+            events = events.filter(event => event.type === 'reSigned' || event.type === 'release' || event.type === 'trade' || event.type === 'freeAgent' || event.type === 'draft' || event.type === 'contractOption');
         } else {
             events = events.filter(event => event.type === inputs.eventType);
         }
@@ -0,0 +1,203 @@
+import React from 'react';
+import bbgmViewReact from '../../util/bbgmViewReact';
+import * as helpers from '../../util/helpers';
+import {DraftAbbrev, Dropdown, HelpPopover, NewWindowLink, PlayerNameLabels} from '../components';
+
+// Default what-if decision for a player, which is to do nothing
+const defaultDecision = p => (p.capHold > 0 ? 'hold' : 'keep');
+
+// Salaries (in thousands of dollars) for each season of the projection, given a decision about a player
+const getAmounts = (p, decision, seasons) => {
+    if (decision === 'release') {
+        // Players who were just drafted can be released for free, everyone else is still owed their contract
+        return p.justDrafted ? seasons.map(() => 0) : p.amounts;
+    }
+    if (decision === 'hold') {
+        return p.amounts.map((amount, i) => (seasons[i] === p.exp + 1 ? amount + p.capHold : amount));
+    }
+    if (decision === 'resign') {
+        return p.amounts.map((amount, i) => amount + p.resignAmounts[i]);
+    }
+    return p.amounts;
+};
+
+const formatAmount = amount => (amount > 0 ? helpers.formatCurrency(amount / 1000, 'M') : null);
+
+const highlightNegative = amount => <span className={amount < 0 ? 'text-danger' : ''}>{helpers.formatCurrency(amount / 1000, 'M')}</span>;
+
+class CapPlanner extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            decisions: {},
+        };
+        this.handleReset = this.handleReset.bind(this);
+    }
+
+    componentWillReceiveProps(nextProps) {
+        if (nextProps.tid !== this.props.tid) {
+            this.setState({decisions: {}});
+        }
+    }
+
+    getDecision(p) {
+        return this.state.decisions.hasOwnProperty(p.pid) ? this.state.decisions[p.pid] : defaultDecision(p);
+    }
+
+    handleDecision(pid, e) {
+        this.setState({
+            decisions: Object.assign({}, this.state.decisions, {[pid]: e.target.value}),
+        });
+    }
+
+    handleReset() {
+        this.setState({decisions: {}});
+    }
+
+    render() {
+        const {abbrev, contracts, draftPicks, luxuryPayroll, minPayroll, name, region, salaryCap, seasons, tid} = this.props;
+
+        bbgmViewReact.title(`${region} ${name} Cap Planner`);
+
+        const totals = seasons.map(() => 0);
+        const addToTotals = amounts => {
+            for (let i = 0; i < seasons.length; i++) {
+                totals[i] += amounts[i];
+            }
+        };
+
+        const playerRows = contracts.map(p => {
+            const decision = p.released ? 'keep' : this.getDecision(p);
+            const amounts = getAmounts(p, decision, seasons);
+            addToTotals(amounts);
+
+            const deadMoney = p.released || decision === 'release';
+
+            let select = null;
+            if (!p.released) {
+                select = <select className="form-control input-sm" onChange={e => this.handleDecision(p.pid, e)} value={decision}>
+                    {p.capHold > 0 ? <option value="hold">Cap hold after {p.exp}</option> : <option value="keep">Keep</option>}
+                    {p.capHold > 0 ? <option value="resign">Re-sign</option> : null}
+                    {p.capHold > 0 ? <option value="renounce">Renounce</option> : null}
+                    <option value="release">Release</option>
+                </select>;
+            }
+
+            return <tr key={p.pid}>
+                <td>
+                    <PlayerNameLabels
+                        injury={p.injury}
+                        pid={p.pid}
+                        skills={p.skills}
+                        style={{fontStyle: deadMoney ? 'italic' : 'normal'}}
+                        watch={p.watch}
+                    >{p.firstName} {p.lastName}</PlayerNameLabels>
+                </td>
+                <td>{select}</td>
+                {amounts.map((amount, i) => {
+                    let className = '';
+                    if (deadMoney) {
+                        className = 'text-danger';
+                    } else if (amount > p.amounts[i]) {
+                        // Cap hold or new contract
+                        className = 'text-muted';
+                    }
+                    return <td key={seasons[i]} className={className}>{formatAmount(amount)}</td>;
+                })}
+            </tr>;
+        });
+
+        const pickRows = draftPicks.map(dp => {
+            addToTotals(dp.amounts);
+
+            return <tr key={dp.dpid}>
+                <td>
+                    {dp.season} {helpers.ordinal(dp.round)} round pick <DraftAbbrev originalTid={dp.originalTid} season={dp.season} tid={tid} />
+                </td>
+                <td>Projected #{dp.pick}</td>
+                {dp.amounts.map((amount, i) => <td key={seasons[i]}>{formatAmount(amount)}</td>)}
+            </tr>;
+        });
+
+        return <div>
+            <Dropdown view="cap_planner" fields={["teams"]} values={[abbrev]} />
+            <h1>{region} {name} Cap Planner <NewWindowLink /></h1>
+
+            <p>More: <a href={helpers.leagueUrl(['team_finances', abbrev])}>Finances</a> | <a href={helpers.leagueUrl(['roster', abbrev])}>Roster</a> | <a href={helpers.leagueUrl(['draft_scouting'])}>Draft Scouting</a></p>
+
+            <p>
+                Projected payroll for the next {seasons.length} seasons, including players under contract, money still owed to released players (<span className="text-danger"><i>in red</i></span>), and rookie contracts for draft picks. Use the menus to see what happens if you re-sign or release players. Nothing here is saved. <HelpPopover placement="bottom" title="Cap Planner">
+                    <p>When a player's contract expires, his cap hold is what he would ask for in a new contract, and it counts against the cap until you re-sign or renounce him.</p>
+                    <p>Released players are still owed the rest of their contract, unless they were just drafted.</p>
+                    <p>Rookie contracts for draft picks are based on where the pick would be if the draft was held today.</p>
+                </HelpPopover>
+            </p>
+
+            <p><button className="btn btn-default" onClick={this.handleReset}>Reset</button></p>
+
+            <div className="table-responsive">
+                <table className="table table-striped table-bordered table-condensed">
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>What If</th>
+                            {seasons.map(season => <th key={season}>{season}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {playerRows}
+                        {pickRows}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th colSpan="2">Total</th>
+                            {totals.map((amount, i) => <th key={seasons[i]}>{helpers.formatCurrency(amount / 1000, 'M')}</th>)}
+                        </tr>
+                        <tr>
+                            <th colSpan="2">Cap Space</th>
+                            {totals.map((amount, i) => <th key={seasons[i]}>{highlightNegative(salaryCap - amount)}</th>)}
+                        </tr>
+                        <tr>
+                            <th colSpan="2">Below Minimum Payroll</th>
+                            {totals.map((amount, i) => <th key={seasons[i]}>{amount < minPayroll ? highlightNegative(amount - minPayroll) : null}</th>)}
+                        </tr>
+                        <tr>
+                            <th colSpan="2">Room Under Luxury Tax</th>
+                            {totals.map((amount, i) => <th key={seasons[i]}>{highlightNegative(luxuryPayroll - amount)}</th>)}
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        </div>;
+    }
+}
+
+CapPlanner.propTypes = {
+    abbrev: React.PropTypes.string.isRequired,
+    contracts: React.PropTypes.arrayOf(React.PropTypes.shape({
+        amounts: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
+        capHold: React.PropTypes.number.isRequired,
+        exp: React.PropTypes.number.isRequired,
+        justDrafted: React.PropTypes.bool.isRequired,
+        pid: React.PropTypes.number.isRequired,
+        released: React.PropTypes.bool.isRequired,
+        resignAmounts: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
+    })).isRequired,
+    draftPicks: React.PropTypes.arrayOf(React.PropTypes.shape({
+        amounts: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
+        dpid: React.PropTypes.number.isRequired,
+        originalTid: React.PropTypes.number.isRequired,
+        pick: React.PropTypes.number.isRequired,
+        round: React.PropTypes.number.isRequired,
+        season: React.PropTypes.number.isRequired,
+    })).isRequired,
+    luxuryPayroll: React.PropTypes.number.isRequired,
+    minPayroll: React.PropTypes.number.isRequired,
+    name: React.PropTypes.string.isRequired,
+    region: React.PropTypes.string.isRequired,
+    salaryCap: React.PropTypes.number.isRequired,
+    seasons: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
+    tid: React.PropTypes.number.isRequired,
+};
+
+export default CapPlanner;
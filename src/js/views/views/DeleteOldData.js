@@ -42,9 +42,10 @@ class DeleteOldData extends React.Component {
             deleting: true,
         });
 
-        await g.dbl.tx(["games", "teams", "teamSeasons", "teamStats", "players", "playerStats"], "readwrite", async tx => {
+        await g.dbl.tx(["games", "playByPlay", "teams", "teamSeasons", "teamStats", "players", "playerShots", "playerStats"], "readwrite", async tx => {
             if (this.state.boxScores) {
                 await tx.games.clear();
+                await tx.playByPlay.clear();
             }
 
             if (this.state.teamHistory) {
@@ -75,6 +76,11 @@ class DeleteOldData extends React.Component {
                         return tx.playerStats.delete(ps.psid);
                     }
                 });
+                await tx.playerShots.iterate(row => {
+                    if (toDelete.includes(row.pid)) {
+                        return tx.playerShots.delete(row.rid);
+                    }
+                });
             } else if (this.state.retiredPlayersUnnotable) {
                 const toDelete = [];
 
@@ -89,6 +95,11 @@ class DeleteOldData extends React.Component {
                         return tx.playerStats.delete(ps.psid);
                     }
                 });
+                await tx.playerShots.iterate(row => {
+                    if (toDelete.includes(row.pid)) {
+                        return tx.playerShots.delete(row.rid);
+                    }
+                });
             }
 
             if (this.state.playerStats) {
@@ -101,6 +112,11 @@ class DeleteOldData extends React.Component {
                         return tx.playerStats.delete(ps.psid);
                     }
                 });
+                await tx.playerShots.iterate(row => {
+                    if (row.season < g.season) {
+                        return tx.playerShots.delete(row.rid);
+                    }
+                });
             } else if (this.state.playerStatsUnnotable) {
                 const toDelete = [];
 
@@ -116,6 +132,11 @@ class DeleteOldData extends React.Component {
                         return tx.playerStats.delete(ps.psid);
                     }
                 });
+                await tx.playerShots.iterate(row => {
+                    if (row.season < g.season && toDelete.includes(row.pid)) {
+                        return tx.playerShots.delete(row.rid);
+                    }
+                });
             }
         });
 
@@ -0,0 +1,340 @@
+import React from 'react';
+import g from '../../globals';
+import * as ui from '../../ui';
+import * as league from '../../core/league';
+import * as team from '../../core/team';
+import bbgmViewReact from '../../util/bbgmViewReact';
+import * as helpers from '../../util/helpers';
+import {HelpPopover, NewWindowLink, PlayerNameLabels} from '../components';
+
+// Minutes for all 5 positions in a 48 minute game
+const TOTAL_MIN = 5 * 48;
+
+const tacticsInfo = [{
+    key: 'pace',
+    name: 'Pace',
+    desc: 'More possessions per game. Tires players out faster.',
+    levels: ['Very Slow', 'Slow', 'Normal', 'Fast', 'Very Fast'],
+}, {
+    key: 'threePoint',
+    name: 'Three Pointers',
+    desc: 'How often good shooters look for a three.',
+    levels: ['Much Less', 'Less', 'Normal', 'More', 'Much More'],
+}, {
+    key: 'interior',
+    name: 'Interior Focus',
+    desc: 'Attack the rim and post up instead of taking mid range jumpers.',
+    levels: ['Much Less', 'Less', 'Normal', 'More', 'Much More'],
+}, {
+    key: 'pressure',
+    name: 'Defensive Pressure',
+    desc: 'Force more turnovers and steals, but commit more fouls and give up easier shots. Tires players out faster.',
+    levels: ['Very Low', 'Low', 'Normal', 'High', 'Very High'],
+}, {
+    key: 'crashBoards',
+    name: 'Crash Offensive Boards',
+    desc: 'Send more players after offensive rebounds. Tires players out faster.',
+    levels: ['Much Less', 'Less', 'Normal', 'More', 'Much More'],
+}];
+
+class GamePlan extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            dirty: false,
+            saving: false,
+            tactics: props.tactics,
+        };
+        this.handleSubmit = this.handleSubmit.bind(this);
+    }
+
+    componentWillReceiveProps(nextProps) {
+        if (!this.state.dirty) {
+            this.setState({
+                tactics: nextProps.tactics,
+            });
+        }
+    }
+
+    handleChange(key, e) {
+        this.setState({
+            dirty: true,
+            tactics: Object.assign({}, this.state.tactics, {
+                [key]: parseInt(e.target.value, 10),
+            }),
+        });
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        this.setState({saving: true});
+
+        await g.dbl.tx("teams", "readwrite", tx => team.setTactics(tx, this.props.userTid, this.state.tactics));
+
+        this.setState({
+            dirty: false,
+            saving: false,
+        });
+
+        ui.realtimeUpdate(["teamTactics"]);
+        league.updateLastDbChange();
+    }
+
+    render() {
+        return <form onSubmit={this.handleSubmit}>
+            <h2>Game Plan <HelpPopover placement="bottom" title="Game Plan">
+                <p>Your game plan changes how your team plays in every game. Pick settings that fit your players. A team full of athletes might want to play fast, while a team with good post players might want to focus on the interior.</p>
+                <p>AI coaches pick their game plans based on the skills of their players before each season.</p>
+            </HelpPopover></h2>
+            <div className="row">
+                {tacticsInfo.map(({desc, key, levels, name}) => <div className="col-sm-4 col-xs-6 form-group" key={key}>
+                    <label htmlFor={`tactics-${key}`}>{name}</label>
+                    <select
+                        id={`tactics-${key}`}
+                        className="form-control"
+                        onChange={e => this.handleChange(key, e)}
+                        value={this.state.tactics[key]}
+                    >
+                        {levels.map((level, i) => <option key={i} value={i - 2}>{level}</option>)}
+                    </select>
+                    <span className="help-block">{desc}</span>
+                </div>)}
+            </div>
+            <button className="btn btn-primary" disabled={!this.state.dirty || this.state.saving}>Save Game Plan</button>
+        </form>;
+    }
+}
+
+GamePlan.propTypes = {
+    tactics: React.PropTypes.shape({
+        crashBoards: React.PropTypes.number.isRequired,
+        interior: React.PropTypes.number.isRequired,
+        pace: React.PropTypes.number.isRequired,
+        pressure: React.PropTypes.number.isRequired,
+        threePoint: React.PropTypes.number.isRequired,
+    }).isRequired,
+    userTid: React.PropTypes.number.isRequired,
+};
+
+const stateFromProps = players => {
+    const targetMins = {};
+    for (const p of players) {
+        targetMins[p.pid] = p.targetMin === null ? "" : String(p.targetMin);
+    }
+
+    return {
+        closers: players.filter(p => p.closer).map(p => p.pid),
+        dirty: false,
+        error: null,
+        starters: players.slice(0, 5).map(p => p.pid),
+        targetMins,
+    };
+};
+
+class Depth extends React.Component {
+    constructor(props) {
+        super(props);
+
+        this.state = stateFromProps(props.players);
+
+        this.handleReset = this.handleReset.bind(this);
+        this.handleSave = this.handleSave.bind(this);
+    }
+
+    componentWillReceiveProps(nextProps) {
+        // Don't throw away unsaved changes when a game is played in the background
+        if (!this.state.dirty) {
+            this.setState(stateFromProps(nextProps.players));
+        }
+    }
+
+    handleToggle(key, pid) {
+        const pids = this.state[key];
+        if (pids.includes(pid)) {
+            this.setState({
+                [key]: pids.filter(pid2 => pid2 !== pid),
+                dirty: true,
+            });
+        } else {
+            this.setState({
+                [key]: pids.concat(pid),
+                dirty: true,
+            });
+        }
+    }
+
+    handleTargetMin(pid, event) {
+        this.setState({
+            dirty: true,
+            targetMins: Object.assign({}, this.state.targetMins, {
+                [pid]: event.target.value,
+            }),
+        });
+    }
+
+    async handleSave() {
+        const {closers, starters} = this.state;
+
+        if (starters.length !== Math.min(5, this.props.players.length)) {
+            this.setState({error: "Pick 5 starters."});
+            return;
+        }
+        if (closers.length !== 0 && closers.length !== 5) {
+            this.setState({error: "The closing lineup must have exactly 5 players, or none to let the coach decide."});
+            return;
+        }
+
+        const targetMins = {};
+        for (const p of this.props.players) {
+            const value = this.state.targetMins[p.pid];
+            if (value === "" || value === undefined) {
+                targetMins[p.pid] = null;
+            } else {
+                const targetMin = parseFloat(value);
+                if (isNaN(targetMin) || targetMin < 0 || targetMin > 48) {
+                    this.setState({error: `Target minutes for ${p.name} must be between 0 and 48.`});
+                    return;
+                }
+                targetMins[p.pid] = targetMin;
+            }
+        }
+
+        // Keep starters in roster order
+        const startersSorted = this.props.players.filter(p => starters.includes(p.pid)).map(p => p.pid);
+
+        await g.dbl.tx("players", "readwrite", tx => team.setDepthChart(tx, this.props.userTid, {
+            closers,
+            starters: startersSorted,
+            targetMins,
+        }));
+
+        this.setState({
+            dirty: false,
+            error: null,
+        });
+
+        ui.realtimeUpdate(["playerMovement"]);
+        league.updateLastDbChange();
+    }
+
+    async handleReset() {
+        const targetMins = {};
+        for (const p of this.props.players) {
+            targetMins[p.pid] = null;
+        }
+
+        await g.dbl.tx("players", "readwrite", tx => team.setDepthChart(tx, this.props.userTid, {
+            closers: [],
+            starters: this.state.starters,
+            targetMins,
+        }));
+
+        this.setState({
+            dirty: false,
+            error: null,
+        });
+
+        ui.realtimeUpdate(["playerMovement"]);
+        league.updateLastDbChange();
+    }
+
+    render() {
+        const {players} = this.props;
+        const {closers, starters} = this.state;
+
+        bbgmViewReact.title('Depth Chart');
+
+        let totalMin = 0;
+        let numAuto = 0;
+        for (const p of players) {
+            const targetMin = parseFloat(this.state.targetMins[p.pid]);
+            if (isNaN(targetMin)) {
+                numAuto += 1;
+            } else {
+                totalMin += targetMin;
+            }
+        }
+
+        let minutesWarning = null;
+        if (numAuto === 0 && Math.abs(totalMin - TOTAL_MIN) > 0.5) {
+            minutesWarning = <p className="text-danger">Target minutes should add up to {TOTAL_MIN}, but they add up to {helpers.round(totalMin)}.</p>;
+        } else if (totalMin > TOTAL_MIN) {
+            minutesWarning = <p className="text-danger">Target minutes add up to {helpers.round(totalMin)}, which is more than the {TOTAL_MIN} available.</p>;
+        }
+
+        return <div>
+            <h1>Depth Chart <NewWindowLink /></h1>
+
+            <p>
+                Pick a starting five, target minutes for each player, and a closing lineup for clutch time (the last 5 minutes of close games). Leave target minutes blank to let your coach decide, or set them to 0 to only play someone when nobody else is available. Injuries, fouls and fatigue still come first. <HelpPopover placement="bottom" title="Depth chart">
+                    <p>Target minutes are for a 48 minute game. Your coach will try to keep each player on pace for his target, so a player who sits early will get more minutes later.</p>
+                    <p>The playing time modifiers on the <a href={helpers.leagueUrl(['roster'])}>Roster</a> page still apply on top of this. Starters are moved to the top of your roster when you save.</p>
+                </HelpPopover>
+            </p>
+
+            <div className="table-responsive">
+                <table className="table table-striped table-bordered table-condensed">
+                    <thead>
+                        <tr>
+                            <th>Starter</th>
+                            <th title="Closing Lineup">Closer</th>
+                            <th>Name</th>
+                            <th title="Position">Pos</th>
+                            <th>Age</th>
+                            <th title="Overall Rating">Ovr</th>
+                            <th title="Minutes Per Game">MPG</th>
+                            <th title="Target Minutes Per 48 Minutes">Target Min</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {players.map(p => <tr key={p.pid} className={starters.includes(p.pid) ? 'info' : null}>
+                            <td><input type="checkbox" checked={starters.includes(p.pid)} onChange={() => this.handleToggle('starters', p.pid)} /></td>
+                            <td><input type="checkbox" checked={closers.includes(p.pid)} onChange={() => this.handleToggle('closers', p.pid)} /></td>
+                            <td>
+                                <PlayerNameLabels
+                                    injury={p.injury}
+                                    pid={p.pid}
+                                    skills={p.ratings.skills}
+                                >{p.name}</PlayerNameLabels>
+                            </td>
+                            <td>{p.ratings.pos}</td>
+                            <td>{p.age}</td>
+                            <td>{p.ratings.ovr}</td>
+                            <td>{helpers.round(p.stats.min, 1)}</td>
+                            <td>
+                                <input
+                                    type="number"
+                                    className="form-control input-sm"
+                                    min="0"
+                                    max="48"
+                                    placeholder="Auto"
+                                    style={{width: '80px'}}
+                                    value={this.state.targetMins[p.pid]}
+                                    onChange={event => this.handleTargetMin(p.pid, event)}
+                                />
+                            </td>
+                        </tr>)}
+                    </tbody>
+                </table>
+            </div>
+
+            <p>Starters: {starters.length} of 5. Closing lineup: {closers.length === 0 ? "automatic" : `${closers.length} of 5`}. Target minutes: {helpers.round(totalMin)} of {TOTAL_MIN}{numAuto > 0 ? `, plus ${numAuto} automatic` : null}.</p>
+            {minutesWarning}
+            {this.state.error ? <p className="alert alert-danger">{this.state.error}</p> : null}
+
+            <button className="btn btn-primary" disabled={!this.state.dirty} onClick={this.handleSave} style={{margin: '5px 5px 5px 0'}}>Save Depth Chart</button>
+            <button className="btn btn-default" onClick={this.handleReset} style={{margin: '5px 5px 5px 0'}}>Reset To Automatic</button>
+
+            <GamePlan tactics={this.props.tactics} userTid={this.props.userTid} />
+        </div>;
+    }
+}
+
+Depth.propTypes = {
+    players: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
+    tactics: React.PropTypes.object.isRequired,
+    userTid: React.PropTypes.number.isRequired,
+};
+
+export default Depth;
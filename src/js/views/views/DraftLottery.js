@@ -0,0 +1,189 @@
+import React from 'react';
+import g from '../../globals';
+import * as ui from '../../ui';
+import * as draft from '../../core/draft';
+import * as league from '../../core/league';
+import bbgmViewReact from '../../util/bbgmViewReact';
+import * as helpers from '../../util/helpers';
+import {DraftAbbrev, Dropdown, JumpTo, NewWindowLink} from '../components';
+
+// Milliseconds between revealing each pick
+const REVEAL_DELAY = 1500;
+
+class DraftLottery extends React.Component {
+    constructor(props) {
+        super(props);
+
+        // Everything is revealed by default, unless the lottery is run from this page
+        this.state = {
+            numRevealed: props.result !== undefined ? props.result.length : 0,
+            revealing: false,
+            running: false,
+        };
+
+        this.handleRunLottery = this.handleRunLottery.bind(this);
+        this.handleReplay = this.handleReplay.bind(this);
+        this.handleShowAll = this.handleShowAll.bind(this);
+    }
+
+    componentWillReceiveProps(nextProps) {
+        if (nextProps.result === undefined) {
+            this.stopRevealing();
+            this.setState({numRevealed: 0, revealing: false});
+        } else if (this.state.running) {
+            // Lottery was just run from this page
+            this.setState({running: false}, () => this.startRevealing());
+        } else if (!this.state.revealing) {
+            this.setState({numRevealed: nextProps.result.length});
+        }
+    }
+
+    componentWillUnmount() {
+        this.stopRevealing();
+    }
+
+    startRevealing() {
+        this.stopRevealing();
+        this.setState({numRevealed: 0, revealing: true});
+
+        const revealNext = () => {
+            const numRevealed = this.state.numRevealed + 1;
+            if (numRevealed >= this.props.result.length) {
+                this.setState({numRevealed, revealing: false});
+                this.timeoutId = undefined;
+            } else {
+                this.setState({numRevealed});
+                this.timeoutId = setTimeout(revealNext, REVEAL_DELAY);
+            }
+        };
+        this.timeoutId = setTimeout(revealNext, REVEAL_DELAY);
+    }
+
+    stopRevealing() {
+        if (this.timeoutId !== undefined) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = undefined;
+        }
+    }
+
+    async handleRunLottery() {
+        this.setState({running: true});
+
+        await g.dbl.tx(["draftLotteryResults", "draftOrder", "draftPicks", "teams", "teamSeasons"], "readwrite", tx => draft.genOrder(tx));
+
+        ui.realtimeUpdate(["dbChange"]);
+        league.updateLastDbChange();
+    }
+
+    handleReplay() {
+        this.startRevealing();
+    }
+
+    handleShowAll() {
+        this.stopRevealing();
+        this.setState({numRevealed: this.props.result.length, revealing: false});
+    }
+
+    renderOdds() {
+        const {odds, season} = this.props;
+
+        return <div className="table-responsive">
+            <table className="table table-striped table-bordered table-condensed">
+                <thead>
+                    <tr>
+                        <th>Team</th>
+                        <th>Record</th>
+                        {odds.map((t, i) => <th key={i}>{helpers.ordinal(i + 1)}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {odds.map(t => <tr key={t.originalTid} className={t.tid === g.userTid ? 'info' : ''}>
+                        <td><DraftAbbrev originalTid={t.originalTid} season={season} tid={t.tid} /></td>
+                        <td>{t.won}-{t.lost}</td>
+                        {odds.map((t2, i) => <td key={i}>{t.odds[i] > 0 ? `${helpers.round(100 * t.odds[i], 1)}%` : null}</td>)}
+                    </tr>)}
+                </tbody>
+            </table>
+        </div>;
+    }
+
+    renderResult() {
+        const {result, season} = this.props;
+        const {numRevealed} = this.state;
+
+        // Picks are revealed from last to first, like on TV
+        const sorted = result.slice().sort((a, b) => a.pick - b.pick);
+
+        return <table className="table table-striped table-bordered table-condensed" style={{width: 'auto'}}>
+            <thead>
+                <tr><th>Pick</th><th>Team</th><th>Record</th><th>Chance of #1</th></tr>
+            </thead>
+            <tbody>
+                {sorted.map((t, i) => {
+                    const revealed = i >= sorted.length - numRevealed;
+                    return <tr key={t.originalTid} className={revealed && t.tid === g.userTid ? 'info' : ''}>
+                        <td>{t.pick}</td>
+                        {revealed ? <td><DraftAbbrev originalTid={t.originalTid} season={season} tid={t.tid} /></td> : <td>?</td>}
+                        <td>{revealed ? `${t.won}-${t.lost}` : null}</td>
+                        <td>{revealed ? `${helpers.round(t.chances, 1)}%` : null}</td>
+                    </tr>;
+                })}
+            </tbody>
+        </table>;
+    }
+
+    render() {
+        const {canRunLottery, lotteryTypeText, odds, result, season} = this.props;
+        const {revealing, running} = this.state;
+
+        bbgmViewReact.title(`${season} Draft Lottery`);
+
+        let contents;
+        if (result !== undefined) {
+            contents = <div>
+                <p>
+                    {revealing ? <button className="btn btn-default" onClick={this.handleShowAll}>Show All</button> : <button className="btn btn-default" onClick={this.handleReplay}>Replay Lottery</button>}
+                </p>
+                {this.renderResult()}
+            </div>;
+        } else if (odds !== undefined) {
+            contents = <div>
+                <p>These are the chances of each team getting each pick, based on the current standings and 2000 simulated lotteries.</p>
+                {canRunLottery ? <p>
+                    <button className="btn btn-success" disabled={running} onClick={this.handleRunLottery}>Start Lottery</button>
+                </p> : <p>The lottery can be run here once the playoffs are over.</p>}
+                {this.renderOdds()}
+            </div>;
+        } else {
+            contents = <p>There is no draft lottery data for this season.</p>;
+        }
+
+        return <div>
+            <Dropdown view="draft_lottery" fields={["seasons"]} values={[season]} />
+            <JumpTo season={season} />
+            <h1>{season} Draft Lottery <NewWindowLink /></h1>
+
+            <p>More: <a href={helpers.leagueUrl(['draft_summary', season])}>Draft Summary</a> | <a href={helpers.leagueUrl(['draft_scouting'])}>Future Draft Scouting</a></p>
+
+            {lotteryTypeText !== undefined ? <p>The draft order is determined by {lotteryTypeText}.</p> : null}
+
+            {contents}
+        </div>;
+    }
+}
+
+DraftLottery.propTypes = {
+    canRunLottery: React.PropTypes.bool.isRequired,
+    lotteryTypeText: React.PropTypes.string,
+    odds: React.PropTypes.arrayOf(React.PropTypes.shape({
+        lost: React.PropTypes.number.isRequired,
+        odds: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
+        originalTid: React.PropTypes.number.isRequired,
+        tid: React.PropTypes.number.isRequired,
+        won: React.PropTypes.number.isRequired,
+    })),
+    result: React.PropTypes.arrayOf(React.PropTypes.object),
+    season: React.PropTypes.number.isRequired,
+};
+
+export default DraftLottery;
@@ -5,7 +5,7 @@ import getCols from '../../util/getCols';
 import * as helpers from '../../util/helpers';
 import {DataTable, DraftAbbrev, Dropdown, JumpTo, NewWindowLink, SkillsBlock} from '../components';
 
-const DraftSummary = ({players, season}) => {
+const DraftSummary = ({draftLotteryResult, lotteryTypeText, players, season}) => {
     bbgmViewReact.title(`${season} Draft Summary`);
 
     const superCols = [{
@@ -61,7 +61,24 @@ const DraftSummary = ({players, season}) => {
         <JumpTo season={season} />
         <h1>{season} Draft Summary <NewWindowLink /></h1>
 
-        <p>More: <a href={helpers.leagueUrl(['draft_scouting'])}>Future Draft Scouting</a></p>
+        <p>More: <a href={helpers.leagueUrl(['draft_lottery', season])}>Draft Lottery</a> | <a href={helpers.leagueUrl(['draft_scouting'])}>Future Draft Scouting</a></p>
+
+        {draftLotteryResult !== undefined ? <div>
+            <p>The order of this draft was determined by {lotteryTypeText}.</p>
+            {draftLotteryResult.result.length > 0 ? <table className="table table-striped table-bordered table-condensed" style={{width: 'auto'}}>
+                <thead>
+                    <tr><th>Team</th><th>Record</th><th>Chance of #1</th><th>Pick</th></tr>
+                </thead>
+                <tbody>
+                    {draftLotteryResult.result.map(t => <tr key={t.originalTid} className={t.tid === g.userTid ? 'info' : ''}>
+                        <td><DraftAbbrev originalTid={t.originalTid} season={season} tid={t.tid} /></td>
+                        <td>{t.won}-{t.lost}</td>
+                        <td>{helpers.round(t.chances, 1)}%</td>
+                        <td>{t.pick}</td>
+                    </tr>)}
+                </tbody>
+            </table> : null}
+        </div> : null}
 
         <p>Players drafted by your team are <span className="text-info">highlighted in blue</span>. Players in the Hall of Fame are <span className="text-danger">highlighted in red</span>.</p>
 
@@ -76,6 +93,11 @@ const DraftSummary = ({players, season}) => {
 };
 
 DraftSummary.propTypes = {
+    draftLotteryResult: React.PropTypes.shape({
+        draftType: React.PropTypes.string.isRequired,
+        result: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
+    }),
+    lotteryTypeText: React.PropTypes.string,
     players: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
     season: React.PropTypes.number.isRequired,
 };
@@ -10,9 +10,9 @@ const categories = [{
     desc: "All player info, ratings, and awards - but not stats!",
     checked: true,
 }, {
-    objectStores: "playerStats",
+    objectStores: "playerStats,playerShots",
     name: "Player Stats",
-    desc: "All player stats.",
+    desc: "All player stats and shot locations.",
     checked: true,
 }, {
     objectStores: "teams,teamSeasons,teamStats",
@@ -25,17 +25,17 @@ const categories = [{
     desc: "Current regular season schedule and playoff series.",
     checked: true,
 }, {
-    objectStores: "draftPicks",
+    objectStores: "draftPicks,draftLotteryResults",
     name: "Draft Picks",
-    desc: "Traded draft picks.",
+    desc: "Traded draft picks and past draft lottery results.",
     checked: true,
 }, {
-    objectStores: "trade,negotiations,gameAttributes,draftOrder,messages,events,playerFeats",
+    objectStores: "trade,negotiations,gameAttributes,draftOrder,messages,events,trades,playerFeats",
     name: "Game State",
     desc: "Interactions with the owner, current contract negotiations, current game phase, etc. Useful for saving or backing up a game, but not for creating custom rosters to share.",
     checked: true,
 }, {
-    objectStores: "games",
+    objectStores: "games,playByPlay",
     name: "Box Scores",
     desc: <span className="text-danger">If you've played more than a few seasons, this takes up a ton of space!</span>,
     checked: false,
@@ -46,7 +46,7 @@ function genFilename(data) {
 
     let filename = `BBGM_${leagueName.replace(/[^a-z0-9]/gi, '_')}_${g.season}_${g.PHASE_TEXT[g.phase].replace(/[^a-z0-9]/gi, '_')}`;
 
-    if (g.phase === g.PHASE.REGULAR_SEASON && data.hasOwnProperty("teams")) {
+    if ((g.phase === g.PHASE.REGULAR_SEASON || g.phase === g.PHASE.AFTER_TRADE_DEADLINE) && data.hasOwnProperty("teams")) {
         const season = data.teams[g.userTid].seasons[data.teams[g.userTid].seasons.length - 1];
         filename += `_${season.won}-${season.lost}`;
     }
@@ -55,11 +55,18 @@ function genFilename(data) {
         // Most recent series info
         const playoffSeries = data.playoffSeries[data.playoffSeries.length - 1];
         const rnd = playoffSeries.currentRound;
-        filename += `_Round_${playoffSeries.currentRound + 1}`;
+        if (rnd < 0) {
+            filename += "_Play_In";
+        } else {
+            filename += `_Round_${playoffSeries.currentRound + 1}`;
+        }
 
-        // Find the latest playoff series with the user's team in it
+        // Find the latest playoff series with the user's team in it, ignoring byes since there is no score
         const series = playoffSeries.series;
-        for (let i = 0; i < series[rnd].length; i++) {
+        for (let i = 0; rnd >= 0 && i < series[rnd].length; i++) {
+            if (series[rnd][i].away === undefined) {
+                continue;
+            }
             if (series[rnd][i].home.tid === g.userTid) {
                 filename += `_${series[rnd][i].home.won}-${series[rnd][i].away.won}`;
             } else if (series[rnd][i].away.tid === g.userTid) {
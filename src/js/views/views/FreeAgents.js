@@ -10,7 +10,7 @@ import {DataTable, HelpPopover, NewWindowLink, PlayerNameLabels} from '../compon
 const FreeAgents = ({capSpace, gamesInProgress, minContract, numRosterSpots, phase, players}) => {
     bbgmViewReact.title('Free Agents');
 
-    if (phase >= g.PHASE.AFTER_TRADE_DEADLINE && phase <= g.PHASE.RESIGN_PLAYERS) {
+    if (phase >= g.PHASE.PLAYOFFS && phase <= g.PHASE.RESIGN_PLAYERS) {
         return <div>
             <h1>Error</h1>
             <p>You're not allowed to sign free agents now.</p>
@@ -1,6 +1,7 @@
 import classNames from 'classnames';
 import React from 'react';
 import * as ui from '../../ui';
+import {replayGame} from '../../util/actions';
 import bbgmViewReact from '../../util/bbgmViewReact';
 import * as helpers from '../../util/helpers';
 import {Dropdown, NewWindowLink, PlayerNameLabels} from '../components';
@@ -99,6 +100,21 @@ class BoxScore extends React.Component {
                                     </tr>)}
                                 </tbody>
                             </table>
+                            {boxScore.teams[0].pfQtrs !== undefined ? <table className="table table-bordered table-condensed" style={{margin: '0 auto'}}>
+                                <thead>
+                                    <tr>
+                                        <th title="Team fouls by period">Fouls</th>
+                                        {boxScore.qtrs.map(qtr => <th key={qtr}>{qtr}</th>)}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {boxScore.teams.map(t => <tr key={t.abbrev}>
+                                        <th>{t.abbrev}</th>
+                                        {t.pfQtrs.map((pf, i) => <td key={i}>{pf}</td>)}
+                                        <th>{t.pf}</th>
+                                    </tr>)}
+                                </tbody>
+                            </table> : null}
                         </div>
                         <div className="game-log-four-factors">
                             <table className="table table-bordered table-condensed" style={{margin: '0 auto'}}>
@@ -129,6 +145,7 @@ class BoxScore extends React.Component {
                         >Next</a>
                     </td></tr></tbody>
                 </table>
+                {boxScore.hasPlayByPlay ? <button className="btn btn-default" onClick={() => replayGame(boxScore.gid)} style={{marginTop: '1em'}}>Replay Play-By-Play</button> : null}
             </center>
 
             {boxScore.teams.map(t => <div key={t.abbrev}>
@@ -209,7 +226,7 @@ const GameLog = ({abbrev, boxScore, gamesList = {games: []}, season}) => {
         <Dropdown view="game_log" extraParam={boxScore.gid} fields={["teams", "seasons"]} values={[abbrev, season]} />
         <h1>Game Log <NewWindowLink /></h1>
 
-        <p>More: <a href={helpers.leagueUrl(['roster', abbrev, season])}>Roster</a> | <a href={helpers.leagueUrl(['team_finances', abbrev])}>Finances</a> | <a href={helpers.leagueUrl(['team_history', abbrev])}>History</a> | <a href={helpers.leagueUrl(['transactions', abbrev])}>Transactions</a></p>
+        <p>More: <a href={helpers.leagueUrl(['roster', abbrev, season])}>Roster</a> | <a href={helpers.leagueUrl(['team_lineups', abbrev, season])}>Lineups</a> | <a href={helpers.leagueUrl(['team_finances', abbrev])}>Finances</a> | <a href={helpers.leagueUrl(['team_history', abbrev])}>History</a> | <a href={helpers.leagueUrl(['transactions', abbrev])}>Transactions</a></p>
 
         <p />
         <div className="row">
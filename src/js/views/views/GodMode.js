@@ -7,51 +7,111 @@ import * as helpers from '../../util/helpers';
 import logEvent from '../../util/logEvent';
 import {HelpPopover, NewWindowLink} from '../components';
 
+// Rules from the form, in the format they're stored in game attributes
+const parseRules = state => {
+    let foulsUntilBonus = state.foulsUntilBonus.split(",").map(x => parseInt(x, 10));
+    if (foulsUntilBonus.length !== 3 || foulsUntilBonus.some(x => Number.isNaN(x))) {
+        foulsUntilBonus = state.foulsUntilBonusPrev;
+    }
+
+    return {
+        numPeriods: parseInt(state.numPeriods, 10),
+        quarterLength: parseFloat(state.quarterLength),
+        overtimeLength: parseFloat(state.overtimeLength),
+        shotClock: parseInt(state.shotClock, 10),
+        foulsNeededToFoulOut: parseInt(state.foulsNeededToFoulOut, 10),
+        foulsUntilBonus,
+        threePointDistance: parseFloat(state.threePointDistance),
+    };
+};
+
 class GodMode extends React.Component {
     constructor(props) {
         super(props);
         this.state = {
             dirty: false,
             disableInjuries: String(props.disableInjuries),
+            draftLotteryCustomChances: props.draftLotteryCustomChances.join(", "),
+            draftLotteryCustomNumPicks: props.draftLotteryCustomNumPicks,
+            draftType: props.draftType,
+            foulsNeededToFoulOut: props.foulsNeededToFoulOut,
+            foulsUntilBonus: props.foulsUntilBonus.join(", "),
+            foulsUntilBonusPrev: props.foulsUntilBonus,
             luxuryPayroll: props.luxuryPayroll,
             luxuryTax: props.luxuryTax,
             maxContract: props.maxContract,
+            midLevelException: props.midLevelException,
             minContract: props.minContract,
             minPayroll: props.minPayroll,
             minRosterSize: props.minRosterSize,
             numGames: props.numGames,
+            numPeriods: String(props.numPeriods),
+            overtimeLength: props.overtimeLength,
             quarterLength: props.quarterLength,
+            roomException: props.roomException,
             salaryCap: props.salaryCap,
+            shotClock: String(props.shotClock),
+            threePointDistance: props.threePointDistance,
+            tradeDeadline: 100 * props.tradeDeadline,
+            untradableGamesAfterSigning: props.untradableGamesAfterSigning,
         };
         this.handleChanges = {
             disableInjuries: this.handleChange.bind(this, 'disableInjuries'),
+            draftLotteryCustomChances: this.handleChange.bind(this, 'draftLotteryCustomChances'),
+            draftLotteryCustomNumPicks: this.handleChange.bind(this, 'draftLotteryCustomNumPicks'),
+            draftType: this.handleChange.bind(this, 'draftType'),
+            foulsNeededToFoulOut: this.handleChange.bind(this, 'foulsNeededToFoulOut'),
+            foulsUntilBonus: this.handleChange.bind(this, 'foulsUntilBonus'),
             luxuryPayroll: this.handleChange.bind(this, 'luxuryPayroll'),
             luxuryTax: this.handleChange.bind(this, 'luxuryTax'),
             maxContract: this.handleChange.bind(this, 'maxContract'),
+            midLevelException: this.handleChange.bind(this, 'midLevelException'),
             minContract: this.handleChange.bind(this, 'minContract'),
             minPayroll: this.handleChange.bind(this, 'minPayroll'),
             minRosterSize: this.handleChange.bind(this, 'minRosterSize'),
             numGames: this.handleChange.bind(this, 'numGames'),
+            numPeriods: this.handleChange.bind(this, 'numPeriods'),
+            overtimeLength: this.handleChange.bind(this, 'overtimeLength'),
             quarterLength: this.handleChange.bind(this, 'quarterLength'),
+            roomException: this.handleChange.bind(this, 'roomException'),
             salaryCap: this.handleChange.bind(this, 'salaryCap'),
+            shotClock: this.handleChange.bind(this, 'shotClock'),
+            threePointDistance: this.handleChange.bind(this, 'threePointDistance'),
+            tradeDeadline: this.handleChange.bind(this, 'tradeDeadline'),
+            untradableGamesAfterSigning: this.handleChange.bind(this, 'untradableGamesAfterSigning'),
         };
         this.handleFormSubmit = this.handleFormSubmit.bind(this);
         this.handleGodModeToggle = this.handleGodModeToggle.bind(this);
+        this.handleRulesPresetChange = this.handleRulesPresetChange.bind(this);
     }
 
     componentWillReceiveProps(nextProps) {
         if (!this.state.dirty) {
             this.setState({
                 disableInjuries: String(nextProps.disableInjuries),
+                draftLotteryCustomChances: nextProps.draftLotteryCustomChances.join(", "),
+                draftLotteryCustomNumPicks: nextProps.draftLotteryCustomNumPicks,
+                draftType: nextProps.draftType,
+                foulsNeededToFoulOut: nextProps.foulsNeededToFoulOut,
+                foulsUntilBonus: nextProps.foulsUntilBonus.join(", "),
+                foulsUntilBonusPrev: nextProps.foulsUntilBonus,
                 luxuryPayroll: nextProps.luxuryPayroll,
                 luxuryTax: nextProps.luxuryTax,
                 maxContract: nextProps.maxContract,
+                midLevelException: nextProps.midLevelException,
                 minContract: nextProps.minContract,
                 minPayroll: nextProps.minPayroll,
                 minRosterSize: nextProps.minRosterSize,
                 numGames: nextProps.numGames,
+                numPeriods: String(nextProps.numPeriods),
+                overtimeLength: nextProps.overtimeLength,
                 quarterLength: nextProps.quarterLength,
+                roomException: nextProps.roomException,
                 salaryCap: nextProps.salaryCap,
+                shotClock: String(nextProps.shotClock),
+                threePointDistance: nextProps.threePointDistance,
+                tradeDeadline: 100 * nextProps.tradeDeadline,
+                untradableGamesAfterSigning: nextProps.untradableGamesAfterSigning,
             });
         }
     }
@@ -63,13 +123,31 @@ class GodMode extends React.Component {
         });
     }
 
+    handleRulesPresetChange(e) {
+        const preset = league.rulesPresets[e.target.value];
+        if (!preset) {
+            return;
+        }
+
+        const attrs = preset.gameAttributes;
+        this.setState({
+            dirty: true,
+            foulsNeededToFoulOut: attrs.foulsNeededToFoulOut,
+            foulsUntilBonus: attrs.foulsUntilBonus.join(", "),
+            numPeriods: String(attrs.numPeriods),
+            overtimeLength: attrs.overtimeLength,
+            quarterLength: attrs.quarterLength,
+            shotClock: String(attrs.shotClock),
+            threePointDistance: attrs.threePointDistance,
+        });
+    }
+
     async handleFormSubmit(e) {
         e.preventDefault();
 
-        await league.setGameAttributesComplete({
+        await league.setGameAttributesComplete(Object.assign(parseRules(this.state), {
             disableInjuries: this.state.disableInjuries === 'true',
             numGames: parseInt(this.state.numGames, 10),
-            quarterLength: parseFloat(this.state.quarterLength),
             minRosterSize: parseInt(this.state.minRosterSize, 10),
             salaryCap: parseInt(this.state.salaryCap * 1000, 10),
             minPayroll: parseInt(this.state.minPayroll * 1000, 10),
@@ -77,7 +155,14 @@ class GodMode extends React.Component {
             luxuryTax: parseFloat(this.state.luxuryTax),
             minContract: parseInt(this.state.minContract * 1000, 10),
             maxContract: parseInt(this.state.maxContract * 1000, 10),
-        });
+            midLevelException: parseInt(this.state.midLevelException * 1000, 10),
+            roomException: parseInt(this.state.roomException * 1000, 10),
+            tradeDeadline: parseFloat(this.state.tradeDeadline) / 100,
+            untradableGamesAfterSigning: parseInt(this.state.untradableGamesAfterSigning, 10),
+            draftType: this.state.draftType,
+            draftLotteryCustomChances: this.state.draftLotteryCustomChances.split(",").map(x => parseFloat(x)).filter(x => !Number.isNaN(x) && x >= 0),
+            draftLotteryCustomNumPicks: parseInt(this.state.draftLotteryCustomNumPicks, 10),
+        }));
 
         this.setState({
             dirty: false,
@@ -155,10 +240,6 @@ class GodMode extends React.Component {
                         </HelpPopover></label>
                         <input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.numGames} value={this.state.numGames} />
                     </div>
-                    <div className="col-sm-3 col-xs-6 form-group">
-                        <label>Quarter Length (minutes)</label>
-                        <input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.quarterLength} value={this.state.quarterLength} />
-                    </div>
                     <div className="col-sm-3 col-xs-6 form-group">
                         <label>Min Roster Size</label>
                         <input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.minRosterSize} value={this.state.minRosterSize} />
@@ -199,6 +280,125 @@ class GodMode extends React.Component {
                             <span className="input-group-addon">$</span><input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.maxContract} value={this.state.maxContract} /><span className="input-group-addon">M</span>
                         </div>
                     </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Mid-Level Exception <HelpPopover placement="right" title="Mid-Level Exception">
+                        Each season, teams over the salary cap can sign free agents for up to this much in total, split between as many players as they want.
+                        </HelpPopover></label>
+                        <div className="input-group">
+                            <span className="input-group-addon">$</span><input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.midLevelException} value={this.state.midLevelException} /><span className="input-group-addon">M</span>
+                        </div>
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Room Exception <HelpPopover placement="left" title="Room Exception">
+                        Each season, teams under the salary cap can go over it to sign free agents for up to this much in total. Teams can't use both the room exception and the mid-level exception in the same season.
+                        </HelpPopover></label>
+                        <div className="input-group">
+                            <span className="input-group-addon">$</span><input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.roomException} value={this.state.roomException} /><span className="input-group-addon">M</span>
+                        </div>
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Trade Deadline <HelpPopover placement="right" title="Trade Deadline">
+                        Trades are allowed through this much of the regular season, and then not again until after the playoffs. It's a percentage of the days in the schedule, so it works for any number of games. Set to 0 for no trade deadline.
+                        </HelpPopover></label>
+                        <div className="input-group">
+                            <input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.tradeDeadline} value={this.state.tradeDeadline} /><span className="input-group-addon">%</span>
+                        </div>
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Untradable After Signing <HelpPopover placement="left" title="Untradable After Signing">
+                        Number of games a newly signed player must wait before he can be traded.
+                        </HelpPopover></label>
+                        <div className="input-group">
+                            <input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.untradableGamesAfterSigning} value={this.state.untradableGamesAfterSigning} /><span className="input-group-addon">games</span>
+                        </div>
+                    </div>
+                </div>
+
+                <h3>Draft</h3>
+                <div className="row">
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Draft Lottery</label>
+                        <select className="form-control" disabled={!godMode} onChange={this.handleChanges.draftType} value={this.state.draftType}>
+                            <option value="nba1994">NBA 1994-2018</option>
+                            <option value="nba2019">NBA 2019-present</option>
+                            <option value="randomLottery">Random, every non-playoff team equal</option>
+                            <option value="noLottery">No lottery, reverse order of record</option>
+                            <option value="custom">Custom</option>
+                        </select>
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Custom Lottery Chances <HelpPopover placement="left" title="Custom Lottery Chances">
+                        Only used for a custom draft lottery. Numbers separated by commas, one per team starting with the worst non-playoff team. They are relative weights, so they don't need to add up to 100. Teams without a number are not in the lottery.
+                        </HelpPopover></label>
+                        <input type="text" className="form-control" disabled={!godMode || this.state.draftType !== "custom"} onChange={this.handleChanges.draftLotteryCustomChances} value={this.state.draftLotteryCustomChances} />
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Custom Lottery Picks <HelpPopover placement="right" title="Custom Lottery Picks">
+                        Only used for a custom draft lottery. Number of picks decided by the lottery, after which the remaining teams pick in reverse order of their records.
+                        </HelpPopover></label>
+                        <input type="text" className="form-control" disabled={!godMode || this.state.draftType !== "custom"} onChange={this.handleChanges.draftLotteryCustomNumPicks} value={this.state.draftLotteryCustomNumPicks} />
+                    </div>
+                </div>
+
+                <h3>Rules</h3>
+                <div className="row">
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Preset <HelpPopover placement="right" title="Preset">
+                        Set all of the rules below to match a real league. You can still change individual rules afterwards.
+                        </HelpPopover></label>
+                        <select className="form-control" disabled={!godMode} onChange={this.handleRulesPresetChange} value={league.getRulesPreset(parseRules(this.state))}>
+                            {helpers.keys(league.rulesPresets).map(key => {
+                                return <option key={key} value={key}>{league.rulesPresets[key].name}</option>;
+                            })}
+                            <option value="custom">Custom</option>
+                        </select>
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Periods</label>
+                        <select className="form-control" disabled={!godMode} onChange={this.handleChanges.numPeriods} value={this.state.numPeriods}>
+                            <option value="4">4 quarters</option>
+                            <option value="2">2 halves</option>
+                        </select>
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Period Length</label>
+                        <div className="input-group">
+                            <input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.quarterLength} value={this.state.quarterLength} /><span className="input-group-addon">min</span>
+                        </div>
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Overtime Length</label>
+                        <div className="input-group">
+                            <input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.overtimeLength} value={this.state.overtimeLength} /><span className="input-group-addon">min</span>
+                        </div>
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Shot Clock <HelpPopover placement="right" title="Shot Clock">
+                        A longer shot clock means longer possessions and fewer possessions per game. The shot clock resets to 14 seconds after an offensive rebound. With the shot clock off, teams play at their normal pace without shot clock violations.
+                        </HelpPopover></label>
+                        <select className="form-control" disabled={!godMode} onChange={this.handleChanges.shotClock} value={this.state.shotClock}>
+                            <option value="24">24 seconds</option>
+                            <option value="30">30 seconds</option>
+                            <option value="35">35 seconds</option>
+                            <option value="0">Off</option>
+                        </select>
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Fouls To Foul Out</label>
+                        <input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.foulsNeededToFoulOut} value={this.state.foulsNeededToFoulOut} />
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Team Fouls For Bonus <HelpPopover placement="right" title="Team Fouls For Bonus">
+                        Three numbers, separated by commas. The first is the team foul in a period when the opponent starts shooting 1-and-1 free throws, the second is when they start shooting 2 free throws, and the third is for 2 free throws based on team fouls in just the last 2 minutes of a period. NBA rules are 5, 5, 2.
+                        </HelpPopover></label>
+                        <input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.foulsUntilBonus} value={this.state.foulsUntilBonus} />
+                    </div>
+                    <div className="col-sm-3 col-xs-6 form-group">
+                        <label>Three Point Line</label>
+                        <div className="input-group">
+                            <input type="text" className="form-control" disabled={!godMode} onChange={this.handleChanges.threePointDistance} value={this.state.threePointDistance} /><span className="input-group-addon">ft</span>
+                        </div>
+                    </div>
                 </div>
 
                 <button className="btn btn-primary" id="save-god-mode-options" disabled={!godMode}>Save God Mode Options</button>
@@ -209,16 +409,29 @@ class GodMode extends React.Component {
 
 GodMode.propTypes = {
     disableInjuries: React.PropTypes.bool.isRequired,
+    draftLotteryCustomChances: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
+    draftLotteryCustomNumPicks: React.PropTypes.number.isRequired,
+    draftType: React.PropTypes.string.isRequired,
+    foulsNeededToFoulOut: React.PropTypes.number.isRequired,
+    foulsUntilBonus: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
     godMode: React.PropTypes.bool.isRequired,
     luxuryPayroll: React.PropTypes.number.isRequired,
     luxuryTax: React.PropTypes.number.isRequired,
     maxContract: React.PropTypes.number.isRequired,
+    midLevelException: React.PropTypes.number.isRequired,
     minContract: React.PropTypes.number.isRequired,
     minPayroll: React.PropTypes.number.isRequired,
     minRosterSize: React.PropTypes.number.isRequired,
     numGames: React.PropTypes.number.isRequired,
+    numPeriods: React.PropTypes.number.isRequired,
+    overtimeLength: React.PropTypes.number.isRequired,
     quarterLength: React.PropTypes.number.isRequired,
+    roomException: React.PropTypes.number.isRequired,
     salaryCap: React.PropTypes.number.isRequired,
+    shotClock: React.PropTypes.number.isRequired,
+    threePointDistance: React.PropTypes.number.isRequired,
+    tradeDeadline: React.PropTypes.number.isRequired,
+    untradableGamesAfterSigning: React.PropTypes.number.isRequired,
 };
 
 export default GodMode;
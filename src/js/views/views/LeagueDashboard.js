@@ -5,7 +5,7 @@ import bbgmViewReact from '../../util/bbgmViewReact';
 import * as helpers from '../../util/helpers';
 import {NewWindowLink, PlayerNameLabels, PlayoffMatchup, RatingWithChange} from '../components';
 
-const LeagueDashboard = ({abbrev, ast, astRank, att, cash, completed, confTeams, leagueLeaders, lost, messages, name, oppPts, oppPtsRank, payroll, playoffRoundsWon, playoffsByConference, profit, pts, ptsRank, rank, region, revenue, salaryCap, season, series, seriesTitle, showPlayoffSeries, starters, teamLeaders, trb, trbRank, upcoming, won}) => {
+const LeagueDashboard = ({abbrev, ast, astRank, att, cash, completed, confTeams, leagueLeaders, lost, messages, name, numGamesToWin, oppPts, oppPtsRank, payroll, playoffRoundsWon, playoffsByConference, profit, pts, ptsRank, rank, region, revenue, salaryCap, season, series, seriesTitle, showPlayoffSeries, starters, teamLeaders, trb, trbRank, upcoming, won}) => {
     bbgmViewReact.title('Dashboard');
 
     // Show the remaining number of games, only for the regular season.
@@ -14,7 +14,7 @@ const LeagueDashboard = ({abbrev, ast, astRank, att, cash, completed, confTeams,
     const percentComplete = gamesPlayed / g.numGames;
 
     let gamesRemainingTag = null;
-    if (g.phase === g.PHASE.REGULAR_SEASON) {
+    if (g.phase === g.PHASE.REGULAR_SEASON || g.phase === g.PHASE.AFTER_TRADE_DEADLINE) {
         gamesRemainingTag = <p>{gamesRemaining} games remaining ({(percentComplete * 100).toFixed(1)}% complete)</p>;
     }
 
@@ -111,7 +111,7 @@ const LeagueDashboard = ({abbrev, ast, astRank, att, cash, completed, confTeams,
                         {showPlayoffSeries ? <div>
                             <h3>Playoffs</h3>
                             <b>{seriesTitle}</b><br />
-                            <PlayoffMatchup season={season} series={series} />
+                            <PlayoffMatchup numGamesToWin={numGamesToWin} season={season} series={series} />
                             <a href={helpers.leagueUrl(['playoffs'])}>» Playoffs</a>
                         </div> : <div>
                             <h3>Upcoming Games</h3>
@@ -197,6 +197,7 @@ LeagueDashboard.propTypes = {
     lost: React.PropTypes.number.isRequired,
     messages: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
     name: React.PropTypes.string.isRequired,
+    numGamesToWin: React.PropTypes.number,
     oppPts: React.PropTypes.number.isRequired,
     oppPtsRank: React.PropTypes.number.isRequired,
     payroll: React.PropTypes.number.isRequired,
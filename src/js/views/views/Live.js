@@ -1,10 +1,18 @@
 import classNames from 'classnames';
 import React from 'react';
+import * as ui from '../../ui';
+import * as league from '../../core/league';
 import bbgmViewReact from '../../util/bbgmViewReact';
 import {liveGame} from '../../util/actions';
 import {NewWindowLink} from '../components';
 
-const Live = ({games, gamesInProgress}) => {
+const handleSavePlayByPlayChange = async e => {
+    await league.setGameAttributesComplete({savePlayByPlay: e.target.value});
+    ui.realtimeUpdate(['dbChange']);
+    league.updateLastDbChange();
+};
+
+const Live = ({games, gamesInProgress, savePlayByPlay}) => {
     bbgmViewReact.title('Live Game Simulation');
 
     return <div>
@@ -12,6 +20,16 @@ const Live = ({games, gamesInProgress}) => {
 
         <p>To view a live play-by-play summary of a game, select one of tomorrow's games below.</p>
 
+        <form className="form-inline" style={{marginBottom: '1em'}}>
+            <label htmlFor="save-play-by-play">Save play-by-play for:</label>{' '}
+            <select id="save-play-by-play" className="form-control" onChange={handleSavePlayByPlayChange} value={savePlayByPlay}>
+                <option value="none">No games</option>
+                <option value="user">Your team's games</option>
+                <option value="all">All games</option>
+            </select>
+            <p className="help-block">Saved games can be replayed from their box scores. Saving every game takes up a lot of space.</p>
+        </form>
+
         {gamesInProgress ? <p className="text-danger">Stop the current game simulation to select a play-by-play game.</p> : null}
 
         {games.map(gm => {
@@ -39,6 +57,7 @@ Live.propTypes = {
         homeRegion: React.PropTypes.string.isRequried,
     })),
     gamesInProgress: React.PropTypes.bool,
+    savePlayByPlay: React.PropTypes.oneOf(['all', 'none', 'user']),
 };
 
 export default Live;
@@ -3,7 +3,7 @@ import React from 'react';
 import AutoAffix from 'react-overlays/lib/AutoAffix';
 import bbgmViewReact from '../../util/bbgmViewReact';
 import * as helpers from '../../util/helpers';
-import {PlayerNameLabels} from '../components';
+import {PlayerNameLabels, ShotChart} from '../components';
 
 class PlayerRow extends React.Component {
     shouldComponentUpdate(nextProps) {
@@ -53,7 +53,7 @@ PlayerRow.propTypes = {
     p: React.PropTypes.object.isRequired,
 };
 
-const BoxScore = ({boxScore}) => <div>
+const BoxScore = ({boxScore, shots, threePointDistance}) => <div>
     <center>
         <h2><a href={helpers.leagueUrl(['roster', boxScore.teams[0].abbrev, boxScore.season])}>{boxScore.teams[0].region} {boxScore.teams[0].name}</a> {boxScore.teams[0].pts}, <a href={helpers.leagueUrl(['roster', boxScore.teams[1].abbrev, boxScore.season])}>{boxScore.teams[1].region} {boxScore.teams[1].name}</a> {boxScore.teams[1].pts}{boxScore.overtime}</h2>
         <table className="table table-bordered" style={{marginTop: '0.5em', width: 'auto'}}>
@@ -65,8 +65,14 @@ const BoxScore = ({boxScore}) => <div>
                 </tr>)}
             </tbody>
         </table>
-        {boxScore.gameOver ? 'Final Score' : <span>{boxScore.quarter}, {boxScore.time} left</span>}
+        {boxScore.gameOver ? 'Final Score' : <span>{boxScore.quarter}, {boxScore.time} left<br />Team fouls: {boxScore.teams.map(t => `${t.abbrev} ${t.pfQtrs[t.pfQtrs.length - 1]}`).join(", ")}</span>}
     </center>
+    <div className="row">
+        {boxScore.teams.map((t, i) => <div key={t.abbrev} className="col-sm-6 text-center">
+            <h4>{t.abbrev} Shots</h4>
+            <ShotChart shots={shots[i]} threePointDistance={threePointDistance} />
+        </div>)}
+    </div>
     {boxScore.teams.map(t => <div key={t.abbrev}>
         <h3><a href={helpers.leagueUrl(['roster', t.abbrev, boxScore.season])}>{t.region} {t.name}</a></h3>
         <div className="table-responsive">
@@ -107,6 +113,31 @@ const BoxScore = ({boxScore}) => <div>
 
 BoxScore.propTypes = {
     boxScore: React.PropTypes.object.isRequired,
+    shots: React.PropTypes.arrayOf(React.PropTypes.arrayOf(React.PropTypes.object)).isRequired,
+    threePointDistance: React.PropTypes.number.isRequired,
+};
+
+// Scoring plays show the score, and the start of each period stands out
+const Play = ({play}) => {
+    if (play.play === "quarter" || play.play === "overtime") {
+        return <p><b>{play.text}</b></p>;
+    }
+
+    return <p>
+        {play.abbrev !== undefined ? `${play.time} - ${play.abbrev} - ` : null}{play.text}
+        {play.scoring ? <b> ({play.score[0]}-{play.score[1]})</b> : null}
+    </p>;
+};
+
+Play.propTypes = {
+    play: React.PropTypes.shape({
+        abbrev: React.PropTypes.string,
+        play: React.PropTypes.string.isRequired,
+        score: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
+        scoring: React.PropTypes.bool.isRequired,
+        text: React.PropTypes.string.isRequired,
+        time: React.PropTypes.string.isRequired,
+    }).isRequired,
 };
 
 class LiveGame extends React.Component {
@@ -114,6 +145,8 @@ class LiveGame extends React.Component {
         super(props);
         this.state = {
             boxScore: props.initialBoxScore ? props.initialBoxScore : {},
+            plays: [],
+            shots: [[], []],
             speed: 5,
             started: !!props.events,
         };
@@ -156,6 +189,7 @@ class LiveGame extends React.Component {
 
     startLiveGame(events) {
         let overtimes = 0;
+        let prevScore = [0, 0];
 
         const processToNextPause = () => {
             if (!this.componentIsMounted) {
@@ -165,20 +199,20 @@ class LiveGame extends React.Component {
             const boxScore = this.state.boxScore; // This means we're mutating state, which is a little faster, but bad
 
             let stop = false;
-            let text = null;
+            let play = null;
+            let shot = null;
             while (!stop && events.length > 0) {
                 const e = events.shift();
 
-                if (e.type === "text") {
-                    if (e.t === 0 || e.t === 1) {
-                        text = `${e.time} - ${boxScore.teams[e.t].abbrev} - ${e.text}`;
-                    } else {
-                        text = e.text;
-                    }
-
-                    // Show score after scoring plays
-                    if (text.includes('made')) {
-                        text += ` (${boxScore.teams[0].pts}-${boxScore.teams[1].pts})`;
+                if (e.type === "play") {
+                    play = Object.assign({}, e, {
+                        abbrev: e.t === 0 || e.t === 1 ? boxScore.teams[e.t].abbrev : undefined,
+                        key: this.state.plays.length,
+                        scoring: e.score[0] !== prevScore[0] || e.score[1] !== prevScore[1],
+                    });
+                    prevScore = e.score;
+                    if (e.shot !== undefined) {
+                        shot = e.shot;
                     }
 
                     boxScore.time = e.time;
@@ -202,7 +236,7 @@ class LiveGame extends React.Component {
                             boxScore.teams[0].ptsQtrs.push(0);
                             boxScore.teams[1].ptsQtrs.push(0);
 
-                            if (ptsQtrs.length > 4) {
+                            if (ptsQtrs.length > boxScore.numPeriods) {
                                 overtimes += 1;
                                 if (overtimes === 1) {
                                     boxScore.overtime = " (OT)";
@@ -211,13 +245,23 @@ class LiveGame extends React.Component {
                                 }
                                 boxScore.quarter = `${helpers.ordinal(overtimes)} overtime`;
                             } else {
-                                boxScore.quarter = `${helpers.ordinal(ptsQtrs.length)} quarter`;
+                                boxScore.quarter = `${helpers.ordinal(ptsQtrs.length)} ${helpers.periodName(boxScore.numPeriods)}`;
                             }
                         }
                         ptsQtrs[e.qtr] += e.amt;
                         boxScore.teams[e.t].ptsQtrs = ptsQtrs;
                     }
 
+                    // Team fouls by period, which can start before any points are scored in that period
+                    if (e.s === "pf") {
+                        for (let j = 0; j < 2; j++) {
+                            while (boxScore.teams[j].pfQtrs.length <= e.qtr) {
+                                boxScore.teams[j].pfQtrs.push(0);
+                            }
+                        }
+                        boxScore.teams[e.t].pfQtrs[e.qtr] += e.amt;
+                    }
+
                     // Everything else
                     if (e.s === "drb") {
                         boxScore.teams[e.t].players[e.p].trb += e.amt;
@@ -244,12 +288,11 @@ class LiveGame extends React.Component {
                 }
             }
 
-            if (text !== null) {
-                const p = document.createElement('p');
-                const node = document.createTextNode(text);
-                p.appendChild(node);
-
-                this.playByPlayDiv.insertBefore(p, this.playByPlayDiv.firstChild);
+            // Newest plays go at the top
+            const plays = play !== null ? [play].concat(this.state.plays) : this.state.plays;
+            const shots = this.state.shots.slice();
+            if (shot !== null) {
+                shots[shot.t] = shots[shot.t].concat([shot]);
             }
 
             if (events.length > 0) {
@@ -261,6 +304,8 @@ class LiveGame extends React.Component {
 
             this.setState({
                 boxScore,
+                plays,
+                shots,
             });
         };
 
@@ -277,11 +322,11 @@ class LiveGame extends React.Component {
         return <div>
             <h1>Live Game Simulation</h1>
 
-            <p className="text-danger">If you navigate away from this page, you won't be able to see these play-by-play results again because they are not stored anywhere. The results of this game are already final, though.</p>
+            {this.props.saved ? <p>This play-by-play is saved, so you can watch it again from the box score of this game.</p> : <p className="text-danger">If you navigate away from this page, you won't be able to see these play-by-play results again because they are not stored anywhere. To save play-by-play, change the setting on the <a href={helpers.leagueUrl(['live'])}>Live Game</a> page. The results of this game are already final, though.</p>}
 
             <div className="row">
                 <div className="col-md-9">
-                    {this.state.boxScore.gid >= 0 ? <BoxScore boxScore={this.state.boxScore} /> : <h1>Loading...</h1>}
+                    {this.state.boxScore.gid >= 0 ? <BoxScore boxScore={this.state.boxScore} shots={this.state.shots} threePointDistance={this.props.threePointDistance} /> : <h1>Loading...</h1>}
                 </div>
                 <div className="col-md-3">
                     <AutoAffix viewportOffsetTop={60} container={this}>
@@ -296,7 +341,9 @@ class LiveGame extends React.Component {
                                     this.playByPlayDiv = c;
                                 }}
                                 style={{height: '100%', overflow: 'auto'}}
-                            />
+                            >
+                                {this.state.plays.map(play => <Play key={play.key} play={play} />)}
+                            </div>
                         </div>
                     </AutoAffix>
                 </div>
@@ -310,6 +357,8 @@ LiveGame.propTypes = {
         type: React.PropTypes.string.isRequried,
     })),
     initialBoxScore: React.PropTypes.object,
+    saved: React.PropTypes.bool,
+    threePointDistance: React.PropTypes.number,
 };
 
 export default LiveGame;
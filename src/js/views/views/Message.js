@@ -1,42 +1,170 @@
 // @flow
 
+import classNames from 'classnames';
 import React from 'react';
+import * as league from '../../core/league';
+import * as trade from '../../core/trade';
+import * as ui from '../../ui';
 import bbgmViewReact from '../../util/bbgmViewReact';
+import {tradeFor} from '../../util/actions';
 import * as helpers from '../../util/helpers';
 import {NewWindowLink, SafeHtml} from '../components';
-import type {Message as Message_} from '../../util/types';
+import type {MessageWithMid, TradeOfferStatus, TradeSummary} from '../../util/types';
 
 type MessageProps = {
-    message: void | Message_,
+    message: void | MessageWithMid,
+    tradeOffer: void | {
+        status: TradeOfferStatus,
+        summary: TradeSummary,
+    },
 };
 
-const Message = ({message}: MessageProps) => {
-    if (!message) {
-        bbgmViewReact.title('Message');
+type MessageState = {
+    accepted: boolean,
+    response: null | string,
+};
 
-        return <div>
-            <h1>Error</h1>
-            <p>Message not found.</p>
-        </div>;
+const OfferAssets = ({t}) => {
+    return <ul className="list-unstyled">
+        {t.trade.map(p => <li key={p.pid}>
+            <a href={helpers.leagueUrl(['player', p.pid])}>{p.name}</a> ({helpers.formatCurrency(p.contract.amount, 'M')})
+        </li>)}
+        {t.picks.map(dp => <li key={dp.dpid}>{dp.desc}</li>)}
+        {t.trade.length === 0 && t.picks.length === 0 ? <li>Nothing</li> : null}
+    </ul>;
+};
+
+OfferAssets.propTypes = {
+    t: React.PropTypes.object.isRequired,
+};
+
+class Message extends React.Component {
+    props: MessageProps;
+    state: MessageState;
+    handleClickAccept: Function;
+    handleClickCounter: Function;
+    handleClickDecline: Function;
+
+    constructor(props: MessageProps) {
+        super(props);
+
+        this.state = {
+            accepted: false,
+            response: null,
+        };
+
+        this.handleClickAccept = this.handleClickAccept.bind(this);
+        this.handleClickCounter = this.handleClickCounter.bind(this);
+        this.handleClickDecline = this.handleClickDecline.bind(this);
     }
 
-    bbgmViewReact.title(`Message From ${message.from}`);
+    async handleClickAccept() {
+        if (!this.props.message) {
+            return;
+        }
 
-    return <div>
-        <h4 style={{marginTop: '23px'}}>From: {message.from}, {message.year} <NewWindowLink /></h4>
+        const [accepted, response] = await trade.acceptOffer(this.props.message.mid);
 
-        <SafeHtml dirty={message.text} />
+        this.setState({
+            accepted,
+            response,
+        });
 
-        <p><a href={helpers.leagueUrl(['inbox'])}>Return To Inbox</a></p>
-    </div>;
-};
+        ui.realtimeUpdate(["playerMovement"]);
+    }
+
+    // Load the offer in the trade screen, where "What would make this deal work?" can be used to adjust it
+    async handleClickCounter() {
+        if (!this.props.message || !this.props.message.tradeOffer) {
+            return;
+        }
+
+        const teams = this.props.message.tradeOffer.teams;
+        await tradeFor({
+            otherDpids: teams[1].dpids,
+            otherPids: teams[1].pids,
+            tid: teams[1].tid,
+            userDpids: teams[0].dpids,
+            userPids: teams[0].pids,
+        });
+    }
+
+    async handleClickDecline() {
+        if (!this.props.message) {
+            return;
+        }
+
+        await trade.declineOffer(this.props.message.mid);
+        ui.realtimeUpdate(["dbChange"]);
+        league.updateLastDbChange();
+    }
+
+    render() {
+        const {message, tradeOffer} = this.props;
+
+        if (!message) {
+            bbgmViewReact.title('Message');
+
+            return <div>
+                <h1>Error</h1>
+                <p>Message not found.</p>
+            </div>;
+        }
+
+        bbgmViewReact.title(`Message From ${message.from}`);
+
+        let offer = null;
+        if (tradeOffer) {
+            const {status, summary} = tradeOffer;
+
+            offer = <div className="panel panel-default">
+                <div className="panel-body">
+                    <div className="row">
+                        <div className="col-sm-6">
+                            <h4>You give:</h4>
+                            <OfferAssets t={summary.teams[0]} />
+                        </div>
+                        <div className="col-sm-6">
+                            <h4>You receive:</h4>
+                            <OfferAssets t={summary.teams[1]} />
+                        </div>
+                    </div>
+
+                    {this.state.response ? <p className={classNames('alert', this.state.accepted ? 'alert-success' : 'alert-info')}>{this.state.response}</p> : null}
+
+                    {status === "pending" ? <div>
+                        <button className="btn btn-primary" onClick={this.handleClickAccept} style={{margin: '5px 5px 5px 0'}}>Accept</button>
+                        <button className="btn btn-default" onClick={this.handleClickCounter} style={{margin: '5px 5px 5px 0'}}>Counter</button>
+                        <button className="btn btn-default" onClick={this.handleClickDecline} style={{margin: '5px 5px 5px 0'}}>Decline</button>
+                    </div> : <p><b>This offer was {status}.</b></p>}
+                </div>
+            </div>;
+        }
+
+        return <div>
+            <h4 style={{marginTop: '23px'}}>From: {message.from}, {message.year} <NewWindowLink /></h4>
+
+            <SafeHtml dirty={message.text} />
+
+            {offer}
+
+            <p><a href={helpers.leagueUrl(['inbox'])}>Return To Inbox</a></p>
+        </div>;
+    }
+}
 
 Message.propTypes = {
     message: React.PropTypes.shape({
         from: React.PropTypes.string.isRequired,
+        mid: React.PropTypes.number.isRequired,
         text: React.PropTypes.string.isRequired,
+        tradeOffer: React.PropTypes.object,
         year: React.PropTypes.number.isRequired,
     }),
+    tradeOffer: React.PropTypes.shape({
+        status: React.PropTypes.string.isRequired,
+        summary: React.PropTypes.object.isRequired,
+    }),
 };
 
 export default Message;
@@ -3,6 +3,7 @@ import React from 'react';
 import g from '../../globals';
 import * as ui from '../../ui';
 import * as contractNegotiation from '../../core/contractNegotiation';
+import * as finances from '../../core/finances';
 import bbgmViewReact from '../../util/bbgmViewReact';
 import * as helpers from '../../util/helpers';
 import {NewWindowLink} from '../components';
@@ -24,89 +25,176 @@ const cancel = async pid => {
     redirectNegotiationOrRoster(true);
 };
 
-const sign = async (pid, amount, exp) => {
-    const error = await contractNegotiation.accept(pid, Math.round(amount * 1000), exp);
+const sign = async (pid, amount, exp, structure) => {
+    const error = await contractNegotiation.accept(pid, Math.round(amount * 1000), exp, structure);
     if (error !== undefined && error) {
         helpers.errorNotify(error);
     }
     redirectNegotiationOrRoster(false);
 };
 
-const Negotiation = ({contractOptions, errorMessage, payroll, player = {}, resigning, salaryCap, userTid}) => {
-    bbgmViewReact.title(`Contract Negotiation - ${player.name}`);
+const raiseText = raise => {
+    if (raise > 0) {
+        return `, ${helpers.round(raise * 100)}% raises`;
+    }
+    if (raise < 0) {
+        return `, ${helpers.round(-raise * 100)}% declines`;
+    }
+    return '';
+};
 
-    if (errorMessage) {
-        return <div>
-            <h1>Error</h1>
-            <p>{errorMessage}</p>
-        </div>;
+class Negotiation extends React.Component {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            guaranteed: true,
+            option: null,
+            raise: 0,
+        };
+
+        this.handleGuaranteed = this.handleGuaranteed.bind(this);
+        this.handleOption = this.handleOption.bind(this);
+        this.handleRaise = this.handleRaise.bind(this);
     }
 
-    // See views.freeAgents for moods as well
-    let mood;
-    if (player.freeAgentMood[userTid] < 0.25) {
-        mood = <span className="text-success"><b>Eager to reach an agreement.</b></span>;
-    } else if (player.freeAgentMood[userTid] < 0.5) {
-        mood = <b>Willing to sign for the right price.</b>;
-    } else if (player.freeAgentMood[userTid] < 0.75) {
-        mood = <span className="text-warning"><b>Annoyed at you.</b></span>;
-    } else {
-        mood = <span className="text-danger"><b>Insulted by your presence.</b></span>;
+    handleGuaranteed(e) {
+        this.setState({guaranteed: e.target.value === 'full'});
     }
 
-    let message;
-    if (resigning) {
-        message = <p>You are allowed to go over the salary cap to make this deal because you are re-signing <a href={helpers.leagueUrl(['player', player.pid])}>{player.name}</a> to a contract extension. <b>If you do not come to an agreement here, <a href={helpers.leagueUrl(['player', player.pid])}>{player.name}</a> will become a free agent.</b> He will then be able to sign with any team, and you won't be able to go over the salary cap to sign him.</p>;
-    } else {
-        message = <p>You are not allowed to go over the salary cap to make this deal because <a href={helpers.leagueUrl(['player', player.pid])}>{player.name}</a> is a free agent.</p>;
+    handleOption(e) {
+        this.setState({option: e.target.value === 'none' ? null : e.target.value});
+    }
+
+    handleRaise(e) {
+        this.setState({raise: parseFloat(e.target.value)});
     }
 
-    return <div>
-        <h1>Contract Negotiation <NewWindowLink /></h1>
-
-        {message}
-
-        <p>
-            Current Payroll: {helpers.formatCurrency(payroll, 'M')}<br />
-            Salary Cap: {helpers.formatCurrency(salaryCap, 'M')}
-        </p>
-
-        <h2> <a href={helpers.leagueUrl(['player', player.pid])}>{player.name}</a> <NewWindowLink parts={['player', player.pid]} /></h2>
-        <p>
-            Mood: {mood}<br />
-            {player.age} years old; Overall: {player.ratings.ovr}; Potential: {player.ratings.pot}
-        </p>
-
-        <h3>Contract Options</h3>
-
-        <div className="row">
-            <div className="col-sm-8 col-md-6">
-                <div className="list-group">
-                    {contractOptions.map((contract, i) => {
-                        return <div key={i} className={classNames('list-group-item', {'list-group-item-success': contract.smallestAmount})} style={{height: '54px'}}>
-                            <div className="pull-left" style={{paddingTop: '8px'}}>
-                                ${helpers.round(contract.amount, 2)}M per year<span className="hidden-xs">, through {contract.exp}</span> ({contract.years} {contract.years === 1 ? 'season' : 'seasons'})
-                            </div>
-
-                            <button
-                                className="btn btn-success pull-right"
-                                onClick={() => sign(player.pid, contract.amount, contract.exp)}
-                            >
-                                Sign<span className="hidden-xs"> Contract</span>
-                            </button>
-                        </div>;
-                    })}
+    render() {
+        const {capExceptionsUsed, errorMessage, maxContract, midLevelExceptionLeft, payroll, player = {}, resigning, roomExceptionLeft, salaryCap, userTid} = this.props;
+
+        bbgmViewReact.title(`Contract Negotiation - ${player.name}`);
+
+        if (errorMessage) {
+            return <div>
+                <h1>Error</h1>
+                <p>{errorMessage}</p>
+            </div>;
+        }
+
+        // See views.freeAgents for moods as well
+        let mood;
+        if (player.freeAgentMood[userTid] < 0.25) {
+            mood = <span className="text-success"><b>Eager to reach an agreement.</b></span>;
+        } else if (player.freeAgentMood[userTid] < 0.5) {
+            mood = <b>Willing to sign for the right price.</b>;
+        } else if (player.freeAgentMood[userTid] < 0.75) {
+            mood = <span className="text-warning"><b>Annoyed at you.</b></span>;
+        } else {
+            mood = <span className="text-danger"><b>Insulted by your presence.</b></span>;
+        }
+
+        // Adjust the asking price for the chosen contract structure, and figure out which part of the soft cap rules would allow each contract, if any
+        const structure = this.state;
+        const contractOptions = this.props.contractOptions.map(contractOption => {
+            const amount = 0.05 * Math.round(contractOption.amount * contractNegotiation.structureFactor(structure, contractOption.years) / 0.05);  // Make it a multiple of 50k
+            const capException = finances.getCapException(Math.round(amount * 1000), Math.round(payroll * 1000), resigning, capExceptionsUsed);
+            return Object.assign({}, contractOption, {
+                amount,
+                capException: capException !== null ? finances.capExceptionText(capException) : null,
+            });
+        }).filter(contractOption => contractOption.amount <= maxContract);
+
+        let message;
+        if (resigning) {
+            message = <p>You are allowed to go over the salary cap to make this deal because you have Bird rights to re-sign <a href={helpers.leagueUrl(['player', player.pid])}>{player.name}</a> to a contract extension. <b>If you do not come to an agreement here, <a href={helpers.leagueUrl(['player', player.pid])}>{player.name}</a> will become a free agent.</b> He will then be able to sign with any team, and you won't be able to go over the salary cap to sign him.</p>;
+        } else {
+            message = <p>Because <a href={helpers.leagueUrl(['player', player.pid])}>{player.name}</a> is a free agent, you can only go over the salary cap to sign him to a minimum contract or with your mid-level exception (if you are already over the cap) or room exception (if you are under the cap). You can only use one of those two exceptions each season, but you can split it between several players.</p>;
+        }
+
+        return <div>
+            <h1>Contract Negotiation <NewWindowLink /></h1>
+
+            {message}
+
+            <p>
+                Current Payroll: {helpers.formatCurrency(payroll, 'M')}<br />
+                Salary Cap: {helpers.formatCurrency(salaryCap, 'M')}<br />
+                Mid-Level Exception Remaining: {helpers.formatCurrency(midLevelExceptionLeft, 'M')}<br />
+                Room Exception Remaining: {helpers.formatCurrency(roomExceptionLeft, 'M')}
+            </p>
+
+            <h2> <a href={helpers.leagueUrl(['player', player.pid])}>{player.name}</a> <NewWindowLink parts={['player', player.pid]} /></h2>
+            <p>
+                Mood: {mood}<br />
+                {player.age} years old; Overall: {player.ratings.ovr}; Potential: {player.ratings.pot}
+            </p>
+
+            <h3>Contract Options</h3>
+
+            <p>Contracts longer than one season can have yearly raises, an option on the last season, and seasons that are not guaranteed if you release the player. Players ask for more money to give you more flexibility.</p>
+
+            <form className="form-inline" style={{marginBottom: '10px'}}>
+                <div className="form-group" style={{marginRight: '10px'}}>
+                    <label htmlFor="negotiation-raise" style={{marginRight: '5px'}}>Yearly change</label>
+                    <select className="form-control" id="negotiation-raise" onChange={this.handleRaise} value={String(structure.raise)}>
+                        <option value="0.05">5% raises</option>
+                        <option value="0">None</option>
+                        <option value="-0.05">5% declines</option>
+                    </select>
+                </div>
+                <div className="form-group" style={{marginRight: '10px'}}>
+                    <label htmlFor="negotiation-option" style={{marginRight: '5px'}}>Last season</label>
+                    <select className="form-control" id="negotiation-option" onChange={this.handleOption} value={structure.option === null ? 'none' : structure.option}>
+                        <option value="none">No option</option>
+                        <option value="player">Player option</option>
+                        <option value="team">Team option</option>
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="negotiation-guaranteed" style={{marginRight: '5px'}}>Guaranteed</label>
+                    <select className="form-control" id="negotiation-guaranteed" onChange={this.handleGuaranteed} value={structure.guaranteed ? 'full' : 'first'}>
+                        <option value="full">Every season</option>
+                        <option value="first">First season only</option>
+                    </select>
+                </div>
+            </form>
+
+            <div className="row">
+                <div className="col-sm-8 col-md-6">
+                    <div className="list-group">
+                        {contractOptions.map((contract, i) => {
+                            return <div key={i} className={classNames('list-group-item', {'list-group-item-success': contract.smallestAmount})} style={{height: '54px'}}>
+                                <div className="pull-left" style={{paddingTop: '2px'}}>
+                                    ${helpers.round(contract.amount, 2)}M {contract.years > 1 && structure.raise !== 0 ? 'first season' : 'per year'}<span className="hidden-xs">, through {contract.exp}</span> ({contract.years} {contract.years === 1 ? 'season' : 'seasons'})<br />
+                                    {contract.capException !== null ? <small className="text-muted">Using {contract.capException}{contract.years > 1 ? raiseText(structure.raise) : null}</small> : <small className="text-danger">Over the salary cap</small>}
+                                </div>
+
+                                <button
+                                    className="btn btn-success pull-right"
+                                    disabled={contract.capException === null}
+                                    onClick={() => sign(player.pid, contract.amount, contract.exp, structure)}
+                                >
+                                    Sign<span className="hidden-xs"> Contract</span>
+                                </button>
+                            </div>;
+                        })}
+                    </div>
                 </div>
             </div>
-        </div>
 
-        <button className="btn btn-danger" onClick={() => cancel(player.pid)}>
-            Can't reach a deal? End negotiation
-        </button>
-    </div>;
-};
+            <button className="btn btn-danger" onClick={() => cancel(player.pid)}>
+                Can't reach a deal? End negotiation
+            </button>
+        </div>;
+    }
+}
 
 Negotiation.propTypes = {
+    capExceptionsUsed: React.PropTypes.shape({
+        midLevel: React.PropTypes.number.isRequired,
+        room: React.PropTypes.number.isRequired,
+    }),
     contractOptions: React.PropTypes.arrayOf(React.PropTypes.shape({
         smallestAmount: React.PropTypes.bool.isRequired,
         amount: React.PropTypes.number.isRequired,
@@ -114,9 +202,12 @@ Negotiation.propTypes = {
         exp: React.PropTypes.number.isRequired,
     })),
     errorMessage: React.PropTypes.string,
+    maxContract: React.PropTypes.number,
+    midLevelExceptionLeft: React.PropTypes.number,
     payroll: React.PropTypes.number,
     player: React.PropTypes.object,
     resigning: React.PropTypes.bool,
+    roomExceptionLeft: React.PropTypes.number,
     salaryCap: React.PropTypes.number,
     userTid: React.PropTypes.number,
 };
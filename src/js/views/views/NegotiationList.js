@@ -1,5 +1,7 @@
 import React from 'react';
 import g from '../../globals';
+import * as ui from '../../ui';
+import * as contractNegotiation from '../../core/contractNegotiation';
 import * as freeAgents from '../../core/freeAgents';
 import {negotiate} from '../../util/actions';
 import bbgmViewReact from '../../util/bbgmViewReact';
@@ -7,7 +9,15 @@ import getCols from '../../util/getCols';
 import * as helpers from '../../util/helpers';
 import {DataTable, NewWindowLink, PlayerNameLabels} from '../components';
 
-const NegotiationList = ({players}) => {
+const declineTeamOption = async pid => {
+    const error = await contractNegotiation.declineTeamOption(pid);
+    if (error !== undefined && error) {
+        helpers.errorNotify(error);
+    }
+    ui.realtimeUpdate(["playerMovement"]);
+};
+
+const NegotiationList = ({players, teamOptions}) => {
     bbgmViewReact.title('Re-sign Players');
 
     const cols = getCols('Name', 'Pos', 'Age', 'Ovr', 'Pot', 'Min', 'Pts', 'Reb', 'Ast', 'PER', 'Asking For', 'Mood', 'Negotiate');
@@ -61,11 +71,46 @@ const NegotiationList = ({players}) => {
             name="NegotiationList"
             rows={rows}
         />
+
+        {teamOptions.length > 0 ? <div>
+            <h2>Team Options</h2>
+
+            <p>These players have team options for next season, which will be exercised when free agency starts unless you decline them now. If you decline an option, you can still try to re-sign the player to a new contract.</p>
+
+            <DataTable
+                cols={getCols('Name', 'Pos', 'Age', 'Ovr', 'Pot', 'Contract', 'Decline')}
+                defaultSort={[5, 'desc']}
+                name="NegotiationList:TeamOptions"
+                rows={teamOptions.map(p => {
+                    return {
+                        key: p.pid,
+                        data: [
+                            <PlayerNameLabels
+                                pid={p.pid}
+                                injury={p.injury}
+                                skills={p.ratings.skills}
+                                watch={p.watch}
+                            >{p.name}</PlayerNameLabels>,
+                            p.ratings.pos,
+                            p.age,
+                            p.ratings.ovr,
+                            p.ratings.pot,
+                            <span>{helpers.formatCurrency(p.optionAmount, "M")} for {g.season + 1}</span>,
+                            <button
+                                className="btn btn-default btn-xs"
+                                onClick={() => declineTeamOption(p.pid)}
+                            >Decline</button>,
+                        ],
+                    };
+                })}
+            />
+        </div> : null}
     </div>;
 };
 
 NegotiationList.propTypes = {
     players: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
+    teamOptions: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
 };
 
 export default NegotiationList;
@@ -58,6 +58,8 @@ class NewLeague extends React.Component {
             name: props.name,
             parsing: false,
             randomizeRosters: false,
+            rules: 'nba',
+            seed: '',
             teams: defaultTeams,
             tid: props.lastSelectedTid,
         };
@@ -65,6 +67,8 @@ class NewLeague extends React.Component {
         this.handleChanges = {
             name: this.handleChange.bind(this, 'name'),
             randomizeRosters: this.handleChange.bind(this, 'randomizeRosters'),
+            rules: this.handleChange.bind(this, 'rules'),
+            seed: this.handleChange.bind(this, 'seed'),
             tid: this.handleChange.bind(this, 'tid'),
         };
         this.handleCustomizeChange = this.handleCustomizeChange.bind(this);
@@ -181,12 +185,14 @@ class NewLeague extends React.Component {
             startingSeason = leagueFile.startingSeason !== undefined ? leagueFile.startingSeason : startingSeason;
         }
 
-        const lid = await league.create(this.state.name, this.state.tid, leagueFile, startingSeason, randomizeRosters);
+        const seed = this.state.seed.trim() !== '' ? this.state.seed.trim() : undefined;
+
+        const lid = await league.create(this.state.name, this.state.tid, leagueFile, startingSeason, randomizeRosters, seed, this.state.rules);
         ui.realtimeUpdate([], `/l/${lid}`);
     }
 
     render() {
-        const {creating, customize, invalidLeagueFile, leagueFile, name, parsing, randomizeRosters, teams, tid} = this.state;
+        const {creating, customize, invalidLeagueFile, leagueFile, name, parsing, randomizeRosters, rules, seed, teams, tid} = this.state;
 
         bbgmViewReact.title('Create New League');
 
@@ -241,7 +247,20 @@ class NewLeague extends React.Component {
                                 </label>
                             </div>
                         </div> : null}
-
+                        <div className="form-group">
+                            <label>Rules</label>
+                            <select className="form-control" value={rules} onChange={this.handleChanges.rules}>
+                                {helpers.keys(league.rulesPresets).map(key => {
+                                    return <option key={key} value={key}>{league.rulesPresets[key].name}</option>;
+                                })}
+                            </select>
+                            <span className="help-block">Period length, fouls, shot clock and three point line. Rules can be changed later in God Mode, and rules in an uploaded League File take precedence.</span>
+                        </div>
+                        <div className="form-group">
+                            <label>Random seed (optional)</label>
+                            <input className="form-control" type="text" value={seed} onChange={this.handleChanges.seed} />
+                            <span className="help-block">Leagues created with the same seed will play out identically if you make the same moves. Leave blank for a random league.</span>
+                        </div>
                     </div>
 
                     <div className="clearfix visible-xs" />
@@ -3,7 +3,8 @@ import {negotiate, tradeFor} from '../../util/actions';
 import bbgmViewReact from '../../util/bbgmViewReact';
 import getCols from '../../util/getCols';
 import * as helpers from '../../util/helpers';
-import {DataTable, NewWindowLink, PlayerPicture, SafeHtml, SkillsBlock, WatchBlock} from '../components';
+import * as shotChart from '../../util/shotChart';
+import {DataTable, LineupsTable, NewWindowLink, OnOffTable, PlayerPicture, SafeHtml, ShotHeatMap, SkillsBlock, WatchBlock} from '../components';
 
 const RatingsOverview = ({ratings}) => {
     const r = ratings.length - 1;
@@ -170,6 +171,52 @@ StatsTable.propTypes = {
     stats: React.PropTypes.arrayOf(React.PropTypes.object),
 };
 
+const AdvancedStatsTable = ({careerStats = {}, name, stats = []}) => {
+    const getData = ps => [
+        ps.gp,
+        helpers.round(ps.min, 1),
+        helpers.round(ps.per, 1),
+        helpers.round(ps.ewa, 1),
+        helpers.round(ps.tsp, 1),
+        helpers.round(ps.usgp, 1),
+        helpers.round(ps.astp, 1),
+        helpers.round(ps.tovp, 1),
+        helpers.round(ps.orbp, 1),
+        helpers.round(ps.drbp, 1),
+        helpers.round(ps.trbp, 1),
+        helpers.round(ps.ows, 1),
+        helpers.round(ps.dws, 1),
+        helpers.round(ps.ws, 1),
+        helpers.plusMinus(ps.bpm, 1),
+        helpers.round(ps.vorp, 1),
+        helpers.plusMinus(ps.onOff, 1),
+    ];
+
+    return <DataTable
+        cols={getCols('Year', 'Team', 'Age', 'GP', 'Min', 'PER', 'EWA', 'TS%', 'USG%', 'AST%', 'TOV%', 'ORB%', 'DRB%', 'TRB%', 'OWS', 'DWS', 'WS', 'BPM', 'VORP', 'On-Off')}
+        defaultSort={[0, 'asc']}
+        footer={['Career', null, null, ...getData(careerStats)]}
+        name={name}
+        rows={stats.map(ps => {
+            return {
+                key: ps.psid,
+                data: [
+                    ps.season,
+                    <a href={helpers.leagueUrl(['roster', ps.abbrev, ps.season])}>{ps.abbrev}</a>,
+                    ps.age,
+                    ...getData(ps),
+                ],
+            };
+        })}
+    />;
+};
+
+AdvancedStatsTable.propTypes = {
+    careerStats: React.PropTypes.object,
+    name: React.PropTypes.string.isRequired,
+    stats: React.PropTypes.arrayOf(React.PropTypes.object),
+};
+
 const ShotLocationsTable = ({careerStats = {}, name, stats = []}) => {
     return <DataTable
         cols={getCols('Year', 'Team', 'Age', 'GP', 'GS', 'Min', 'M', 'A', '%', 'M', 'A', '%', 'M', 'A', '%', 'M', 'A', '%')}
@@ -246,7 +293,139 @@ ShotLocationsTable.propTypes = {
     stats: React.PropTypes.arrayOf(React.PropTypes.object),
 };
 
-const Player = ({events, feats, freeAgent, godMode, injured, player, retired, showContract, showTradeFor}) => {
+// Local season and playoffs filter for sections of the player page that show a subset of the player's career
+const SeasonPlayoffsFilter = ({onChange, playoffs, season, seasons}) => {
+    return <form className="form-inline">
+        <select
+            className="form-control"
+            onChange={e => onChange({season: e.target.value === 'career' ? 'career' : parseInt(e.target.value, 10)})}
+            style={{marginRight: '0.5em'}}
+            value={season}
+        >
+            <option value="career">Career</option>
+            {seasons.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select
+            className="form-control"
+            onChange={e => onChange({playoffs: e.target.value === 'playoffs'})}
+            value={playoffs ? 'playoffs' : 'regularSeason'}
+        >
+            <option value="regularSeason">Regular Season</option>
+            <option value="playoffs">Playoffs</option>
+        </select>
+    </form>;
+};
+
+SeasonPlayoffsFilter.propTypes = {
+    onChange: React.PropTypes.func.isRequired,
+    playoffs: React.PropTypes.bool.isRequired,
+    season: React.PropTypes.oneOfType([
+        React.PropTypes.number,
+        React.PropTypes.string,
+    ]).isRequired,
+    seasons: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
+};
+
+const uniqueSeasons = rows => Array.from(new Set(rows.map(row => row.season))).sort((a, b) => b - a);
+
+const filterRows = (rows, {playoffs, season}) => {
+    return rows.filter(row => row.playoffs === playoffs && (season === 'career' || row.season === season));
+};
+
+class ShotCharts extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            playoffs: false,
+            season: 'career',
+        };
+        this.handleFilterChange = this.handleFilterChange.bind(this);
+    }
+
+    handleFilterChange(filter) {
+        this.setState(filter);
+    }
+
+    render() {
+        const {shots, threePointDistance} = this.props;
+        const {playoffs, season} = this.state;
+
+        if (shots.length === 0) {
+            return <p>None</p>;
+        }
+
+        // One row per season, regular season and playoffs separately
+        const counts = shotChart.merge(filterRows(shots, this.state).map(row => row.shots));
+        const fga = Object.keys(counts).reduce((memo, key) => memo + counts[key][0], 0);
+
+        return <div>
+            <SeasonPlayoffsFilter onChange={this.handleFilterChange} playoffs={playoffs} season={season} seasons={uniqueSeasons(shots)} />
+            <p />
+            {fga > 0 ? <div>
+                <div className="row">
+                    <div className="col-sm-6">
+                        <ShotHeatMap counts={counts} threePointDistance={threePointDistance} type="bins" />
+                    </div>
+                    <div className="col-sm-6">
+                        <ShotHeatMap counts={counts} threePointDistance={threePointDistance} type="regions" />
+                    </div>
+                </div>
+                <p className="text-muted">Squares are sized by the number of shots from that spot, and regions are labeled with FG%. Colors show points per shot, from cold (blue) to hot (red). Hover for details.</p>
+            </div> : <p>No shots.</p>}
+        </div>;
+    }
+}
+
+ShotCharts.propTypes = {
+    shots: React.PropTypes.arrayOf(React.PropTypes.shape({
+        playoffs: React.PropTypes.bool.isRequired,
+        season: React.PropTypes.number.isRequired,
+        shots: React.PropTypes.object.isRequired,
+    })).isRequired,
+    threePointDistance: React.PropTypes.number.isRequired,
+};
+
+class Lineups extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            playoffs: false,
+            season: 'career',
+        };
+        this.handleFilterChange = this.handleFilterChange.bind(this);
+    }
+
+    handleFilterChange(filter) {
+        this.setState(filter);
+    }
+
+    render() {
+        const {lineups, names, onOff} = this.props;
+        const {playoffs, season} = this.state;
+
+        if (onOff.length === 0) {
+            return <p>None</p>;
+        }
+
+        return <div>
+            <SeasonPlayoffsFilter onChange={this.handleFilterChange} playoffs={playoffs} season={season} seasons={uniqueSeasons(onOff)} />
+            <p />
+            <p>Ratings are points scored and allowed per 100 possessions.</p>
+            <h3>On/Off</h3>
+            <OnOffTable name="Player:OnOff" rows={filterRows(onOff, this.state)} showSeason />
+            <h3>Five-Man Units</h3>
+            <LineupsTable lineups={filterRows(lineups, this.state)} name="Player:Lineups" names={names} showSeason />
+        </div>;
+    }
+}
+
+Lineups.propTypes = {
+    lineups: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
+    names: React.PropTypes.object.isRequired,
+    onOff: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
+};
+
+const Player = ({events, feats, freeAgent, godMode, injured, lineupNames, lineups, onOff, player, retired, shots, showContract, showTradeFor, threePointDistance}) => {
     bbgmViewReact.title(player.name);
 
     let draftInfo = null;
@@ -262,6 +441,9 @@ const Player = ({events, feats, freeAgent, godMode, injured, player, retired, sh
     if (showContract) {
         contractInfo = <div>
             {freeAgent ? 'Asking for' : 'Contract'}: {helpers.formatCurrency(player.contract.amount, 'M')}/yr thru {player.contract.exp}<br />
+            {!freeAgent && player.contract.raise !== undefined ? <span>Yearly {player.contract.raise > 0 ? 'raises' : 'declines'}: {helpers.round(Math.abs(player.contract.raise) * 100)}%<br /></span> : null}
+            {!freeAgent && player.contract.option !== undefined ? <span>{player.contract.option === 'player' ? 'Player' : 'Team'} option for {player.contract.exp}<br /></span> : null}
+            {!freeAgent && player.contract.guaranteedThrough !== undefined && player.contract.guaranteedThrough < player.contract.exp ? <span>Guaranteed thru {player.contract.guaranteedThrough}<br /></span> : null}
         </div>;
     }
 
@@ -338,6 +520,13 @@ const Player = ({events, feats, freeAgent, godMode, injured, player, retired, sh
             stats={player.stats}
         />
 
+        <h3>Advanced</h3>
+        <AdvancedStatsTable
+            careerStats={player.careerStats}
+            name="Player:AdvancedStats"
+            stats={player.stats}
+        />
+
         <h2>Playoffs</h2>
         <h3>Stats</h3>
         <StatsTable
@@ -353,6 +542,19 @@ const Player = ({events, feats, freeAgent, godMode, injured, player, retired, sh
             stats={player.statsPlayoffs}
         />
 
+        <h3>Advanced</h3>
+        <AdvancedStatsTable
+            careerStats={player.careerStatsPlayoffs}
+            name="Player:PlayoffAdvancedStats"
+            stats={player.statsPlayoffs}
+        />
+
+        <h2>Shot Charts</h2>
+        <ShotCharts shots={shots} threePointDistance={threePointDistance} />
+
+        <h2>Lineups</h2>
+        <Lineups lineups={lineups} names={lineupNames} onOff={onOff} />
+
         <h2>Ratings</h2>
         <DataTable
             cols={getCols('Year', 'Team', 'Age', 'Pos', 'Ovr', 'Pot', 'rating:Hgt', 'rating:Str', 'rating:Spd', 'rating:Jmp', 'rating:End', 'rating:Ins', 'rating:Dnk', 'rating:FT', 'rating:2Pt', 'rating:3Pt', 'rating:Blk', 'rating:Stl', 'rating:Drb', 'rating:Pss', 'rating:Reb', 'Skills')}
@@ -454,10 +656,15 @@ Player.propTypes = {
     freeAgent: React.PropTypes.bool.isRequired,
     godMode: React.PropTypes.bool.isRequired,
     injured: React.PropTypes.bool.isRequired,
+    lineupNames: React.PropTypes.object.isRequired,
+    lineups: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
+    onOff: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
     player: React.PropTypes.object.isRequired,
     retired: React.PropTypes.bool.isRequired,
+    shots: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
     showContract: React.PropTypes.bool.isRequired,
     showTradeFor: React.PropTypes.bool.isRequired,
+    threePointDistance: React.PropTypes.number.isRequired,
 };
 
 export default Player;
@@ -9,31 +9,39 @@ const PlayerStats = ({abbrev, players, playoffs, season, statType}) => {
     const label = season !== undefined && season !== null ? season : 'Career Totals';
     bbgmViewReact.title(`Player Stats - ${label}`);
 
-    const superCols = [{
-        title: '',
-        colspan: 6,
-    }, {
-        title: 'FG',
-        desc: 'Field Goals',
-        colspan: 3,
-    }, {
-        title: '3PT',
-        desc: 'Three-Pointers',
-        colspan: 3,
-    }, {
-        title: 'FT',
-        desc: 'Free Throws',
-        colspan: 3,
-    }, {
-        title: 'Reb',
-        desc: 'Rebounds',
-        colspan: 3,
-    }, {
-        title: '',
-        colspan: 10,
-    }];
-
-    const cols = getCols('Name', 'Pos', 'Team', 'GP', 'GS', 'Min', 'M', 'A', '%', 'M', 'A', '%', 'M', 'A', '%', 'Off', 'Def', 'Tot', 'Ast', 'TO', 'Stl', 'Blk', 'BA', 'PF', 'Pts', '+/-', 'PER', 'EWA');
+    let cols;
+    let defaultSort;
+    let superCols;
+    if (statType === "advanced") {
+        cols = getCols('Name', 'Pos', 'Team', 'GP', 'Min', 'PER', 'EWA', 'TS%', 'USG%', 'AST%', 'TOV%', 'ORB%', 'DRB%', 'TRB%', 'OWS', 'DWS', 'WS', 'BPM', 'VORP', 'On-Off');
+        defaultSort = [16, 'desc'];
+    } else {
+        cols = getCols('Name', 'Pos', 'Team', 'GP', 'GS', 'Min', 'M', 'A', '%', 'M', 'A', '%', 'M', 'A', '%', 'Off', 'Def', 'Tot', 'Ast', 'TO', 'Stl', 'Blk', 'BA', 'PF', 'Pts', '+/-', 'PER', 'EWA');
+        defaultSort = [27, 'desc'];
+        superCols = [{
+            title: '',
+            colspan: 6,
+        }, {
+            title: 'FG',
+            desc: 'Field Goals',
+            colspan: 3,
+        }, {
+            title: '3PT',
+            desc: 'Three-Pointers',
+            colspan: 3,
+        }, {
+            title: 'FT',
+            desc: 'Free Throws',
+            colspan: 3,
+        }, {
+            title: 'Reb',
+            desc: 'Rebounds',
+            colspan: 3,
+        }, {
+            title: '',
+            colspan: 10,
+        }];
+    }
 
     // Number of decimals for many stats
     const d = statType === "totals" ? 0 : 1;
@@ -66,17 +74,29 @@ const PlayerStats = ({abbrev, players, playoffs, season, statType}) => {
             }
         }
 
-        return {
-            key: p.pid,
-            data: [
-                <PlayerNameLabels
-                    injury={p.injury}
-                    pid={p.pid}
-                    skills={p.ratings.skills}
-                    watch={p.watch}
-                >{p.name}</PlayerNameLabels>,
-                pos,
-                <a href={helpers.leagueUrl(["roster", actualAbbrev, season])}>{actualAbbrev}</a>,
+        let statsData;
+        if (statType === "advanced") {
+            statsData = [
+                p.stats.gp,
+                helpers.round(p.stats.min, 1),
+                helpers.round(p.stats.per, 1),
+                helpers.round(p.stats.ewa, 1),
+                helpers.round(p.stats.tsp, 1),
+                helpers.round(p.stats.usgp, 1),
+                helpers.round(p.stats.astp, 1),
+                helpers.round(p.stats.tovp, 1),
+                helpers.round(p.stats.orbp, 1),
+                helpers.round(p.stats.drbp, 1),
+                helpers.round(p.stats.trbp, 1),
+                helpers.round(p.stats.ows, 1),
+                helpers.round(p.stats.dws, 1),
+                helpers.round(p.stats.ws, 1),
+                helpers.plusMinus(p.stats.bpm, 1),
+                helpers.round(p.stats.vorp, 1),
+                helpers.plusMinus(p.stats.onOff, 1),
+            ];
+        } else {
+            statsData = [
                 p.stats.gp,
                 p.stats.gs,
                 helpers.round(p.stats.min, d),
@@ -102,6 +122,21 @@ const PlayerStats = ({abbrev, players, playoffs, season, statType}) => {
                 helpers.plusMinus(p.stats.pm, d),
                 helpers.round(p.stats.per, 1),
                 helpers.round(p.stats.ewa, 1),
+            ];
+        }
+
+        return {
+            key: p.pid,
+            data: [
+                <PlayerNameLabels
+                    injury={p.injury}
+                    pid={p.pid}
+                    skills={p.ratings.skills}
+                    watch={p.watch}
+                >{p.name}</PlayerNameLabels>,
+                pos,
+                <a href={helpers.leagueUrl(["roster", actualAbbrev, season])}>{actualAbbrev}</a>,
+                ...statsData,
             ],
             classNames: {
                 danger: p.hof,
@@ -111,7 +146,7 @@ const PlayerStats = ({abbrev, players, playoffs, season, statType}) => {
     });
 
     return <div>
-        <Dropdown view="player_stats" fields={["teamsAndAllWatch", "seasonsAndCareer", "statTypes", "playoffs"]} values={[abbrev, season === null ? 'career' : season, statType, playoffs]} />
+        <Dropdown view="player_stats" fields={["teamsAndAllWatch", "seasonsAndCareer", "statTypesAdv", "playoffs"]} values={[abbrev, season === null ? 'career' : season, statType, playoffs]} />
         <JumpTo season={season} />
         <h1>Player Stats <NewWindowLink /></h1>
         <p>More: <a href={helpers.leagueUrl(['player_shot_locations', season])}>Shot Locations</a> | <a href={helpers.leagueUrl(['player_stat_dists', season])}>Stat Distributions</a></p>
@@ -120,7 +155,7 @@ const PlayerStats = ({abbrev, players, playoffs, season, statType}) => {
 
         <DataTable
             cols={cols}
-            defaultSort={[27, 'desc']}
+            defaultSort={defaultSort}
             name="PlayerStats"
             rows={rows}
             pagination
@@ -137,7 +172,7 @@ PlayerStats.propTypes = {
         React.PropTypes.number,
         React.PropTypes.string,
     ]).isRequired,
-    statType: React.PropTypes.oneOf(['per_36', 'per_game', 'totals']).isRequired,
+    statType: React.PropTypes.oneOf(['advanced', 'per_36', 'per_game', 'totals']).isRequired,
 };
 
 export default PlayerStats;
@@ -4,14 +4,24 @@ import React from 'react';
 import bbgmViewReact from '../../util/bbgmViewReact';
 import {Dropdown, JumpTo, NewWindowLink, PlayoffMatchup} from '../components';
 
-const Playoffs = ({confNames, finalMatchups, matchups, numPlayoffRounds, season, series}: {
+type PlayIn = {
+    games: {
+        away: {seed: number, tid: number, won?: number},
+        home: {seed: number, tid: number, won?: number},
+    }[],
+    seeds: [number, number],
+};
+
+const Playoffs = ({confNames, finalMatchups, matchups, numGamesToWin, numPlayoffRounds, playIns, season, series}: {
     confNames: string[],
     finalMatchups: boolean,
     matchups: {
         matchup: [number, number],
         rowspan: number,
     }[][],
+    numGamesToWin: number[],
     numPlayoffRounds: number,
+    playIns: PlayIn[],
     season: number,
     series: {
         cid: number,
@@ -39,6 +49,7 @@ const Playoffs = ({confNames, finalMatchups, matchups, numPlayoffRounds, season,
                         {row.map((m, j) => {
                             return <td key={j} rowSpan={m.rowspan} width={`${100 / (numPlayoffRounds * 2 - 1)}%`}>
                                 <PlayoffMatchup
+                                    numGamesToWin={numGamesToWin[m.matchup[0]]}
                                     season={season}
                                     series={series[m.matchup[0]][m.matchup[1]]}
                                 />
@@ -48,6 +59,23 @@ const Playoffs = ({confNames, finalMatchups, matchups, numPlayoffRounds, season,
                 </tbody>
             </table>
         </div>
+
+        {playIns.length > 0 ? <div>
+            <h2>Play-In Tournament</h2>
+            <p>The winner of the first game gets the #{playIns[0].seeds[0]} seed. The loser of that game plays the winner of the second game for the #{playIns[0].seeds[1]} seed.</p>
+            <div className="row">
+                {playIns.map((playIn, i) => <div key={i} className="col-sm-6">
+                    {playIns.length === confNames.length ? <h3>{confNames[i]}</h3> : null}
+                    {playIn.games.map((game, j) => <div key={j} style={{marginBottom: '10px'}}>
+                        <PlayoffMatchup
+                            numGamesToWin={1}
+                            season={season}
+                            series={game}
+                        />
+                    </div>)}
+                </div>)}
+            </div>
+        </div> : null}
     </div>;
 };
 
@@ -55,7 +83,9 @@ Playoffs.propTypes = {
     confNames: React.PropTypes.arrayOf(React.PropTypes.string).isRequired,
     finalMatchups: React.PropTypes.bool.isRequired,
     matchups: React.PropTypes.arrayOf(React.PropTypes.arrayOf(React.PropTypes.object)).isRequired,
+    numGamesToWin: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
     numPlayoffRounds: React.PropTypes.number.isRequired,
+    playIns: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
     season: React.PropTypes.number.isRequired,
     series: React.PropTypes.arrayOf(React.PropTypes.arrayOf(React.PropTypes.object)).isRequired,
 };
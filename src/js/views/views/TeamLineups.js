@@ -0,0 +1,35 @@
+import React from 'react';
+import bbgmViewReact from '../../util/bbgmViewReact';
+import * as helpers from '../../util/helpers';
+import {Dropdown, LineupsTable, NewWindowLink, OnOffTable} from '../components';
+
+const TeamLineups = ({abbrev, lineups, names, onOff, playoffs, season}) => {
+    bbgmViewReact.title(`Lineups - ${season}`);
+
+    return <div>
+        <Dropdown view="team_lineups" fields={["teams", "seasons", "playoffs"]} values={[abbrev, season, playoffs]} />
+        <h1>Lineups <NewWindowLink /></h1>
+        <p>More: <a href={helpers.leagueUrl(['roster', abbrev, season])}>Roster</a> | <a href={helpers.leagueUrl(['game_log', abbrev, season])}>Game Log</a> | <a href={helpers.leagueUrl(['team_finances', abbrev])}>Finances</a> | <a href={helpers.leagueUrl(['team_history', abbrev])}>History</a></p>
+
+        {lineups.length === 0 ? <p>No lineups have played yet.</p> : <div>
+            <p>Ratings are points scored and allowed per 100 possessions.</p>
+
+            <h2>Five-Man Units</h2>
+            <LineupsTable lineups={lineups} name="TeamLineups" names={names} />
+
+            <h2>On/Off</h2>
+            <OnOffTable name="TeamLineups:OnOff" rows={onOff} />
+        </div>}
+    </div>;
+};
+
+TeamLineups.propTypes = {
+    abbrev: React.PropTypes.string.isRequired,
+    lineups: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
+    names: React.PropTypes.object.isRequired,
+    onOff: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
+    playoffs: React.PropTypes.oneOf(['playoffs', 'regular_season']).isRequired,
+    season: React.PropTypes.number.isRequired,
+};
+
+export default TeamLineups;
@@ -151,11 +151,17 @@ class Trade extends React.Component {
     }
 
     render() {
-        const {gameOver, godMode, lost, otherDpids, otherPicks, otherRoster, otherTid, phase, salaryCap, summary, showResigningMsg, strategy, teams, userDpids, userPicks, userRoster, userTeamName, won} = this.props;
+        const {daysUntilTradeDeadline, gameOver, godMode, lost, otherDpids, otherPicks, otherRoster, otherTid, phase, salaryCap, summary, showResigningMsg, strategy, teams, untradableGamesAfterSigning, userDpids, userPicks, userRoster, userTeamName, won} = this.props;
 
         bbgmViewReact.title('Trade');
 
-        if ((phase >= g.PHASE.AFTER_TRADE_DEADLINE && phase <= g.PHASE.PLAYOFFS) || phase === g.PHASE.FANTASY_DRAFT || gameOver) {
+        if (phase === g.PHASE.AFTER_TRADE_DEADLINE) {
+            return <div>
+                <h1>Error</h1>
+                <p>The trade deadline has passed. You're not allowed to make trades until after the playoffs.</p>
+            </div>;
+        }
+        if (phase === g.PHASE.PLAYOFFS || phase === g.PHASE.FANTASY_DRAFT || gameOver) {
             return <div>
                 <h1>Error</h1>
                 <p>You're not allowed to make trades now.</p>
@@ -172,7 +178,9 @@ class Trade extends React.Component {
 
             {showResigningMsg ? <p>You can't trade players whose contracts expired this season, but their old contracts still count against team salary caps until they are either re-signed or become free agents.</p> : null}
 
-            <p>If a player has been signed within the past 15 games, he is not allowed to be traded.</p>
+            {daysUntilTradeDeadline !== null ? <p>Trade deadline: {daysUntilTradeDeadline === 0 ? 'today' : `${daysUntilTradeDeadline} ${daysUntilTradeDeadline === 1 ? 'day' : 'days'} left`}. After that, no trades are allowed until after the playoffs.</p> : null}
+
+            <p>If a player has been signed within the past {untradableGamesAfterSigning} games, he is not allowed to be traded.</p>
 
             <div className="row">
                 <div className="col-md-9">
@@ -275,6 +283,7 @@ class Trade extends React.Component {
 }
 
 Trade.propTypes = {
+    daysUntilTradeDeadline: React.PropTypes.number,
     gameOver: React.PropTypes.bool.isRequired,
     godMode: React.PropTypes.bool.isRequired,
     lost: React.PropTypes.number.isRequired,
@@ -289,6 +298,7 @@ Trade.propTypes = {
     showResigningMsg: React.PropTypes.bool.isRequired,
     strategy: React.PropTypes.string.isRequired,
     teams: React.PropTypes.array.isRequired,
+    untradableGamesAfterSigning: React.PropTypes.number.isRequired,
     userDpids: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
     userPicks: React.PropTypes.array.isRequired,
     userPids: React.PropTypes.arrayOf(React.PropTypes.number).isRequired,
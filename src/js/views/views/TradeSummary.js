@@ -0,0 +1,112 @@
+import React from 'react';
+import g from '../../globals';
+import bbgmViewReact from '../../util/bbgmViewReact';
+import * as helpers from '../../util/helpers';
+import {NewWindowLink} from '../components';
+
+const formatValue = (valueNow, retired) => {
+    if (retired) {
+        return "Retired";
+    }
+    if (valueNow === null || valueNow === undefined) {
+        return "";
+    }
+    return helpers.round(valueNow);
+};
+
+const TeamReceived = ({t}) => {
+    return <div className="col-md-6">
+        <h2><a href={helpers.leagueUrl(['roster', t.abbrev])}>{t.region} {t.name}</a> received:</h2>
+        <table className="table table-striped table-bordered table-condensed">
+            <thead>
+                <tr>
+                    <th>Asset</th>
+                    <th title="Player value at the time of the trade, then now">Value</th>
+                    <th title="Win Shares with this team after the trade">WS</th>
+                </tr>
+            </thead>
+            <tbody>
+                {t.players.map(p => <tr key={p.pid}>
+                    <td>
+                        <a href={helpers.leagueUrl(['player', p.pid])}>{p.name}</a><br />
+                        <small className="text-muted">{p.pos}, age {p.age}, {helpers.formatCurrency(p.contract.amount / 1000, 'M')} thru {p.contract.exp}</small>
+                    </td>
+                    <td>{helpers.round(p.value)} &rarr; {formatValue(p.valueNow, p.retired)}</td>
+                    <td>{helpers.round(p.ws, 1)}</td>
+                </tr>)}
+                {t.picks.map(dp => <tr key={dp.dpid}>
+                    <td>
+                        {dp.desc}<br />
+                        <small className="text-muted">{dp.draftee ? <span>
+                            Pick {dp.round}-{dp.draftee.pick}: <a href={helpers.leagueUrl(['player', dp.draftee.pid])}>{dp.draftee.name}</a>
+                            {dp.draftee.draftedByTid !== t.tid ? ` (drafted by ${g.teamAbbrevsCache[dp.draftee.draftedByTid]})` : null}
+                        </span> : "Not drafted yet"}</small>
+                    </td>
+                    <td>{dp.draftee ? formatValue(dp.draftee.valueNow, dp.draftee.retired) : null}</td>
+                    <td>{dp.draftee ? helpers.round(dp.draftee.ws, 1) : null}</td>
+                </tr>)}
+                {t.players.length === 0 && t.picks.length === 0 ? <tr><td colSpan="3">Nothing</td></tr> : null}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th colSpan="2">Total</th>
+                    <th>{helpers.round(t.ws, 1)}</th>
+                </tr>
+            </tfoot>
+        </table>
+    </div>;
+};
+
+TeamReceived.propTypes = {
+    t: React.PropTypes.object.isRequired,
+};
+
+const TradeSummary = ({day, phase, season, seasons, teams, trid}) => {
+    bbgmViewReact.title('Trade Summary');
+
+    if (teams.length === 0) {
+        return <div>
+            <h1>Error</h1>
+            <p>Trade {trid} not found.</p>
+        </div>;
+    }
+
+    return <div>
+        <h1>Trade Summary <NewWindowLink /></h1>
+
+        <p>Completed in the {season} {g.PHASE_TEXT[phase]}{day !== null ? `, day ${day}` : null}. Win Shares (WS) only count regular season games played for the team that received the player, after the trade.</p>
+
+        <div className="row">
+            {teams.map(t => <TeamReceived key={t.tid} t={t} />)}
+        </div>
+
+        <h2>Win Shares By Season</h2>
+        <div className="table-responsive">
+            <table className="table table-striped table-bordered table-condensed">
+                <thead>
+                    <tr>
+                        <th>Season</th>
+                        {teams.map(t => <th key={t.tid}>{t.abbrev}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {seasons.map(s => <tr key={s}>
+                        <td>{s}</td>
+                        {teams.map(t => <td key={t.tid}>{helpers.round(t.wsBySeason[s], 1)}</td>)}
+                    </tr>)}
+                </tbody>
+            </table>
+        </div>
+    </div>;
+};
+
+TradeSummary.propTypes = {
+    day: React.PropTypes.number,
+    phase: React.PropTypes.number,
+    season: React.PropTypes.number,
+    seasons: React.PropTypes.arrayOf(React.PropTypes.number),
+    teams: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
+    trid: React.PropTypes.number,
+};
+
+export default TradeSummary;
@@ -290,11 +290,17 @@ class TradingBlock extends React.Component {
     }
 
     render() {
-        const {gameOver, phase, userPicks, userRoster} = this.props;
+        const {daysUntilTradeDeadline, gameOver, phase, untradableGamesAfterSigning, userPicks, userRoster} = this.props;
 
         bbgmViewReact.title('Trading Block');
 
-        if ((phase >= g.PHASE.AFTER_TRADE_DEADLINE && phase <= g.PHASE.PLAYOFFS) || phase === g.PHASE.FANTASY_DRAFT || gameOver) {
+        if (phase === g.PHASE.AFTER_TRADE_DEADLINE) {
+            return <div>
+                <h1>Error</h1>
+                <p>The trade deadline has passed. You're not allowed to make trades until after the playoffs.</p>
+            </div>;
+        }
+        if (phase === g.PHASE.PLAYOFFS || phase === g.PHASE.FANTASY_DRAFT || gameOver) {
             return <div>
                 <h1>Error</h1>
                 <p>You're not allowed to make trades now.</p>
@@ -347,7 +353,9 @@ class TradingBlock extends React.Component {
         return <div>
             <h1>Trading Block <NewWindowLink /></h1>
 
-            <p>Select some assets you want to trade away and other teams will make you trade offers.</p>
+            <p>Select some assets you want to trade away and other teams will make you trade offers. Players signed within the past {untradableGamesAfterSigning} games can't be traded.</p>
+
+            {daysUntilTradeDeadline !== null ? <p>Trade deadline: {daysUntilTradeDeadline === 0 ? 'today' : `${daysUntilTradeDeadline} ${daysUntilTradeDeadline === 1 ? 'day' : 'days'} left`}. After that, no trades are allowed until after the playoffs.</p> : null}
 
             <div className="row">
                 <div className="col-md-9">
@@ -397,8 +405,10 @@ class TradingBlock extends React.Component {
 }
 
 TradingBlock.propTypes = {
+    daysUntilTradeDeadline: React.PropTypes.number,
     gameOver: React.PropTypes.bool.isRequired,
     phase: React.PropTypes.number.isRequired,
+    untradableGamesAfterSigning: React.PropTypes.number.isRequired,
     userPicks: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
     userRoster: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
 };
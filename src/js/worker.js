@@ -0,0 +1,32 @@
+// @flow
+
+// Entry point for the Web Worker that runs game simulations, see util/simWorker.js. This only gets a copy of g and the state of the random number generator from the main thread - it can't touch the database or the UI.
+
+/* eslint-disable import/first */
+import './lib/babel-external-helpers';
+import g from './globals';
+import * as random from './util/random';
+import {simGamesSync} from './util/simWorker';
+
+self.onmessage = (event: MessageEvent) => {
+    const {id, gameAttributes, games, gidPlayByPlay, rngState, teams} = (event.data: any);
+
+    try {
+        Object.assign(g, gameAttributes);
+        random.setState(rngState);
+
+        const results = simGamesSync(games, teams, gidPlayByPlay);
+
+        self.postMessage({
+            id,
+            results,
+            rngState: random.getState(),
+        });
+    } catch (err) {
+        console.error(err);
+        self.postMessage({
+            id,
+            error: err.message,
+        });
+    }
+};
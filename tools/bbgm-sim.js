@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// @flow
+
+// Command line interface for simulating leagues without a browser, see src/js/cli.js for usage.
+
+// Must be loaded before babel-register, since everything it compiles depends on these helpers
+require('../src/js/lib/babel-external-helpers');
+require('babel-register');
+
+// Overwrite Promise object globally so Babel uses it when transpiling async/await, same as in app.js. Transactions
+// commit as soon as they have no pending requests, so promises need to resolve in microtasks like they do in browsers.
+// Otherwise, the transaction is gone by the time an await in the middle of it finishes.
+global.Promise = require('bluebird');
+
+global.Promise.config({warnings: false});
+global.Promise.setScheduler(fn => process.nextTick(fn));
+
+const {IDBFactory, IDBKeyRange} = require('fake-indexeddb');
+const run = require('../src/js/cli').default;
+
+// Auto play is a chain of promises that nothing waits on, so errors in it would otherwise be logged and ignored
+process.on('unhandledRejection', err => {
+    console.error(err);
+    process.exit(1);
+});
+
+// In-memory IndexedDB implementation for simulating leagues, since there is no real one outside of browsers. Leagues
+// are only saved through the --in and --out files.
+const createIndexedDB = () => ({
+    indexedDB: new IDBFactory(),
+    IDBKeyRange,
+});
+
+run(process.argv.slice(2), createIndexedDB).catch(err => {
+    console.error(err);
+    process.exit(1);
+});
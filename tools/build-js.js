@@ -9,12 +9,13 @@ const envify = require('envify/custom');
 const exorcist = require('exorcist');
 const fs = require('fs');
 
-const bundler = browserify('src/js/app.js', {debug: true});
-
 console.log('Bundling JavaScript files...');
 
-bundler
-    .transform({global: true}, envify({NODE_ENV: 'production'}))
-    .bundle()
-    .pipe(exorcist('build/gen/app.js.map'))
-    .pipe(fs.createWriteStream('build/gen/app.js'));
+// app.js is the main UI thread, worker.js is the game simulation Web Worker
+for (const name of ['app', 'worker']) {
+    browserify(`src/js/${name}.js`, {debug: true})
+        .transform({global: true}, envify({NODE_ENV: 'production'}))
+        .bundle()
+        .pipe(exorcist(`build/gen/${name}.js.map`))
+        .pipe(fs.createWriteStream(`build/gen/${name}.js`));
+}